@@ -0,0 +1,101 @@
+/* eslint-disable no-restricted-globals */
+// Sends bug reports that were submitted while offline (src/utils/outbox.js
+// queues them) once the browser has a connection again, through Background
+// Sync, so they go out even if the player closed the tab.
+//
+// This worker deliberately has no fetch handler: it never caches or serves
+// the app itself.
+const DB_NAME = 'wuwa-bug-reporter'; // Must match src/utils/offlineStore.js
+const DB_VERSION = 1;
+const OUTBOX = 'outbox';
+const SYNC_TAG = 'bug-report-outbox';
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(flushOutbox());
+  }
+});
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  // Same schema as the page, in case the worker opens the database first
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains('drafts')) db.createObjectStore('drafts', { keyPath: 'id' });
+    if (!db.objectStoreNames.contains('draftFiles')) db.createObjectStore('draftFiles', { keyPath: 'key' });
+    if (!db.objectStoreNames.contains(OUTBOX)) db.createObjectStore(OUTBOX, { keyPath: 'id' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const outboxRequest = (db, mode, makeRequest) => new Promise((resolve, reject) => {
+  const request = makeRequest(db.transaction(OUTBOX, mode).objectStore(OUTBOX));
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const send = async (record) => {
+  const form = new FormData();
+  record.entries.forEach(([name, value]) => form.append(name, value));
+
+  const response = await fetch(record.url, {
+    method: 'POST',
+    body: form,
+    credentials: 'include',
+    headers: {
+      'X-Requested-With': 'XMLHttpRequest',
+      'X-Client-Version': '1.0.0',
+      'Idempotency-Key': record.id
+    }
+  });
+  const body = await response.json().catch(() => ({}));
+  return { status: response.status, ok: response.ok, body };
+};
+
+const notifyClients = async () => {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true });
+  clients.forEach(client => client.postMessage({ type: 'outbox-updated' }));
+};
+
+// Rejecting tells the browser to retry the sync later, which is what a
+// missing connection, a rate limit or a server error should get
+const flushOutbox = async () => {
+  const db = await openDatabase();
+  const records = await outboxRequest(db, 'readonly', store => store.getAll());
+  let retryLater = false;
+
+  for (const record of records.filter(item => item.status === 'queued')) {
+    let result;
+    try {
+      result = await send(record);
+    } catch (error) {
+      retryLater = true;
+      continue;
+    }
+
+    if (result.ok) {
+      await outboxRequest(db, 'readwrite', store => store.put({
+        ...record, status: 'sent', response: result.body, sentAt: new Date().toISOString()
+      }));
+    } else if (result.status === 409 || result.status === 429 || result.status >= 500) {
+      retryLater = true;
+      continue;
+    } else {
+      await outboxRequest(db, 'readwrite', store => store.put({
+        ...record, status: 'failed', error: result.body.message || result.body.error || 'Submission refused'
+      }));
+    }
+    await notifyClients();
+  }
+
+  if (retryLater) {
+    throw new Error('Some queued reports could not be sent yet');
+  }
+};
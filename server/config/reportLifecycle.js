@@ -0,0 +1,58 @@
+// The triage workflow: the statuses a report moves through, which moves are
+// allowed, and the fields triagers fill in along the way. The validators and
+// SecureStorage both enforce these rules; src/utils/constants.js mirrors them
+// for the dashboard.
+
+const REPORT_STATUSES = ['pending', 'in-review', 'needs-info', 'resolved', 'rejected', 'duplicate'];
+
+// Where a report may go from each status. `duplicate` is only entered by
+// merging the report into another one, which records which report it
+// duplicates; moving it back to in-review undoes the merge.
+const STATUS_TRANSITIONS = {
+  pending: ['in-review', 'needs-info', 'resolved', 'rejected'],
+  'in-review': ['pending', 'needs-info', 'resolved', 'rejected'],
+  'needs-info': ['in-review', 'resolved', 'rejected'],
+  resolved: ['in-review'],
+  rejected: ['in-review'],
+  duplicate: ['in-review']
+};
+
+const PRIORITIES = ['P0', 'P1', 'P2', 'P3'];
+
+const SEVERITIES = ['critical', 'major', 'minor', 'trivial'];
+
+// Triage fields, in the order they are audited. A null value clears a field.
+const TRIAGE_FIELDS = ['assignee', 'priority', 'severity', 'labels', 'ticketId', 'resolutionNote'];
+
+const MAX_LABELS = 20;
+
+// Labels are stored lowercased so filtering doesn't depend on case
+const LABEL_PATTERN = /^[a-z0-9][a-z0-9 ._:/-]{0,31}$/;
+
+// IDs in the internal tracker, e.g. WW-1234 or bugs/5678
+const TICKET_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._#:/-]{0,63}$/;
+
+const MAX_RESOLUTION_NOTE_LENGTH = 2000;
+
+// Reports one bulk update may change, whether listed or matched by a filter
+const MAX_BULK_REPORTS = 1000;
+
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Trimmed, lowercased, without duplicates, in the order given
+const normalizeLabels = (labels) => [...new Set(labels.map(label => label.trim().toLowerCase()))];
+
+module.exports = {
+  REPORT_STATUSES,
+  STATUS_TRANSITIONS,
+  PRIORITIES,
+  SEVERITIES,
+  TRIAGE_FIELDS,
+  MAX_LABELS,
+  LABEL_PATTERN,
+  TICKET_ID_PATTERN,
+  MAX_RESOLUTION_NOTE_LENGTH,
+  MAX_BULK_REPORTS,
+  canTransition,
+  normalizeLabels
+};
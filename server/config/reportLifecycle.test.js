@@ -0,0 +1,27 @@
+const { STATUS_TRANSITIONS, canTransition, normalizeLabels } = require('./reportLifecycle');
+
+describe('canTransition', () => {
+  it('follows STATUS_TRANSITIONS', () => {
+    expect(canTransition('pending', 'in-review')).toBe(true);
+    expect(canTransition('resolved', 'in-review')).toBe(true);
+    expect(canTransition('resolved', 'rejected')).toBe(false);
+  });
+
+  it('only enters duplicate by merging', () => {
+    for (const targets of Object.values(STATUS_TRANSITIONS)) {
+      expect(targets).not.toContain('duplicate');
+    }
+    expect(canTransition('duplicate', 'in-review')).toBe(true);
+  });
+
+  it('rejects unknown statuses', () => {
+    expect(canTransition('archived', 'pending')).toBe(false);
+    expect(canTransition('pending', 'archived')).toBe(false);
+  });
+});
+
+describe('normalizeLabels', () => {
+  it('trims, lowercases and removes duplicates in order', () => {
+    expect(normalizeLabels([' Crash ', 'map', 'crash', 'UI'])).toEqual(['crash', 'map', 'ui']);
+  });
+});
@@ -0,0 +1,79 @@
+// Single source of truth for what players may attach to a report. The
+// multer filter, the validators, the resumable upload API and the client
+// (via GET /api/config/upload-policy) all read these rules, so the form never
+// offers a file the server will refuse.
+
+const MB = 1024 * 1024;
+
+const UPLOAD_POLICY = {
+  maxFiles: 5,
+  // Multipart bodies are buffered by multer; anything bigger must use the
+  // resumable upload API
+  maxMultipartFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * MB,
+  chunkSize: 5 * MB,
+  kinds: {
+    image: {
+      label: 'Images',
+      maxSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * MB,
+      types: {
+        'image/jpeg': ['.jpg', '.jpeg'],
+        'image/png': ['.png'],
+        'image/webp': ['.webp'],
+        'image/gif': ['.gif'],
+        // iOS screenshots and photos; converted to JPEG for triagers
+        'image/heic': ['.heic'],
+        'image/heif': ['.heif']
+      }
+    },
+    video: {
+      label: 'Videos',
+      maxSize: parseInt(process.env.MAX_VIDEO_FILE_SIZE) || 200 * MB,
+      maxDurationSeconds: parseInt(process.env.MAX_VIDEO_DURATION_SECONDS) || 180,
+      types: {
+        'video/mp4': ['.mp4'],
+        'video/webm': ['.webm'],
+        'video/quicktime': ['.mov']
+      }
+    }
+  }
+};
+
+const kindOf = (mimeType) => Object.keys(UPLOAD_POLICY.kinds)
+  .find(kind => Object.prototype.hasOwnProperty.call(UPLOAD_POLICY.kinds[kind].types, mimeType)) || null;
+
+const ALLOWED_MIME_TYPES = Object.values(UPLOAD_POLICY.kinds).flatMap(kind => Object.keys(kind.types));
+
+const isAllowedMimeType = (mimeType) => kindOf(mimeType) !== null;
+
+// The extension has to belong to the declared type, not just to any type
+const isAllowedExtension = (mimeType, extension) => {
+  const kind = kindOf(mimeType);
+  return kind !== null && UPLOAD_POLICY.kinds[kind].types[mimeType].includes(String(extension).toLowerCase());
+};
+
+const maxSizeFor = (mimeType) => {
+  const kind = kindOf(mimeType);
+  return kind ? UPLOAD_POLICY.kinds[kind].maxSize : 0;
+};
+
+// What GET /api/config/upload-policy returns
+const getPublicUploadPolicy = () => ({
+  maxFiles: UPLOAD_POLICY.maxFiles,
+  chunkSize: UPLOAD_POLICY.chunkSize,
+  kinds: Object.fromEntries(Object.entries(UPLOAD_POLICY.kinds).map(([name, kind]) => [name, {
+    label: kind.label,
+    maxSize: kind.maxSize,
+    ...(kind.maxDurationSeconds ? { maxDurationSeconds: kind.maxDurationSeconds } : {}),
+    types: kind.types
+  }]))
+});
+
+module.exports = {
+  UPLOAD_POLICY,
+  ALLOWED_MIME_TYPES,
+  kindOf,
+  isAllowedMimeType,
+  isAllowedExtension,
+  maxSizeFor,
+  getPublicUploadPolicy
+};
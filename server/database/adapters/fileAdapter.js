@@ -0,0 +1,443 @@
+// Default backend: one JSON file per report under <dataDir>/reports and one
+// JSON-lines audit file per day under <dataDir>/audit. Reports aren't cached
+// in memory: a listing page reads the reports directory and about as many
+// files as it shows, full scans go through iterateReports, which reads each
+// file once, and statistics are recomputed at most once a minute. Use the
+// SQLite adapter once report volume makes filtered listings too slow. Each
+// audit entry about a report is also filed under <dataDir>/audit/reports, so
+// a report's history is one small read. Admin accounts are few, so they
+// share a single <dataDir>/admins.json.
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { StorageAdapter } = require('./storageAdapter');
+
+const REPORT_ID_PATTERN = /^WUWA-[A-Z0-9-]+$/;
+// A lock older than this was left by a crashed process and is taken over
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_TIMEOUT_MS = 10 * 1000;
+const LOCK_RETRY_MS = 25;
+const STATISTICS_CACHE_MS = 60 * 1000;
+// Index lines held in memory while the audit index is rebuilt
+const AUDIT_INDEX_BATCH = 1000;
+
+// Milliseconds encoded in a report file name (WUWA-<time>-<random>.json)
+const reportCreationTime = (file) => {
+  const match = /^WUWA-([A-Z0-9]+)-/.exec(file);
+  return match ? parseInt(match[1], 36) : 0;
+};
+
+class FileStorageAdapter extends StorageAdapter {
+  constructor({ dataDir }) {
+    super();
+    this.dataDir = dataDir;
+    this.reportsDir = path.join(dataDir, 'reports');
+    this.auditDir = path.join(dataDir, 'audit');
+    this.auditHeadFile = path.join(this.auditDir, 'head.json');
+    this.auditLockFile = path.join(this.auditDir, 'head.lock');
+    this.auditIndexDir = path.join(this.auditDir, 'reports');
+    this.adminsFile = path.join(dataDir, 'admins.json');
+    this.statisticsRows = null; // { collectedAt, rows } for getStatistics
+  }
+
+  async init() {
+    await fs.mkdir(this.reportsDir, { recursive: true });
+    await fs.mkdir(this.auditDir, { recursive: true });
+    await this.withAuditLock(() => this.buildAuditIndex());
+  }
+
+  reportPath(reportId) {
+    // Report IDs end up in a path, so never trust them blindly
+    if (!REPORT_ID_PATTERN.test(reportId)) {
+      throw new Error('Invalid report ID');
+    }
+    return path.join(this.reportsDir, `${reportId}.json`);
+  }
+
+  async writeReport(report, flag) {
+    try {
+      await fs.writeFile(this.reportPath(report.id), JSON.stringify(report, null, 2), {
+        mode: 0o600, // Restrict file permissions
+        flag
+      });
+    } catch (error) {
+      console.error(`Failed to persist report ${report.id}:`, error);
+      throw error;
+    }
+  }
+
+  async saveReport(report) {
+    // 'wx' fails instead of silently overwriting an existing report
+    await this.writeReport(report, 'wx');
+    this.statisticsRows = null;
+  }
+
+  async getReport(reportId) {
+    if (!REPORT_ID_PATTERN.test(reportId)) return null;
+
+    try {
+      const data = await fs.readFile(this.reportPath(reportId), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Report writes hold a lock file next to the report, so a maintenance
+  // script's compare-and-swap can't interleave with the server's writes
+  withReportFileLock(reportId, task) {
+    return this.withLockFile(`${this.reportPath(reportId)}.lock`, `report ${reportId}`, task);
+  }
+
+  async updateReport(report) {
+    await this.withReportFileLock(report.id, () => this.writeReport(report, 'w'));
+    this.statisticsRows = null;
+  }
+
+  async updateReportIfUnchanged(report, expected) {
+    return this.withReportFileLock(report.id, async () => {
+      const current = await this.getReport(report.id);
+      if (!current || this.reportVersion(current) !== this.reportVersion(expected)) {
+        return false;
+      }
+      await this.writeReport(report, 'w');
+      this.statisticsRows = null;
+      return true;
+    });
+  }
+
+  async deleteReport(reportId) {
+    try {
+      await fs.unlink(this.reportPath(reportId));
+      this.statisticsRows = null;
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  // Pages are read off the directory listing in submission order (see
+  // iterateReports), opening files only until the page is full, so a page
+  // costs about `limit` reads however many reports are stored. Reports are
+  // ordered by the creation time in their IDs, which is when they were
+  // submitted.
+  async listReports(options = {}) {
+    const limit = this.normalizeLimit(options.limit);
+    const after = this.decodeCursor(options.cursor);
+    const position = { order: options.order, after: after && after.id };
+    const reports = [];
+
+    for await (const report of this.iterateReports(options.filter, position)) {
+      reports.push(report);
+      if (reports.length > limit) break;
+    }
+
+    const page = reports.slice(0, limit);
+    return {
+      reports: page,
+      nextCursor: reports.length > limit ? this.encodeCursor(page[page.length - 1]) : null
+    };
+  }
+
+  // Report IDs start with their creation time in base 36, so the directory
+  // listing can be put in submission order without opening the files. Each
+  // file is then read once, as the caller gets to it. Options: order ('asc'
+  // or 'desc') and `after`, the ID of the report to continue after.
+  async *iterateReports(filter = {}, { order = 'asc', after = null } = {}) {
+    const direction = order === 'desc' ? -1 : 1;
+    const compare = (a, b) =>
+      direction * (a.created - b.created || (a.file < b.file ? -1 : a.file > b.file ? 1 : 0));
+    const start = after && { file: `${after}.json`, created: reportCreationTime(after) };
+
+    const files = (await fs.readdir(this.reportsDir))
+      .filter(file => file.endsWith('.json'))
+      .map(file => ({ file, created: reportCreationTime(file) }))
+      .filter(entry => !start || compare(entry, start) > 0)
+      .sort(compare);
+
+    for (const { file } of files) {
+      let report;
+      try {
+        report = JSON.parse(await fs.readFile(path.join(this.reportsDir, file), 'utf8'));
+      } catch (error) {
+        // Deleted since the directory was read, or unreadable
+        if (error.code !== 'ENOENT') {
+          console.error(`Skipping unreadable report file ${file}:`, error.message);
+        }
+        continue;
+      }
+
+      if (this.matchesReportFilter(report, filter)) {
+        yield report;
+      }
+    }
+  }
+
+  // Statistics are summarized from the few fields they count, collected
+  // from every report at most once a minute rather than on each dashboard
+  // load. This process's own writes refresh them right away; changes made
+  // by other processes show up within the minute.
+  async getStatistics(since) {
+    if (!this.statisticsRows || Date.now() - this.statisticsRows.collectedAt > STATISTICS_CACHE_MS) {
+      const collectedAt = Date.now();
+      const rows = [];
+      for await (const report of this.iterateReports()) {
+        rows.push({
+          category: report.category,
+          platform: report.platform,
+          metadata: { status: report.metadata.status, timestamp: report.metadata.timestamp }
+        });
+      }
+      this.statisticsRows = { collectedAt, rows };
+    }
+    return this.summarizeReports(this.statisticsRows.rows, since);
+  }
+
+  async appendAudit(entry) {
+    const date = entry.timestamp.split('T')[0];
+    const filepath = path.join(this.auditDir, `audit-${date}.jsonl`);
+
+    const line = JSON.stringify(entry) + '\n';
+
+    await fs.appendFile(filepath, line, {
+      mode: 0o600
+    });
+    for (const reportId of this.auditIndexKeys(entry)) {
+      await fs.appendFile(this.auditIndexPath(this.auditIndexDir, reportId), line, { mode: 0o600 });
+    }
+
+    // An entry can land in an older day file than the one before it (it was
+    // created before midnight, appended after), so the chain head is kept in
+    // a file of its own. Write-then-rename, so it never points past the log.
+    if (entry.seq !== undefined) {
+      await fs.writeFile(`${this.auditHeadFile}.tmp`, JSON.stringify(entry), { mode: 0o600 });
+      await fs.rename(`${this.auditHeadFile}.tmp`, this.auditHeadFile);
+    }
+  }
+
+  async getLatestAudit() {
+    try {
+      return JSON.parse(await fs.readFile(this.auditHeadFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    // Logs written before the head file existed: the next append creates it
+    let head = null;
+    for await (const entry of this.iterateAudit()) {
+      if (entry.seq !== undefined && (!head || entry.seq > head.seq)) {
+        head = entry;
+      }
+    }
+    return head;
+  }
+
+  // The server and the maintenance scripts append to the same chain, so a
+  // lock file keeps their read-head-then-append sequences apart
+  async withAuditLock(append) {
+    return this.withLockFile(this.auditLockFile, 'the audit log', append);
+  }
+
+  // Run `task` holding `lockFile`, which works across processes. `name` is
+  // what the lock protects, for the timeout error.
+  async withLockFile(lockFile, name, task) {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        await (await fs.open(lockFile, 'wx', 0o600)).close();
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const lock = await fs.stat(lockFile).catch(() => null);
+      if (lock && Date.now() - lock.mtimeMs > LOCK_STALE_MS) {
+        await fs.unlink(lockFile).catch(() => {});
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for the lock on ${name}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+
+    try {
+      return await task();
+    } finally {
+      await fs.unlink(lockFile).catch(() => {});
+    }
+  }
+
+  // Reports an entry is filed under in the audit index: its own, and the
+  // master of a merge or unmerge
+  auditIndexKeys(entry) {
+    return [...new Set([entry.reportId, (entry.details || {}).masterId])]
+      .filter(reportId => typeof reportId === 'string' && REPORT_ID_PATTERN.test(reportId));
+  }
+
+  auditIndexPath(indexDir, reportId) {
+    return path.join(indexDir, `${reportId}.jsonl`);
+  }
+
+  // The index is derived from the day files. It is built on the first start
+  // with a log that has none, or after its directory is deleted, holding the
+  // audit lock so nothing is appended meanwhile. The finished build is
+  // renamed into place, so a crash mid-way just means building again.
+  async buildAuditIndex() {
+    try {
+      await fs.access(this.auditIndexDir);
+      return;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const buildDir = `${this.auditIndexDir}.build`;
+    await fs.rm(buildDir, { recursive: true, force: true });
+    await fs.mkdir(buildDir, { recursive: true });
+
+    let pending = new Map();
+    let pendingLines = 0;
+    const flush = async () => {
+      for (const [reportId, lines] of pending) {
+        await fs.appendFile(this.auditIndexPath(buildDir, reportId), lines.join(''), { mode: 0o600 });
+      }
+      pending = new Map();
+      pendingLines = 0;
+    };
+
+    for await (const entry of this.iterateAudit()) {
+      for (const reportId of this.auditIndexKeys(entry)) {
+        if (!pending.has(reportId)) pending.set(reportId, []);
+        pending.get(reportId).push(JSON.stringify(entry) + '\n');
+        if (++pendingLines >= AUDIT_INDEX_BATCH) await flush();
+      }
+    }
+    await flush();
+
+    await fs.rename(buildDir, this.auditIndexDir);
+  }
+
+  async queryReportAudit(reportId) {
+    if (!REPORT_ID_PATTERN.test(reportId)) return [];
+
+    let data;
+    try {
+      data = await fs.readFile(this.auditIndexPath(this.auditIndexDir, reportId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = data.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    return this.limitAuditEntries(entries, {});
+  }
+
+  // Day files that can hold entries in the requested range, oldest first
+  async listAuditFiles(query = {}) {
+    return (await fs.readdir(this.auditDir))
+      .filter(file => file.startsWith('audit-') && file.endsWith('.jsonl'))
+      .filter(file => {
+        // Skip whole days outside the requested range
+        const date = file.slice('audit-'.length, -'.jsonl'.length);
+        if (query.since && date < query.since.split('T')[0]) return false;
+        if (query.until && date > query.until.split('T')[0]) return false;
+        return true;
+      })
+      .sort();
+  }
+
+  async queryAudit(query = {}) {
+    const files = await this.listAuditFiles(query);
+
+    const entries = [];
+    for (const file of files) {
+      const data = await fs.readFile(path.join(this.auditDir, file), 'utf8');
+
+      for (const line of data.split('\n')) {
+        if (!line.trim()) continue;
+        const entry = JSON.parse(line);
+        if (this.matchesAuditQuery(entry, query)) {
+          entries.push(entry);
+        }
+      }
+    }
+
+    return this.limitAuditEntries(entries, query);
+  }
+
+  async listAudit(options = {}) {
+    return this.paginateAudit(await this.queryAudit(options.filter), options);
+  }
+
+  // Read one day file at a time, line by line, so exports of the whole log
+  // don't need it in memory
+  async *iterateAudit(filter = {}) {
+    for (const file of await this.listAuditFiles(filter)) {
+      const lines = readline.createInterface({
+        input: createReadStream(path.join(this.auditDir, file), { encoding: 'utf8' }),
+        crlfDelay: Infinity
+      });
+
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        const entry = JSON.parse(line);
+        if (this.matchesAuditQuery(entry, filter)) {
+          yield entry;
+        }
+      }
+    }
+  }
+
+  async readAdminUsers() {
+    try {
+      return JSON.parse(await fs.readFile(this.adminsFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  async getAdminUser(username) {
+    const users = await this.readAdminUsers();
+    return Object.prototype.hasOwnProperty.call(users, username) ? users[username] : null;
+  }
+
+  // Every account shares admins.json, so each change is a read-modify-write
+  // of the whole file, held under a lock so that concurrent changes, from
+  // the server or the create-admin script, can't drop one another
+  async changeAdminUsers(change) {
+    return this.withLockFile(`${this.adminsFile}.lock`, 'the admin accounts', async () => {
+      const users = await this.readAdminUsers();
+      const result = change(users);
+
+      // Write then rename so a crash never leaves a truncated accounts file
+      const tempFile = `${this.adminsFile}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify(users, null, 2), { mode: 0o600 });
+      await fs.rename(tempFile, this.adminsFile);
+      return result;
+    });
+  }
+
+  async saveAdminUser(user) {
+    await this.changeAdminUsers(users => {
+      users[user.username] = user;
+    });
+  }
+
+  async updateAdminUser(username, fields) {
+    return this.changeAdminUsers(users => {
+      if (!Object.prototype.hasOwnProperty.call(users, username)) return null;
+      users[username] = { ...users[username], ...fields };
+      return users[username];
+    });
+  }
+
+  async listAdminUsers() {
+    return Object.values(await this.readAdminUsers());
+  }
+}
+
+module.exports = { FileStorageAdapter };
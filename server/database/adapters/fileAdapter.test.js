@@ -0,0 +1,246 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStorageAdapter } = require('./fileAdapter');
+const { linkEntry } = require('../auditChain');
+
+const makeReport = (id, timestamp, overrides = {}) => ({
+  id,
+  category: 'visual-glitch',
+  platform: 'pc',
+  files: [],
+  metadata: { timestamp, status: 'pending' },
+  ...overrides
+});
+
+let dataDir;
+let adapter;
+
+beforeEach(async () => {
+  dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'file-adapter-'));
+  adapter = new FileStorageAdapter({ dataDir });
+  await adapter.init();
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.promises.rm(dataDir, { recursive: true, force: true });
+});
+
+describe('iterateReports', () => {
+  it('yields reports oldest first, reading each file once', async () => {
+    const times = [1700000000000, 1700000005000, 1700000001000];
+    for (const time of times) {
+      const id = `WUWA-${time.toString(36).toUpperCase()}-0000000${times.indexOf(time)}`;
+      await adapter.saveReport(makeReport(id, new Date(time).toISOString()));
+    }
+
+    const readFile = jest.spyOn(fs.promises, 'readFile');
+    const seen = [];
+    for await (const report of adapter.iterateReports()) {
+      seen.push(report.metadata.timestamp);
+    }
+
+    expect(seen).toEqual([...times].sort().map(time => new Date(time).toISOString()));
+    expect(readFile).toHaveBeenCalledTimes(times.length);
+  });
+
+  it('applies the report filter', async () => {
+    await adapter.saveReport(makeReport('WUWA-LOMJ3K00-00000001', '2023-11-14T22:13:20.000Z'));
+    await adapter.saveReport(makeReport('WUWA-LOMJ3K01-00000002', '2023-11-14T22:13:20.001Z', { platform: 'ios' }));
+
+    const ids = [];
+    for await (const report of adapter.iterateReports({ platform: 'ios' })) {
+      ids.push(report.id);
+    }
+    expect(ids).toEqual(['WUWA-LOMJ3K01-00000002']);
+  });
+});
+
+describe('listReports', () => {
+  const saveReports = async (count) => {
+    const ids = [];
+    for (let i = 0; i < count; i++) {
+      const time = 1700000000000 + i * 1000;
+      const id = `WUWA-${time.toString(36).toUpperCase()}-0000000${i}`;
+      await adapter.saveReport(makeReport(id, new Date(time).toISOString()));
+      ids.push(id);
+    }
+    return ids;
+  };
+
+  it('reads only the reports on the page, plus one to tell if there are more', async () => {
+    const ids = await saveReports(6);
+
+    const readFile = jest.spyOn(fs.promises, 'readFile');
+    const first = await adapter.listReports({ limit: 2 });
+    expect(first.reports.map(report => report.id)).toEqual(ids.slice(0, 2));
+    expect(readFile).toHaveBeenCalledTimes(3);
+
+    const second = await adapter.listReports({ limit: 2, cursor: first.nextCursor });
+    expect(second.reports.map(report => report.id)).toEqual(ids.slice(2, 4));
+  });
+
+  it('pages newest first down to the last report', async () => {
+    const ids = await saveReports(3);
+
+    const first = await adapter.listReports({ order: 'desc', limit: 2 });
+    const second = await adapter.listReports({ order: 'desc', limit: 2, cursor: first.nextCursor });
+
+    expect([...first.reports, ...second.reports].map(report => report.id)).toEqual([...ids].reverse());
+    expect(second.nextCursor).toBeNull();
+  });
+});
+
+describe('getStatistics', () => {
+  const since = new Date('2023-11-14T00:00:00.000Z');
+
+  it('reuses the collected statistics until a report changes', async () => {
+    await adapter.saveReport(makeReport('WUWA-LOMJ3K00-00000001', '2023-11-14T22:13:20.000Z'));
+    expect((await adapter.getStatistics(since)).totalReports).toBe(1);
+
+    const readFile = jest.spyOn(fs.promises, 'readFile');
+    await adapter.getStatistics(since);
+    expect(readFile).not.toHaveBeenCalled();
+
+    const second = makeReport('WUWA-LOMJ3K01-00000002', '2023-11-14T22:13:20.001Z', { platform: 'ios' });
+    await adapter.saveReport(second);
+    await adapter.updateReport({ ...second, metadata: { ...second.metadata, status: 'resolved' } });
+
+    expect(await adapter.getStatistics(since)).toMatchObject({
+      totalReports: 2,
+      reportsByPlatform: { pc: 1, ios: 1 },
+      reportsByStatus: { pending: 1, resolved: 1 },
+      recentReports: 2
+    });
+  });
+});
+
+describe('updateReportIfUnchanged', () => {
+  const ID = 'WUWA-LOMJ3K00-00000001';
+  const signed = (mac, overrides) =>
+    makeReport(ID, '2023-11-14T22:13:20.000Z', { integrity: { method: 'hmac-sha256', mac }, ...overrides });
+
+  it('replaces the report only while it is still the version read', async () => {
+    const read = signed('v1');
+    await adapter.saveReport(read);
+
+    await expect(adapter.updateReportIfUnchanged(signed('v2', { platform: 'ios' }), read)).resolves.toBe(true);
+    await expect(adapter.updateReportIfUnchanged(signed('v3', { platform: 'android' }), read)).resolves.toBe(false);
+
+    expect(await adapter.getReport(ID)).toMatchObject({ platform: 'ios', integrity: { mac: 'v2' } });
+    expect(fs.readdirSync(adapter.reportsDir)).toEqual([`${ID}.json`]);
+  });
+
+  it('waits for a write from another process to finish before comparing', async () => {
+    const read = signed('v1');
+    await adapter.saveReport(read);
+    const server = new FileStorageAdapter({ dataDir });
+
+    let swap;
+    await server.withReportFileLock(ID, async () => {
+      swap = adapter.updateReportIfUnchanged(signed('v3'), read);
+      await new Promise(resolve => setTimeout(resolve, 30));
+      await server.writeReport(signed('v2', { platform: 'ios' }), 'w');
+    });
+
+    await expect(swap).resolves.toBe(false);
+    expect((await adapter.getReport(ID)).platform).toBe('ios');
+  });
+});
+
+describe('audit chain head', () => {
+  const auditEntry = (timestamp, head) => linkEntry({
+    id: `entry-${timestamp}`,
+    timestamp,
+    action: 'TEST',
+    details: {},
+    hash: null
+  }, head);
+
+  it('is the last entry appended, even when it went to an older day file', async () => {
+    const first = auditEntry('2026-03-02T00:00:00.100Z', null);
+    await adapter.appendAudit(first);
+    // Created just before midnight, appended just after
+    const second = auditEntry('2026-03-01T23:59:59.900Z', first);
+    await adapter.appendAudit(second);
+
+    expect(await adapter.getLatestAudit()).toEqual(second);
+  });
+
+  it('is found in logs written before the head file existed', async () => {
+    const first = auditEntry('2026-03-01T10:00:00.000Z', null);
+    const second = auditEntry('2026-03-01T11:00:00.000Z', first);
+    await adapter.appendAudit(first);
+    await adapter.appendAudit(second);
+    await fs.promises.unlink(adapter.auditHeadFile);
+
+    expect(await adapter.getLatestAudit()).toEqual(second);
+  });
+
+  it('lets only one writer hold the audit lock at a time', async () => {
+    const other = new FileStorageAdapter({ dataDir });
+    const events = [];
+    const hold = (name) => async () => {
+      events.push(`${name} start`);
+      await new Promise(resolve => setTimeout(resolve, 30));
+      events.push(`${name} end`);
+    };
+
+    await Promise.all([adapter.withAuditLock(hold('a')), other.withAuditLock(hold('b'))]);
+
+    expect(events).toEqual(['a start', 'a end', 'b start', 'b end']);
+    expect(fs.existsSync(adapter.auditLockFile)).toBe(false);
+  });
+
+  it('takes over a lock left by a crashed process', async () => {
+    await fs.promises.writeFile(adapter.auditLockFile, '');
+    const stale = new Date(Date.now() - 60 * 1000);
+    await fs.promises.utimes(adapter.auditLockFile, stale, stale);
+
+    await expect(adapter.withAuditLock(async () => 'done')).resolves.toBe('done');
+  });
+});
+
+describe('report audit index', () => {
+  const MASTER = 'WUWA-LOMJ3K00-00000001';
+  const DUPLICATE = 'WUWA-LOMJ3K01-00000002';
+  const entry = (id, timestamp, action, reportId, details = {}) => ({ id, timestamp, action, reportId, details });
+
+  const appendHistory = async () => {
+    await adapter.appendAudit(entry('a', '2026-03-01T10:00:00.000Z', 'CREATE_REPORT', MASTER));
+    await adapter.appendAudit(entry('b', '2026-03-01T11:00:00.000Z', 'CREATE_REPORT', DUPLICATE));
+    await adapter.appendAudit(entry('c', '2026-03-02T09:00:00.000Z', 'MERGE_DUPLICATE', DUPLICATE, { masterId: MASTER }));
+    await adapter.appendAudit(entry('d', '2026-03-02T10:00:00.000Z', 'AUDIT_CHECKPOINT', null));
+  };
+
+  const ids = entries => entries.map(found => found.id);
+
+  it('returns a report\'s entries and merges into it without reading the log', async () => {
+    await appendHistory();
+
+    const readFile = jest.spyOn(fs.promises, 'readFile');
+    expect(ids(await adapter.queryReportAudit(MASTER))).toEqual(['a', 'c']);
+    expect(ids(await adapter.queryReportAudit(DUPLICATE))).toEqual(['b', 'c']);
+    expect(readFile.mock.calls.map(([file]) => path.basename(file)))
+      .toEqual([`${MASTER}.jsonl`, `${DUPLICATE}.jsonl`]);
+  });
+
+  it('is built from logs written before it existed', async () => {
+    await appendHistory();
+    await fs.promises.rm(adapter.auditIndexDir, { recursive: true });
+
+    const restarted = new FileStorageAdapter({ dataDir });
+    await restarted.init();
+
+    expect(ids(await restarted.queryReportAudit(MASTER))).toEqual(['a', 'c']);
+    expect(fs.existsSync(`${adapter.auditIndexDir}.build`)).toBe(false);
+  });
+
+  it('has nothing for unknown or malformed report IDs', async () => {
+    await appendHistory();
+
+    await expect(adapter.queryReportAudit('WUWA-MISSING-00000000')).resolves.toEqual([]);
+    await expect(adapter.queryReportAudit('../head')).resolves.toEqual([]);
+  });
+});
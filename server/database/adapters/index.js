@@ -0,0 +1,61 @@
+// Picks a storage backend from DATABASE_URL:
+//   file:./data              one JSON file per report (default)
+//   sqlite:./data/reports.db embedded SQLite database
+//   memory:                  in-process only, for tests
+// Older env files carry a mongodb:// URL that nothing ever connected to: the
+// reports were always the JSON files in the data directory, so it still
+// selects the file store, with a warning to update the setting.
+const path = require('path');
+const { FileStorageAdapter } = require('./fileAdapter');
+const { SqliteStorageAdapter } = require('./sqliteAdapter');
+const { MemoryStorageAdapter } = require('./memoryAdapter');
+const { StorageAdapter } = require('./storageAdapter');
+
+const parseDatabaseUrl = (databaseUrl) => {
+  const separator = databaseUrl.indexOf(':');
+  if (separator === -1) {
+    throw new Error(`Invalid DATABASE_URL: ${databaseUrl}`);
+  }
+
+  return {
+    scheme: databaseUrl.slice(0, separator).toLowerCase(),
+    // Accept both `scheme:relative/path` and `scheme:///absolute/path`
+    location: databaseUrl.slice(separator + 1).replace(/^\/\//, '')
+  };
+};
+
+const createStorageAdapter = (databaseUrl, { dataDir = './data' } = {}) => {
+  if (!databaseUrl) {
+    return new FileStorageAdapter({ dataDir });
+  }
+
+  const { scheme, location } = parseDatabaseUrl(databaseUrl);
+
+  switch (scheme) {
+    case 'file':
+      return new FileStorageAdapter({ dataDir: location || dataDir });
+    case 'sqlite':
+      return new SqliteStorageAdapter({
+        filename: location || path.join(dataDir, 'reports.db')
+      });
+    case 'memory':
+      return new MemoryStorageAdapter();
+    case 'mongodb':
+    case 'mongodb+srv':
+      console.warn(
+        `DATABASE_URL is a MongoDB URL, which this server has never used; reading the file store in ${dataDir}. ` +
+        `Set DATABASE_URL=file:${dataDir} to keep it, or sqlite:... to switch (see SECURITY.md).`
+      );
+      return new FileStorageAdapter({ dataDir });
+    default:
+      throw new Error(`Unsupported DATABASE_URL scheme "${scheme}" (expected file:, sqlite: or memory:)`);
+  }
+};
+
+module.exports = {
+  createStorageAdapter,
+  StorageAdapter,
+  FileStorageAdapter,
+  SqliteStorageAdapter,
+  MemoryStorageAdapter
+};
@@ -0,0 +1,33 @@
+const { createStorageAdapter, FileStorageAdapter, MemoryStorageAdapter } = require('./index');
+
+describe('createStorageAdapter', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('uses the file store when DATABASE_URL is unset', () => {
+    const adapter = createStorageAdapter(undefined, { dataDir: './reports-data' });
+    expect(adapter).toBeInstanceOf(FileStorageAdapter);
+    expect(adapter.dataDir).toBe('./reports-data');
+  });
+
+  it('picks the backend from the scheme', () => {
+    expect(createStorageAdapter('file:./elsewhere').dataDir).toBe('./elsewhere');
+    expect(createStorageAdapter('memory:')).toBeInstanceOf(MemoryStorageAdapter);
+  });
+
+  it.each([
+    'mongodb://localhost:27017/wuwa-bug-reports',
+    'mongodb+srv://cluster.example.com/wuwa-bug-reports'
+  ])('keeps reading the file store for the old %s setting, with a warning', (databaseUrl) => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const adapter = createStorageAdapter(databaseUrl, { dataDir: './data' });
+
+    expect(adapter).toBeInstanceOf(FileStorageAdapter);
+    expect(adapter.dataDir).toBe('./data');
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('DATABASE_URL=file:./data'));
+  });
+
+  it('rejects schemes it has no backend for', () => {
+    expect(() => createStorageAdapter('postgres://localhost/reports')).toThrow('Unsupported DATABASE_URL scheme');
+  });
+});
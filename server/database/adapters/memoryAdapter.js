@@ -0,0 +1,96 @@
+// Non-persistent backend for tests and throwaway environments (DATABASE_URL=memory:)
+const { StorageAdapter } = require('./storageAdapter');
+
+// Copy records in and out so callers can't mutate stored state by reference
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+class MemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.reports = new Map();
+    this.auditLog = [];
+    this.adminUsers = new Map();
+  }
+
+  async saveReport(report) {
+    if (this.reports.has(report.id)) {
+      throw new Error(`Report ${report.id} already exists`);
+    }
+    this.reports.set(report.id, clone(report));
+  }
+
+  async getReport(reportId) {
+    const report = this.reports.get(reportId);
+    return report ? clone(report) : null;
+  }
+
+  async updateReport(report) {
+    if (!this.reports.has(report.id)) {
+      throw new Error('Report not found');
+    }
+    this.reports.set(report.id, clone(report));
+  }
+
+  async updateReportIfUnchanged(report, expected) {
+    const current = this.reports.get(report.id);
+    if (!current || this.reportVersion(current) !== this.reportVersion(expected)) {
+      return false;
+    }
+    this.reports.set(report.id, clone(report));
+    return true;
+  }
+
+  async deleteReport(reportId) {
+    return this.reports.delete(reportId);
+  }
+
+  async listReports(options = {}) {
+    const page = this.paginateReports(Array.from(this.reports.values()), options);
+    return { ...page, reports: page.reports.map(clone) };
+  }
+
+  async getStatistics(since) {
+    return this.summarizeReports(this.reports.values(), since);
+  }
+
+  async appendAudit(entry) {
+    this.auditLog.push(clone(entry));
+  }
+
+  async getLatestAudit() {
+    const latest = this.auditLog[this.auditLog.length - 1];
+    return latest && latest.seq !== undefined ? clone(latest) : null;
+  }
+
+  async queryAudit(query = {}) {
+    const entries = this.auditLog.filter(entry => this.matchesAuditQuery(entry, query));
+    return this.limitAuditEntries(entries.map(clone), query);
+  }
+
+  async listAudit(options = {}) {
+    const page = this.paginateAudit(this.auditLog, options);
+    return { ...page, entries: page.entries.map(clone) };
+  }
+
+  async getAdminUser(username) {
+    const user = this.adminUsers.get(username);
+    return user ? clone(user) : null;
+  }
+
+  async saveAdminUser(user) {
+    this.adminUsers.set(user.username, clone(user));
+  }
+
+  async updateAdminUser(username, fields) {
+    const user = this.adminUsers.get(username);
+    if (!user) return null;
+    this.adminUsers.set(username, { ...user, ...clone(fields) });
+    return clone(this.adminUsers.get(username));
+  }
+
+  async listAdminUsers() {
+    return Array.from(this.adminUsers.values()).map(clone);
+  }
+}
+
+module.exports = { MemoryStorageAdapter };
@@ -0,0 +1,322 @@
+// Embedded SQLite backend (DATABASE_URL=sqlite:./data/reports.db).
+//
+// Reports are stored as JSON documents with the columns we filter and sort on
+// pulled out alongside, so listing and statistics never load every report.
+const fs = require('fs');
+const path = require('path');
+const { StorageAdapter, CONTEXT_TEXT_FILTERS } = require('./storageAdapter');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS reports (
+    id TEXT PRIMARY KEY,
+    timestamp TEXT NOT NULL,
+    category TEXT NOT NULL,
+    platform TEXT NOT NULL,
+    status TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_reports_timestamp ON reports (timestamp, id);
+
+  CREATE TABLE IF NOT EXISTS audit_log (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    timestamp TEXT NOT NULL,
+    action TEXT NOT NULL,
+    report_id TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_audit_report ON audit_log (report_id);
+  CREATE INDEX IF NOT EXISTS idx_audit_master ON audit_log (json_extract(data, '$.details.masterId'));
+  CREATE INDEX IF NOT EXISTS idx_audit_timestamp ON audit_log (timestamp);
+
+  CREATE TABLE IF NOT EXISTS admin_users (
+    username TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+`;
+
+class SqliteStorageAdapter extends StorageAdapter {
+  constructor({ filename }) {
+    super();
+    this.filename = filename;
+    this.db = null;
+  }
+
+  async init() {
+    // Loaded lazily so the native module is only needed when SQLite is selected
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+    fs.chmodSync(this.filename, 0o600);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  reportRow(report) {
+    return {
+      id: report.id,
+      timestamp: report.metadata.timestamp,
+      category: report.category,
+      platform: report.platform,
+      status: report.metadata.status,
+      data: JSON.stringify(report)
+    };
+  }
+
+  async saveReport(report) {
+    this.db.prepare(`
+      INSERT INTO reports (id, timestamp, category, platform, status, data)
+      VALUES (@id, @timestamp, @category, @platform, @status, @data)
+    `).run(this.reportRow(report));
+  }
+
+  async getReport(reportId) {
+    const row = this.db.prepare('SELECT data FROM reports WHERE id = ?').get(reportId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async updateReport(report) {
+    const result = this.db.prepare(`
+      UPDATE reports
+      SET timestamp = @timestamp, category = @category, platform = @platform,
+          status = @status, data = @data
+      WHERE id = @id
+    `).run(this.reportRow(report));
+
+    if (result.changes === 0) {
+      throw new Error('Report not found');
+    }
+  }
+
+  // IMMEDIATE takes SQLite's write lock before the read, so no other
+  // connection can write in between
+  async updateReportIfUnchanged(report, expected) {
+    return this.db.transaction(() => {
+      const row = this.db.prepare('SELECT data FROM reports WHERE id = ?').get(report.id);
+      if (!row || this.reportVersion(JSON.parse(row.data)) !== this.reportVersion(expected)) {
+        return false;
+      }
+      this.db.prepare(`
+        UPDATE reports
+        SET timestamp = @timestamp, category = @category, platform = @platform,
+            status = @status, data = @data
+        WHERE id = @id
+      `).run(this.reportRow(report));
+      return true;
+    }).immediate();
+  }
+
+  async deleteReport(reportId) {
+    return this.db.prepare('DELETE FROM reports WHERE id = ?').run(reportId).changes > 0;
+  }
+
+  async listReports(options = {}) {
+    const limit = this.normalizeLimit(options.limit);
+    const after = this.decodeCursor(options.cursor);
+    const filter = options.filter || {};
+    const direction = options.order === 'desc' ? 'DESC' : 'ASC';
+
+    const conditions = [];
+    const params = { limit: limit + 1 };
+    const addCondition = (sql, values) => {
+      conditions.push(sql);
+      Object.assign(params, values);
+    };
+
+    if (filter.category) addCondition('category = @category', { category: filter.category });
+    if (filter.platform) addCondition('platform = @platform', { platform: filter.platform });
+    if (filter.status) addCondition('status = @status', { status: filter.status });
+    if (filter.from) addCondition('timestamp >= @from', { from: filter.from });
+    if (filter.to) addCondition('timestamp <= @to', { to: filter.to });
+    if (filter.hasFiles !== undefined) {
+      addCondition(`json_array_length(data, '$.files') ${filter.hasFiles ? '>' : '='} 0`, {});
+    }
+    if (filter.gameVersion) {
+      addCondition(`json_extract(data, '$.gameContext.gameVersion') = @gameVersion`, { gameVersion: filter.gameVersion });
+    }
+    if (filter.serverRegion) {
+      addCondition(`json_extract(data, '$.gameContext.serverRegion') = @serverRegion`, { serverRegion: filter.serverRegion });
+    }
+    for (const field of ['assignee', 'priority', 'severity']) {
+      if (filter[field]) {
+        addCondition(`json_extract(data, '$.triage.${field}') = @${field}`, { [field]: filter[field] });
+      }
+    }
+    if (filter.label) {
+      addCondition(`EXISTS (SELECT 1 FROM json_each(data, '$.triage.labels') WHERE value = @label)`, { label: filter.label });
+    }
+    for (const field of CONTEXT_TEXT_FILTERS) {
+      if (filter[field]) {
+        // Case-insensitive substring match, like the file and memory adapters
+        addCondition(`instr(lower(json_extract(data, '$.gameContext.${field}')), lower(@${field})) > 0`, {
+          [field]: filter[field]
+        });
+      }
+    }
+    if (after) {
+      const comparison = direction === 'DESC' ? '<' : '>';
+      addCondition(`(timestamp, id) ${comparison} (@afterTimestamp, @afterId)`, {
+        afterTimestamp: after.timestamp,
+        afterId: after.id
+      });
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = this.db.prepare(`
+      SELECT data FROM reports ${where}
+      ORDER BY timestamp ${direction}, id ${direction}
+      LIMIT @limit
+    `).all(params);
+
+    const reports = rows.slice(0, limit).map(row => JSON.parse(row.data));
+    return {
+      reports,
+      nextCursor: rows.length > limit ? this.encodeCursor(reports[reports.length - 1]) : null
+    };
+  }
+
+  async getStatistics(since) {
+    const countBy = (column) => Object.fromEntries(
+      this.db.prepare(`SELECT ${column} AS value, COUNT(*) AS total FROM reports GROUP BY ${column}`)
+        .all()
+        .map(row => [row.value, row.total])
+    );
+
+    return {
+      totalReports: this.db.prepare('SELECT COUNT(*) AS total FROM reports').get().total,
+      reportsByCategory: countBy('category'),
+      reportsByPlatform: countBy('platform'),
+      reportsByStatus: countBy('status'),
+      recentReports: this.db.prepare('SELECT COUNT(*) AS total FROM reports WHERE timestamp > ?')
+        .get(since.toISOString()).total
+    };
+  }
+
+  async appendAudit(entry) {
+    this.db.prepare(`
+      INSERT INTO audit_log (id, timestamp, action, report_id, data)
+      VALUES (@id, @timestamp, @action, @reportId, @data)
+    `).run({
+      id: entry.id,
+      timestamp: entry.timestamp,
+      action: entry.action,
+      reportId: entry.reportId || null,
+      data: JSON.stringify(entry)
+    });
+  }
+
+  async getLatestAudit() {
+    const row = this.db.prepare('SELECT data FROM audit_log ORDER BY seq DESC LIMIT 1').get();
+    const latest = row ? JSON.parse(row.data) : null;
+    return latest && latest.seq !== undefined ? latest : null;
+  }
+
+  // WHERE conditions and bindings for an audit filter
+  auditConditions(query) {
+    // better-sqlite3 rejects undefined bindings, so only pass what is used
+    const conditions = [];
+    const params = {};
+    const addCondition = (sql, name) => {
+      conditions.push(sql);
+      params[name] = query[name];
+    };
+
+    if (query.reportId) addCondition('report_id = @reportId', 'reportId');
+    if (query.action) addCondition('action = @action', 'action');
+    if (query.adminId) addCondition(`json_extract(data, '$.details.adminId') = @adminId`, 'adminId');
+    if (query.sessionId) addCondition(`json_extract(data, '$.sessionId') = @sessionId`, 'sessionId');
+    if (query.batchId) addCondition(`json_extract(data, '$.details.batchId') = @batchId`, 'batchId');
+    if (query.since) addCondition('timestamp >= @since', 'since');
+    if (query.until) addCondition('timestamp <= @until', 'until');
+
+    return { conditions, params };
+  }
+
+  async queryAudit(query = {}) {
+    const { conditions, params } = this.auditConditions(query);
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    let limit = '';
+    if (query.limit) {
+      limit = 'LIMIT @limit';
+      params.limit = query.limit;
+    }
+
+    return this.db.prepare(`SELECT data FROM audit_log ${where} ORDER BY timestamp, seq ${limit}`)
+      .all(params)
+      .map(row => JSON.parse(row.data));
+  }
+
+  // Both conditions are indexed, so a report's history never scans the log
+  async queryReportAudit(reportId) {
+    return this.db.prepare(`
+      SELECT data FROM audit_log
+      WHERE report_id = @reportId OR json_extract(data, '$.details.masterId') = @reportId
+      ORDER BY timestamp, seq
+    `).all({ reportId }).map(row => JSON.parse(row.data));
+  }
+
+  async listAudit(options = {}) {
+    const limit = this.normalizeLimit(options.limit);
+    const after = this.decodeCursor(options.cursor);
+    const direction = options.order === 'desc' ? 'DESC' : 'ASC';
+    const { conditions, params } = this.auditConditions(options.filter || {});
+    params.limit = limit + 1;
+
+    if (after) {
+      conditions.push(`(timestamp, id) ${direction === 'DESC' ? '<' : '>'} (@afterTimestamp, @afterId)`);
+      params.afterTimestamp = after.timestamp;
+      params.afterId = after.id;
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = this.db.prepare(`
+      SELECT data FROM audit_log ${where}
+      ORDER BY timestamp ${direction}, id ${direction}
+      LIMIT @limit
+    `).all(params);
+
+    const entries = rows.slice(0, limit).map(row => JSON.parse(row.data));
+    return {
+      entries,
+      nextCursor: rows.length > limit ? this.encodeAuditCursor(entries[entries.length - 1]) : null
+    };
+  }
+
+  async getAdminUser(username) {
+    const row = this.db.prepare('SELECT data FROM admin_users WHERE username = ?').get(username);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async saveAdminUser(user) {
+    this.db.prepare(`
+      INSERT INTO admin_users (username, data) VALUES (@username, @data)
+      ON CONFLICT (username) DO UPDATE SET data = excluded.data
+    `).run({ username: user.username, data: JSON.stringify(user) });
+  }
+
+  async updateAdminUser(username, fields) {
+    return this.db.transaction(() => {
+      const row = this.db.prepare('SELECT data FROM admin_users WHERE username = ?').get(username);
+      if (!row) return null;
+      const user = { ...JSON.parse(row.data), ...fields };
+      this.db.prepare('UPDATE admin_users SET data = ? WHERE username = ?').run(JSON.stringify(user), username);
+      return user;
+    }).immediate();
+  }
+
+  async listAdminUsers() {
+    return this.db.prepare('SELECT data FROM admin_users ORDER BY username')
+      .all()
+      .map(row => JSON.parse(row.data));
+  }
+}
+
+module.exports = { SqliteStorageAdapter };
@@ -0,0 +1,309 @@
+// Base class for SecureStorage backends.
+//
+// Adapters store reports and audit entries exactly as SecureStorage hands them
+// over (already encrypted); they never see plaintext. Every method is async so
+// callers don't need to care whether a backend is in-memory, on disk or SQL.
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Game-context fields filtered by case-insensitive substring
+const CONTEXT_TEXT_FILTERS = ['character', 'mapRegion', 'questName'];
+
+class StorageAdapter {
+  async init() {}
+
+  async close() {}
+
+  async saveReport(report) {
+    throw new Error(`${this.constructor.name} does not implement saveReport`);
+  }
+
+  async getReport(reportId) {
+    throw new Error(`${this.constructor.name} does not implement getReport`);
+  }
+
+  async updateReport(report) {
+    throw new Error(`${this.constructor.name} does not implement updateReport`);
+  }
+
+  // Compare-and-swap for writers in other processes, which the server's
+  // report locks don't cover: replaces the stored report only if it is still
+  // the version `expected` was read as, and resolves to whether it did.
+  async updateReportIfUnchanged(report, expected) {
+    throw new Error(`${this.constructor.name} does not implement updateReportIfUnchanged`);
+  }
+
+  async deleteReport(reportId) {
+    throw new Error(`${this.constructor.name} does not implement deleteReport`);
+  }
+
+  // Returns { reports, nextCursor } ordered by submission time.
+  // Options: filter { category, platform, status, from, to, hasFiles,
+  // gameVersion, serverRegion, character, mapRegion, questName, assignee,
+  // priority, severity, label },
+  // order ('asc' | 'desc'), cursor (from a previous page) and limit.
+  async listReports(options = {}) {
+    throw new Error(`${this.constructor.name} does not implement listReports`);
+  }
+
+  // Every report matching `filter`, oldest first, without loading them all
+  // at once. Adapters that can read their storage sequentially override this.
+  async *iterateReports(filter = {}) {
+    let cursor = null;
+    do {
+      const page = await this.listReports({ filter, cursor, limit: MAX_PAGE_SIZE });
+      yield* page.reports;
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  // Returns counts by category/platform/status plus reports newer than `since`
+  async getStatistics(since) {
+    throw new Error(`${this.constructor.name} does not implement getStatistics`);
+  }
+
+  async appendAudit(entry) {
+    throw new Error(`${this.constructor.name} does not implement appendAudit`);
+  }
+
+  // The newest entry of the audit hash chain, or null if nothing has been
+  // chained yet
+  async getLatestAudit() {
+    throw new Error(`${this.constructor.name} does not implement getLatestAudit`);
+  }
+
+  // Run `append`, which reads the chain head and appends after it, so that
+  // no other process appends in between. The default suits backends written
+  // by one process at a time.
+  async withAuditLock(append) {
+    return append();
+  }
+
+  // Filters: reportId, action, adminId, sessionId, batchId, since, until, limit
+  async queryAudit(query = {}) {
+    throw new Error(`${this.constructor.name} does not implement queryAudit`);
+  }
+
+  // Audit entries about one report, oldest first: its own, plus merges into
+  // it and out of it, which are recorded against the duplicate with the
+  // report as details.masterId. Backends that can index entries by report
+  // override this; the default reads the whole log.
+  async queryReportAudit(reportId) {
+    const entries = [];
+    for await (const entry of this.iterateAudit()) {
+      if (this.isReportAuditEntry(entry, reportId)) entries.push(entry);
+    }
+    return this.limitAuditEntries(entries, {});
+  }
+
+  // Returns { entries, nextCursor } ordered by time. Options: filter (as for
+  // queryAudit, without limit), order ('asc' | 'desc'), cursor and limit.
+  async listAudit(options = {}) {
+    throw new Error(`${this.constructor.name} does not implement listAudit`);
+  }
+
+  // Every matching audit entry, oldest first, without loading them all at
+  // once. Adapters that can read their storage sequentially override this.
+  async *iterateAudit(filter = {}) {
+    let cursor = null;
+    do {
+      const page = await this.listAudit({ filter, order: 'asc', cursor, limit: MAX_PAGE_SIZE });
+      yield* page.entries;
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  async getAdminUser(username) {
+    throw new Error(`${this.constructor.name} does not implement getAdminUser`);
+  }
+
+  // Insert or replace an admin account, keyed by username
+  async saveAdminUser(user) {
+    throw new Error(`${this.constructor.name} does not implement saveAdminUser`);
+  }
+
+  // Change only the given fields of an account, leaving any others as they
+  // are stored now. Resolves to the updated account, or null if none.
+  async updateAdminUser(username, fields) {
+    throw new Error(`${this.constructor.name} does not implement updateAdminUser`);
+  }
+
+  async listAdminUsers() {
+    throw new Error(`${this.constructor.name} does not implement listAdminUsers`);
+  }
+
+  // Every save re-signs a report, so its signature (or legacy hash) tells
+  // one stored version from the next
+  reportVersion(report) {
+    return JSON.stringify(report.integrity);
+  }
+
+  // Shared helpers for adapters that filter in JavaScript
+
+  normalizeLimit(limit) {
+    const parsed = parseInt(limit, 10);
+    if (!parsed || parsed < 1) return DEFAULT_PAGE_SIZE;
+    return Math.min(parsed, MAX_PAGE_SIZE);
+  }
+
+  encodeCursor(report) {
+    return Buffer.from(JSON.stringify([report.metadata.timestamp, report.id])).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    if (!cursor) return null;
+    try {
+      const [timestamp, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (typeof timestamp !== 'string' || typeof id !== 'string') throw new Error();
+      return { timestamp, id };
+    } catch (error) {
+      throw new Error('Invalid cursor');
+    }
+  }
+
+  compareReports(a, b) {
+    if (a.metadata.timestamp !== b.metadata.timestamp) {
+      return a.metadata.timestamp < b.metadata.timestamp ? -1 : 1;
+    }
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  }
+
+  matchesReportFilter(report, filter = {}) {
+    if (filter.category && report.category !== filter.category) return false;
+    if (filter.platform && report.platform !== filter.platform) return false;
+    if (filter.status && report.metadata.status !== filter.status) return false;
+    if (filter.from && report.metadata.timestamp < filter.from) return false;
+    if (filter.to && report.metadata.timestamp > filter.to) return false;
+    if (filter.hasFiles !== undefined && ((report.files || []).length > 0) !== filter.hasFiles) {
+      return false;
+    }
+
+    const triage = report.triage || {};
+    if (filter.assignee && triage.assignee !== filter.assignee) return false;
+    if (filter.priority && triage.priority !== filter.priority) return false;
+    if (filter.severity && triage.severity !== filter.severity) return false;
+    if (filter.label && !(triage.labels || []).includes(filter.label)) return false;
+
+    const context = report.gameContext || {};
+    if (filter.gameVersion && context.gameVersion !== filter.gameVersion) return false;
+    if (filter.serverRegion && context.serverRegion !== filter.serverRegion) return false;
+    for (const field of CONTEXT_TEXT_FILTERS) {
+      if (filter[field] && !(context[field] || '').toLowerCase().includes(filter[field].toLowerCase())) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  paginateReports(reports, options = {}) {
+    const limit = this.normalizeLimit(options.limit);
+    const after = this.decodeCursor(options.cursor);
+    const direction = options.order === 'desc' ? -1 : 1;
+    const sorted = reports
+      .filter(report => this.matchesReportFilter(report, options.filter))
+      .sort((a, b) => direction * this.compareReports(a, b));
+
+    const start = after
+      ? sorted.findIndex(report => direction * this.compareReports(report, { id: after.id, metadata: after }) > 0)
+      : 0;
+    const page = start === -1 ? [] : sorted.slice(start, start + limit);
+    const hasMore = start !== -1 && start + limit < sorted.length;
+
+    return {
+      reports: page,
+      nextCursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null
+    };
+  }
+
+  summarizeReports(reports, since) {
+    const stats = {
+      totalReports: 0,
+      reportsByCategory: {},
+      reportsByPlatform: {},
+      reportsByStatus: {},
+      recentReports: 0
+    };
+
+    for (const report of reports) {
+      stats.totalReports++;
+
+      stats.reportsByCategory[report.category] =
+        (stats.reportsByCategory[report.category] || 0) + 1;
+
+      stats.reportsByPlatform[report.platform] =
+        (stats.reportsByPlatform[report.platform] || 0) + 1;
+
+      stats.reportsByStatus[report.metadata.status] =
+        (stats.reportsByStatus[report.metadata.status] || 0) + 1;
+
+      if (new Date(report.metadata.timestamp) > since) {
+        stats.recentReports++;
+      }
+    }
+
+    return stats;
+  }
+
+  matchesAuditQuery(entry, query) {
+    if (query.reportId && entry.reportId !== query.reportId) return false;
+    if (query.action && entry.action !== query.action) return false;
+    if (query.adminId && (entry.details || {}).adminId !== query.adminId) return false;
+    if (query.sessionId && entry.sessionId !== query.sessionId) return false;
+    if (query.batchId && (entry.details || {}).batchId !== query.batchId) return false;
+    if (query.since && entry.timestamp < query.since) return false;
+    if (query.until && entry.timestamp > query.until) return false;
+    return true;
+  }
+
+  isReportAuditEntry(entry, reportId) {
+    return entry.reportId === reportId || (entry.details || {}).masterId === reportId;
+  }
+
+  // Audit queries return entries oldest first (chain order for entries
+  // written in the same millisecond), capped at `limit` when given
+  limitAuditEntries(entries, query) {
+    const sorted = entries.sort((a, b) => {
+      if (a.timestamp !== b.timestamp) return a.timestamp < b.timestamp ? -1 : 1;
+      return (a.seq || 0) - (b.seq || 0);
+    });
+    return query.limit ? sorted.slice(0, query.limit) : sorted;
+  }
+
+  // Audit pages are keyed on (timestamp, id) like report pages, so entries
+  // written in the same millisecond come back in ID order
+  compareAuditEntries(a, b) {
+    if (a.timestamp !== b.timestamp) return a.timestamp < b.timestamp ? -1 : 1;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  }
+
+  encodeAuditCursor(entry) {
+    return Buffer.from(JSON.stringify([entry.timestamp, entry.id])).toString('base64url');
+  }
+
+  paginateAudit(entries, options = {}) {
+    const limit = this.normalizeLimit(options.limit);
+    const after = this.decodeCursor(options.cursor);
+    const direction = options.order === 'desc' ? -1 : 1;
+    const sorted = entries
+      .filter(entry => this.matchesAuditQuery(entry, options.filter || {}))
+      .sort((a, b) => direction * this.compareAuditEntries(a, b));
+
+    const start = after
+      ? sorted.findIndex(entry => direction * this.compareAuditEntries(entry, after) > 0)
+      : 0;
+    const page = start === -1 ? [] : sorted.slice(start, start + limit);
+    const hasMore = start !== -1 && start + limit < sorted.length;
+
+    return {
+      entries: page,
+      nextCursor: hasMore ? this.encodeAuditCursor(page[page.length - 1]) : null
+    };
+  }
+}
+
+module.exports = {
+  StorageAdapter,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  CONTEXT_TEXT_FILTERS
+};
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+// Ordered from least to most privileged; each role includes the ones before it
+const ADMIN_ROLES = ['viewer', 'triager', 'admin'];
+
+const MIN_PASSWORD_LENGTH = 12;
+
+class AdminUserStore {
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.bcryptRounds = parseInt(process.env.BCRYPT_ROUNDS, 10) || 12;
+
+    // Compared against when the username is unknown, so response timing
+    // doesn't reveal which accounts exist
+    this.dummyHash = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), this.bcryptRounds);
+  }
+
+  hasRole(userRole, requiredRole) {
+    const userLevel = ADMIN_ROLES.indexOf(userRole);
+    return userLevel !== -1 && userLevel >= ADMIN_ROLES.indexOf(requiredRole);
+  }
+
+  validateNewUser({ username, password, role }) {
+    const errors = [];
+
+    if (!username || !/^[a-z0-9._-]{3,32}$/i.test(username)) {
+      errors.push('Username must be 3-32 letters, digits, dots, dashes or underscores');
+    }
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+      errors.push(`Role must be one of: ${ADMIN_ROLES.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  async createUser({ username, password, role }) {
+    const errors = this.validateNewUser({ username, password, role });
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    if (await this.adapter.getAdminUser(username)) {
+      throw new Error(`Admin user ${username} already exists`);
+    }
+
+    const user = {
+      id: crypto.randomUUID(),
+      username,
+      role,
+      passwordHash: await bcrypt.hash(password, this.bcryptRounds),
+      disabled: false,
+      createdAt: new Date().toISOString(),
+      lastLoginAt: null
+    };
+
+    await this.adapter.saveAdminUser(user);
+    return this.toPublicUser(user);
+  }
+
+  // Returns the user on success, null on any failure
+  async authenticate(username, password) {
+    const user = typeof username === 'string' ? await this.adapter.getAdminUser(username) : null;
+    const matches = await bcrypt.compare(String(password || ''), user ? user.passwordHash : this.dummyHash);
+
+    if (!user || !matches || user.disabled) {
+      return null;
+    }
+
+    // The account may have changed during the compare (disabled, demoted,
+    // password reset), so only the login time is written back, and the
+    // account is returned as it is stored now
+    const current = await this.adapter.updateAdminUser(username, { lastLoginAt: new Date().toISOString() });
+    if (!current || current.disabled || current.passwordHash !== user.passwordHash) {
+      return null;
+    }
+    return this.toPublicUser(current);
+  }
+
+  // Active account lookup used to re-check tokens on every request
+  async getActiveUser(username) {
+    const user = await this.adapter.getAdminUser(username);
+    return user && !user.disabled ? this.toPublicUser(user) : null;
+  }
+
+  async listUsers() {
+    return (await this.adapter.listAdminUsers()).map(user => this.toPublicUser(user));
+  }
+
+  // Reports can only be assigned to enabled accounts allowed to triage
+  async getAssignableUser(username) {
+    const user = await this.getActiveUser(username);
+    return user && this.hasRole(user.role, 'triager') ? user : null;
+  }
+
+  async listAssignees() {
+    return (await this.adapter.listAdminUsers())
+      .filter(user => !user.disabled && this.hasRole(user.role, 'triager'))
+      .map(user => ({ username: user.username, role: user.role }));
+  }
+
+  // Only the fields being changed are written, so concurrent changes to
+  // other fields of the same account (a login, another admin) are kept
+  async updateUser(username, changes) {
+    if (!await this.adapter.getAdminUser(username)) {
+      throw new Error('Admin user not found');
+    }
+
+    const fields = {};
+    if (changes.role !== undefined) {
+      if (!ADMIN_ROLES.includes(changes.role)) {
+        throw new Error(`Role must be one of: ${ADMIN_ROLES.join(', ')}`);
+      }
+      fields.role = changes.role;
+    }
+    if (changes.disabled !== undefined) {
+      fields.disabled = Boolean(changes.disabled);
+    }
+    if (changes.password !== undefined) {
+      if (changes.password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+      fields.passwordHash = await bcrypt.hash(changes.password, this.bcryptRounds);
+    }
+
+    const user = await this.adapter.updateAdminUser(username, fields);
+    if (!user) {
+      throw new Error('Admin user not found');
+    }
+    return this.toPublicUser(user);
+  }
+
+  // Never hand password hashes to callers
+  toPublicUser(user) {
+    const { passwordHash, ...publicUser } = user;
+    return publicUser;
+  }
+}
+
+// Shares the report storage backend
+const { secureStorage } = require('./secureStorage');
+const adminUsers = new AdminUserStore(secureStorage.adapter);
+
+module.exports = {
+  adminUsers,
+  AdminUserStore,
+  ADMIN_ROLES,
+  MIN_PASSWORD_LENGTH
+};
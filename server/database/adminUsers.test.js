@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// bcrypt is a native module; a reversible stand-in keeps the tests fast.
+// `compare` waits on `mockCompareGate`, so a test can change an account while a
+// login is between reading it and writing it back.
+let mockCompareGate = Promise.resolve();
+jest.mock('bcrypt', () => ({
+  hashSync: (password) => `hash:${password}`,
+  hash: async (password) => `hash:${password}`,
+  compare: async (password, hash) => {
+    await mockCompareGate;
+    return hash === `hash:${password}`;
+  }
+}));
+jest.mock('./secureStorage', () => ({ secureStorage: { adapter: null } }));
+
+const { AdminUserStore } = require('./adminUsers');
+const { MemoryStorageAdapter } = require('./adapters/memoryAdapter');
+const { FileStorageAdapter } = require('./adapters/fileAdapter');
+
+const PASSWORD = 'correct horse battery';
+
+// Resolves `release` to let a paused compare finish
+const pauseCompare = () => {
+  let release;
+  mockCompareGate = new Promise(resolve => {
+    release = resolve;
+  });
+  return () => {
+    release();
+    mockCompareGate = Promise.resolve();
+  };
+};
+
+describe('AdminUserStore', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = new AdminUserStore(new MemoryStorageAdapter());
+    await store.createUser({ username: 'rin', password: PASSWORD, role: 'triager' });
+  });
+
+  it('records the login time on success', async () => {
+    const user = await store.authenticate('rin', PASSWORD);
+
+    expect(user.lastLoginAt).toEqual(expect.any(String));
+    expect(user.passwordHash).toBeUndefined();
+    expect((await store.adapter.getAdminUser('rin')).lastLoginAt).toBe(user.lastLoginAt);
+  });
+
+  it('keeps a role change made while a login was being checked', async () => {
+    const release = pauseCompare();
+    const login = store.authenticate('rin', PASSWORD);
+    await store.updateUser('rin', { role: 'viewer' });
+    release();
+
+    expect(await login).toMatchObject({ username: 'rin', role: 'viewer' });
+    expect(await store.adapter.getAdminUser('rin')).toMatchObject({ role: 'viewer', lastLoginAt: expect.any(String) });
+  });
+
+  it('refuses a login, and keeps the account disabled, if it was disabled meanwhile', async () => {
+    const release = pauseCompare();
+    const login = store.authenticate('rin', PASSWORD);
+    await store.updateUser('rin', { disabled: true });
+    release();
+
+    expect(await login).toBeNull();
+    expect((await store.adapter.getAdminUser('rin')).disabled).toBe(true);
+  });
+
+  it('refuses the old password, and keeps the new one, after a reset made meanwhile', async () => {
+    const release = pauseCompare();
+    const login = store.authenticate('rin', PASSWORD);
+    await store.updateUser('rin', { password: 'a brand new passphrase' });
+    release();
+
+    expect(await login).toBeNull();
+    expect(await store.authenticate('rin', 'a brand new passphrase')).not.toBeNull();
+  });
+});
+
+describe('admin accounts in the file store', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'admin-users-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('keeps every account created at the same time, even from another process', async () => {
+    // Two adapters on one directory stand in for the server and create-admin
+    const server = new AdminUserStore(new FileStorageAdapter({ dataDir }));
+    const script = new AdminUserStore(new FileStorageAdapter({ dataDir }));
+
+    await Promise.all([
+      server.createUser({ username: 'rin', password: PASSWORD, role: 'viewer' }),
+      script.createUser({ username: 'jiyan', password: PASSWORD, role: 'admin' }),
+      server.createUser({ username: 'yinlin', password: PASSWORD, role: 'triager' })
+    ]);
+
+    expect((await server.listUsers()).map(user => user.username).sort()).toEqual(['jiyan', 'rin', 'yinlin']);
+    expect(fs.readdirSync(dataDir)).toEqual(['admins.json']);
+  });
+});
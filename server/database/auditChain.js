@@ -0,0 +1,145 @@
+// Tamper evidence for the audit log.
+//
+// Every entry carries a sequence number and the hash of the entry before it,
+// and its own hash covers its whole payload, so editing, removing or
+// reordering an entry breaks the chain from that point on. Rewriting the
+// chain from there on is still possible for someone with write access, so
+// every so often a checkpoint entry records an HMAC over the chain head
+// made with AUDIT_HMAC_KEY, which they don't have.
+//
+// Entries written before chaining existed have no sequence number; they are
+// counted but can't be verified.
+const crypto = require('crypto');
+
+const CHECKPOINT_ACTION = 'AUDIT_CHECKPOINT';
+
+// JSON with object keys sorted at every level, so the hash doesn't depend on
+// property order after a round trip through storage
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Hash of everything in the entry except the hash itself. Values are
+// normalized through JSON first, the same way they are stored.
+const computeEntryHash = (entry) => {
+  const { hash, ...payload } = JSON.parse(JSON.stringify(entry));
+  return crypto.createHash('sha256').update(canonicalJson(payload)).digest('hex');
+};
+
+// Chain a new entry onto `head` (the latest chained entry, or null)
+const linkEntry = (entry, head) => {
+  entry.seq = head ? head.seq + 1 : 1;
+  entry.prevHash = head ? head.hash : null;
+  entry.hash = computeEntryHash(entry);
+  return entry;
+};
+
+const signCheckpoint = (key, seq, hash) =>
+  crypto.createHmac('sha256', key).update(`${seq}:${hash}`).digest('hex');
+
+const signaturesMatch = (expected, actual) =>
+  typeof actual === 'string' &&
+  actual.length === expected.length &&
+  crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+
+// Check a whole audit log against the checkpoint keys it may have been
+// signed with (a Map of key ID to key). Returns counts, the chain head and,
+// if the chain is broken, the first entry where it breaks and why.
+const verifyAuditChain = (entries, hmacKeys) => {
+  const legacy = entries
+    .filter(entry => entry.seq === undefined)
+    .sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+  const chained = entries
+    .filter(entry => entry.seq !== undefined)
+    .sort((a, b) => a.seq - b.seq);
+
+  const result = {
+    valid: true,
+    totalEntries: entries.length,
+    legacyEntries: legacy.length,
+    chainedEntries: 0,
+    checkpoints: 0,
+    lastCheckpoint: null,
+    head: null,
+    entriesSinceCheckpoint: 0,
+    firstBroken: null
+  };
+
+  const fail = (entry, reason) => {
+    result.valid = false;
+    result.firstBroken = {
+      seq: entry.seq === undefined ? null : entry.seq,
+      id: entry.id,
+      timestamp: entry.timestamp,
+      action: entry.action,
+      reason
+    };
+    return result;
+  };
+
+  // Unchained entries can only predate the chain; one after it was added
+  const chainStart = chained.length > 0 ? chained[0].timestamp : null;
+  const inserted = chainStart && legacy.find(entry => entry.timestamp > chainStart);
+  if (inserted) {
+    return fail(inserted, 'Entry without a sequence number after the chain started');
+  }
+
+  let previous = null;
+  for (const entry of chained) {
+    const expectedSeq = previous ? previous.seq + 1 : 1;
+    if (entry.seq !== expectedSeq) {
+      return fail(entry, entry.seq > expectedSeq
+        ? `Entries ${expectedSeq} to ${entry.seq - 1} are missing`
+        : `Sequence number ${entry.seq} appears more than once`);
+    }
+    if (entry.prevHash !== (previous ? previous.hash : null)) {
+      return fail(entry, 'Does not link to the hash of the previous entry');
+    }
+    if (computeEntryHash(entry) !== entry.hash) {
+      return fail(entry, 'Contents do not match the entry hash');
+    }
+
+    if (entry.action === CHECKPOINT_ACTION) {
+      const { checkpointSeq, checkpointHash, hmac, keyId } = entry.details || {};
+      if (!previous || checkpointSeq !== previous.seq || checkpointHash !== previous.hash) {
+        return fail(entry, 'Checkpoint does not cover the entry before it');
+      }
+      const key = hmacKeys.get(keyId);
+      if (!key) {
+        return fail(entry, `Checkpoint is signed with unknown key ${keyId}`);
+      }
+      if (!signaturesMatch(signCheckpoint(key, checkpointSeq, checkpointHash), hmac)) {
+        return fail(entry, 'Checkpoint signature is invalid');
+      }
+      result.checkpoints++;
+      result.lastCheckpoint = { seq: entry.seq, timestamp: entry.timestamp };
+    }
+
+    previous = entry;
+    result.chainedEntries++;
+  }
+
+  if (previous) {
+    result.head = { seq: previous.seq, hash: previous.hash, timestamp: previous.timestamp };
+    result.entriesSinceCheckpoint = previous.seq - (result.lastCheckpoint ? result.lastCheckpoint.seq : 0);
+  }
+  return result;
+};
+
+module.exports = {
+  CHECKPOINT_ACTION,
+  canonicalJson,
+  computeEntryHash,
+  linkEntry,
+  signCheckpoint,
+  signaturesMatch,
+  verifyAuditChain
+};
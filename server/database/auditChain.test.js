@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const {
+  CHECKPOINT_ACTION,
+  canonicalJson,
+  computeEntryHash,
+  linkEntry,
+  signCheckpoint,
+  verifyAuditChain
+} = require('./auditChain');
+
+const KEY = Buffer.from('checkpoint-key');
+const KEYS = new Map([['key-1', KEY]]);
+
+let clock = Date.parse('2026-01-01T00:00:00.000Z');
+const entry = (action, details = {}) => ({
+  id: crypto.randomUUID(),
+  timestamp: new Date(clock++).toISOString(),
+  action,
+  reportId: null,
+  sessionId: null,
+  details,
+  hash: null
+});
+
+// A chain of `count` entries with a checkpoint after the last one
+const buildChain = (count) => {
+  const entries = [];
+  let head = null;
+  for (let i = 0; i < count; i++) {
+    head = linkEntry(entry('CREATE_REPORT', { n: i }), head);
+    entries.push(head);
+  }
+  const checkpoint = linkEntry(entry(CHECKPOINT_ACTION, {
+    checkpointSeq: head.seq,
+    checkpointHash: head.hash,
+    hmac: signCheckpoint(KEY, head.seq, head.hash),
+    keyId: 'key-1'
+  }), head);
+  return [...entries, checkpoint];
+};
+
+describe('canonicalJson', () => {
+  it('does not depend on property order', () => {
+    expect(canonicalJson({ b: 1, a: { d: [1, { f: 2, e: 3 }], c: null } }))
+      .toBe(canonicalJson({ a: { c: null, d: [1, { e: 3, f: 2 }] }, b: 1 }));
+  });
+});
+
+describe('linkEntry', () => {
+  it('numbers entries and links each to the hash of the one before', () => {
+    const first = linkEntry(entry('A'), null);
+    const second = linkEntry(entry('B'), first);
+
+    expect(first).toMatchObject({ seq: 1, prevHash: null });
+    expect(second).toMatchObject({ seq: 2, prevHash: first.hash });
+    expect(second.hash).toBe(computeEntryHash(second));
+  });
+});
+
+describe('verifyAuditChain', () => {
+  it('accepts an intact chain in any order', () => {
+    const entries = buildChain(5);
+    const result = verifyAuditChain([...entries].reverse(), KEYS);
+
+    expect(result).toMatchObject({
+      valid: true,
+      chainedEntries: 6,
+      checkpoints: 1,
+      entriesSinceCheckpoint: 0,
+      firstBroken: null
+    });
+    expect(result.head.seq).toBe(6);
+  });
+
+  it('finds an edited entry', () => {
+    const entries = buildChain(5);
+    entries[2].details.n = 99;
+
+    expect(verifyAuditChain(entries, KEYS).firstBroken)
+      .toMatchObject({ seq: 3, reason: 'Contents do not match the entry hash' });
+  });
+
+  it('finds a removed entry', () => {
+    const entries = buildChain(5);
+    entries.splice(1, 1);
+
+    expect(verifyAuditChain(entries, KEYS).firstBroken)
+      .toMatchObject({ seq: 3, reason: 'Entries 2 to 2 are missing' });
+  });
+
+  it('finds two entries linked to the same head', () => {
+    const entries = buildChain(2);
+    const fork = linkEntry(entry('FORK'), entries[0]);
+
+    expect(verifyAuditChain([...entries, fork], KEYS).firstBroken)
+      .toMatchObject({ seq: 2, reason: 'Sequence number 2 appears more than once' });
+  });
+
+  it('rejects a rewritten chain whose checkpoint was signed without the key', () => {
+    const entries = buildChain(3);
+    const checkpoint = entries[entries.length - 1];
+    checkpoint.details.hmac = signCheckpoint(Buffer.from('guessed'), checkpoint.details.checkpointSeq,
+      checkpoint.details.checkpointHash);
+    checkpoint.hash = computeEntryHash(checkpoint);
+
+    expect(verifyAuditChain(entries, KEYS).firstBroken.reason).toBe('Checkpoint signature is invalid');
+  });
+
+  it('accepts checkpoints signed with a retired key still in the map', () => {
+    const entries = buildChain(3);
+    expect(verifyAuditChain(entries, new Map([['key-0', Buffer.from('old')], ...KEYS])).valid).toBe(true);
+    expect(verifyAuditChain(entries, new Map()).firstBroken.reason)
+      .toBe('Checkpoint is signed with unknown key key-1');
+  });
+
+  it('counts entries from before chaining, but only before the chain starts', () => {
+    const legacy = { ...entry('LEGACY'), timestamp: '2025-01-01T00:00:00.000Z' };
+    delete legacy.hash;
+    const entries = buildChain(2);
+
+    expect(verifyAuditChain([legacy, ...entries], KEYS)).toMatchObject({ valid: true, legacyEntries: 1 });
+
+    const inserted = { ...legacy, timestamp: '2027-01-01T00:00:00.000Z' };
+    expect(verifyAuditChain([...entries, inserted], KEYS).firstBroken.reason)
+      .toBe('Entry without a sequence number after the chain started');
+  });
+});
@@ -0,0 +1,37 @@
+// Output formats for audit log exports. Each one turns entries into text
+// one at a time, so an export can be streamed however long the log is.
+const CSV_COLUMNS = ['seq', 'timestamp', 'action', 'reportId', 'adminId', 'sessionId', 'details', 'id', 'hash', 'prevHash'];
+
+// Quote every field, and defuse values a spreadsheet would run as a formula
+const csvField = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = typeof value === 'string' ? value : JSON.stringify(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const AUDIT_EXPORT_FORMATS = {
+  jsonl: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'jsonl',
+    header: '',
+    // Entries exactly as stored, so the export can be checked with the same
+    // hashes as the log itself
+    formatEntry: (entry) => `${JSON.stringify(entry)}\n`
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: `${CSV_COLUMNS.join(',')}\r\n`,
+    formatEntry: (entry) => {
+      const row = { ...entry, adminId: (entry.details || {}).adminId };
+      return `${CSV_COLUMNS.map(column => csvField(row[column])).join(',')}\r\n`;
+    }
+  }
+};
+
+module.exports = {
+  AUDIT_EXPORT_FORMATS
+};
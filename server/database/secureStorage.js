@@ -1,28 +1,112 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { createStorageAdapter } = require('./adapters');
+const {
+  DEFAULT_THRESHOLD,
+  computeSignature,
+  scoreSimilarity,
+  findCandidatePairs,
+  SimilarityIndex
+} = require('./similarity');
+const {
+  CHECKPOINT_ACTION,
+  canonicalJson,
+  linkEntry,
+  signCheckpoint,
+  signaturesMatch,
+  verifyAuditChain
+} = require('./auditChain');
+
+const {
+  TRIAGE_FIELDS,
+  MAX_LABELS,
+  MAX_BULK_REPORTS,
+  canTransition,
+  normalizeLabels
+} = require('../config/reportLifecycle');
+
+const COMMENT_AUTHOR_TYPES = ['reporter', 'triager'];
+const SERVER_REGIONS = ['america', 'europe', 'asia', 'sea', 'hmt'];
+const MAX_COMMENTS_PER_REPORT = 100;
+
+// Duplicate detection looks back this far and scans at most this many reports
+const SIMILARITY_WINDOW_DAYS = 90;
+const MAX_CLUSTER_SCAN = 5000;
+
+// Reports one similarity lookup loads and scores, taken from the LSH index
+const MAX_SIMILARITY_CANDIDATES = 200;
+
+// An HMAC-signed checkpoint is added to the audit chain every this many entries
+const AUDIT_CHECKPOINT_INTERVAL = parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL, 10) || 100;
+
+const REPORT_MAC_METHOD = 'hmac-sha256';
+
+// Compare-and-swap attempts before updateReportIfUnchanged gives up
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// Triage fields of a report nobody has looked at yet
+const EMPTY_TRIAGE = {
+  assignee: null,
+  priority: null,
+  severity: null,
+  labels: [],
+  ticketId: null,
+  resolutionNote: null
+};
+
+// A stored report whose signature doesn't match its contents
+class ReportIntegrityError extends Error {
+  constructor(reportId, reason) {
+    super(`Report ${reportId} failed its integrity check: ${reason}`);
+    this.name = 'ReportIntegrityError';
+    this.reportId = reportId;
+    this.reason = reason;
+  }
+}
+
+// A request the stored reports can't take, such as a comment past the
+// thread limit or a status move that isn't allowed; `status` is the HTTP
+// status to send
+class ReportRequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReportRequestError';
+    this.status = status;
+  }
+}
+
+// ENCRYPTION_KEY or one of the other key settings can't be used
+class KeyConfigurationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeyConfigurationError';
+  }
+}
 
 class SecureStorage {
-  constructor() {
+  constructor(options = {}) {
     this.dataDir = process.env.DATA_DIR || './data';
+    this.adapter = options.adapter ||
+      createStorageAdapter(process.env.DATABASE_URL, { dataDir: this.dataDir });
     this.encryptionKey = this.getEncryptionKey();
+    this.keyId = this.getKeyId(this.encryptionKey);
+    this.keyRing = this.loadKeyRing();
+    this.legacyKey = this.getLegacyKey();
     this.algorithm = 'aes-256-gcm';
-    this.reports = new Map();
-    this.auditLog = [];
+    this.auditKeys = this.loadHmacKeys('AUDIT_HMAC_KEY', 'audit-checkpoints');
+    this.reportKeys = this.loadHmacKeys('REPORT_HMAC_KEY', 'report-integrity');
+    this.auditQueue = Promise.resolve(); // Serializes appends to the audit chain
+    this.reportLocks = new Map(); // Report ID -> tail of its write queue
+    this.similarityIndex = null; // Promise of a SimilarityIndex, built on first use
     
-    this.init();
+    this.ready = this.init();
   }
 
   async init() {
     try {
-      // Ensure data directory exists
       await fs.mkdir(this.dataDir, { recursive: true });
-      await fs.mkdir(path.join(this.dataDir, 'reports'), { recursive: true });
-      await fs.mkdir(path.join(this.dataDir, 'audit'), { recursive: true });
-      
-      // Load existing data
-      await this.loadReports();
-      await this.loadAuditLog();
+      await this.adapter.init();
     } catch (error) {
       console.error('Failed to initialize secure storage:', error);
       throw error;
@@ -31,50 +115,228 @@ class SecureStorage {
 
   getEncryptionKey() {
     const key = process.env.ENCRYPTION_KEY;
-    if (!key || key.length < 32) {
+    if (!key) {
       console.warn('Using default encryption key - CHANGE IN PRODUCTION!');
       return crypto.scryptSync('default-key', 'salt', 32);
     }
+    return this.parseKey(key, 'ENCRYPTION_KEY');
+  }
+
+  // Keys must be 32 bytes, supplied as 64 hex characters. `source` names
+  // the setting in the error, which is what an operator sees at startup.
+  parseKey(value, source = 'Encryption keys') {
+    const trimmed = value.trim();
+    if (!/^[0-9a-fA-F]{64}$/.test(trimmed)) {
+      throw new KeyConfigurationError(`${source} must be 64 hex characters (32 bytes); generate one with: openssl rand -hex 32`);
+    }
+    return Buffer.from(trimmed, 'hex');
+  }
+
+  // Short, non-reversible identifier stored alongside every encrypted blob
+  getKeyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+  }
+
+  // Current key plus any retired keys still needed to read older records
+  loadKeyRing() {
+    const keyRing = new Map();
+    keyRing.set(this.getKeyId(this.encryptionKey), this.encryptionKey);
+
+    const previous = (process.env.PREVIOUS_ENCRYPTION_KEYS || '')
+      .split(',')
+      .map(value => value.trim())
+      .filter(Boolean);
+
+    for (const [index, value] of previous.entries()) {
+      const key = this.parseKey(value, `PREVIOUS_ENCRYPTION_KEYS entry ${index + 1}`);
+      keyRing.set(this.getKeyId(key), key);
+    }
+
+    return keyRing;
+  }
+
+  // Signing keys for one purpose: { current, currentId, keys (by ID) }. The
+  // secret in `envVar`, 64 hex characters like ENCRYPTION_KEY (so the env
+  // file placeholder is refused rather than signing with it), signs new
+  // records. Without it they are signed with a key derived from
+  // ENCRYPTION_KEY, and keys derived from every key in the ring stay
+  // accepted, so signatures survive key rotation.
+  loadHmacKeys(envVar, purpose) {
+    const keys = new Map();
+    for (const encryptionKey of this.keyRing.values()) {
+      const derived = crypto.createHmac('sha256', encryptionKey).update(purpose).digest();
+      keys.set(this.getKeyId(derived), derived);
+    }
+
+    let current = crypto.createHmac('sha256', this.encryptionKey).update(purpose).digest();
+    const secret = process.env[envVar];
+    if (secret) {
+      current = this.parseKey(secret, envVar);
+      keys.set(this.getKeyId(current), current);
+    } else {
+      console.warn(`${envVar} not set - using a key derived from ENCRYPTION_KEY`);
+    }
+
+    return { current, currentId: this.getKeyId(current), keys };
+  }
+
+  // Key used by the old XOR scheme, from LEGACY_ENCRYPTION_KEY or else the
+  // ENCRYPTION_KEY setting. Derived exactly as that code did, so no format
+  // check: values shorter than 32 characters meant the built-in default key,
+  // anything else was decoded as hex as far as it went (the old placeholder
+  // decodes to nothing, which left values as they were).
+  getLegacyKey() {
+    const key = process.env.LEGACY_ENCRYPTION_KEY || process.env.ENCRYPTION_KEY;
+    if (!key || key.length < 32) {
+      return crypto.scryptSync('default-key', 'salt', 32);
+    }
     return Buffer.from(key, 'hex');
   }
 
-  // Encrypt sensitive data (simplified for compatibility)
+  // Encrypt sensitive data with AES-256-GCM and a fresh IV per value
   encrypt(text) {
     if (!text) return null;
-    
-    // Simple XOR encryption for demo (use proper encryption in production)
-    const key = this.encryptionKey.toString('hex');
-    let encrypted = '';
-    for (let i = 0; i < text.length; i++) {
-      encrypted += String.fromCharCode(text.charCodeAt(i) ^ key.charCodeAt(i % key.length));
-    }
-    
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(this.algorithm, this.encryptionKey, iv);
+    const encrypted = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+
     return {
-      encrypted: Buffer.from(encrypted).toString('base64'),
-      method: 'xor-demo'
+      encrypted: encrypted.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      keyId: this.keyId,
+      method: this.algorithm
     };
   }
 
   // Decrypt sensitive data
   decrypt(encryptedData) {
     if (!encryptedData || !encryptedData.encrypted) return null;
-    
+
     try {
-      const key = this.encryptionKey.toString('hex');
-      const encrypted = Buffer.from(encryptedData.encrypted, 'base64').toString();
-      let decrypted = '';
-      
-      for (let i = 0; i < encrypted.length; i++) {
-        decrypted += String.fromCharCode(encrypted.charCodeAt(i) ^ key.charCodeAt(i % key.length));
+      if (encryptedData.method === 'xor-demo') {
+        return this.decryptLegacy(encryptedData);
       }
-      
-      return decrypted;
+
+      const key = this.keyRing.get(encryptedData.keyId);
+      if (!key) {
+        throw new Error(`Unknown encryption key ${encryptedData.keyId}`);
+      }
+
+      const decipher = crypto.createDecipheriv(
+        this.algorithm,
+        key,
+        Buffer.from(encryptedData.iv, 'base64')
+      );
+      decipher.setAuthTag(Buffer.from(encryptedData.tag, 'base64'));
+
+      return Buffer.concat([
+        decipher.update(Buffer.from(encryptedData.encrypted, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
     } catch (error) {
       console.error('Decryption failed:', error);
       return null;
     }
   }
 
+  // Read records written by the old XOR scheme (migration only)
+  decryptLegacy(encryptedData) {
+    const key = this.legacyKey.toString('hex');
+    const encrypted = Buffer.from(encryptedData.encrypted, 'base64').toString();
+    let decrypted = '';
+
+    for (let i = 0; i < encrypted.length; i++) {
+      decrypted += String.fromCharCode(encrypted.charCodeAt(i) ^ key.charCodeAt(i % key.length));
+    }
+
+    return decrypted;
+  }
+
+  isEncryptedValue(value) {
+    return Boolean(value) && typeof value === 'object' &&
+      typeof value.encrypted === 'string' && typeof value.method === 'string';
+  }
+
+  // Whether a blob was written with anything other than the current key
+  needsReencryption(value) {
+    return value.method !== this.algorithm || value.keyId !== this.keyId;
+  }
+
+  // Walk a record and re-encrypt every stale blob under the current key
+  reencryptRecord(record) {
+    let changed = 0;
+
+    const visit = (node) => {
+      if (!node || typeof node !== 'object') return node;
+
+      if (this.isEncryptedValue(node)) {
+        if (!this.needsReencryption(node)) return node;
+
+        const plaintext = this.decrypt(node);
+        if (plaintext === null) {
+          throw new Error(`Unable to decrypt value encrypted with key ${node.keyId || node.method}`);
+        }
+        changed++;
+        return this.encrypt(plaintext);
+      }
+
+      for (const [key, value] of Object.entries(node)) {
+        node[key] = visit(value);
+      }
+      return node;
+    };
+
+    visit(record);
+    return changed;
+  }
+
+  // Re-encrypt every stored report under the current key, and re-sign it
+  // if it was signed with an older key or the legacy hash. A legacy report is
+  // only re-signed if its legacy hash still matches; reports that fail their
+  // integrity check are left alone and listed as failed.
+  async rotateEncryptionKeys() {
+    const result = { scanned: 0, rotated: 0, resignedLegacy: 0, failed: [] };
+
+    for await (const report of this.iterateReports()) {
+      result.scanned++;
+
+      try {
+        // The legacy hash covers only four fields, but a report that no
+        // longer matches even those has been changed and is never re-signed
+        const legacy = typeof report.integrity === 'string';
+        const check = legacy
+          ? { valid: report.integrity === this.computeLegacyHash(report), reason: 'Does not match its legacy hash' }
+          : this.checkReportIntegrity(report);
+        if (!check.valid) {
+          throw new ReportIntegrityError(report.id, check.reason);
+        }
+
+        const changed = this.reencryptRecord(report);
+        if (changed > 0 || legacy || report.integrity.keyId !== this.reportKeys.currentId) {
+          await this.updateStoredReport(report);
+          result.rotated++;
+          if (legacy) result.resignedLegacy++;
+        }
+      } catch (error) {
+        console.error(`Key rotation failed for report ${report.id}:`, error.message);
+        result.failed.push(report.id);
+      }
+    }
+
+    const auditEntry = this.createAuditEntry('ROTATE_KEYS', null, null, {
+      keyId: this.keyId,
+      scanned: result.scanned,
+      rotated: result.rotated,
+      resignedLegacy: result.resignedLegacy,
+      failed: result.failed.length
+    });
+    await this.persistAuditEntry(auditEntry);
+
+    return result;
+  }
+
   // Hash IP for privacy
   hashIP(ip) {
     const salt = process.env.IP_SALT || 'default-salt';
@@ -88,6 +350,26 @@ class SecureStorage {
     return `WUWA-${timestamp}-${random}`;
   }
 
+  // High-entropy secret handed to the reporter once; only its hash is stored
+  generateAccessToken() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  hashAccessToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Constant-time check of a reporter's access token against a stored report
+  verifyAccessToken(report, token) {
+    if (!report || !report.accessTokenHash || typeof token !== 'string' || !token) {
+      return false;
+    }
+
+    const expected = Buffer.from(report.accessTokenHash, 'hex');
+    const actual = Buffer.from(this.hashAccessToken(token), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
   // Validate report data
   validateReportData(data) {
     const errors = [];
@@ -118,15 +400,30 @@ class SecureStorage {
       errors.push('Invalid platform');
     }
 
+    // Optional game context
+    const context = data.gameContext || {};
+    if (context.serverRegion && !SERVER_REGIONS.includes(context.serverRegion)) {
+      errors.push('Invalid server region');
+    }
+    if (context.uid && !/^\d{6,12}$/.test(context.uid)) {
+      errors.push('Invalid UID');
+    }
+
+    const details = data.details || {};
+    if (details.reproductionSteps && details.reproductionSteps.length > 2000) {
+      errors.push('Reproduction steps too long');
+    }
+
     return {
       isValid: errors.length === 0,
       errors
     };
   }
 
-  // Create audit log entry
+  // Create audit log entry. Its sequence number and hashes are filled in
+  // by persistAuditEntry when it is chained onto the log.
   createAuditEntry(action, reportId, sessionId, details = {}) {
-    const entry = {
+    return {
       id: crypto.randomUUID(),
       timestamp: new Date().toISOString(),
       action,
@@ -135,20 +432,34 @@ class SecureStorage {
       details,
       hash: null
     };
+  }
 
-    // Create integrity hash
-    const dataToHash = JSON.stringify({
-      timestamp: entry.timestamp,
-      action: entry.action,
-      reportId: entry.reportId,
-      sessionId: entry.sessionId
-    });
-    entry.hash = crypto.createHash('sha256').update(dataToHash).digest('hex');
+  // Structured fields players fill in about where the bug happened. The UID
+  // identifies a player account, so it is encrypted; the rest stays plain for
+  // triage filters.
+  buildGameContext(context = {}) {
+    return {
+      gameVersion: context.gameVersion || null,
+      serverRegion: context.serverRegion || null,
+      uid: context.uid ? this.encrypt(context.uid) : null,
+      character: context.character || null,
+      mapRegion: context.mapRegion || null,
+      questName: context.questName || null
+    };
+  }
 
-    return entry;
+  // Free-text reproduction details are encrypted like the description
+  buildDetails(details = {}) {
+    const encryptOptional = (value) => (value ? this.encrypt(value) : null);
+    return {
+      reproductionSteps: encryptOptional(details.reproductionSteps),
+      expectedResult: encryptOptional(details.expectedResult),
+      actualResult: encryptOptional(details.actualResult)
+    };
   }
 
-  // Save bug report securely
+  // Save bug report securely. Resolves to { reportId, accessToken }; the
+  // access token is never stored and cannot be recovered later.
   async saveBugReport(reportData, sessionId) {
     try {
       // Validate input data
@@ -158,6 +469,7 @@ class SecureStorage {
       }
 
       const reportId = this.generateReportId();
+      const accessToken = this.generateAccessToken();
       
       // Prepare secure report object
       const secureReport = {
@@ -166,6 +478,9 @@ class SecureStorage {
         otherCategory: reportData.otherCategory || null,
         description: this.encrypt(reportData.description), // Encrypt sensitive data
         platform: reportData.platform,
+        gameContext: this.buildGameContext(reportData.gameContext),
+        details: this.buildDetails(reportData.details),
+        similarity: computeSignature(reportData.description), // Keyed MinHash, not the text
         files: reportData.files || [],
         metadata: {
           ipHash: this.hashIP(reportData.ip),
@@ -175,35 +490,28 @@ class SecureStorage {
           timestamp: new Date().toISOString(),
           status: 'pending'
         },
+        accessTokenHash: this.hashAccessToken(accessToken),
         integrity: null
       };
 
-      // Create integrity hash
-      const integrityData = JSON.stringify({
-        id: secureReport.id,
-        category: secureReport.category,
-        platform: secureReport.platform,
-        timestamp: secureReport.metadata.timestamp
-      });
-      secureReport.integrity = crypto.createHash('sha256').update(integrityData).digest('hex');
+      await this.adapter.saveReport(this.signReport(secureReport));
 
-      // Store in memory
-      this.reports.set(reportId, secureReport);
-
-      // Persist to disk
-      await this.persistReport(secureReport);
-
-      // Create audit log entry
+      // Create audit log entry; a report without one is taken back out
       const auditEntry = this.createAuditEntry('CREATE_REPORT', reportId, sessionId, {
         category: reportData.category,
         platform: reportData.platform,
         hasFiles: (reportData.files || []).length > 0
       });
-      this.auditLog.push(auditEntry);
-      await this.persistAuditEntry(auditEntry);
+      try {
+        await this.persistAuditEntry(auditEntry);
+      } catch (error) {
+        await this.adapter.deleteReport(reportId);
+        throw error;
+      }
+      this.updateSimilarityIndex(index => index.add(reportId, secureReport.similarity, secureReport.metadata.timestamp));
 
       console.log(`Bug report saved securely: ${reportId}`);
-      return reportId;
+      return { reportId, accessToken };
 
     } catch (error) {
       console.error('Failed to save bug report:', error);
@@ -211,195 +519,1016 @@ class SecureStorage {
     }
   }
 
-  // Retrieve bug report
+  // Compensate for saveBugReport when the rest of a submission fails. The
+  // CREATE_REPORT audit entry stays; this records why the report is gone.
+  async discardBugReport(reportId, sessionId, reason) {
+    await this.adapter.deleteReport(reportId);
+    this.updateSimilarityIndex(index => index.remove(reportId));
+    await this.persistAuditEntry(
+      this.createAuditEntry('ROLLBACK_REPORT', reportId, sessionId, { reason })
+    );
+  }
+
+  // Retrieve bug report. Resolves to null if there is no such report and
+  // throws ReportIntegrityError if it was modified outside this class.
   async getBugReport(reportId, includeDecrypted = false) {
-    const report = this.reports.get(reportId);
+    const report = await this.getVerifiedReport(reportId);
     if (!report) {
       return null;
     }
 
-    // Verify integrity
-    const integrityData = JSON.stringify({
-      id: report.id,
-      category: report.category,
-      platform: report.platform,
-      timestamp: report.metadata.timestamp
-    });
-    const expectedHash = crypto.createHash('sha256').update(integrityData).digest('hex');
-    
-    if (report.integrity !== expectedHash) {
-      console.error(`Integrity check failed for report ${reportId}`);
-      return null;
-    }
-
     if (includeDecrypted) {
-      return {
-        ...report,
-        description: this.decrypt(report.description),
-        metadata: {
-          ...report.metadata,
-          userAgent: this.decrypt(report.metadata.userAgent)
-        }
-      };
+      return this.toDecryptedView(report);
     }
 
     // Return safe version without decrypted data
-    return {
+    const publicView = {
       id: report.id,
       category: report.category,
       platform: report.platform,
       status: report.metadata.status,
       timestamp: report.metadata.timestamp,
+      lastUpdated: report.metadata.lastUpdated || report.metadata.timestamp,
       hasFiles: (report.files || []).length > 0
     };
+
+    // Merged reports follow the status of the report they were merged into
+    if (report.metadata.duplicateOf) {
+      const master = await this.adapter.getReport(report.metadata.duplicateOf);
+      publicView.isDuplicate = true;
+      publicView.masterStatus = master ? master.metadata.status : null;
+    }
+
+    return publicView;
   }
 
-  // Update report status
-  async updateReportStatus(reportId, status, adminId) {
-    const report = this.reports.get(reportId);
-    if (!report) {
-      throw new Error('Report not found');
+  // Status changes safe to show the reporter: no admin IDs or session data
+  async getPublicStatusHistory(reportId) {
+    const entries = await this.adapter.queryReportAudit(reportId);
+    const history = [];
+
+    // Merges into this report are the duplicates' history, not its own
+    for (const entry of entries.filter(candidate => candidate.reportId === reportId)) {
+      if (entry.action === 'CREATE_REPORT') {
+        history.push({ status: 'pending', timestamp: entry.timestamp });
+      } else if (entry.action === 'UPDATE_STATUS') {
+        history.push({ status: entry.details.newStatus, timestamp: entry.timestamp });
+      } else if (entry.action === 'MERGE_DUPLICATE') {
+        history.push({ status: 'duplicate', timestamp: entry.timestamp });
+      }
     }
 
-    const oldStatus = report.metadata.status;
-    report.metadata.status = status;
-    report.metadata.lastUpdated = new Date().toISOString();
-    report.metadata.updatedBy = adminId;
+    return history;
+  }
 
-    // Update integrity hash
+  // List reports for admins, decrypted like getBugReport(id, true)
+  async listBugReports(options = {}) {
+    const page = await this.adapter.listReports(options);
+    const reports = [];
+
+    for (const report of page.reports) {
+      // Left out of listings; scanReportIntegrity lists them
+      const check = this.checkReportIntegrity(report);
+      if (!check.valid && !check.legacy) {
+        console.error(`Integrity check failed for report ${report.id}: ${check.reason}`);
+        continue;
+      }
+      reports.push(this.toDecryptedView(report));
+    }
+
+    return { reports, nextCursor: page.nextCursor };
+  }
+
+  // HMAC over the whole stored record, everything except the signature
+  // itself, serialized canonically so property order doesn't matter
+  computeReportMac(report, key) {
+    const { integrity, ...record } = JSON.parse(JSON.stringify(report));
+    return crypto.createHmac('sha256', key).update(canonicalJson(record)).digest('hex');
+  }
+
+  // Sign a report after every change. Only code that has verified the
+  // previous version may call this, or it would bless a tampered record.
+  signReport(report) {
+    report.integrity = {
+      method: REPORT_MAC_METHOD,
+      keyId: this.reportKeys.currentId,
+      mac: this.computeReportMac(report, this.reportKeys.current)
+    };
+    return report;
+  }
+
+  // Before signing, reports carried a SHA-256 over id, category, platform and
+  // timestamp only. Such reports aren't `valid`, but while that hash matches
+  // they are `legacy` and still readable, flagged as such, until their next
+  // update or `npm run rotate-keys` signs them properly.
+  computeLegacyHash(report) {
     const integrityData = JSON.stringify({
       id: report.id,
       category: report.category,
       platform: report.platform,
       timestamp: report.metadata.timestamp
     });
-    report.integrity = crypto.createHash('sha256').update(integrityData).digest('hex');
+    return crypto.createHash('sha256').update(integrityData).digest('hex');
+  }
 
-    // Persist changes
-    await this.persistReport(report);
+  // Resolves to { valid, legacy, reason }
+  checkReportIntegrity(report) {
+    const { integrity } = report;
 
-    // Audit log
-    const auditEntry = this.createAuditEntry('UPDATE_STATUS', reportId, null, {
-      oldStatus,
-      newStatus: status,
-      adminId
-    });
-    this.auditLog.push(auditEntry);
-    await this.persistAuditEntry(auditEntry);
+    if (typeof integrity === 'string') {
+      return this.computeLegacyHash(report) === integrity
+        ? { valid: false, legacy: true, reason: 'Signed with the legacy hash, not yet re-signed' }
+        : { valid: false, legacy: false, reason: 'Does not match its legacy hash' };
+    }
+    if (!integrity || integrity.method !== REPORT_MAC_METHOD) {
+      return { valid: false, legacy: false, reason: 'Not signed' };
+    }
+
+    const key = this.reportKeys.keys.get(integrity.keyId);
+    if (!key) {
+      return { valid: false, legacy: false, reason: `Signed with unknown key ${integrity.keyId}` };
+    }
+    if (!signaturesMatch(this.computeReportMac(report, key), integrity.mac)) {
+      return { valid: false, legacy: false, reason: 'Contents do not match the signature' };
+    }
+    return { valid: true, legacy: false, reason: null };
+  }
+
+  verifyIntegrity(report) {
+    return this.checkReportIntegrity(report).valid;
+  }
+
+  // Load a stored report for reading or updating: null if it doesn't exist,
+  // ReportIntegrityError if it fails its integrity check. Legacy reports
+  // whose hash still matches are accepted.
+  async getVerifiedReport(reportId) {
+    const report = await this.adapter.getReport(reportId);
+    if (!report) {
+      return null;
+    }
 
+    const check = this.checkReportIntegrity(report);
+    if (!check.valid && !check.legacy) {
+      throw new ReportIntegrityError(reportId, check.reason);
+    }
     return report;
   }
 
-  // Persist report to disk
-  async persistReport(report) {
-    const filename = `${report.id}.json`;
-    const filepath = path.join(this.dataDir, 'reports', filename);
-    
+  // Re-sign and persist a report loaded with getVerifiedReport. Callers that
+  // read, change and write a report hold its lock (withReportLocks) for the
+  // whole sequence, or a concurrent update would be lost.
+  async updateStoredReport(report) {
+    await this.adapter.updateReport(this.signReport(report));
+  }
+
+  // Read-change-write for code running outside the server process, such as
+  // the maintenance scripts, which the report locks don't cover. `change`
+  // gets a fresh verified copy of the report; the write only goes through if
+  // nothing saved the report in between, otherwise the report is read again
+  // and `change` re-applied. Resolves to the saved report, or null if it no
+  // longer exists; throws ReportIntegrityError for a tampered one.
+  async updateReportIfUnchanged(reportId, change) {
+    for (let attempt = 1; ; attempt++) {
+      const stored = await this.getVerifiedReport(reportId);
+      if (!stored) return null;
+
+      const report = JSON.parse(JSON.stringify(stored));
+      await change(report);
+      if (await this.adapter.updateReportIfUnchanged(this.signReport(report), stored)) {
+        return report;
+      }
+      if (attempt === MAX_UPDATE_ATTEMPTS) {
+        throw new Error(`Report ${reportId} kept changing; gave up after ${attempt} attempts`);
+      }
+    }
+  }
+
+  // Run `task` holding the write locks of the given reports. Locks are taken
+  // in sorted order, so two operations locking overlapping sets of reports
+  // can't deadlock. The locks only serialize writers within this process.
+  async withReportLocks(reportIds, task) {
+    const ids = [...new Set(reportIds.filter(Boolean))].sort();
+    const releases = [];
     try {
-      await fs.writeFile(filepath, JSON.stringify(report, null, 2), {
-        mode: 0o600 // Restrict file permissions
+      for (const id of ids) {
+        releases.push(await this.acquireReportLock(id));
+      }
+      return await task();
+    } finally {
+      releases.reverse().forEach(release => release());
+    }
+  }
+
+  // withReportLocks for an operation that also changes reports linked to the
+  // ones it names, such as a duplicate's master. `findLinked` reads the
+  // linked IDs while the locks are held; if any of them aren't locked yet,
+  // the locks are released and taken again with them included.
+  async withLinkedReportLocks(reportIds, findLinked, task) {
+    const locked = new Set(reportIds);
+    for (;;) {
+      const outcome = await this.withReportLocks([...locked], async () => {
+        const missing = (await findLinked()).filter(id => id && !locked.has(id));
+        if (missing.length > 0) {
+          missing.forEach(id => locked.add(id));
+          return null;
+        }
+        return { value: await task() };
       });
-    } catch (error) {
-      console.error(`Failed to persist report ${report.id}:`, error);
-      throw error;
+      if (outcome) return outcome.value;
+    }
+  }
+
+  // Resolves to a release function once every earlier holder has released
+  acquireReportLock(reportId) {
+    const previous = this.reportLocks.get(reportId) || Promise.resolve();
+    let release;
+    const held = new Promise(resolve => {
+      release = resolve;
+    });
+    const tail = previous.then(() => held);
+    this.reportLocks.set(reportId, tail);
+
+    return previous.then(() => () => {
+      release();
+      if (this.reportLocks.get(reportId) === tail) {
+        this.reportLocks.delete(reportId);
+      }
+    });
+  }
+
+  // Check every stored report. Resolves to { scanned, valid, legacy (IDs),
+  // tampered ([{ id, reason }]) }.
+  async scanReportIntegrity() {
+    const result = { scanned: 0, valid: 0, legacy: [], tampered: [] };
+
+    for await (const report of this.iterateReports()) {
+      result.scanned++;
+      const check = this.checkReportIntegrity(report);
+      if (check.valid) {
+        result.valid++;
+      } else if (check.legacy) {
+        result.legacy.push(report.id);
+      } else {
+        result.tampered.push({ id: report.id, reason: check.reason });
+      }
+    }
+
+    await this.persistAuditEntry(
+      this.createAuditEntry('REPORT_INTEGRITY_SCAN', null, null, {
+        scanned: result.scanned,
+        valid: result.valid,
+        legacy: result.legacy.length,
+        tampered: result.tampered.map(item => item.id)
+      })
+    );
+
+    return result;
+  }
+
+  toDecryptedView(report) {
+    const { accessTokenHash, ...rest } = report;
+    return {
+      ...rest,
+      legacyIntegrity: typeof report.integrity === 'string', // Only the legacy hash vouches for it
+      description: this.decrypt(report.description),
+      gameContext: report.gameContext && {
+        ...report.gameContext,
+        uid: report.gameContext.uid && this.decrypt(report.gameContext.uid)
+      },
+      details: report.details && {
+        reproductionSteps: report.details.reproductionSteps && this.decrypt(report.details.reproductionSteps),
+        expectedResult: report.details.expectedResult && this.decrypt(report.details.expectedResult),
+        actualResult: report.details.actualResult && this.decrypt(report.details.actualResult)
+      },
+      comments: (report.comments || []).map(comment => this.toCommentView(comment)),
+      triage: {
+        ...EMPTY_TRIAGE,
+        ...report.triage,
+        resolutionNote: report.triage?.resolutionNote ? this.decrypt(report.triage.resolutionNote) : null
+      },
+      metadata: {
+        ...report.metadata,
+        userAgent: this.decrypt(report.metadata.userAgent)
+      }
+    };
+  }
+
+  toCommentView(comment) {
+    return { ...comment, body: this.decrypt(comment.body) };
+  }
+
+  // Append a message to a report's follow-up thread
+  async addComment(reportId, { authorType, authorId = null, body, sessionId = null }) {
+    if (!COMMENT_AUTHOR_TYPES.includes(authorType)) {
+      throw new ReportRequestError('Invalid comment author');
+    }
+
+    return this.withReportLocks([reportId], async () => {
+      const report = await this.getVerifiedReport(reportId);
+      if (!report) {
+        throw new ReportRequestError('Report not found', 404);
+      }
+
+      const comments = report.comments || [];
+      if (comments.length >= MAX_COMMENTS_PER_REPORT) {
+        throw new ReportRequestError('Comment limit reached for this report', 409);
+      }
+
+      const comment = {
+        id: crypto.randomUUID(),
+        authorType,
+        authorId,
+        body: this.encrypt(body), // Encrypted like the description
+        createdAt: new Date().toISOString()
+      };
+
+      report.comments = [...comments, comment];
+      await this.updateStoredReport(report);
+
+      const auditEntry = authorType === 'triager'
+        ? this.createAuditEntry('TRIAGER_COMMENT', reportId, null, { commentId: comment.id, adminId: authorId })
+        : this.createAuditEntry('REPORTER_COMMENT', reportId, sessionId, { commentId: comment.id });
+      await this.persistAuditEntry(auditEntry);
+
+      return this.toCommentView(comment);
+    });
+  }
+
+  // Thread as shown to the reporter: triager identities are not exposed
+  async getPublicComments(reportId) {
+    const report = await this.getVerifiedReport(reportId);
+    if (!report) {
+      return [];
     }
+
+    return (report.comments || []).map(comment => ({
+      id: comment.id,
+      authorType: comment.authorType,
+      body: this.decrypt(comment.body),
+      createdAt: comment.createdAt
+    }));
+  }
+
+  // Apply triage changes: any of status, assignee, priority, severity,
+  // labels, ticketId and resolutionNote, where null clears a field. Status
+  // moves must be allowed by STATUS_TRANSITIONS; the assignee must already
+  // have been checked against the admin accounts. Every changed field gets
+  // its own audit entry. Resolves to the updated, decrypted report.
+  async updateReportTriage(reportId, changes, adminId) {
+    return this.withTriageLocks(reportId, async () => {
+      const report = await this.getVerifiedReport(reportId);
+      if (!report) {
+        throw new ReportRequestError('Report not found', 404);
+      }
+
+      // Planned under the lock, so the status move is checked against the
+      // status being replaced
+      const plan = this.planTriageUpdate(report, changes);
+      if (plan.changed) {
+        await this.applyTriageUpdate(report, plan, adminId);
+      }
+      return this.toDecryptedView(report);
+    });
   }
 
-  // Persist audit entry
+  // Triage updates lock the report and, for a merged duplicate, its master,
+  // which applyTriageUpdate changes when the duplicate leaves `duplicate`
+  withTriageLocks(reportId, task) {
+    return this.withLinkedReportLocks([reportId], async () => {
+      const report = await this.adapter.getReport(reportId);
+      return report ? [report.metadata.duplicateOf] : [];
+    }, task);
+  }
+
+  // Work out what `changes` would do to a stored report without touching
+  // it. Throws when the status move isn't allowed.
+  planTriageUpdate(report, changes) {
+    const oldStatus = report.metadata.status;
+    const newStatus = changes.status !== undefined && changes.status !== oldStatus ? changes.status : null;
+    if (newStatus === 'duplicate') {
+      throw new ReportRequestError('Cannot mark a report as duplicate directly; merge it into the original instead', 409);
+    }
+    if (newStatus && !canTransition(oldStatus, newStatus)) {
+      throw new ReportRequestError(`Cannot move a report from ${oldStatus} to ${newStatus}`, 409);
+    }
+
+    const triage = { ...EMPTY_TRIAGE, ...report.triage };
+    const fieldChanges = [];
+    for (const field of TRIAGE_FIELDS) {
+      if (changes[field] === undefined) continue;
+
+      let value = changes[field] === '' ? null : changes[field];
+      if (field === 'labels') value = normalizeLabels(value || []);
+
+      const oldValue = field === 'resolutionNote' ? this.decrypt(triage.resolutionNote) : triage[field];
+      if (JSON.stringify(oldValue) === JSON.stringify(value)) continue;
+
+      fieldChanges.push({ field, oldValue, newValue: value });
+      triage[field] = field === 'resolutionNote' ? this.encrypt(value) : value;
+    }
+
+    return {
+      changed: Boolean(newStatus) || fieldChanges.length > 0,
+      oldStatus,
+      newStatus,
+      triage,
+      fieldChanges
+    };
+  }
+
+  // Save a plan from planTriageUpdate and audit it. `batchId` ties the
+  // entries to a bulk update. Callers hold withTriageLocks.
+  async applyTriageUpdate(report, plan, adminId, batchId = null) {
+    const { oldStatus, newStatus, triage, fieldChanges } = plan;
+    const batch = batchId ? { batchId } : {};
+
+    if (newStatus && oldStatus === 'duplicate' && report.metadata.duplicateOf) {
+      await this.unlinkDuplicate(report, adminId);
+    }
+
+    if (newStatus) report.metadata.status = newStatus;
+    report.triage = triage;
+    report.metadata.lastUpdated = new Date().toISOString();
+    report.metadata.updatedBy = adminId;
+
+    await this.updateStoredReport(report);
+
+    const entries = [];
+    if (newStatus) {
+      entries.push(this.createAuditEntry('UPDATE_STATUS', report.id, null, {
+        oldStatus,
+        newStatus,
+        ...batch,
+        adminId
+      }));
+    }
+    for (const { field, oldValue, newValue } of fieldChanges) {
+      // The note itself stays encrypted in the report; the log only says it changed
+      const values = field === 'resolutionNote'
+        ? { cleared: newValue === null }
+        : { oldValue, newValue };
+      entries.push(this.createAuditEntry('UPDATE_TRIAGE_FIELD', report.id, null, {
+        field,
+        ...values,
+        ...batch,
+        adminId
+      }));
+    }
+    await this.persistAuditEntries(entries);
+  }
+
+  // Apply one status, assignee or label change to many reports, picked by
+  // `reportIds` or by a listReports `filter`. Labels are added and removed
+  // rather than replaced, so each report keeps its other labels. Reports
+  // that can't take the change (missing, tampered, or a status move that
+  // isn't allowed) are reported back and skipped; the rest are still
+  // updated. With `dryRun` nothing is written and the result previews what
+  // would happen. Every audit entry of a real run carries the batch ID, and
+  // a BULK_UPDATE_REPORTS entry summarizes it. A dry run's `batchId` is
+  // null: the real run is a separate call and gets its own ID.
+  async bulkUpdateReports({ reportIds, filter }, changes, adminId, { dryRun = false } = {}) {
+    const ids = reportIds ? [...new Set(reportIds)] : await this.findReportIds(filter);
+    const batchId = dryRun ? null : crypto.randomUUID();
+    const results = [];
+
+    for (const id of ids) {
+      try {
+        results.push(await this.withTriageLocks(id, async () => {
+          const report = await this.getVerifiedReport(id);
+          if (!report) {
+            throw new Error('Report not found');
+          }
+
+          const plan = this.planTriageUpdate(report, this.resolveBulkChanges(report, changes));
+          if (!plan.changed) {
+            return { id, outcome: 'unchanged' };
+          }
+
+          if (!dryRun) {
+            await this.applyTriageUpdate(report, plan, adminId, batchId);
+          }
+          return { id, outcome: 'updated', changes: this.describePlan(plan) };
+        }));
+      } catch (error) {
+        results.push({ id, outcome: 'failed', error: error.message });
+      }
+    }
+
+    const summary = {
+      matched: ids.length,
+      updated: results.filter(result => result.outcome === 'updated').length,
+      unchanged: results.filter(result => result.outcome === 'unchanged').length,
+      failed: results.filter(result => result.outcome === 'failed').length
+    };
+
+    if (!dryRun) {
+      await this.persistAuditEntry(this.createAuditEntry('BULK_UPDATE_REPORTS', null, null, {
+        batchId,
+        selection: reportIds ? 'ids' : 'filter',
+        filter: reportIds ? null : filter,
+        changes,
+        ...summary,
+        failedIds: results.filter(result => result.outcome === 'failed').map(result => result.id),
+        adminId
+      }));
+    }
+
+    return { batchId, dryRun, ...summary, results };
+  }
+
+  // IDs of every report matching a filter, refusing selections too large
+  // for one bulk update
+  async findReportIds(filter) {
+    const ids = [];
+    for await (const report of this.iterateReports(filter)) {
+      ids.push(report.id);
+      if (ids.length > MAX_BULK_REPORTS) {
+        throw new ReportRequestError(`Cannot update more than ${MAX_BULK_REPORTS} reports at once; narrow the filter`);
+      }
+    }
+    return ids;
+  }
+
+  // Turn bulk label additions and removals into the full label list of one
+  // report
+  resolveBulkChanges(report, { addLabels, removeLabels, ...changes }) {
+    if (!addLabels && !removeLabels) return changes;
+
+    const remove = new Set(normalizeLabels(removeLabels || []));
+    const labels = normalizeLabels([...((report.triage || {}).labels || []), ...(addLabels || [])])
+      .filter(label => !remove.has(label));
+    if (labels.length > MAX_LABELS) {
+      throw new Error(`Cannot add labels: a report can have at most ${MAX_LABELS}`);
+    }
+    return { ...changes, labels };
+  }
+
+  // The changes in a plan, as shown in bulk results
+  describePlan(plan) {
+    const changes = plan.newStatus
+      ? [{ field: 'status', oldValue: plan.oldStatus, newValue: plan.newStatus }]
+      : [];
+    return [...changes, ...plan.fieldChanges];
+  }
+
+  // Undo a merge when a duplicate goes back into review: the master stops
+  // listing it. The caller saves the duplicate itself.
+  async unlinkDuplicate(duplicate, adminId) {
+    const masterId = duplicate.metadata.duplicateOf;
+    const master = await this.getVerifiedReport(masterId);
+    if (master) {
+      master.metadata.duplicates = (master.metadata.duplicates || []).filter(id => id !== duplicate.id);
+      master.metadata.lastUpdated = new Date().toISOString();
+      master.metadata.updatedBy = adminId;
+      await this.updateStoredReport(master);
+    }
+
+    duplicate.metadata.duplicateOf = null;
+    await this.persistAuditEntry(this.createAuditEntry('UNMERGE_DUPLICATE', duplicate.id, null, {
+      masterId,
+      adminId
+    }));
+  }
+
+  // Persist audit entry, chained onto the latest one
   async persistAuditEntry(entry) {
-    const date = new Date().toISOString().split('T')[0];
-    const filename = `audit-${date}.jsonl`;
-    const filepath = path.join(this.dataDir, 'audit', filename);
-    
+    return this.persistAuditEntries([entry]);
+  }
+
+  // Persist several entries in order, reading the chain head only once.
+  // Failures are logged and rethrown: an action whose audit entry couldn't
+  // be written must not look like it succeeded.
+  async persistAuditEntries(entries) {
+    if (entries.length === 0) return;
+
     try {
-      const line = JSON.stringify(entry) + '\n';
-      await fs.appendFile(filepath, line, {
-        mode: 0o600
+      await this.enqueueAuditWrite(async () => {
+        let head = await this.adapter.getLatestAudit();
+        for (const entry of entries) {
+          await this.adapter.appendAudit(linkEntry(entry, head));
+          head = entry;
+
+          if (entry.seq % AUDIT_CHECKPOINT_INTERVAL === 0) {
+            head = linkEntry(this.createAuditCheckpoint(entry), entry);
+            await this.adapter.appendAudit(head);
+          }
+        }
       });
     } catch (error) {
-      console.error('Failed to persist audit entry:', error);
+      console.error('Failed to persist audit entries:', error);
+      throw error;
     }
   }
 
-  // Load reports from disk
-  async loadReports() {
-    try {
-      const reportsDir = path.join(this.dataDir, 'reports');
-      const files = await fs.readdir(reportsDir);
-      
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const filepath = path.join(reportsDir, file);
-          const data = await fs.readFile(filepath, 'utf8');
-          const report = JSON.parse(data);
-          this.reports.set(report.id, report);
+  // Appends from this process run one at a time, so two entries never link
+  // to the same head; the adapter's audit lock does the same across
+  // processes (the maintenance scripts).
+  enqueueAuditWrite(write) {
+    const run = this.auditQueue.then(() => this.adapter.withAuditLock(write));
+    this.auditQueue = run.catch(() => {});
+    return run;
+  }
+
+  createAuditCheckpoint(head) {
+    return this.createAuditEntry(CHECKPOINT_ACTION, null, null, {
+      checkpointSeq: head.seq,
+      checkpointHash: head.hash,
+      hmac: signCheckpoint(this.auditKeys.current, head.seq, head.hash),
+      keyId: this.auditKeys.currentId
+    });
+  }
+
+  // Sign the current head unless it is already a checkpoint, so a quiet log
+  // doesn't go long without one. Resolves to the checkpoint, or null.
+  async checkpointAuditLog() {
+    return this.enqueueAuditWrite(async () => {
+      const head = await this.adapter.getLatestAudit();
+      if (!head || head.action === CHECKPOINT_ACTION) return null;
+
+      const checkpoint = linkEntry(this.createAuditCheckpoint(head), head);
+      await this.adapter.appendAudit(checkpoint);
+      return checkpoint;
+    });
+  }
+
+  // Check the whole audit chain; see auditChain.verifyAuditChain
+  async verifyAuditLog() {
+    await this.auditQueue;
+    return verifyAuditChain(await this.adapter.queryAudit(), this.auditKeys.keys);
+  }
+
+  // Page through the audit log; see StorageAdapter.listAudit
+  async listAuditEntries(options = {}) {
+    return this.adapter.listAudit(options);
+  }
+
+  // Every matching audit entry, oldest first, read incrementally for exports
+  iterateAuditEntries(filter = {}) {
+    return this.adapter.iterateAudit(filter);
+  }
+
+  // Everything that happened to a report, oldest first: its own audit
+  // entries plus duplicates merged into it or split off again. Entries stay
+  // available after the report itself is gone, so this also answers for
+  // rolled-back reports.
+  async getReportHistory(reportId) {
+    const entries = await this.adapter.queryReportAudit(reportId);
+    return entries.map(entry => this.toHistoryEvent(entry));
+  }
+
+  // One timeline event. Reporters are identified only as "the reporter":
+  // their session IDs stay in the raw audit log.
+  toHistoryEvent(entry) {
+    const { adminId, ...details } = entry.details || {};
+    let actor = { type: 'system' };
+    if (adminId) {
+      actor = { type: 'admin', id: adminId };
+    } else if (entry.sessionId) {
+      actor = { type: 'reporter' };
+    }
+
+    return {
+      id: entry.id,
+      seq: entry.seq === undefined ? null : entry.seq,
+      timestamp: entry.timestamp,
+      action: entry.action,
+      reportId: entry.reportId,
+      actor,
+      details
+    };
+  }
+
+  // Every stored report, oldest first, without holding them all in memory
+  iterateReports(filter = {}) {
+    return this.adapter.iterateReports(filter);
+  }
+
+  // Fields used for similarity scoring. Reports saved before signatures
+  // existed get one computed from their decrypted description.
+  getSimilarityItem(report) {
+    return {
+      category: report.category,
+      platform: report.platform,
+      gameContext: report.gameContext,
+      similarity: report.similarity || computeSignature(this.decrypt(report.description))
+    };
+  }
+
+  // LSH index of the reports in the similarity window. Built by one scan on
+  // first use, then kept current as reports are saved and discarded.
+  getSimilarityIndex() {
+    if (!this.similarityIndex) {
+      this.similarityIndex = (async () => {
+        const index = new SimilarityIndex();
+        for await (const report of this.iterateReports({ from: this.getSimilarityWindowStart() })) {
+          index.add(report.id, this.getSimilarityItem(report).similarity, report.metadata.timestamp);
         }
+        return index;
+      })();
+      // Let the next lookup try again rather than keep a failed build
+      this.similarityIndex.catch(() => {
+        this.similarityIndex = null;
+      });
+    }
+    return this.similarityIndex;
+  }
+
+  // Changes to the index wait for it to be built; before the first lookup
+  // there is nothing to keep current
+  updateSimilarityIndex(change) {
+    if (this.similarityIndex) {
+      this.similarityIndex.then(change, () => {});
+    }
+  }
+
+  getSimilarityWindowStart() {
+    return new Date(Date.now() - SIMILARITY_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  // Recent reports resembling a candidate, best match first. The candidate
+  // is either a draft from the submission form or an existing report. Only
+  // reports sharing an LSH band with it are loaded and scored.
+  async findSimilarReports(candidate, options = {}) {
+    const limit = options.limit || 5;
+    const threshold = options.threshold || DEFAULT_THRESHOLD;
+    const since = this.getSimilarityWindowStart();
+
+    const probe = candidate.id
+      ? this.getSimilarityItem(candidate)
+      : { ...candidate, similarity: computeSignature(candidate.description) };
+    if (!probe.similarity) return [];
+
+    const index = await this.getSimilarityIndex();
+    index.prune(since);
+
+    const matches = [];
+    for (const reportId of index.candidates(probe.similarity, MAX_SIMILARITY_CANDIDATES)) {
+      if (reportId === candidate.id) continue;
+
+      const report = await this.adapter.getReport(reportId);
+      if (!report) continue;
+      if (options.excludeDuplicates && report.metadata.duplicateOf) continue;
+
+      const score = scoreSimilarity(probe, this.getSimilarityItem(report));
+      if (score >= threshold) {
+        matches.push({ report, score });
       }
-      
-      console.log(`Loaded ${this.reports.size} reports from disk`);
-    } catch (error) {
-      console.log('No existing reports found or failed to load');
     }
+
+    return matches
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
   }
 
-  // Load audit log
-  async loadAuditLog() {
-    try {
-      const auditDir = path.join(this.dataDir, 'audit');
-      const files = await fs.readdir(auditDir);
-      
-      for (const file of files) {
-        if (file.startsWith('audit-') && file.endsWith('.jsonl')) {
-          const filepath = path.join(auditDir, file);
-          const data = await fs.readFile(filepath, 'utf8');
-          const lines = data.trim().split('\n');
-          
-          for (const line of lines) {
-            if (line.trim()) {
-              this.auditLog.push(JSON.parse(line));
-            }
-          }
-        }
+  // Suggestions shown to a player before submitting: no descriptions or IDs
+  // of other players' reports, only enough to recognise the same issue
+  async findPublicDuplicateSuggestions(draft) {
+    const matches = await this.findSimilarReports(draft, { excludeDuplicates: true });
+
+    return matches.map(({ report, score }) => ({
+      category: report.category,
+      platform: report.platform,
+      status: report.metadata.status,
+      timestamp: report.metadata.timestamp,
+      mapRegion: report.gameContext?.mapRegion || null,
+      questName: report.gameContext?.questName || null,
+      duplicateCount: (report.metadata.duplicates || []).length,
+      score
+    }));
+  }
+
+  toDuplicateSummary(report, score) {
+    const description = this.decrypt(report.description) || '';
+    return {
+      id: report.id,
+      category: report.category,
+      platform: report.platform,
+      status: report.metadata.status,
+      timestamp: report.metadata.timestamp,
+      duplicateOf: report.metadata.duplicateOf || null,
+      excerpt: description.length > 160 ? `${description.slice(0, 160)}…` : description,
+      ...(score !== undefined && { score })
+    };
+  }
+
+  // Group recent reports into clusters of likely duplicates. Each cluster has
+  // a canonical master: the report others were merged into, else the oldest.
+  async getDuplicateClusters(options = {}) {
+    const threshold = options.threshold || DEFAULT_THRESHOLD;
+    const filter = {
+      from: options.since || this.getSimilarityWindowStart(),
+      category: options.category
+    };
+
+    const reports = [];
+    for await (const report of this.iterateReports(filter)) {
+      reports.push(report);
+      if (reports.length >= MAX_CLUSTER_SCAN) break;
+    }
+
+    // Union-find over similar pairs and existing merges
+    const parent = reports.map((report, index) => index);
+    const find = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
       }
-      
-      console.log(`Loaded ${this.auditLog.length} audit entries`);
-    } catch (error) {
-      console.log('No existing audit log found');
+      return index;
+    };
+    const union = (a, b) => {
+      parent[find(a)] = find(b);
+    };
+
+    const items = reports.map(report => this.getSimilarityItem(report));
+    for (const [a, b] of findCandidatePairs(items)) {
+      if (scoreSimilarity(items[a], items[b]) >= threshold) union(a, b);
+    }
+
+    const indexById = new Map(reports.map((report, index) => [report.id, index]));
+    reports.forEach((report, index) => {
+      const masterIndex = indexById.get(report.metadata.duplicateOf);
+      if (masterIndex !== undefined) union(index, masterIndex);
+    });
+
+    const groups = new Map();
+    reports.forEach((report, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(report);
+    });
+
+    const clusters = [];
+    for (const members of groups.values()) {
+      if (members.length < 2) continue;
+
+      // Reports arrive oldest first, so members[0] is the fallback master
+      const master = members.find(report => (report.metadata.duplicates || []).length > 0) || members[0];
+      const masterItem = this.getSimilarityItem(master);
+
+      clusters.push({
+        masterId: master.id,
+        size: members.length,
+        mergedCount: members.filter(report => report.metadata.duplicateOf === master.id).length,
+        reports: members.map(report => this.toDuplicateSummary(
+          report,
+          report === master ? undefined : scoreSimilarity(masterItem, this.getSimilarityItem(report))
+        ))
+      });
     }
+
+    return {
+      clusters: clusters.sort((a, b) => b.size - a.size),
+      scanned: reports.length,
+      truncated: reports.length >= MAX_CLUSTER_SCAN
+    };
   }
 
-  // Get statistics
-  getStatistics() {
-    const stats = {
-      totalReports: this.reports.size,
-      reportsByCategory: {},
-      reportsByPlatform: {},
-      reportsByStatus: {},
-      recentReports: 0
+  // Mark reports as duplicates of a master. Reports already merged into one
+  // of the duplicates move over to the new master. Every report involved is
+  // locked, and the merge is all-or-nothing: changes are worked out in
+  // memory first, and if a write fails the reports already written are put
+  // back as they were.
+  async mergeDuplicates(masterId, duplicateIds, adminId) {
+    const requested = [...new Set(duplicateIds)];
+
+    // A duplicate's previous master and its own duplicates change as well
+    const findLinked = async () => {
+      const linked = [];
+      for (const id of requested) {
+        const report = await this.adapter.getReport(id);
+        if (report) {
+          linked.push(report.metadata.duplicateOf, ...(report.metadata.duplicates || []));
+        }
+      }
+      return linked;
     };
 
-    const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    return this.withLinkedReportLocks([masterId, ...requested], findLinked,
+      () => this.mergeLockedDuplicates(masterId, requested, adminId));
+  }
+
+  async mergeLockedDuplicates(masterId, duplicateIds, adminId) {
+    const loaded = new Map(); // ID -> report being changed
+    const originals = new Map(); // ID -> report as stored
+    const changed = new Set();
+
+    // Each report is read once, so later steps see earlier changes
+    const load = async (id) => {
+      if (!loaded.has(id)) {
+        const report = await this.getVerifiedReport(id);
+        if (report) originals.set(id, JSON.parse(JSON.stringify(report)));
+        loaded.set(id, report);
+      }
+      return loaded.get(id);
+    };
+
+    const master = await load(masterId);
+    if (!master) {
+      throw new ReportRequestError('Report not found', 404);
+    }
+    if (master.metadata.duplicateOf) {
+      throw new ReportRequestError('Cannot merge into a report that is itself a duplicate');
+    }
+
+    const now = new Date().toISOString();
+    const masterDuplicates = new Set(master.metadata.duplicates || []);
+    const merged = [];
+    const failed = [];
+    const auditEntries = [];
 
-    for (const report of this.reports.values()) {
-      // Count by category
-      stats.reportsByCategory[report.category] = 
-        (stats.reportsByCategory[report.category] || 0) + 1;
+    for (const duplicateId of duplicateIds) {
+      if (duplicateId === masterId) {
+        failed.push({ id: duplicateId, error: 'Cannot merge a report into itself' });
+        continue;
+      }
+
+      let duplicate;
+      try {
+        duplicate = await load(duplicateId);
+      } catch (error) {
+        if (!(error instanceof ReportIntegrityError)) throw error;
+        failed.push({ id: duplicateId, error: 'Report failed its integrity check' });
+        continue;
+      }
+      if (!duplicate) {
+        failed.push({ id: duplicateId, error: 'Report not found' });
+        continue;
+      }
 
-      // Count by platform
-      stats.reportsByPlatform[report.platform] = 
-        (stats.reportsByPlatform[report.platform] || 0) + 1;
+      const previousMaster = duplicate.metadata.duplicateOf || null;
+      const previousStatus = duplicate.metadata.status;
+      const children = duplicate.metadata.duplicates || [];
 
-      // Count by status
-      stats.reportsByStatus[report.metadata.status] = 
-        (stats.reportsByStatus[report.metadata.status] || 0) + 1;
+      duplicate.metadata.status = 'duplicate';
+      duplicate.metadata.duplicateOf = masterId;
+      duplicate.metadata.duplicates = [];
+      duplicate.metadata.lastUpdated = now;
+      duplicate.metadata.updatedBy = adminId;
+      changed.add(duplicateId);
+
+      if (previousMaster && previousMaster !== masterId) {
+        const oldMaster = await load(previousMaster);
+        if (oldMaster) {
+          oldMaster.metadata.duplicates = (oldMaster.metadata.duplicates || []).filter(id => id !== duplicateId);
+          changed.add(previousMaster);
+        }
+      }
 
-      // Count recent reports
-      if (new Date(report.metadata.timestamp) > oneWeekAgo) {
-        stats.recentReports++;
+      for (const childId of children) {
+        const child = await load(childId);
+        if (child && child.id !== masterId) {
+          child.metadata.duplicateOf = masterId;
+          child.metadata.status = 'duplicate';
+          changed.add(childId);
+          masterDuplicates.add(childId);
+        }
       }
+
+      masterDuplicates.add(duplicateId);
+      merged.push(duplicateId);
+
+      auditEntries.push(this.createAuditEntry('MERGE_DUPLICATE', duplicateId, null, {
+        masterId,
+        previousMaster,
+        previousStatus,
+        movedChildren: children.length,
+        adminId
+      }));
     }
 
-    return stats;
+    masterDuplicates.delete(masterId);
+    master.metadata.duplicates = [...masterDuplicates];
+    master.metadata.lastUpdated = now;
+    master.metadata.updatedBy = adminId;
+    changed.add(masterId);
+
+    const written = [];
+    try {
+      for (const id of changed) {
+        await this.updateStoredReport(loaded.get(id));
+        written.push(id);
+      }
+    } catch (error) {
+      // The stored originals still carry their own valid signatures
+      for (const id of written.reverse()) {
+        try {
+          await this.adapter.updateReport(originals.get(id));
+        } catch (restoreError) {
+          console.error(`Failed to restore report ${id} after a failed merge:`, restoreError);
+        }
+      }
+      throw error;
+    }
+
+    await this.persistAuditEntries(auditEntries);
+
+    return { masterId, merged, failed, duplicates: master.metadata.duplicates };
+  }
+
+  // Get statistics
+  async getStatistics() {
+    const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    return this.adapter.getStatistics(oneWeekAgo);
   }
 
   // Backup data
@@ -411,16 +1540,20 @@ class SecureStorage {
       await fs.mkdir(backupDir, { recursive: true });
       
       // Backup reports
-      const reportsBackup = Array.from(this.reports.values());
+      const reportsBackup = [];
+      for await (const report of this.iterateReports()) {
+        reportsBackup.push(report);
+      }
       await fs.writeFile(
         path.join(backupDir, 'reports.json'),
         JSON.stringify(reportsBackup, null, 2)
       );
 
       // Backup audit log
+      const auditBackup = await this.adapter.queryAudit();
       await fs.writeFile(
         path.join(backupDir, 'audit.json'),
-        JSON.stringify(this.auditLog, null, 2)
+        JSON.stringify(auditBackup, null, 2)
       );
 
       console.log(`Backup created: ${backupDir}`);
@@ -432,10 +1565,24 @@ class SecureStorage {
   }
 }
 
-// Create singleton instance
-const secureStorage = new SecureStorage();
+// Create singleton instance. Bad key settings stop the process with just the
+// message, which says how to fix them, rather than a stack trace.
+const createSecureStorage = () => {
+  try {
+    return new SecureStorage();
+  } catch (error) {
+    if (!(error instanceof KeyConfigurationError)) throw error;
+    console.error(`Configuration error: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+const secureStorage = createSecureStorage();
 
 module.exports = {
   secureStorage,
-  SecureStorage
+  SecureStorage,
+  ReportIntegrityError,
+  ReportRequestError,
+  KeyConfigurationError
 }; 
\ No newline at end of file
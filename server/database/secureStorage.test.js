@@ -0,0 +1,565 @@
+process.env.DATABASE_URL = 'memory:';
+process.env.ENCRYPTION_KEY = 'a'.repeat(64);
+process.env.AUDIT_HMAC_KEY = 'c'.repeat(64);
+process.env.REPORT_HMAC_KEY = 'd'.repeat(64);
+
+const { SecureStorage, ReportIntegrityError, ReportRequestError, KeyConfigurationError } = require('./secureStorage');
+const { MemoryStorageAdapter } = require('./adapters/memoryAdapter');
+const { MAX_BULK_REPORTS } = require('../config/reportLifecycle');
+
+const createStorage = async () => {
+  const storage = new SecureStorage({ adapter: new MemoryStorageAdapter() });
+  await storage.ready;
+  return storage;
+};
+
+const submitReport = async (storage, overrides = {}) => {
+  const { reportId } = await storage.saveBugReport({
+    category: 'visual-glitch',
+    description: 'Rover clips through the floor near the Jinzhou gate',
+    platform: 'pc',
+    ip: '127.0.0.1',
+    ...overrides
+  }, 'session-1');
+  return reportId;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('report locks', () => {
+  it('keeps every comment when several are added at once', async () => {
+    const storage = await createStorage();
+    const reportId = await submitReport(storage);
+
+    await Promise.all([1, 2, 3, 4, 5].map(n => storage.addComment(reportId, {
+      authorType: 'reporter',
+      body: `Comment ${n}`,
+      sessionId: 'session-1'
+    })));
+
+    const comments = await storage.getPublicComments(reportId);
+    expect(comments.map(comment => comment.body).sort())
+      .toEqual(['Comment 1', 'Comment 2', 'Comment 3', 'Comment 4', 'Comment 5']);
+  });
+
+  it('releases the lock when the task fails', async () => {
+    const storage = await createStorage();
+
+    await expect(storage.withReportLocks(['A'], async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+    await expect(storage.withReportLocks(['A'], async () => 'next')).resolves.toBe('next');
+    expect(storage.reportLocks.size).toBe(0);
+  });
+});
+
+describe('comments', () => {
+  it('refuses a comment past the thread limit as a conflict', async () => {
+    const storage = await createStorage();
+    const reportId = await submitReport(storage);
+    for (let n = 0; n < 100; n++) {
+      await storage.addComment(reportId, { authorType: 'reporter', body: `Comment ${n}`, sessionId: 'session-1' });
+    }
+
+    const refused = storage.addComment(reportId, { authorType: 'reporter', body: 'One more', sessionId: 'session-1' });
+    await expect(refused).rejects.toThrow(ReportRequestError);
+    await expect(refused).rejects.toMatchObject({ status: 409, message: 'Comment limit reached for this report' });
+  });
+
+  it('answers a comment on a missing report with not found', async () => {
+    const storage = await createStorage();
+
+    await expect(storage.addComment('WUWA-MISSING-00000000', { authorType: 'triager', authorId: 'alice', body: 'Hi' }))
+      .rejects.toMatchObject({ name: 'ReportRequestError', status: 404 });
+  });
+});
+
+describe('updateReportIfUnchanged', () => {
+  it('re-applies the change when another writer saved the report first', async () => {
+    const storage = await createStorage();
+    const reportId = await submitReport(storage);
+    let calls = 0;
+
+    const updated = await storage.updateReportIfUnchanged(reportId, (report) => {
+      calls++;
+      if (calls === 1) {
+        // The server changes the report while this writer is working on it
+        return storage.updateReportTriage(reportId, { priority: 'P1' }, 'alice');
+      }
+      report.files.push({ storedName: 'clip.mp4' });
+    });
+
+    expect(calls).toBe(2);
+    const stored = await storage.getBugReport(reportId, true);
+    expect(stored.triage.priority).toBe('P1');
+    expect(stored.files).toEqual([{ storedName: 'clip.mp4' }]);
+    expect(updated.integrity).toEqual((await storage.adapter.getReport(reportId)).integrity);
+  });
+});
+
+describe('triage updates', () => {
+  it('keeps both changes when two triagers save at once', async () => {
+    const storage = await createStorage();
+    const reportId = await submitReport(storage);
+
+    await Promise.all([
+      storage.updateReportTriage(reportId, { priority: 'P1' }, 'alice'),
+      storage.updateReportTriage(reportId, { severity: 'major', labels: ['Crash'] }, 'bob')
+    ]);
+
+    const { triage } = await storage.getBugReport(reportId, true);
+    expect(triage).toMatchObject({ priority: 'P1', severity: 'major', labels: ['crash'] });
+  });
+
+  it('checks each status move against the status it replaces', async () => {
+    const storage = await createStorage();
+    const reportId = await submitReport(storage);
+
+    // pending -> resolved and pending -> needs-info are both allowed, but
+    // resolved -> needs-info is not, so only the first one may win
+    const outcomes = await Promise.allSettled([
+      storage.updateReportTriage(reportId, { status: 'resolved' }, 'alice'),
+      storage.updateReportTriage(reportId, { status: 'needs-info' }, 'bob')
+    ]);
+
+    expect(outcomes.map(outcome => outcome.status)).toEqual(['fulfilled', 'rejected']);
+    expect(outcomes[1].reason.message).toBe('Cannot move a report from resolved to needs-info');
+    expect(outcomes[1].reason).toMatchObject({ name: 'ReportRequestError', status: 409 });
+    expect((await storage.getBugReport(reportId)).status).toBe('resolved');
+  });
+
+  it('refuses to mark a report as duplicate directly', async () => {
+    const storage = await createStorage();
+    const reportId = await submitReport(storage);
+
+    await expect(storage.updateReportTriage(reportId, { status: 'duplicate' }, 'alice'))
+      .rejects.toThrow('merge it into the original instead');
+  });
+
+  it('audits each changed field and keeps the resolution note encrypted', async () => {
+    const storage = await createStorage();
+    const reportId = await submitReport(storage);
+
+    const updated = await storage.updateReportTriage(reportId, {
+      status: 'in-review',
+      assignee: 'alice',
+      resolutionNote: 'Fixed in 1.4'
+    }, 'alice');
+    expect(updated.triage.resolutionNote).toBe('Fixed in 1.4');
+
+    const stored = await storage.adapter.getReport(reportId);
+    expect(stored.triage.resolutionNote).not.toBe('Fixed in 1.4');
+
+    const entries = await storage.adapter.queryAudit({ reportId });
+    expect(entries.map(entry => [entry.action, entry.details.field])).toEqual([
+      ['CREATE_REPORT', undefined],
+      ['UPDATE_STATUS', undefined],
+      ['UPDATE_TRIAGE_FIELD', 'assignee'],
+      ['UPDATE_TRIAGE_FIELD', 'resolutionNote']
+    ]);
+  });
+});
+
+describe('mergeDuplicates', () => {
+  it('moves reports merged into a duplicate over to the new master', async () => {
+    const storage = await createStorage();
+    const [master, duplicate, child] = [
+      await submitReport(storage),
+      await submitReport(storage),
+      await submitReport(storage)
+    ];
+
+    await storage.mergeDuplicates(duplicate, [child], 'alice');
+    const result = await storage.mergeDuplicates(master, [duplicate], 'alice');
+
+    expect(result.merged).toEqual([duplicate]);
+    expect(result.duplicates.sort()).toEqual([duplicate, child].sort());
+    const stored = await storage.adapter.getReport(child);
+    expect(stored.metadata).toMatchObject({ status: 'duplicate', duplicateOf: master });
+  });
+
+  it('puts back every report already written when a write fails', async () => {
+    const storage = await createStorage();
+    const master = await submitReport(storage);
+    const duplicates = [await submitReport(storage), await submitReport(storage)];
+    const before = await Promise.all([master, ...duplicates].map(id => storage.adapter.getReport(id)));
+
+    const updateReport = storage.adapter.updateReport.bind(storage.adapter);
+    let writes = 0;
+    jest.spyOn(storage.adapter, 'updateReport').mockImplementation(async (report) => {
+      writes++;
+      if (writes === 2) throw new Error('disk full');
+      return updateReport(report);
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(storage.mergeDuplicates(master, duplicates, 'alice')).rejects.toThrow('disk full');
+
+    const after = await Promise.all([master, ...duplicates].map(id => storage.adapter.getReport(id)));
+    expect(after).toEqual(before);
+    const entries = await storage.adapter.queryAudit({ action: 'MERGE_DUPLICATE' });
+    expect(entries).toHaveLength(0);
+  });
+
+  it('does not lose a comment added while the report is being merged', async () => {
+    const storage = await createStorage();
+    const master = await submitReport(storage);
+    const duplicate = await submitReport(storage);
+
+    await Promise.all([
+      storage.mergeDuplicates(master, [duplicate], 'alice'),
+      storage.addComment(duplicate, { authorType: 'triager', authorId: 'bob', body: 'Same as the gate bug' })
+    ]);
+
+    const stored = await storage.getBugReport(duplicate, true);
+    expect(stored.metadata.duplicateOf).toBe(master);
+    expect(stored.comments).toHaveLength(1);
+  });
+});
+
+describe('report history', () => {
+  const assertHistory = async (adapter) => {
+    const storage = new SecureStorage({ adapter });
+    await storage.ready;
+    const master = await submitReport(storage);
+    const duplicate = await submitReport(storage);
+
+    await storage.mergeDuplicates(master, [duplicate], 'alice');
+
+    expect((await storage.getReportHistory(master)).map(event => [event.action, event.reportId]))
+      .toEqual([['CREATE_REPORT', master], ['MERGE_DUPLICATE', duplicate]]);
+    expect((await storage.getPublicStatusHistory(master)).map(event => event.status)).toEqual(['pending']);
+    expect((await storage.getPublicStatusHistory(duplicate)).map(event => event.status))
+      .toEqual(['pending', 'duplicate']);
+  };
+
+  it('lists merges on both reports, but shows the reporter only their own', async () => {
+    await assertHistory(new MemoryStorageAdapter());
+  });
+
+  it('reads the same history from the file store\'s report index', async () => {
+    const os = require('os');
+    const fsPromises = require('fs').promises;
+    const path = require('path');
+    const { FileStorageAdapter } = require('./adapters/fileAdapter');
+
+    const dataDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'report-history-'));
+    try {
+      await assertHistory(new FileStorageAdapter({ dataDir }));
+    } finally {
+      await fsPromises.rm(dataDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('findSimilarReports', () => {
+  it('finds reports through the index, including ones saved after it was built', async () => {
+    const storage = await createStorage();
+    const first = await submitReport(storage);
+    await submitReport(storage, { description: 'Background music stops during the Tacet Field boss fight' });
+
+    const draft = { description: 'Rover clips through the floor near the Jinzhou gate', category: 'visual-glitch', platform: 'pc' };
+    expect((await storage.findSimilarReports(draft)).map(match => match.report.id)).toEqual([first]);
+
+    const second = await submitReport(storage);
+    await storage.discardBugReport(first, 'session-1', 'test');
+
+    expect((await storage.findSimilarReports(draft)).map(match => match.report.id)).toEqual([second]);
+  });
+});
+
+describe('audit log', () => {
+  it('stays one valid chain when two processes append to the same files', async () => {
+    const os = require('os');
+    const fsPromises = require('fs').promises;
+    const path = require('path');
+    const { FileStorageAdapter } = require('./adapters/fileAdapter');
+
+    const dataDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'audit-chain-'));
+    try {
+      const [server, script] = await Promise.all([1, 2].map(async () => {
+        const storage = new SecureStorage({ adapter: new FileStorageAdapter({ dataDir }) });
+        await storage.ready;
+        return storage;
+      }));
+
+      await Promise.all([server, script].flatMap((storage, n) => [1, 2, 3, 4, 5].map(i =>
+        storage.persistAuditEntry(storage.createAuditEntry('TEST', null, null, { writer: n, i }))
+      )));
+
+      const result = await server.verifyAuditLog();
+      expect(result).toMatchObject({ valid: true, chainedEntries: 10 });
+    } finally {
+      await fsPromises.rm(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  it('rethrows audit write failures', async () => {
+    const storage = await createStorage();
+    jest.spyOn(storage.adapter, 'appendAudit').mockRejectedValue(new Error('read-only file system'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(storage.persistAuditEntry(storage.createAuditEntry('TEST', null, null)))
+      .rejects.toThrow('read-only file system');
+  });
+
+  it('takes a report back out when its audit entry cannot be written', async () => {
+    const storage = await createStorage();
+    jest.spyOn(storage.adapter, 'appendAudit').mockRejectedValue(new Error('read-only file system'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(submitReport(storage)).rejects.toThrow('read-only file system');
+    expect(storage.adapter.reports.size).toBe(0);
+  });
+});
+
+describe('report integrity', () => {
+  // Rewrite a stored report the way it looked before reports were signed
+  const makeLegacy = async (storage, reportId, change = () => {}) => {
+    const report = await storage.adapter.getReport(reportId);
+    report.integrity = storage.computeLegacyHash(report);
+    change(report);
+    await storage.adapter.updateReport(report);
+  };
+
+  it('signs the whole record and refuses a tampered one', async () => {
+    const storage = await createStorage();
+    const reportId = await submitReport(storage);
+
+    const stored = await storage.adapter.getReport(reportId);
+    expect(stored.integrity).toMatchObject({ method: 'hmac-sha256', keyId: storage.reportKeys.currentId });
+    expect(storage.checkReportIntegrity(stored).valid).toBe(true);
+
+    stored.metadata.status = 'resolved';
+    await storage.adapter.updateReport(stored);
+
+    await expect(storage.getBugReport(reportId)).rejects.toThrow(ReportIntegrityError);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect((await storage.listBugReports()).reports).toHaveLength(0);
+  });
+
+  it('refuses a signature made with an unknown key', async () => {
+    const storage = await createStorage();
+    const reportId = await submitReport(storage);
+    const stored = await storage.adapter.getReport(reportId);
+    stored.integrity.keyId = 'retired';
+
+    expect(storage.checkReportIntegrity(stored))
+      .toMatchObject({ valid: false, legacy: false, reason: 'Signed with unknown key retired' });
+  });
+
+  it('serves and flags legacy reports whose hash matches', async () => {
+    const storage = await createStorage();
+    const reportId = await submitReport(storage);
+    await makeLegacy(storage, reportId);
+
+    expect((await storage.getBugReport(reportId)).status).toBe('pending');
+    const [listed] = (await storage.listBugReports()).reports;
+    expect(listed).toMatchObject({ id: reportId, legacyIntegrity: true });
+  });
+
+  it('signs a legacy report properly on its next update', async () => {
+    const storage = await createStorage();
+    const reportId = await submitReport(storage);
+    await makeLegacy(storage, reportId);
+
+    const updated = await storage.updateReportTriage(reportId, { priority: 'P2' }, 'alice');
+    expect(updated.legacyIntegrity).toBe(false);
+    expect(storage.checkReportIntegrity(await storage.adapter.getReport(reportId)).valid).toBe(true);
+  });
+
+  it('refuses legacy reports whose hash no longer matches', async () => {
+    const storage = await createStorage();
+    const reportId = await submitReport(storage);
+    await makeLegacy(storage, reportId, report => {
+      report.category = 'crash-freeze';
+    });
+
+    await expect(storage.getBugReport(reportId)).rejects.toThrow('Does not match its legacy hash');
+  });
+
+  it('re-signs matching legacy reports during key rotation and leaves the rest alone', async () => {
+    const storage = await createStorage();
+    const intact = await submitReport(storage);
+    const edited = await submitReport(storage);
+    await makeLegacy(storage, intact);
+    await makeLegacy(storage, edited, report => {
+      report.platform = 'ios';
+    });
+    const editedBefore = await storage.adapter.getReport(edited);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await storage.rotateEncryptionKeys();
+
+    expect(result).toMatchObject({ scanned: 2, rotated: 1, resignedLegacy: 1, failed: [edited] });
+    expect(storage.checkReportIntegrity(await storage.adapter.getReport(intact)).valid).toBe(true);
+    expect(await storage.adapter.getReport(edited)).toEqual(editedBefore);
+  });
+});
+
+describe('bulkUpdateReports', () => {
+  it('previews a change without writing anything', async () => {
+    const storage = await createStorage();
+    const reportIds = [await submitReport(storage), await submitReport(storage)];
+    const before = await Promise.all(reportIds.map(id => storage.adapter.getReport(id)));
+    const auditSize = storage.adapter.auditLog.length;
+
+    const preview = await storage.bulkUpdateReports({ reportIds }, { status: 'in-review' }, 'alice', { dryRun: true });
+
+    expect(preview).toMatchObject({ batchId: null, dryRun: true, matched: 2, updated: 2 });
+    expect(await Promise.all(reportIds.map(id => storage.adapter.getReport(id)))).toEqual(before);
+    expect(storage.adapter.auditLog).toHaveLength(auditSize);
+  });
+
+  it('updates what it can, reports the rest and tags the audit entries with the batch', async () => {
+    const storage = await createStorage();
+    const pending = await submitReport(storage);
+    const resolved = await submitReport(storage);
+    await storage.updateReportTriage(resolved, { status: 'resolved' }, 'alice');
+    const needsInfo = await submitReport(storage);
+    await storage.updateReportTriage(needsInfo, { status: 'needs-info' }, 'alice');
+
+    const result = await storage.bulkUpdateReports(
+      { reportIds: [pending, resolved, needsInfo, 'WUWA-MISSING-00000000'] },
+      { status: 'needs-info' },
+      'bob'
+    );
+
+    expect(result).toMatchObject({ dryRun: false, matched: 4, updated: 1, unchanged: 1, failed: 2 });
+    expect(result.results.find(item => item.id === resolved))
+      .toMatchObject({ outcome: 'failed', error: 'Cannot move a report from resolved to needs-info' });
+    expect(result.batchId).toEqual(expect.any(String));
+
+    const batch = await storage.adapter.queryAudit({ batchId: result.batchId });
+    expect(batch.map(entry => [entry.action, entry.reportId])).toEqual([
+      ['UPDATE_STATUS', pending],
+      ['BULK_UPDATE_REPORTS', null]
+    ]);
+  });
+
+  it('adds and removes labels without replacing the others', async () => {
+    const storage = await createStorage();
+    const reportId = await submitReport(storage);
+    await storage.updateReportTriage(reportId, { labels: ['map', 'ui'] }, 'alice');
+
+    await storage.bulkUpdateReports({ reportIds: [reportId] }, { addLabels: ['Crash'], removeLabels: ['ui'] }, 'bob');
+
+    expect((await storage.getBugReport(reportId, true)).triage.labels).toEqual(['map', 'crash']);
+  });
+
+  it('accepts a filter matching exactly the maximum and refuses one more', async () => {
+    const storage = await createStorage();
+    const matching = (count) => async function* () {
+      for (let i = 0; i < count; i++) yield { id: `WUWA-TEST-${i}` };
+    };
+
+    storage.iterateReports = matching(MAX_BULK_REPORTS);
+    await expect(storage.findReportIds({ status: 'pending' })).resolves.toHaveLength(MAX_BULK_REPORTS);
+
+    storage.iterateReports = matching(MAX_BULK_REPORTS + 1);
+    await expect(storage.findReportIds({ status: 'pending' })).rejects.toThrow('Cannot update more than');
+  });
+});
+
+describe('encryption', () => {
+  const OLD_KEY = 'a'.repeat(64);
+  const NEW_KEY = 'b'.repeat(64);
+
+  // A storage instance configured with other keys, sharing `adapter`
+  const withKeys = async (env, adapter) => {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    try {
+      const storage = new SecureStorage({ adapter });
+      await storage.ready;
+      return storage;
+    } finally {
+      process.env = saved;
+    }
+  };
+
+  it('round-trips values with a fresh IV each time', async () => {
+    const storage = await createStorage();
+    const first = storage.encrypt('UID 800123456');
+    const second = storage.encrypt('UID 800123456');
+
+    expect(first).toMatchObject({ keyId: storage.keyId });
+    expect(first).not.toEqual(second);
+    expect(storage.decrypt(first)).toBe('UID 800123456');
+  });
+
+  it('names the setting and how to generate a key when one is malformed', async () => {
+    const storage = await createStorage();
+    expect(() => storage.parseKey('not-hex', 'ENCRYPTION_KEY')).toThrow(KeyConfigurationError);
+    expect(() => storage.parseKey('not-hex', 'ENCRYPTION_KEY'))
+      .toThrow('ENCRYPTION_KEY must be 64 hex characters (32 bytes); generate one with: openssl rand -hex 32');
+    await expect(withKeys({ PREVIOUS_ENCRYPTION_KEYS: `${OLD_KEY},short` }, new MemoryStorageAdapter()))
+      .rejects.toThrow('PREVIOUS_ENCRYPTION_KEYS entry 2 must be 64 hex characters');
+  });
+
+  it('refuses to sign audit checkpoints with the env file placeholder', async () => {
+    await expect(withKeys({ AUDIT_HMAC_KEY: 'replace-with-the-output-of-openssl-rand-hex-32' }, new MemoryStorageAdapter()))
+      .rejects.toThrow('AUDIT_HMAC_KEY must be 64 hex characters');
+  });
+
+  it('refuses to sign reports with the env file placeholder', async () => {
+    await expect(withKeys({ REPORT_HMAC_KEY: 'your-report-integrity-hmac-key-change-this' }, new MemoryStorageAdapter()))
+      .rejects.toThrow('REPORT_HMAC_KEY must be 64 hex characters');
+  });
+
+  it('reads old records with a previous key and moves them to the new one', async () => {
+    const adapter = new MemoryStorageAdapter();
+    const before = await withKeys({ ENCRYPTION_KEY: OLD_KEY }, adapter);
+    const reportId = await submitReport(before, { gameContext: { uid: '800123456' } });
+
+    const during = await withKeys({ ENCRYPTION_KEY: NEW_KEY, PREVIOUS_ENCRYPTION_KEYS: OLD_KEY }, adapter);
+    expect((await during.getBugReport(reportId, true)).description)
+      .toBe('Rover clips through the floor near the Jinzhou gate');
+
+    expect(await during.rotateEncryptionKeys()).toMatchObject({ scanned: 1, rotated: 1, failed: [] });
+    const stored = await adapter.getReport(reportId);
+    expect(stored.description.keyId).toBe(during.keyId);
+    expect(stored.gameContext.uid.keyId).toBe(during.keyId);
+
+    const after = await withKeys({ ENCRYPTION_KEY: NEW_KEY }, adapter);
+    expect((await after.getBugReport(reportId, true)).gameContext.uid).toBe('800123456');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(before.decrypt(stored.description)).toBeNull();
+  });
+
+  describe('records written by the xor-demo scheme', () => {
+    // Reports saved by the original storage code with ENCRYPTION_KEY unset,
+    // set to the old env.example placeholder, or set to a hex key
+    const baseline = require('./__fixtures__/baselineReports.json');
+    const PLACEHOLDER = 'your-32-character-encryption-key-here-change-this-in-production';
+    const HEX_KEY = '0123456789abcdef'.repeat(4);
+
+    const migrate = async (record, env) => {
+      const adapter = new MemoryStorageAdapter();
+      await adapter.saveReport(JSON.parse(JSON.stringify(record)));
+      const storage = await withKeys(env, adapter);
+
+      expect(await storage.rotateEncryptionKeys())
+        .toMatchObject({ scanned: 1, rotated: 1, resignedLegacy: 1, failed: [] });
+      return storage.getBugReport(record.id, true);
+    };
+
+    it.each([
+      ['the default key', baseline.unset, { ENCRYPTION_KEY: NEW_KEY, LEGACY_ENCRYPTION_KEY: 'default' }],
+      ['the old placeholder', baseline.placeholder, { ENCRYPTION_KEY: NEW_KEY, LEGACY_ENCRYPTION_KEY: PLACEHOLDER }],
+      ['a hex key', baseline.hex, { ENCRYPTION_KEY: NEW_KEY, LEGACY_ENCRYPTION_KEY: HEX_KEY }],
+      ['a hex key still set as ENCRYPTION_KEY', baseline.hex, { ENCRYPTION_KEY: HEX_KEY }]
+    ])('reads and migrates records written under %s', async (name, record, env) => {
+      const report = await migrate(record, env);
+
+      expect(report.description).toBe('Rover clips through the floor near the Jinzhou gate');
+      expect(report.metadata.userAgent).toBe('Mozilla/5.0 (Windows NT 10.0)');
+    });
+  });
+});
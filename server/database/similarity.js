@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+
+// MinHash similarity over report descriptions.
+//
+// Each report stores a signature: the minimum of NUM_HASHES keyed hash
+// permutations over the character shingles of its description. The share of
+// equal positions in two signatures estimates the Jaccard similarity of the
+// texts, so duplicates can be found without decrypting every description.
+// Hashes are keyed with IP_SALT so signatures can't be brute-forced back into
+// common phrases.
+const SIGNATURE_VERSION = 1;
+const NUM_HASHES = 64;
+const SHINGLE_SIZE = 4;
+
+// Locality-sensitive hashing: reports sharing any band are compared
+const BANDS = 16;
+const ROWS_PER_BAND = NUM_HASHES / BANDS;
+
+// Weights of the combined score; text dominates, context breaks ties
+const WEIGHTS = {
+  text: 0.65,
+  category: 0.1,
+  platform: 0.05,
+  context: 0.2
+};
+
+const CONTEXT_FIELDS = ['gameVersion', 'serverRegion', 'character', 'mapRegion', 'questName'];
+
+const DEFAULT_THRESHOLD = 0.55;
+
+const getHashKey = () => process.env.IP_SALT || 'default-salt';
+
+// Per-position seeds for the hash permutations, derived once from the key
+let seedCache = null;
+const getSeeds = () => {
+  const key = getHashKey();
+  if (!seedCache || seedCache.key !== key) {
+    const bytes = crypto.createHmac('sha256', key).update('minhash-seeds').digest();
+    const seeds = new Uint32Array(NUM_HASHES);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      seeds[i] = bytes.readUInt32LE((i * 4) % 32) ^ Math.imul(i + 1, 0x9e3779b1);
+    }
+    seedCache = { key, seeds };
+  }
+  return seedCache.seeds;
+};
+
+// murmur3 finalizer: cheap, well-mixed 32-bit permutation
+const mix32 = (value) => {
+  let h = value >>> 0;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+// Lowercase, drop HTML entities left by input escaping and punctuation, and
+// collapse whitespace. Works for any script since it keeps all letters/digits.
+const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, ' ')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+const shingle = (text) => {
+  const normalized = normalizeText(text);
+  const shingles = new Set();
+  if (!normalized) return shingles;
+
+  if (normalized.length <= SHINGLE_SIZE) {
+    shingles.add(normalized);
+    return shingles;
+  }
+  for (let i = 0; i <= normalized.length - SHINGLE_SIZE; i++) {
+    shingles.add(normalized.slice(i, i + SHINGLE_SIZE));
+  }
+  return shingles;
+};
+
+const computeSignature = (text) => {
+  const shingles = shingle(text);
+  if (shingles.size === 0) return null;
+
+  const seeds = getSeeds();
+  const key = getHashKey();
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+
+  for (const value of shingles) {
+    const base = crypto.createHmac('sha256', key).update(value).digest().readUInt32LE(0);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const hashed = mix32(base ^ seeds[i]);
+      if (hashed < signature[i]) signature[i] = hashed;
+    }
+  }
+
+  return { version: SIGNATURE_VERSION, signature };
+};
+
+const estimateTextSimilarity = (a, b) => {
+  if (!a || !b || a.version !== b.version) return 0;
+
+  let equal = 0;
+  for (let i = 0; i < NUM_HASHES; i++) {
+    if (a.signature[i] === b.signature[i]) equal++;
+  }
+  return equal / NUM_HASHES;
+};
+
+// Share of context fields, among those both reports filled in, that agree
+const contextSimilarity = (a = {}, b = {}) => {
+  let compared = 0;
+  let matched = 0;
+
+  for (const field of CONTEXT_FIELDS) {
+    if (a[field] && b[field]) {
+      compared++;
+      if (String(a[field]).toLowerCase() === String(b[field]).toLowerCase()) matched++;
+    }
+  }
+
+  return compared === 0 ? null : matched / compared;
+};
+
+// Items are { category, platform, gameContext, similarity } as stored on reports
+const scoreSimilarity = (a, b) => {
+  const text = estimateTextSimilarity(a.similarity, b.similarity);
+  const context = contextSimilarity(a.gameContext || {}, b.gameContext || {});
+
+  // Without comparable context, spread its weight over the text score
+  const textWeight = context === null ? WEIGHTS.text + WEIGHTS.context : WEIGHTS.text;
+
+  const score = text * textWeight +
+    (a.category === b.category ? WEIGHTS.category : 0) +
+    (a.platform === b.platform ? WEIGHTS.platform : 0) +
+    (context === null ? 0 : context * WEIGHTS.context);
+
+  return Math.round(score * 1000) / 1000;
+};
+
+const bandKeys = (similarity) => {
+  if (!similarity) return [];
+
+  const keys = [];
+  for (let band = 0; band < BANDS; band++) {
+    const rows = similarity.signature.slice(band * ROWS_PER_BAND, (band + 1) * ROWS_PER_BAND);
+    keys.push(`${similarity.version}:${band}:${rows.join('.')}`);
+  }
+  return keys;
+};
+
+// Pairs of item indexes worth scoring: those sharing at least one LSH band
+const findCandidatePairs = (items) => {
+  const buckets = new Map();
+  const pairs = new Set();
+
+  items.forEach((item, index) => {
+    for (const key of bandKeys(item.similarity)) {
+      const bucket = buckets.get(key);
+      if (bucket) {
+        for (const other of bucket) pairs.add(`${other}:${index}`);
+        bucket.push(index);
+      } else {
+        buckets.set(key, [index]);
+      }
+    }
+  });
+
+  return [...pairs].map(pair => pair.split(':').map(Number));
+};
+
+// In-memory LSH index of stored reports, so a lookup scores only the
+// reports sharing a band with the probe instead of scanning them all
+class SimilarityIndex {
+  constructor() {
+    this.buckets = new Map(); // Band key -> Set of report IDs
+    this.entries = new Map(); // Report ID -> { keys, timestamp }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  add(reportId, similarity, timestamp) {
+    if (this.entries.has(reportId)) return;
+
+    const keys = bandKeys(similarity);
+    this.entries.set(reportId, { keys, timestamp });
+    for (const key of keys) {
+      if (!this.buckets.has(key)) this.buckets.set(key, new Set());
+      this.buckets.get(key).add(reportId);
+    }
+  }
+
+  remove(reportId) {
+    const entry = this.entries.get(reportId);
+    if (!entry) return;
+
+    this.entries.delete(reportId);
+    for (const key of entry.keys) {
+      const bucket = this.buckets.get(key);
+      bucket.delete(reportId);
+      if (bucket.size === 0) this.buckets.delete(key);
+    }
+  }
+
+  // Drop reports older than `since` (an ISO timestamp)
+  prune(since) {
+    for (const [reportId, entry] of this.entries) {
+      if (entry.timestamp < since) this.remove(reportId);
+    }
+  }
+
+  // IDs of reports sharing at least one band with `similarity`, those
+  // sharing the most bands first, at most `limit` of them
+  candidates(similarity, limit = Infinity) {
+    const shared = new Map();
+    for (const key of bandKeys(similarity)) {
+      for (const reportId of this.buckets.get(key) || []) {
+        shared.set(reportId, (shared.get(reportId) || 0) + 1);
+      }
+    }
+
+    return [...shared]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([reportId]) => reportId);
+  }
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  computeSignature,
+  estimateTextSimilarity,
+  scoreSimilarity,
+  findCandidatePairs,
+  SimilarityIndex
+};
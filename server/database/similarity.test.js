@@ -0,0 +1,107 @@
+const {
+  computeSignature,
+  estimateTextSimilarity,
+  scoreSimilarity,
+  findCandidatePairs,
+  SimilarityIndex
+} = require('./similarity');
+
+const GATE_BUG = 'Rover falls through the floor next to the Jinzhou city gate after a fast travel';
+const GATE_BUG_REWORDED = 'After fast travel Rover falls through the floor next to the Jinzhou city gate';
+const AUDIO_BUG = 'Background music stops playing during the Tacet Field boss fight on PlayStation';
+
+describe('computeSignature', () => {
+  it('is stable for the same text, ignoring case and punctuation', () => {
+    expect(computeSignature(GATE_BUG)).toEqual(computeSignature(`${GATE_BUG.toUpperCase()}!!`));
+  });
+
+  it('returns null for text without letters or digits', () => {
+    expect(computeSignature('  ...  ')).toBeNull();
+  });
+
+  it('depends on IP_SALT', () => {
+    const original = process.env.IP_SALT;
+    process.env.IP_SALT = 'one-salt';
+    const first = computeSignature(GATE_BUG);
+    process.env.IP_SALT = 'another-salt';
+    const second = computeSignature(GATE_BUG);
+    process.env.IP_SALT = original;
+
+    expect(first.signature).not.toEqual(second.signature);
+  });
+});
+
+describe('estimateTextSimilarity', () => {
+  it('rates reworded descriptions well above unrelated ones', () => {
+    const gate = computeSignature(GATE_BUG);
+    const reworded = estimateTextSimilarity(gate, computeSignature(GATE_BUG_REWORDED));
+    const unrelated = estimateTextSimilarity(gate, computeSignature(AUDIO_BUG));
+
+    expect(estimateTextSimilarity(gate, gate)).toBe(1);
+    expect(reworded).toBeGreaterThan(0.5);
+    expect(unrelated).toBeLessThan(0.2);
+  });
+
+  it('treats signatures of different versions as unrelated', () => {
+    const gate = computeSignature(GATE_BUG);
+    expect(estimateTextSimilarity(gate, { ...gate, version: gate.version + 1 })).toBe(0);
+  });
+});
+
+describe('scoreSimilarity', () => {
+  const item = (description, extra = {}) => ({
+    category: 'visual-glitch',
+    platform: 'pc',
+    similarity: computeSignature(description),
+    ...extra
+  });
+
+  it('adds agreeing context to the text score', () => {
+    const context = { mapRegion: 'Jinzhou', character: 'Rover' };
+    const withContext = scoreSimilarity(item(GATE_BUG, { gameContext: context }),
+      item(GATE_BUG_REWORDED, { gameContext: context }));
+    const conflicting = scoreSimilarity(item(GATE_BUG, { gameContext: context }),
+      item(GATE_BUG_REWORDED, { gameContext: { mapRegion: 'Huanglong', character: 'Calcharo' } }));
+
+    expect(withContext).toBeGreaterThan(conflicting);
+  });
+
+  it('scores identical reports as 1', () => {
+    expect(scoreSimilarity(item(GATE_BUG), item(GATE_BUG))).toBe(1);
+  });
+});
+
+describe('findCandidatePairs', () => {
+  it('pairs items sharing an LSH band', () => {
+    const items = [GATE_BUG, AUDIO_BUG, GATE_BUG].map(text => ({ similarity: computeSignature(text) }));
+    expect(findCandidatePairs(items)).toEqual([[0, 2]]);
+  });
+});
+
+describe('SimilarityIndex', () => {
+  it('returns the reports sharing a band, most shared first', () => {
+    const index = new SimilarityIndex();
+    index.add('exact', computeSignature(GATE_BUG), '2026-01-02T00:00:00.000Z');
+    index.add('reworded', computeSignature(GATE_BUG_REWORDED), '2026-01-02T00:00:00.000Z');
+    index.add('audio', computeSignature(AUDIO_BUG), '2026-01-02T00:00:00.000Z');
+
+    const candidates = index.candidates(computeSignature(GATE_BUG));
+    expect(candidates[0]).toBe('exact');
+    expect(candidates).not.toContain('audio');
+    expect(index.candidates(computeSignature(GATE_BUG), 1)).toEqual(['exact']);
+  });
+
+  it('forgets removed and pruned reports', () => {
+    const index = new SimilarityIndex();
+    index.add('old', computeSignature(GATE_BUG), '2026-01-01T00:00:00.000Z');
+    index.add('new', computeSignature(GATE_BUG), '2026-03-01T00:00:00.000Z');
+    index.add('gone', computeSignature(GATE_BUG), '2026-03-01T00:00:00.000Z');
+
+    index.remove('gone');
+    index.prune('2026-02-01T00:00:00.000Z');
+
+    expect(index.size).toBe(1);
+    expect(index.candidates(computeSignature(GATE_BUG))).toEqual(['new']);
+    expect(index.buckets.size).toBe(16);
+  });
+});
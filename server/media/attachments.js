@@ -0,0 +1,110 @@
+// Serving stored attachments back to the triage dashboard.
+//
+// Every file is checked against the SHA-256 recorded when it was processed
+// before any of it is sent, and the response headers never let a browser
+// render an upload as anything but the type the upload policy accepted.
+const fs = require('fs').promises;
+const path = require('path');
+const { sha256File } = require('./imageSanitizer');
+const { isAllowedMimeType } = require('../config/uploadPolicy');
+
+const PROCESSED_DIR = 'uploads/processed';
+const MAX_VERIFIED_ENTRIES = 1000;
+
+// Derived previews stored next to an attachment (?variant=...)
+const ATTACHMENT_VARIANTS = {
+  thumbnail: { field: 'thumbnailName', hashField: 'thumbnailSha256', type: 'image/webp' },
+  poster: { field: 'posterName', hashField: 'posterSha256', type: 'image/jpeg' }
+};
+
+class AttachmentIntegrityError extends Error {
+  constructor(storedName, expected, actual) {
+    super(`Stored file ${storedName} does not match its recorded hash`);
+    this.name = 'AttachmentIntegrityError';
+    this.storedName = storedName;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+// A video player seeks with one Range request after another, and hashing a
+// 200MB file for each would make that unusable. A file that verified is
+// trusted until its size or modification time changes.
+const verified = new Map(); // path -> { stamp, check }
+
+const verifyStoredFile = async (filePath, expectedSha256) => {
+  const stat = await fs.stat(filePath);
+  const stamp = `${stat.size}:${stat.mtimeMs}:${expectedSha256}`;
+
+  const cached = verified.get(filePath);
+  if (cached && cached.stamp === stamp) {
+    return cached.check;
+  }
+
+  // Concurrent requests for the same file share one hash
+  const check = sha256File(filePath).then(actual => {
+    if (actual !== expectedSha256) {
+      verified.delete(filePath);
+      throw new AttachmentIntegrityError(path.basename(filePath), expectedSha256, actual);
+    }
+    return stat;
+  });
+  check.catch(() => verified.delete(filePath));
+
+  if (verified.size >= MAX_VERIFIED_ENTRIES) {
+    verified.delete(verified.keys().next().value);
+  }
+  verified.set(filePath, { stamp, check });
+  return check;
+};
+
+// Work out which stored file a request is for. Returns null when the report
+// has no such attachment or variant.
+const resolveAttachment = (file, variantName) => {
+  const variant = Object.hasOwn(ATTACHMENT_VARIANTS, variantName || '') ? ATTACHMENT_VARIANTS[variantName] : null;
+  if (variantName && (!variant || !file[variant.field])) {
+    return null;
+  }
+
+  const storedName = path.basename(variant ? file[variant.field] : file.storedName);
+  return {
+    storedName,
+    filePath: path.resolve(PROCESSED_DIR, storedName),
+    // Previews from before their hashes were recorded are served unverified;
+    // the attachment itself always has one
+    sha256: variant ? file[variant.hashField] || null : file.sha256,
+    mimeType: variant ? variant.type : file.mimeType,
+    fileName: variant
+      ? `${path.parse(file.originalName).name}_${variantName}${path.extname(storedName)}`
+      : file.originalName
+  };
+};
+
+// Only types the upload policy accepts are served as themselves
+const safeContentType = (mimeType) =>
+  isAllowedMimeType(mimeType) ? mimeType : 'application/octet-stream';
+
+// Images and videos may be shown in the dashboard; everything else, and any
+// explicit download, is an attachment
+const dispositionType = (contentType, download) =>
+  !download && /^(image|video)\//.test(contentType) ? 'inline' : 'attachment';
+
+// RFC 6266 header with an ASCII fallback and an RFC 5987 UTF-8 name, so
+// quotes, control characters or non-Latin names can't break out of it
+const contentDisposition = (type, fileName) => {
+  const name = String(fileName || 'attachment').replace(/[\u0000-\u001f\u007f/\\]/g, '_');
+  const fallback = name.replace(/[^\x20-\x7e]|["%]/g, '_');
+  const encoded = encodeURIComponent(name)
+    .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+module.exports = {
+  ATTACHMENT_VARIANTS,
+  AttachmentIntegrityError,
+  verifyStoredFile,
+  resolveAttachment,
+  safeContentType,
+  dispositionType,
+  contentDisposition
+};
@@ -0,0 +1,137 @@
+// Re-encode uploaded images so only pixels survive.
+//
+// Decoding and re-encoding with sharp drops EXIF (including GPS), XMP, ICC
+// comments and any bytes appended to or hidden inside the original file, so
+// polyglot payloads don't reach uploads/processed. EXIF orientation is
+// applied to the pixels first so screenshots aren't left sideways.
+//
+// GIFs keep their animation. HEIC/HEIF is converted to JPEG so triagers'
+// browsers can show it; prebuilt sharp can't decode HEVC, so those are
+// decoded with heic-convert first.
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+const { readHeifDimensions } = require('./isoBmff');
+
+const MAX_DIMENSION = 4096;
+const THUMBNAIL_SIZE = 320;
+
+// Refuse decompression bombs before decoding (about 8K x 8K). For
+// animations this applies to each frame, with the frame count capped too.
+const MAX_INPUT_PIXELS = 8192 * 8192;
+const MAX_ANIMATION_FRAMES = 300;
+
+const JPEG_OUTPUT = { format: 'jpeg', mimeType: 'image/jpeg', extension: '.jpg', options: { quality: 85, mozjpeg: true } };
+
+const OUTPUT_FORMATS = {
+  'image/jpeg': JPEG_OUTPUT,
+  'image/png': { format: 'png', mimeType: 'image/png', extension: '.png', options: { compressionLevel: 9 } },
+  'image/webp': { format: 'webp', mimeType: 'image/webp', extension: '.webp', options: { quality: 85 } },
+  'image/gif': { format: 'gif', mimeType: 'image/gif', extension: '.gif', options: {}, animated: true },
+  'image/heic': { ...JPEG_OUTPUT, heif: true },
+  'image/heif': { ...JPEG_OUTPUT, heif: true }
+};
+
+// Decoded to a lossless PNG buffer that goes through the normal pipeline.
+// heic-convert has no pixel limit of its own, so the sizes declared in the
+// container are checked first.
+const decodeHeif = async (inputPath) => {
+  const handle = await fs.open(inputPath, 'r');
+  try {
+    const { size } = await handle.stat();
+    for (const { width, height } of await readHeifDimensions(handle, size)) {
+      if (width * height > MAX_INPUT_PIXELS) {
+        throw new Error(`HEIF image of ${width}x${height} exceeds the pixel limit`);
+      }
+    }
+  } finally {
+    await handle.close();
+  }
+
+  return Buffer.from(await heicConvert({
+    buffer: await fs.readFile(inputPath),
+    format: 'PNG'
+  }));
+};
+
+// sharp's limitInputPixels counts all frames of an animation together, so
+// long GIFs with small frames would be refused and one huge frame wouldn't
+// be singled out. Reads the header only; returns the decode limit to use.
+const checkAnimation = async (input) => {
+  const { width, height, pageHeight = height, pages = 1 } =
+    await sharp(input, { animated: true, limitInputPixels: false }).metadata();
+
+  if (width * pageHeight > MAX_INPUT_PIXELS) {
+    throw new Error(`Animation frames of ${width}x${pageHeight} exceed the pixel limit`);
+  }
+  if (pages > MAX_ANIMATION_FRAMES) {
+    throw new Error(`Animation has ${pages} frames; at most ${MAX_ANIMATION_FRAMES} are allowed`);
+  }
+  return width * pageHeight * pages;
+};
+
+// Streamed so large video attachments aren't read into memory
+const sha256File = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  createReadStream(filePath)
+    .on('data', chunk => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+const isSanitizableImage = (mimeType) => Boolean(OUTPUT_FORMATS[mimeType]);
+
+// Writes the sanitized image to outputPath and a WebP thumbnail to
+// thumbnailPath. Resolves to the hashes, dimensions and output type
+// (`mimeType`/`extension` differ from the input for converted formats) for
+// the report's `files` entry.
+const sanitizeImage = async (inputPath, { mimeType, outputPath, thumbnailPath }) => {
+  const output = OUTPUT_FORMATS[mimeType];
+  if (!output) {
+    throw new Error(`No sanitizer for ${mimeType}`);
+  }
+
+  const originalSha256 = await sha256File(inputPath);
+
+  const input = output.heif ? await decodeHeif(inputPath) : inputPath;
+
+  const limitInputPixels = output.animated ? await checkAnimation(input) : MAX_INPUT_PIXELS;
+
+  // sharp writes no metadata unless .withMetadata() is called. Animated GIFs
+  // carry no EXIF orientation, so only stills are rotated.
+  let pipeline = sharp(input, { failOn: 'error', limitInputPixels, animated: Boolean(output.animated) });
+  if (!output.animated) {
+    pipeline = pipeline.rotate();
+  }
+  const info = await pipeline
+    .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    .toFormat(output.format, output.options)
+    .toFile(outputPath);
+
+  // First frame only for animations
+  await sharp(outputPath)
+    .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 70 })
+    .toFile(thumbnailPath);
+
+  return {
+    originalSha256,
+    sha256: await sha256File(outputPath),
+    size: info.size,
+    width: info.width,
+    height: info.pageHeight || info.height,
+    mimeType: output.mimeType,
+    extension: output.extension,
+    convertedFrom: output.mimeType !== mimeType ? mimeType : null
+  };
+};
+
+module.exports = {
+  sanitizeImage,
+  isSanitizableImage,
+  sha256File,
+  MAX_DIMENSION,
+  THUMBNAIL_SIZE
+};
@@ -0,0 +1,255 @@
+// Minimal ISO Base Media File Format (MP4/QuickTime) parser.
+//
+// Walks the top-level boxes with positional reads, so large recordings are
+// never loaded into memory, then parses the `moov` box for duration, video
+// resolution and codec. Throws on any structural problem: boxes overrunning
+// the file, a missing `ftyp`/`moov`, or gaps at the end of the file. Legacy
+// QuickTime files predate `ftyp`, so it is optional for them.
+//
+// HEIC/HEIF photos use the same box structure; readHeifDimensions reads the
+// image sizes they declare so oversized ones are refused before decoding.
+
+// Boxes whose payload is a list of child boxes
+const CONTAINER_BOXES = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'mvex', 'edts', 'iprp', 'ipco']);
+
+// moov holds only metadata; anything bigger than this is not a real recording
+const MAX_MOOV_SIZE = 32 * 1024 * 1024;
+
+// A HEIF meta box holds item locations and properties, never pixel data
+const MAX_META_SIZE = 4 * 1024 * 1024;
+
+// Each top-level box costs a read, so a file of empty 8-byte boxes must not
+// keep the parser busy. A fragmented recording has a moof and an mdat per
+// fragment; one fragment per frame at 60 fps for the longest allowed video is
+// still well under this.
+const MAX_TOP_LEVEL_BOXES = 32 * 1024;
+
+const readBoxHeader = async (handle, offset, fileSize) => {
+  if (fileSize - offset < 8) {
+    throw new Error(`Truncated box header at offset ${offset}`);
+  }
+
+  const header = Buffer.alloc(16);
+  await handle.read(header, 0, Math.min(16, fileSize - offset), offset);
+
+  let size = header.readUInt32BE(0);
+  const type = header.toString('latin1', 4, 8);
+  let headerSize = 8;
+
+  if (size === 1) {
+    if (fileSize - offset < 16) {
+      throw new Error(`Truncated large box header at offset ${offset}`);
+    }
+    size = Number(header.readBigUInt64BE(8));
+    headerSize = 16;
+  } else if (size === 0) {
+    size = fileSize - offset; // box extends to end of file
+  }
+
+  if (!/^[\x20-\x7e]{4}$/.test(type)) {
+    throw new Error(`Invalid box type at offset ${offset}`);
+  }
+  if (size < headerSize || offset + size > fileSize) {
+    throw new Error(`Box "${type}" at offset ${offset} overruns the file`);
+  }
+
+  return { type, size, headerSize, offset };
+};
+
+// Read the top-level box headers in order, handing each to `visit` until it
+// returns true or the file ends; throws once there are too many to check
+const walkTopLevel = async (handle, fileSize, visit) => {
+  let offset = 0;
+  for (let count = 0; offset < fileSize; count++) {
+    if (count === MAX_TOP_LEVEL_BOXES) {
+      throw new Error(`More than ${MAX_TOP_LEVEL_BOXES} top-level boxes`);
+    }
+    const box = await readBoxHeader(handle, offset, fileSize);
+    if (visit(box)) return;
+    offset += box.size;
+  }
+};
+
+// Parse child boxes from an in-memory payload
+const parseChildren = (buffer, start = 0, end = buffer.length) => {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) throw new Error(`Truncated "${type}" box`);
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < headerSize || offset + size > end) {
+      throw new Error(`Box "${type}" overruns its parent`);
+    }
+
+    const box = { type, start: offset + headerSize, end: offset + size };
+    if (CONTAINER_BOXES.has(type)) {
+      box.children = parseChildren(buffer, box.start, box.end);
+    }
+    boxes.push(box);
+    offset += size;
+  }
+
+  if (offset !== end && end - offset >= 8) {
+    throw new Error('Trailing bytes inside box');
+  }
+  return boxes;
+};
+
+const findBox = (boxes, ...path) => {
+  let current = boxes;
+  let box = null;
+  for (const type of path) {
+    box = (current || []).find(child => child.type === type);
+    if (!box) return null;
+    current = box.children;
+  }
+  return box;
+};
+
+// mvhd/mdhd/mehd store 32- or 64-bit fields depending on the version byte
+const readVersionedDuration = (buffer, box, { timescaleOffset }) => {
+  const version = buffer[box.start];
+  if (version === 1) {
+    return {
+      timescale: buffer.readUInt32BE(box.start + 4 + 16),
+      duration: Number(buffer.readBigUInt64BE(box.start + 4 + 20))
+    };
+  }
+  return {
+    timescale: buffer.readUInt32BE(box.start + timescaleOffset),
+    duration: buffer.readUInt32BE(box.start + timescaleOffset + 4)
+  };
+};
+
+const readTrack = (buffer, trak) => {
+  const hdlr = findBox(trak.children, 'mdia', 'hdlr');
+  const handler = hdlr ? buffer.toString('latin1', hdlr.start + 8, hdlr.start + 12) : null;
+
+  const tkhd = findBox(trak.children, 'tkhd');
+  let width = null;
+  let height = null;
+  if (tkhd) {
+    // Width and height are the last two 16.16 fixed-point fields
+    width = buffer.readUInt32BE(tkhd.end - 8) / 65536;
+    height = buffer.readUInt32BE(tkhd.end - 4) / 65536;
+  }
+
+  const stsd = findBox(trak.children, 'mdia', 'minf', 'stbl', 'stsd');
+  // stsd: version/flags (4), entry count (4), then sample entries (size, format)
+  const codec = stsd && stsd.end - stsd.start >= 16
+    ? buffer.toString('latin1', stsd.start + 12, stsd.start + 16)
+    : null;
+
+  return { handler, width, height, codec };
+};
+
+const parseIsoBmff = async (handle, fileSize, { requireFtyp = true } = {}) => {
+  // Every box is still walked, so one overrunning the file or trailing bytes
+  // are caught, but only the first box and moov are kept
+  let first = null;
+  let moovHeader = null;
+  await walkTopLevel(handle, fileSize, box => {
+    if (!first) first = box;
+    if (box.type === 'moov' && !moovHeader) moovHeader = box;
+    return false;
+  });
+
+  const hasFtyp = first !== null && first.type === 'ftyp';
+  if (requireFtyp && !hasFtyp) {
+    throw new Error('File does not start with an ftyp box');
+  }
+
+  let brand = null;
+  if (hasFtyp) {
+    const ftyp = Buffer.alloc(4);
+    await handle.read(ftyp, 0, 4, first.offset + first.headerSize);
+    brand = ftyp.toString('latin1');
+  }
+
+  if (!moovHeader) {
+    throw new Error('No moov box (recording may be incomplete)');
+  }
+  if (moovHeader.size > MAX_MOOV_SIZE) {
+    throw new Error('moov box is unreasonably large');
+  }
+
+  const moov = Buffer.alloc(moovHeader.size - moovHeader.headerSize);
+  await handle.read(moov, 0, moov.length, moovHeader.offset + moovHeader.headerSize);
+  const boxes = parseChildren(moov);
+
+  const mvhd = findBox(boxes, 'mvhd');
+  if (!mvhd) {
+    throw new Error('No mvhd box');
+  }
+  // mvhd v0: version/flags (4), creation (4), modification (4), timescale, duration
+  let { timescale, duration } = readVersionedDuration(moov, mvhd, { timescaleOffset: 12 });
+
+  // Fragmented MP4 keeps the real duration in mvex/mehd
+  const mehd = findBox(boxes, 'mvex', 'mehd');
+  if (!duration && mehd) {
+    const version = moov[mehd.start];
+    duration = version === 1 ? Number(moov.readBigUInt64BE(mehd.start + 4)) : moov.readUInt32BE(mehd.start + 4);
+  }
+
+  const tracks = boxes.filter(box => box.type === 'trak').map(trak => readTrack(moov, trak));
+  const video = tracks.find(track => track.handler === 'vide');
+
+  return {
+    container: brand === null || brand === 'qt  ' ? 'mov' : 'mp4',
+    brand,
+    durationSeconds: timescale ? duration / timescale : null,
+    width: video ? Math.round(video.width) : null,
+    height: video ? Math.round(video.height) : null,
+    codec: video ? video.codec : null,
+    hasAudio: tracks.some(track => track.handler === 'soun')
+  };
+};
+
+// Resolves to the { width, height } of every `ispe` (image spatial extents)
+// property in a HEIF file: the primary image, its grid tiles and thumbnails.
+// A file without one can't be size-checked and is rejected.
+const readHeifDimensions = async (handle, fileSize) => {
+  let meta = null;
+  await walkTopLevel(handle, fileSize, box => {
+    if (box.type === 'meta') meta = box;
+    return meta !== null;
+  });
+
+  if (!meta) {
+    throw new Error('No meta box');
+  }
+  if (meta.size > MAX_META_SIZE) {
+    throw new Error('meta box is unreasonably large');
+  }
+
+  // meta is a full box: version/flags (4) before its children
+  const buffer = Buffer.alloc(meta.size - meta.headerSize);
+  await handle.read(buffer, 0, buffer.length, meta.offset + meta.headerSize);
+  const ipco = findBox(parseChildren(buffer, 4), 'iprp', 'ipco');
+
+  // ispe: version/flags (4), width (4), height (4)
+  const extents = (ipco ? ipco.children : [])
+    .filter(box => box.type === 'ispe' && box.end - box.start >= 12)
+    .map(box => ({ width: buffer.readUInt32BE(box.start + 4), height: buffer.readUInt32BE(box.start + 8) }));
+
+  if (extents.length === 0) {
+    throw new Error('No image dimensions (ispe) in HEIF file');
+  }
+  return extents;
+};
+
+module.exports = {
+  parseIsoBmff,
+  readHeifDimensions
+};
@@ -0,0 +1,144 @@
+const { parseIsoBmff, readHeifDimensions } = require('./isoBmff');
+
+const box = (type, ...payload) => {
+  const body = Buffer.concat(payload);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+};
+
+// Full boxes start with version and flags
+const fullBox = (type, ...payload) => box(type, Buffer.alloc(4), ...payload);
+
+const u32 = (...values) => {
+  const buffer = Buffer.alloc(4 * values.length);
+  values.forEach((value, index) => buffer.writeUInt32BE(value, 4 * index));
+  return buffer;
+};
+
+// The positional reads the parsers make on a file handle, over a buffer
+const handleFor = (data) => ({
+  read: async (buffer, offset, length, position) => ({
+    bytesRead: data.copy(buffer, offset, position, position + length)
+  })
+});
+
+const track = (handler, codec, { width = 0, height = 0 } = {}) => box('trak',
+  // tkhd ends with width and height in 16.16 fixed point
+  fullBox('tkhd', Buffer.alloc(72), u32(width * 65536, height * 65536)),
+  box('mdia',
+    fullBox('hdlr', u32(0), Buffer.from(handler), Buffer.alloc(12)),
+    box('minf', box('stbl', fullBox('stsd', u32(1), u32(16), Buffer.from(codec), Buffer.alloc(8))))));
+
+// mvhd v0: creation, modification, timescale, duration, then fixed fields
+const mvhd = (timescale, duration) => fullBox('mvhd', u32(0, 0, timescale, duration), Buffer.alloc(80));
+
+const recording = ({ ftyp = 'isom', moov = [mvhd(1000, 12500), track('vide', 'avc1', { width: 1920, height: 1080 }), track('soun', 'mp4a')] } = {}) =>
+  Buffer.concat([
+    ...(ftyp ? [box('ftyp', Buffer.from(ftyp), u32(512), Buffer.from('isomavc1'))] : []),
+    box('moov', ...moov),
+    box('mdat', Buffer.alloc(64))
+  ]);
+
+describe('parseIsoBmff', () => {
+  const parse = (data, options) => parseIsoBmff(handleFor(data), data.length, options);
+
+  it('reads duration, resolution, codec and audio from moov', async () => {
+    await expect(parse(recording())).resolves.toEqual({
+      container: 'mp4',
+      brand: 'isom',
+      durationSeconds: 12.5,
+      width: 1920,
+      height: 1080,
+      codec: 'avc1',
+      hasAudio: true
+    });
+  });
+
+  it('accepts legacy QuickTime files without ftyp only when allowed', async () => {
+    const data = recording({ ftyp: null });
+
+    await expect(parse(data)).rejects.toThrow('ftyp');
+    await expect(parse(data, { requireFtyp: false })).resolves.toMatchObject({ container: 'mov', brand: null });
+  });
+
+  it('takes the duration of fragmented recordings from mehd', async () => {
+    const data = recording({
+      moov: [mvhd(1000, 0), track('vide', 'avc1'), box('mvex', fullBox('mehd', u32(30000)))]
+    });
+
+    await expect(parse(data)).resolves.toMatchObject({ durationSeconds: 30, hasAudio: false });
+  });
+
+  it('rejects recordings without moov', async () => {
+    const data = Buffer.concat([box('ftyp', Buffer.from('isom'), u32(0)), box('mdat', Buffer.alloc(8))]);
+    await expect(parse(data)).rejects.toThrow('No moov box');
+  });
+
+  it('rejects a box that overruns the file', async () => {
+    const data = recording();
+    await expect(parse(data.subarray(0, data.length - 10))).rejects.toThrow('overruns the file');
+  });
+
+  it('rejects trailing bytes too short to be a box', async () => {
+    const data = Buffer.concat([recording(), Buffer.alloc(5)]);
+    await expect(parse(data)).rejects.toThrow('Truncated box header');
+  });
+
+  it('stops reading a file padded with empty boxes', async () => {
+    const padding = Buffer.concat(Array.from({ length: 40000 }, () => box('free')));
+    const data = Buffer.concat([recording(), padding]);
+    const handle = handleFor(data);
+    const read = jest.spyOn(handle, 'read');
+
+    await expect(parseIsoBmff(handle, data.length)).rejects.toThrow('More than 32768 top-level boxes');
+    expect(read.mock.calls.length).toBeLessThanOrEqual(32 * 1024);
+  });
+});
+
+
+const heif = (...properties) => Buffer.concat([
+  box('ftyp', Buffer.from('heic'), u32(0), Buffer.from('mif1heic')),
+  fullBox('meta',
+    fullBox('hdlr', u32(0), Buffer.from('pict'), Buffer.alloc(13)),
+    fullBox('pitm', Buffer.from([0, 1])),
+    box('iprp', box('ipco', ...properties))),
+  box('mdat', Buffer.alloc(32))
+]);
+
+const ispe = (width, height) => fullBox('ispe', u32(width, height));
+
+describe('readHeifDimensions', () => {
+  const parse = (data) => readHeifDimensions(handleFor(data), data.length);
+
+  it('reads every declared image size', async () => {
+    const data = heif(ispe(512, 512), box('colr', Buffer.from('nclx'), Buffer.alloc(7)), ispe(4032, 3024));
+
+    await expect(parse(data)).resolves.toEqual([
+      { width: 512, height: 512 },
+      { width: 4032, height: 3024 }
+    ]);
+  });
+
+  it('returns declared sizes as they are, however large', async () => {
+    await expect(parse(heif(ispe(60000, 60000)))).resolves.toEqual([{ width: 60000, height: 60000 }]);
+  });
+
+  it('rejects files that declare no image size', async () => {
+    await expect(parse(heif())).rejects.toThrow('No image dimensions');
+  });
+
+  it('rejects files without a meta box', async () => {
+    const data = Buffer.concat([box('ftyp', Buffer.from('heic'), u32(0)), box('mdat', Buffer.alloc(8))]);
+    await expect(parse(data)).rejects.toThrow('No meta box');
+  });
+
+  it('rejects a property box that overruns its parent', async () => {
+    const data = heif(ispe(512, 512));
+    // Grow the ispe size field past the end of ipco
+    data.writeUInt32BE(0xFFFF, data.indexOf('ispe', 0, 'latin1') - 4);
+
+    await expect(parse(data)).rejects.toThrow('overruns');
+  });
+});
@@ -0,0 +1,129 @@
+// Reconcile stored files against stored reports at startup.
+//
+// A crash between staging and commit can leave files that no report points
+// to, and a crash mid-rollback can leave a report's files half removed.
+// Leftover staging directories, and files in uploads/temp (which only
+// belong to requests in flight), are deleted outright. Unreferenced files in
+// processed or quarantine are moved to uploads/orphaned rather than deleted,
+// so a misconfigured storage backend (which would make every file look
+// orphaned) can't destroy evidence. Only quarantined files a submission put
+// there are candidates: infected uploads the virus scan quarantined never
+// belong to a report and stay where they are. Reports whose files are
+// missing are only reported, never changed.
+const fs = require('fs').promises;
+const path = require('path');
+const { STAGING_DIR } = require('./submissionTransaction');
+const { QUARANTINE_DIR, quarantinePath } = require('../scanners/quarantine');
+
+const PROCESSED_DIR = 'uploads/processed';
+const TEMP_DIR = 'uploads/temp';
+const ORPHANED_DIR = 'uploads/orphaned';
+
+const listDirectory = async (directory, options) => {
+  try {
+    return await fs.readdir(directory, options);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+};
+
+// Every stored name a report refers to, plus where each file should be
+const collectReferences = async (storage) => {
+  const referenced = new Set();
+  const expected = [];
+
+  for await (const report of storage.iterateReports()) {
+    for (const file of report.files || []) {
+      const directory = file.quarantined ? QUARANTINE_DIR : PROCESSED_DIR;
+      for (const name of [file.storedName, file.thumbnailName, file.posterName]) {
+        if (!name) continue;
+        referenced.add(path.basename(name));
+        expected.push({ reportId: report.id, filePath: path.join(directory, path.basename(name)) });
+      }
+    }
+  }
+  return { referenced, expected };
+};
+
+const readSidecar = async (storedName) => {
+  try {
+    return JSON.parse(await fs.readFile(`${quarantinePath(storedName)}.json`, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+const moveToOrphaned = async (directory, name) => {
+  await fs.mkdir(ORPHANED_DIR, { recursive: true });
+  await fs.rename(path.join(directory, name), path.join(ORPHANED_DIR, name));
+};
+
+const sweepOrphanedFiles = async (storage, logger = console) => {
+  const summary = { staging: 0, temp: 0, orphaned: [], missing: [] };
+
+  for (const name of await listDirectory(STAGING_DIR)) {
+    await fs.rm(path.join(STAGING_DIR, name), { recursive: true, force: true });
+    summary.staging++;
+  }
+
+  // Multer uploads and claimed resumable data; resumable sessions live in a
+  // subdirectory and are swept by expiry instead
+  for (const entry of await listDirectory(TEMP_DIR, { withFileTypes: true })) {
+    if (entry.isFile()) {
+      await fs.unlink(path.join(TEMP_DIR, entry.name));
+      summary.temp++;
+    }
+  }
+
+  const { referenced, expected } = await collectReferences(storage);
+
+  for (const name of await listDirectory(PROCESSED_DIR)) {
+    if (!referenced.has(name)) {
+      await moveToOrphaned(PROCESSED_DIR, name);
+      summary.orphaned.push(name);
+    }
+  }
+
+  // Quarantined files come with a .json sidecar that goes wherever they go.
+  // Submissions quarantine files the scanner couldn't check; anything else
+  // (infected uploads, files without a readable sidecar) is left alone.
+  for (const name of await listDirectory(QUARANTINE_DIR)) {
+    if (name.endsWith('.json') || referenced.has(name)) continue;
+
+    const details = await readSidecar(name);
+    if (details?.reason !== 'scanner-unavailable') continue;
+
+    await moveToOrphaned(QUARANTINE_DIR, name);
+    await moveToOrphaned(QUARANTINE_DIR, `${name}.json`);
+    summary.orphaned.push(name);
+  }
+
+  for (const { reportId, filePath } of expected) {
+    try {
+      await fs.access(filePath);
+    } catch (error) {
+      summary.missing.push({ reportId, file: path.basename(filePath) });
+    }
+  }
+
+  if (summary.temp > 0) {
+    logger.info(`Removed ${summary.temp} temporary upload(s) left by interrupted requests`);
+  }
+  if (summary.orphaned.length > 0) {
+    logger.warn(`Moved ${summary.orphaned.length} unreferenced file(s) to ${ORPHANED_DIR}`, {
+      files: summary.orphaned
+    });
+  }
+  if (summary.missing.length > 0) {
+    logger.warn(`${summary.missing.length} file(s) referenced by reports are missing`, {
+      missing: summary.missing
+    });
+  }
+  return summary;
+};
+
+module.exports = {
+  sweepOrphanedFiles,
+  ORPHANED_DIR
+};
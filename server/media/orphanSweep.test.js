@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Read when middleware/virusScan.js creates its scanner
+process.env.VIRUS_SCAN_ENABLED = 'true';
+process.env.VIRUS_SCANNER_URL = 'fake:';
+
+const { sweepOrphanedFiles } = require('./orphanSweep');
+const { virusScanFiles } = require('../middleware/virusScan');
+const { quarantineFile } = require('../scanners/quarantine');
+const { EICAR_SIGNATURE } = require('../scanners/fakeScanner');
+
+const exists = (target) => fs.promises.access(target).then(() => true, () => false);
+const silentLogger = { info: jest.fn(), warn: jest.fn() };
+
+// Stands in for SecureStorage; the sweep only iterates reports
+const storageWith = (reports) => ({
+  async *iterateReports() {
+    yield* reports;
+  }
+});
+
+const originalCwd = process.cwd();
+let workDir;
+
+beforeEach(async () => {
+  workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'orphan-sweep-'));
+  process.chdir(workDir);
+  for (const dir of ['uploads/temp/resumable', 'uploads/staging/abc', 'uploads/processed', 'uploads/quarantine']) {
+    await fs.promises.mkdir(dir, { recursive: true });
+  }
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  process.chdir(originalCwd);
+  await fs.promises.rm(workDir, { recursive: true, force: true });
+});
+
+describe('sweepOrphanedFiles', () => {
+  it('clears staging and temp uploads but keeps resumable sessions', async () => {
+    await fs.promises.writeFile('uploads/staging/abc/a.png', 'staged');
+    await fs.promises.writeFile('uploads/temp/multer-upload', 'temp');
+    await fs.promises.writeFile('uploads/temp/resumable/session.part', 'resumable');
+
+    const summary = await sweepOrphanedFiles(storageWith([]), silentLogger);
+
+    expect(summary).toMatchObject({ staging: 1, temp: 1 });
+    expect(await fs.promises.readdir('uploads/staging')).toEqual([]);
+    expect(await fs.promises.readdir('uploads/temp')).toEqual(['resumable']);
+    expect(await exists('uploads/temp/resumable/session.part')).toBe(true);
+  });
+
+  it('moves unreferenced processed files and submission quarantine to uploads/orphaned', async () => {
+    await fs.promises.writeFile('uploads/processed/kept.png', 'kept');
+    await fs.promises.writeFile('uploads/processed/lost.png', 'lost');
+    await fs.promises.writeFile('uploads/temp/unscanned.mp4', 'unscanned');
+    await quarantineFile('uploads/temp/unscanned.mp4', 'unscanned.mp4', { reason: 'scanner-unavailable' });
+
+    const summary = await sweepOrphanedFiles(storageWith([
+      { id: 'WUWA-1', files: [{ storedName: 'kept.png' }, { storedName: 'missing.png' }] }
+    ]), silentLogger);
+
+    expect(summary.orphaned.sort()).toEqual(['lost.png', 'unscanned.mp4']);
+    expect(summary.missing).toEqual([{ reportId: 'WUWA-1', file: 'missing.png' }]);
+    expect((await fs.promises.readdir('uploads/orphaned')).sort())
+      .toEqual(['lost.png', 'unscanned.mp4', 'unscanned.mp4.json']);
+    expect(await fs.promises.readdir('uploads/quarantine')).toEqual([]);
+  });
+
+  it('leaves infected uploads quarantined by the virus scan alone', async () => {
+    await fs.promises.writeFile('uploads/temp/upload', `clip ${EICAR_SIGNATURE}`);
+    const req = {
+      ip: '127.0.0.1',
+      files: [{ path: 'uploads/temp/upload', filename: 'infected.mp4', originalname: 'clip.mp4', mimetype: 'video/mp4' }]
+    };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    await virusScanFiles(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(req.files[0].scanResult).toMatchObject({ status: 'infected', signature: 'Eicar-Test-Signature' });
+
+    const summary = await sweepOrphanedFiles(storageWith([]), silentLogger);
+
+    expect(summary.orphaned).toEqual([]);
+    expect((await fs.promises.readdir('uploads/quarantine')).sort()).toEqual(['infected.mp4', 'infected.mp4.json']);
+  });
+});
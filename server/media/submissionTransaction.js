@@ -0,0 +1,133 @@
+// Makes a bug report submission all-or-nothing.
+//
+// Processed files are staged in a directory of their own, the report is
+// written, and only then are the files committed to uploads/processed (or
+// quarantine). Every step that changes something outside the staging
+// directory registers a compensation; if anything fails, they run newest
+// first so the submission leaves nothing behind. The transaction is opened
+// before the upload is read, so middleware that rejects the request later
+// is undone the same way (see middleware/submission.js).
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { quarantineFile, quarantinePath } = require('../scanners/quarantine');
+
+const STAGING_DIR = 'uploads/staging';
+const PROCESSED_DIR = 'uploads/processed';
+
+// An attachment that passed validation but could not be processed, e.g. an
+// image sharp refuses to decode. Fails the whole submission; `status` is 422
+// for a problem with the file and 500 for one on our side.
+class FileProcessingError extends Error {
+  constructor(fileName, cause) {
+    super(`${fileName} could not be processed: ${cause.message}`);
+    this.name = 'FileProcessingError';
+    this.fileName = fileName;
+    this.status = cause.code ? 500 : 422;
+  }
+}
+
+const unlinkIfPresent = (target) => fs.unlink(target).catch(error => {
+  if (error.code !== 'ENOENT') throw error;
+});
+
+class SubmissionTransaction {
+  constructor(stagingRoot = STAGING_DIR) {
+    this.id = crypto.randomBytes(8).toString('hex');
+    this.directory = path.join(stagingRoot, this.id);
+    this.staged = [];
+    this.compensations = [];
+    this.finalizers = [];
+    this.state = 'open';
+  }
+
+  async begin() {
+    await fs.mkdir(this.directory, { recursive: true });
+    return this;
+  }
+
+  // Register an undo step for something done outside the transaction
+  compensate(description, undo) {
+    this.compensations.push({ description, undo });
+  }
+
+  // Register a cleanup step that may only run once the submission is
+  // committed, e.g. deleting the upload sessions its files came from
+  onCommit(description, task) {
+    this.finalizers.push({ description, task });
+  }
+
+  // Move a finished file into staging. `quarantine` carries the sidecar
+  // details when the file must go to quarantine instead of processed.
+  async stage(sourcePath, storedName, { quarantine = null } = {}) {
+    const name = path.basename(storedName);
+    const stagedPath = path.join(this.directory, name);
+    await fs.rename(sourcePath, stagedPath);
+    this.staged.push({ stagedPath, storedName: name, quarantine });
+    return stagedPath;
+  }
+
+  // Move every staged file to its final place, then run the onCommit steps.
+  // The submission stands once the files are in place, so failures of those
+  // steps are returned for the caller to log rather than thrown.
+  async commit() {
+    for (const file of this.staged) {
+      if (file.quarantine) {
+        const destination = await quarantineFile(file.stagedPath, file.storedName, file.quarantine);
+        this.compensate(`quarantined ${file.storedName}`, async () => {
+          await unlinkIfPresent(destination);
+          await unlinkIfPresent(`${quarantinePath(file.storedName)}.json`);
+        });
+      } else {
+        const destination = path.join(PROCESSED_DIR, file.storedName);
+        await fs.rename(file.stagedPath, destination);
+        this.compensate(`processed ${file.storedName}`, () => unlinkIfPresent(destination));
+      }
+    }
+
+    await fs.rm(this.directory, { recursive: true, force: true });
+    this.state = 'committed';
+
+    const failures = [];
+    for (const { description, task } of this.finalizers) {
+      try {
+        await task();
+      } catch (error) {
+        failures.push({ step: description, error: error.message });
+      }
+    }
+    this.finalizers = [];
+    return failures;
+  }
+
+  // Undo everything. Every compensation is attempted even if an earlier one
+  // fails; returns the failures so the caller can log them.
+  async rollback() {
+    const failures = [];
+    for (const { description, undo } of this.compensations.reverse()) {
+      try {
+        await undo();
+      } catch (error) {
+        failures.push({ step: description, error: error.message });
+      }
+    }
+    this.compensations = [];
+    this.finalizers = [];
+
+    try {
+      await fs.rm(this.directory, { recursive: true, force: true });
+    } catch (error) {
+      failures.push({ step: 'staging directory', error: error.message });
+    }
+
+    this.state = 'rolled-back';
+    return failures;
+  }
+}
+
+module.exports = {
+  SubmissionTransaction,
+  FileProcessingError,
+  STAGING_DIR,
+  unlinkIfPresent
+};
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SubmissionTransaction, STAGING_DIR } = require('./submissionTransaction');
+const { openSubmission } = require('../middleware/submission');
+
+const exists = (target) => fs.promises.access(target).then(() => true, () => false);
+
+// The transaction works on paths relative to the server directory
+const originalCwd = process.cwd();
+let workDir;
+
+beforeEach(async () => {
+  workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'submission-'));
+  process.chdir(workDir);
+  for (const dir of ['uploads/temp', 'uploads/processed', 'uploads/quarantine']) {
+    await fs.promises.mkdir(dir, { recursive: true });
+  }
+});
+
+afterEach(async () => {
+  process.chdir(originalCwd);
+  await fs.promises.rm(workDir, { recursive: true, force: true });
+});
+
+const tempFile = async (name, contents = name) => {
+  const filePath = path.join('uploads/temp', name);
+  await fs.promises.writeFile(filePath, contents);
+  return filePath;
+};
+
+describe('SubmissionTransaction', () => {
+  it('moves staged files to processed or quarantine on commit', async () => {
+    const transaction = await new SubmissionTransaction().begin();
+    await transaction.stage(await tempFile('a.png'), 'a.png');
+    await transaction.stage(await tempFile('b.mp4'), 'b.mp4', { quarantine: { reason: 'scanner-unavailable' } });
+
+    const failures = await transaction.commit();
+
+    expect(failures).toEqual([]);
+    expect(transaction.state).toBe('committed');
+    expect(await exists('uploads/processed/a.png')).toBe(true);
+    expect(await exists('uploads/quarantine/b.mp4')).toBe(true);
+    expect(JSON.parse(await fs.promises.readFile('uploads/quarantine/b.mp4.json', 'utf8')))
+      .toMatchObject({ reason: 'scanner-unavailable', storedName: 'b.mp4' });
+    expect(await fs.promises.readdir(STAGING_DIR)).toEqual([]);
+  });
+
+  it('runs compensations newest first on rollback, including committed files', async () => {
+    const order = [];
+    const transaction = await new SubmissionTransaction().begin();
+    transaction.compensate('first', () => order.push('first'));
+    await transaction.stage(await tempFile('a.png'), 'a.png');
+    transaction.compensate('second', () => order.push('second'));
+    await transaction.commit();
+
+    const failures = await transaction.rollback();
+
+    expect(failures).toEqual([]);
+    expect(order).toEqual(['second', 'first']);
+    expect(await exists('uploads/processed/a.png')).toBe(false);
+    expect(transaction.state).toBe('rolled-back');
+  });
+
+  it('attempts every compensation and reports the ones that fail', async () => {
+    const transaction = await new SubmissionTransaction().begin();
+    const undone = jest.fn();
+    transaction.compensate('earlier step', undone);
+    transaction.compensate('broken step', () => {
+      throw new Error('disk gone');
+    });
+
+    const failures = await transaction.rollback();
+
+    expect(undone).toHaveBeenCalled();
+    expect(failures).toEqual([{ step: 'broken step', error: 'disk gone' }]);
+    expect(await exists(transaction.directory)).toBe(false);
+  });
+
+  it('runs onCommit steps only after a commit, and never after a rollback', async () => {
+    const committed = await new SubmissionTransaction().begin();
+    const afterCommit = jest.fn();
+    committed.onCommit('cleanup', afterCommit);
+    expect(afterCommit).not.toHaveBeenCalled();
+    await committed.commit();
+    expect(afterCommit).toHaveBeenCalledTimes(1);
+
+    const rolledBack = await new SubmissionTransaction().begin();
+    const neverRun = jest.fn();
+    rolledBack.onCommit('cleanup', neverRun);
+    await rolledBack.rollback();
+    expect(neverRun).not.toHaveBeenCalled();
+  });
+
+  it('returns onCommit failures instead of throwing, since the submission already stands', async () => {
+    const transaction = await new SubmissionTransaction().begin();
+    transaction.onCommit('remove upload sessions', () => {
+      throw new Error('busy');
+    });
+
+    await expect(transaction.commit()).resolves.toEqual([{ step: 'remove upload sessions', error: 'busy' }]);
+    expect(transaction.state).toBe('committed');
+  });
+});
+
+describe('openSubmission', () => {
+  const open = async () => {
+    const req = {};
+    const sent = jest.fn();
+    const res = { json: sent, status: jest.fn().mockReturnThis() };
+    const next = jest.fn();
+    await openSubmission(req, res, next);
+    return { req, res, next, sent };
+  };
+
+  // The rollback runs alongside the response
+  const settle = async (transaction) => {
+    while (transaction.state === 'open') {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  };
+
+  it('removes temporary uploads when a later middleware rejects the request', async () => {
+    const { req, res, next, sent } = await open();
+    expect(next).toHaveBeenCalled();
+
+    const undo = jest.fn();
+    req.files = [{ path: await tempFile('upload-one') }];
+    req.submission.compensate('claimed uploads', undo);
+
+    res.status(400).json({ error: 'File failed virus scan' });
+    await settle(req.submission);
+
+    expect(sent).toHaveBeenCalledWith({ error: 'File failed virus scan' });
+    expect(undo).toHaveBeenCalled();
+    expect(await exists('uploads/temp/upload-one')).toBe(false);
+    expect(req.submission.state).toBe('rolled-back');
+  });
+
+  it('leaves a committed submission alone', async () => {
+    const { req, res } = await open();
+    const undo = jest.fn();
+    req.submission.compensate('stored report', undo);
+
+    await req.submission.commit();
+    res.status(201).json({ success: true });
+    await settle(req.submission);
+
+    expect(undo).not.toHaveBeenCalled();
+    expect(req.submission.state).toBe('committed');
+  });
+});
@@ -0,0 +1,321 @@
+// Resumable uploads for recordings too large, or connections too flaky, for
+// a single multipart request.
+//
+// A client creates a session, then sends the file in chunks at the offset the
+// server reports, each with its SHA-256. After a dropped connection it asks
+// for the current offset and carries on from there. Completed uploads are
+// validated immediately, then claimed by ID when the report is submitted and
+// go through the same validation, scanning and processing as multipart files.
+// A claimed session is only deleted once the report is saved.
+//
+// Each session is a `.part` data file plus a `.json` sidecar, so uploads
+// survive a server restart.
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { sha256File } = require('./imageSanitizer');
+const { UPLOAD_POLICY } = require('../config/uploadPolicy');
+
+const UPLOAD_SESSION_DIR = 'uploads/temp/resumable';
+const CHUNK_SIZE = UPLOAD_POLICY.chunkSize;
+const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_ACTIVE_UPLOADS = UPLOAD_POLICY.maxFiles; // Per browser session
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Errors that are the client's fault; `status` is the HTTP status to send
+class UploadSessionError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'UploadSessionError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Claimed data is hard-linked, so processing can rename or delete its copy
+// while the session keeps the original; other filesystems get a copy
+const linkOrCopy = async (source, destination) => {
+  try {
+    await fs.link(source, destination);
+  } catch (error) {
+    if (error.code !== 'EXDEV' && error.code !== 'EPERM') throw error;
+    await fs.copyFile(source, destination);
+  }
+};
+
+class UploadSessionStore {
+  constructor(directory = UPLOAD_SESSION_DIR) {
+    this.directory = directory;
+    this.busy = new Set(); // Sessions with a chunk write in flight
+  }
+
+  metaPath(uploadId) {
+    return path.join(this.directory, `${uploadId}.json`);
+  }
+
+  dataPath(uploadId) {
+    return path.join(this.directory, `${uploadId}.part`);
+  }
+
+  async readSession(uploadId) {
+    if (!UPLOAD_ID_PATTERN.test(uploadId)) return null;
+    try {
+      return JSON.parse(await fs.readFile(this.metaPath(uploadId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Write-then-rename so a crash never leaves a half-written sidecar
+  async writeSession(session) {
+    const target = this.metaPath(session.id);
+    await fs.writeFile(`${target}.tmp`, JSON.stringify(session, null, 2), { mode: 0o600 });
+    await fs.rename(`${target}.tmp`, target);
+  }
+
+  async listSessions() {
+    let names;
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const sessions = [];
+    for (const name of names.filter(entry => entry.endsWith('.json'))) {
+      const session = await this.readSession(path.basename(name, '.json'));
+      if (session) sessions.push(session);
+    }
+    return sessions;
+  }
+
+  async createSession({ fileName, mimeType, size, sha256 = null }, ownerId) {
+    const now = Date.now();
+    const active = (await this.listSessions())
+      .filter(session => session.ownerId === ownerId && new Date(session.expiresAt).getTime() > now);
+    if (active.length >= MAX_ACTIVE_UPLOADS) {
+      throw new UploadSessionError(`No more than ${MAX_ACTIVE_UPLOADS} uploads can be in progress`, 429);
+    }
+
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const session = {
+      id: crypto.randomBytes(16).toString('hex'),
+      ownerId,
+      fileName,
+      mimeType,
+      size,
+      sha256: sha256 ? sha256.toLowerCase() : null,
+      offset: 0,
+      chunks: [],
+      status: 'uploading',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + UPLOAD_SESSION_TTL_MS).toISOString()
+    };
+
+    await fs.writeFile(this.dataPath(session.id), Buffer.alloc(0), { mode: 0o600 });
+    await this.writeSession(session);
+    return session;
+  }
+
+  // Sessions belong to the browser session that created them; anyone else
+  // gets the same answer as for an unknown ID
+  async getSession(uploadId, ownerId) {
+    const session = await this.readSession(uploadId);
+    if (!session || session.ownerId !== ownerId || new Date(session.expiresAt).getTime() <= Date.now()) {
+      throw new UploadSessionError('Upload not found', 404);
+    }
+    return session;
+  }
+
+  // Write one chunk at `offset`. Resolves to the updated session; when the
+  // last chunk arrives the whole file is hashed and handed to `validate`,
+  // which returns a list of errors (an invalid upload is deleted).
+  async appendChunk(uploadId, ownerId, { offset, data, sha256 }, validate) {
+    if (this.busy.has(uploadId)) {
+      throw new UploadSessionError('Another chunk for this upload is still being written', 409);
+    }
+    this.busy.add(uploadId);
+
+    try {
+      const session = await this.getSession(uploadId, ownerId);
+
+      if (session.status !== 'uploading') {
+        throw new UploadSessionError('Upload is already complete', 409, { offset: session.offset });
+      }
+      if (offset !== session.offset) {
+        throw new UploadSessionError('Chunk offset does not match the upload offset', 409, { offset: session.offset });
+      }
+      if (data.length === 0 || data.length > CHUNK_SIZE || offset + data.length > session.size) {
+        throw new UploadSessionError('Invalid chunk length', 400, { offset: session.offset });
+      }
+
+      const actual = crypto.createHash('sha256').update(data).digest('hex');
+      if (actual !== sha256.toLowerCase()) {
+        throw new UploadSessionError('Chunk checksum mismatch', 400, { offset: session.offset });
+      }
+
+      // Positional write: a retried chunk overwrites the same bytes
+      const handle = await fs.open(this.dataPath(uploadId), 'r+');
+      try {
+        await handle.write(data, 0, data.length, offset);
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+
+      session.offset += data.length;
+      session.chunks.push({ offset, length: data.length, sha256: actual });
+
+      if (session.offset === session.size) {
+        await this.complete(session, validate);
+      }
+
+      await this.writeSession(session);
+      return session;
+    } finally {
+      this.busy.delete(uploadId);
+    }
+  }
+
+  async complete(session, validate) {
+    const sha256 = await sha256File(this.dataPath(session.id));
+    if (session.sha256 && session.sha256 !== sha256) {
+      await this.removeSession(session.id);
+      throw new UploadSessionError('File checksum mismatch', 422);
+    }
+
+    const errors = validate ? await validate({
+      path: this.dataPath(session.id),
+      originalname: session.fileName,
+      mimetype: session.mimeType,
+      size: session.size
+    }) : [];
+
+    if (errors.length > 0) {
+      await this.removeSession(session.id);
+      throw new UploadSessionError('File validation failed', 422, { details: errors });
+    }
+
+    session.sha256 = sha256;
+    session.status = 'complete';
+    session.completedAt = new Date().toISOString();
+  }
+
+  // Hand completed uploads over to a report submission. Returns multer-style
+  // file objects for links to the data in `tempDir`; the sessions themselves
+  // are only marked as claimed, so another submission can't attach them. The
+  // submitter deletes them once the report is saved, or calls releaseUploads
+  // to make them available again if it fails.
+  async claimUploads(uploadIds, ownerId, tempDir = 'uploads/temp') {
+    if (uploadIds.some(uploadId => this.busy.has(uploadId))) {
+      throw new UploadSessionError('Upload is being attached to another report', 409);
+    }
+    uploadIds.forEach(uploadId => this.busy.add(uploadId));
+
+    const files = [];
+    const claimed = [];
+    try {
+      const sessions = [];
+      for (const uploadId of uploadIds) {
+        const session = await this.getSession(uploadId, ownerId);
+        if (session.status !== 'complete') {
+          throw new UploadSessionError(`Upload ${uploadId} is not complete`, 409);
+        }
+        if (session.claimedAt) {
+          throw new UploadSessionError(`Upload ${uploadId} is being attached to another report`, 409);
+        }
+        sessions.push(session);
+      }
+
+      for (const session of sessions) {
+        session.claimedAt = new Date().toISOString();
+        await this.writeSession(session);
+        claimed.push(session.id);
+
+        const destination = path.join(tempDir,
+          `${crypto.randomBytes(16).toString('hex')}${path.extname(session.fileName).toLowerCase()}`);
+        await linkOrCopy(this.dataPath(session.id), destination);
+
+        files.push({
+          fieldname: 'files',
+          originalname: session.fileName,
+          mimetype: session.mimeType,
+          size: session.size,
+          path: destination,
+          uploadId: session.id
+        });
+      }
+      return files;
+    } catch (error) {
+      for (const file of files) {
+        await fs.unlink(file.path).catch(() => {});
+      }
+      await this.releaseUploads(claimed).catch(releaseError => {
+        console.error('Failed to release claimed uploads:', releaseError);
+      });
+      throw error;
+    } finally {
+      uploadIds.forEach(uploadId => this.busy.delete(uploadId));
+    }
+  }
+
+  // Undo claimUploads for a submission that failed; the data never left the
+  // session, so the uploads can be attached again
+  async releaseUploads(uploadIds) {
+    for (const uploadId of uploadIds) {
+      const session = await this.readSession(uploadId);
+      if (session && session.claimedAt) {
+        delete session.claimedAt;
+        await this.writeSession(session);
+      }
+    }
+  }
+
+  async removeSession(uploadId) {
+    for (const target of [this.dataPath(uploadId), this.metaPath(uploadId)]) {
+      await fs.unlink(target).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+  }
+
+  // Delete expired sessions; returns how many were removed
+  async sweepExpired() {
+    const now = Date.now();
+    let removed = 0;
+    for (const session of await this.listSessions()) {
+      if (new Date(session.expiresAt).getTime() <= now) {
+        await this.removeSession(session.id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Public view of a session for the client
+  toStatus(session) {
+    return {
+      uploadId: session.id,
+      fileName: session.fileName,
+      size: session.size,
+      offset: session.offset,
+      chunkSize: CHUNK_SIZE,
+      status: session.status,
+      expiresAt: session.expiresAt
+    };
+  }
+}
+
+const uploadSessions = new UploadSessionStore();
+
+module.exports = {
+  uploadSessions,
+  UploadSessionStore,
+  UploadSessionError,
+  CHUNK_SIZE,
+  MAX_ACTIVE_UPLOADS,
+  UPLOAD_ID_PATTERN
+};
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// The real module pulls in sharp; only the file hash is needed here
+jest.mock('./imageSanitizer', () => ({
+  sha256File: async (filePath) =>
+    require('crypto').createHash('sha256').update(await require('fs').promises.readFile(filePath)).digest('hex')
+}));
+
+const { UploadSessionStore, UploadSessionError, CHUNK_SIZE } = require('./uploadSessions');
+
+const OWNER = 'session-one';
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+let rootDir;
+let tempDir;
+let store;
+
+beforeEach(async () => {
+  rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'upload-sessions-'));
+  tempDir = path.join(rootDir, 'temp');
+  await fs.promises.mkdir(tempDir);
+  store = new UploadSessionStore(path.join(rootDir, 'resumable'));
+});
+
+afterEach(async () => {
+  await fs.promises.rm(rootDir, { recursive: true, force: true });
+});
+
+const sendChunk = (session, data, offset, validate) =>
+  store.appendChunk(session.id, OWNER, { offset, data, sha256: sha256(data) }, validate);
+
+// A finished upload of `data`, sent in two chunks
+const completedUpload = async (data, fileName = 'clip.mp4') => {
+  const session = await store.createSession({ fileName, mimeType: 'video/mp4', size: data.length }, OWNER);
+  const middle = Math.floor(data.length / 2);
+  await sendChunk(session, data.subarray(0, middle), 0);
+  return sendChunk(session, data.subarray(middle), middle);
+};
+
+describe('resuming an upload', () => {
+  it('reports the current offset for a chunk sent at the wrong place, then completes from there', async () => {
+    const data = crypto.randomBytes(CHUNK_SIZE + 100);
+    const session = await store.createSession({
+      fileName: 'clip.mp4', mimeType: 'video/mp4', size: data.length, sha256: sha256(data)
+    }, OWNER);
+
+    await sendChunk(session, data.subarray(0, CHUNK_SIZE), 0);
+
+    // The client lost the response and sends the first chunk again
+    const error = await sendChunk(session, data.subarray(0, CHUNK_SIZE), 0).catch(err => err);
+    expect(error).toBeInstanceOf(UploadSessionError);
+    expect(error.status).toBe(409);
+    expect(error.details.offset).toBe(CHUNK_SIZE);
+
+    const validate = jest.fn(async () => []);
+    const finished = await sendChunk(session, data.subarray(CHUNK_SIZE), CHUNK_SIZE, validate);
+
+    expect(finished.status).toBe('complete');
+    expect(validate).toHaveBeenCalledWith(expect.objectContaining({ originalname: 'clip.mp4', size: data.length }));
+    expect(await fs.promises.readFile(store.dataPath(session.id))).toEqual(data);
+  });
+
+  it('rejects a chunk whose checksum does not match', async () => {
+    const session = await store.createSession({ fileName: 'clip.mp4', mimeType: 'video/mp4', size: 10 }, OWNER);
+
+    const error = await store.appendChunk(session.id, OWNER, {
+      offset: 0, data: Buffer.alloc(10), sha256: sha256('something else')
+    }).catch(err => err);
+
+    expect(error.status).toBe(400);
+    expect((await store.getSession(session.id, OWNER)).offset).toBe(0);
+  });
+
+  it('deletes an upload that fails validation', async () => {
+    const data = crypto.randomBytes(64);
+    const session = await store.createSession({ fileName: 'clip.mp4', mimeType: 'video/mp4', size: 64 }, OWNER);
+
+    const error = await sendChunk(session, data, 0, async () => ['Not a video']).catch(err => err);
+
+    expect(error.status).toBe(422);
+    expect(await store.readSession(session.id)).toBeNull();
+  });
+
+  it('hides sessions from other browser sessions', async () => {
+    const session = await store.createSession({ fileName: 'clip.mp4', mimeType: 'video/mp4', size: 10 }, OWNER);
+
+    await expect(store.getSession(session.id, 'session-two')).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('claimUploads', () => {
+  it('links the data into the temp directory and keeps the session until it is removed', async () => {
+    const data = crypto.randomBytes(256);
+    const session = await completedUpload(data);
+
+    const [file] = await store.claimUploads([session.id], OWNER, tempDir);
+
+    expect(file).toMatchObject({ originalname: 'clip.mp4', mimetype: 'video/mp4', size: 256, uploadId: session.id });
+    expect(path.dirname(file.path)).toBe(tempDir);
+    expect(await fs.promises.readFile(file.path)).toEqual(data);
+
+    // Processing consumes the temp copy; the session still has the data
+    await fs.promises.unlink(file.path);
+    expect(await fs.promises.readFile(store.dataPath(session.id))).toEqual(data);
+    expect((await store.readSession(session.id)).claimedAt).toEqual(expect.any(String));
+  });
+
+  it('refuses to claim an upload twice while it is claimed', async () => {
+    const session = await completedUpload(crypto.randomBytes(64));
+    await store.claimUploads([session.id], OWNER, tempDir);
+
+    await expect(store.claimUploads([session.id], OWNER, tempDir)).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('makes released uploads available to a later submission', async () => {
+    const data = crypto.randomBytes(64);
+    const session = await completedUpload(data);
+    const [first] = await store.claimUploads([session.id], OWNER, tempDir);
+    await fs.promises.unlink(first.path);
+
+    await store.releaseUploads([session.id]);
+    const [second] = await store.claimUploads([session.id], OWNER, tempDir);
+
+    expect(await fs.promises.readFile(second.path)).toEqual(data);
+  });
+
+  it('claims nothing when one of the uploads is not complete', async () => {
+    const done = await completedUpload(crypto.randomBytes(64));
+    const unfinished = await store.createSession({ fileName: 'b.mp4', mimeType: 'video/mp4', size: 64 }, OWNER);
+
+    await expect(store.claimUploads([done.id, unfinished.id], OWNER, tempDir))
+      .rejects.toMatchObject({ status: 409 });
+
+    expect(await fs.promises.readdir(tempDir)).toEqual([]);
+    expect((await store.readSession(done.id)).claimedAt).toBeUndefined();
+  });
+
+  it('hands back the uploads it already claimed when a later one fails', async () => {
+    const first = await completedUpload(crypto.randomBytes(64), 'a.mp4');
+    const second = await completedUpload(crypto.randomBytes(64), 'b.mp4');
+    await fs.promises.unlink(store.dataPath(second.id));
+
+    await expect(store.claimUploads([first.id, second.id], OWNER, tempDir)).rejects.toMatchObject({ code: 'ENOENT' });
+
+    expect(await fs.promises.readdir(tempDir)).toEqual([]);
+    expect((await store.readSession(first.id)).claimedAt).toBeUndefined();
+    expect((await store.readSession(second.id)).claimedAt).toBeUndefined();
+  });
+});
@@ -0,0 +1,122 @@
+// Structural inspection of uploaded videos.
+//
+// Container metadata is parsed in pure JS (see isoBmff.js and webm.js) so a
+// malformed or oversized recording is rejected before anything decodes it.
+// Poster frames are the one step that needs a real decoder; they are
+// extracted with ffmpeg when it is installed and skipped otherwise.
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+const { parseIsoBmff } = require('./isoBmff');
+const { parseWebm } = require('./webm');
+const { UPLOAD_POLICY } = require('../config/uploadPolicy');
+
+const MAX_VIDEO_DURATION_SECONDS = UPLOAD_POLICY.kinds.video.maxDurationSeconds;
+const MAX_VIDEO_DIMENSION = 4096;
+const POSTER_WIDTH = 640;
+const POSTER_TIMEOUT_MS = 15000;
+
+const PARSERS = {
+  'video/mp4': parseIsoBmff,
+  'video/webm': parseWebm,
+  'video/quicktime': (handle, size) => parseIsoBmff(handle, size, { requireFtyp: false })
+};
+
+// Accepted codecs per container. Not every browser plays HEVC; the poster
+// frame and download still work for those.
+const ALLOWED_CODECS = {
+  'video/mp4': ['avc1', 'avc3', 'hvc1', 'hev1', 'av01', 'vp09', 'mp4v'],
+  'video/webm': ['V_VP8', 'V_VP9', 'V_AV1'],
+  // iPhones record H.264 or HEVC
+  'video/quicktime': ['avc1', 'avc3', 'hvc1', 'hev1', 'mp4v']
+};
+
+const isInspectableVideo = (mimeType) => Boolean(PARSERS[mimeType]);
+
+// Resolves to { container, brand, durationSeconds, width, height, codec,
+// hasAudio }; throws if the container structure is invalid
+const inspectVideo = async (filePath, mimeType) => {
+  const parse = PARSERS[mimeType];
+  if (!parse) {
+    throw new Error(`No parser for ${mimeType}`);
+  }
+
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    return await parse(handle, size);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Policy checks on parsed metadata; returns a list of error messages
+const checkVideoLimits = (info, mimeType) => {
+  const errors = [];
+
+  if (!info.codec) {
+    errors.push('Video has no video track');
+  } else if (!ALLOWED_CODECS[mimeType].includes(info.codec)) {
+    errors.push(`Video codec ${info.codec} is not supported`);
+  }
+
+  if (!Number.isFinite(info.durationSeconds) || info.durationSeconds <= 0) {
+    errors.push('Video duration could not be determined');
+  } else if (info.durationSeconds > MAX_VIDEO_DURATION_SECONDS) {
+    errors.push(`Video is ${Math.round(info.durationSeconds)}s long; the limit is ${MAX_VIDEO_DURATION_SECONDS}s`);
+  }
+
+  if (info.width > MAX_VIDEO_DIMENSION || info.height > MAX_VIDEO_DIMENSION) {
+    errors.push(`Video resolution ${info.width}x${info.height} exceeds ${MAX_VIDEO_DIMENSION}px`);
+  }
+
+  return errors;
+};
+
+// Set once ffmpeg turns out to be missing so we don't retry per upload
+let ffmpegMissing = false;
+
+// Writes a JPEG still to outputPath. Resolves to true on success, false when
+// ffmpeg isn't installed; rejects if ffmpeg fails on this file.
+const extractPosterFrame = (inputPath, outputPath, { durationSeconds } = {}) => {
+  if (ffmpegMissing) {
+    return Promise.resolve(false);
+  }
+
+  // A frame a little way in is more representative than the first one
+  const at = Math.min(1, (durationSeconds || 0) / 2).toFixed(3);
+  const args = [
+    '-nostdin', '-v', 'error', '-y',
+    '-ss', at,
+    '-i', inputPath,
+    '-frames:v', '1',
+    '-vf', `scale='min(${POSTER_WIDTH},iw)':-2`,
+    '-f', 'image2', '-c:v', 'mjpeg',
+    outputPath
+  ];
+
+  return new Promise((resolve, reject) => {
+    execFile(process.env.FFMPEG_PATH || 'ffmpeg', args, { timeout: POSTER_TIMEOUT_MS }, (error) => {
+      if (error && error.code === 'ENOENT') {
+        ffmpegMissing = true;
+        return resolve(false);
+      }
+      if (error) {
+        // A failed or timed-out run can leave a partial image behind
+        return fs.unlink(outputPath)
+          .catch(unlinkError => {
+            if (unlinkError.code !== 'ENOENT') throw unlinkError;
+          })
+          .then(() => reject(new Error(`Poster extraction failed: ${error.message}`)), reject);
+      }
+      resolve(true);
+    });
+  });
+};
+
+module.exports = {
+  inspectVideo,
+  isInspectableVideo,
+  checkVideoLimits,
+  extractPosterFrame,
+  MAX_VIDEO_DURATION_SECONDS
+};
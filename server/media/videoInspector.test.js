@@ -0,0 +1,44 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractPosterFrame } = require('./videoInspector');
+
+let workDir;
+const savedFfmpegPath = process.env.FFMPEG_PATH;
+
+// Stands in for ffmpeg: writes part of an image to the output path (the
+// last argument), then exits with `status`
+const fakeFfmpeg = (status) => {
+  const script = path.join(workDir, `ffmpeg-${status}`);
+  fs.writeFileSync(script, `#!/bin/sh\nfor last; do :; done\nprintf 'partial' > "$last"\nexit ${status}\n`, { mode: 0o755 });
+  return script;
+};
+
+beforeEach(async () => {
+  workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'video-inspector-'));
+});
+
+afterEach(async () => {
+  if (savedFfmpegPath === undefined) delete process.env.FFMPEG_PATH;
+  else process.env.FFMPEG_PATH = savedFfmpegPath;
+  await fs.promises.rm(workDir, { recursive: true, force: true });
+});
+
+describe('extractPosterFrame', () => {
+  it('keeps the poster ffmpeg wrote', async () => {
+    process.env.FFMPEG_PATH = fakeFfmpeg(0);
+    const poster = path.join(workDir, 'poster.jpg');
+
+    await expect(extractPosterFrame('video.mp4', poster, { durationSeconds: 4 })).resolves.toBe(true);
+    expect(fs.existsSync(poster)).toBe(true);
+  });
+
+  it('deletes a partial poster when ffmpeg fails', async () => {
+    process.env.FFMPEG_PATH = fakeFfmpeg(1);
+    const poster = path.join(workDir, 'poster.jpg');
+
+    await expect(extractPosterFrame('video.mp4', poster, { durationSeconds: 4 }))
+      .rejects.toThrow('Poster extraction failed');
+    expect(fs.existsSync(poster)).toBe(false);
+  });
+});
@@ -0,0 +1,279 @@
+// Minimal WebM (Matroska/EBML) parser.
+//
+// Reads element headers with positional reads and only loads the small
+// metadata elements (EBML header, Info, Tracks). Recordings made with the
+// browser's MediaRecorder have no Duration and use unknown-size clusters, so
+// in that case the duration is recovered from the cluster and block
+// timecodes.
+
+const IDS = {
+  EBML: 0x1A45DFA3,
+  DOC_TYPE: 0x4282,
+  SEGMENT: 0x18538067,
+  SEEK_HEAD: 0x114D9B74,
+  INFO: 0x1549A966,
+  TIMECODE_SCALE: 0x2AD7B1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654AE6B,
+  TRACK_ENTRY: 0xAE,
+  TRACK_TYPE: 0x83,
+  CODEC_ID: 0x86,
+  VIDEO: 0xE0,
+  PIXEL_WIDTH: 0xB0,
+  PIXEL_HEIGHT: 0xBA,
+  CLUSTER: 0x1F43B675,
+  CLUSTER_TIMECODE: 0xE7,
+  SIMPLE_BLOCK: 0xA3,
+  BLOCK_GROUP: 0xA0,
+  BLOCK: 0xA1,
+  CUES: 0x1C53BB6B,
+  CHAPTERS: 0x1043A770,
+  TAGS: 0x1254C367,
+  ATTACHMENTS: 0x1941A469,
+  VOID: 0xEC,
+  CRC32: 0xBF
+};
+
+// Elements that may directly follow a cluster; used to find where an
+// unknown-size cluster ends
+const SEGMENT_CHILDREN = new Set([
+  IDS.SEEK_HEAD, IDS.INFO, IDS.TRACKS, IDS.CLUSTER, IDS.CUES,
+  IDS.CHAPTERS, IDS.TAGS, IDS.ATTACHMENTS, IDS.VOID, IDS.CRC32
+]);
+
+const TRACK_TYPE_VIDEO = 1;
+const TRACK_TYPE_AUDIO = 2;
+const DEFAULT_TIMECODE_SCALE = 1000000; // nanoseconds per tick
+const MAX_METADATA_SIZE = 1024 * 1024;
+
+// Variable-length integer: the number of leading zero bits gives the length.
+// IDs keep the length marker, sizes drop it; an all-ones size means unknown.
+const readVint = (buffer, offset, { keepMarker }) => {
+  const first = buffer[offset];
+  if (first === undefined || first === 0) {
+    throw new Error(`Invalid EBML variable-length integer at ${offset}`);
+  }
+
+  let length = 1;
+  while (!(first & (0x80 >> (length - 1)))) length++;
+  if (offset + length > buffer.length) {
+    throw new Error('Truncated EBML variable-length integer');
+  }
+
+  let value = keepMarker ? first : first & (0xFF >> length);
+  let allOnes = value === (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    if (buffer[offset + i] !== 0xFF) allOnes = false;
+  }
+
+  return { value, length, unknown: !keepMarker && allOnes };
+};
+
+const parseHeaderAt = (buffer, offset) => {
+  const id = readVint(buffer, offset, { keepMarker: true });
+  if (id.length > 4) {
+    throw new Error(`Invalid EBML element ID at ${offset}`);
+  }
+  const size = readVint(buffer, offset + id.length, { keepMarker: false });
+  return {
+    id: id.value,
+    headerSize: id.length + size.length,
+    size: size.unknown ? null : size.value
+  };
+};
+
+const readHeader = async (handle, offset, fileSize) => {
+  const buffer = Buffer.alloc(Math.min(12, fileSize - offset));
+  await handle.read(buffer, 0, buffer.length, offset);
+  const header = parseHeaderAt(buffer, 0);
+
+  if (header.size !== null && offset + header.headerSize + header.size > fileSize) {
+    throw new Error(`Element 0x${header.id.toString(16)} at offset ${offset} overruns the file`);
+  }
+  return { ...header, offset, start: offset + header.headerSize };
+};
+
+const readPayload = async (handle, element) => {
+  if (element.size === null || element.size > MAX_METADATA_SIZE) {
+    throw new Error(`Element 0x${element.id.toString(16)} has an invalid size`);
+  }
+  const buffer = Buffer.alloc(element.size);
+  await handle.read(buffer, 0, element.size, element.start);
+  return buffer;
+};
+
+// Children of an in-memory master element
+const parseChildren = (buffer, start = 0, end = buffer.length) => {
+  const children = [];
+  let offset = start;
+
+  while (offset < end) {
+    const header = parseHeaderAt(buffer, offset);
+    if (header.size === null || offset + header.headerSize + header.size > end) {
+      throw new Error(`Element 0x${header.id.toString(16)} overruns its parent`);
+    }
+    const childStart = offset + header.headerSize;
+    children.push({ id: header.id, start: childStart, end: childStart + header.size });
+    offset = childStart + header.size;
+  }
+  return children;
+};
+
+const readUint = (buffer, element) => {
+  let value = 0;
+  for (let i = element.start; i < element.end; i++) value = value * 256 + buffer[i];
+  return value;
+};
+
+const readFloat = (buffer, element) => {
+  const size = element.end - element.start;
+  if (size === 4) return buffer.readFloatBE(element.start);
+  if (size === 8) return buffer.readDoubleBE(element.start);
+  return null;
+};
+
+const readString = (buffer, element) =>
+  buffer.toString('latin1', element.start, element.end).replace(/\0+$/, '');
+
+const parseInfo = (buffer) => {
+  const info = { timecodeScale: DEFAULT_TIMECODE_SCALE, duration: null };
+  for (const child of parseChildren(buffer)) {
+    if (child.id === IDS.TIMECODE_SCALE) info.timecodeScale = readUint(buffer, child);
+    if (child.id === IDS.DURATION) info.duration = readFloat(buffer, child);
+  }
+  return info;
+};
+
+const parseTracks = (buffer) => parseChildren(buffer)
+  .filter(child => child.id === IDS.TRACK_ENTRY)
+  .map(entry => {
+    const track = { type: null, codec: null, width: null, height: null };
+    for (const child of parseChildren(buffer, entry.start, entry.end)) {
+      if (child.id === IDS.TRACK_TYPE) track.type = readUint(buffer, child);
+      if (child.id === IDS.CODEC_ID) track.codec = readString(buffer, child);
+      if (child.id === IDS.VIDEO) {
+        for (const video of parseChildren(buffer, child.start, child.end)) {
+          if (video.id === IDS.PIXEL_WIDTH) track.width = readUint(buffer, video);
+          if (video.id === IDS.PIXEL_HEIGHT) track.height = readUint(buffer, video);
+        }
+      }
+    }
+    return track;
+  });
+
+// Relative timecode of a (Simple)Block: track number vint, then int16
+const readBlockTimecode = async (handle, start) => {
+  const buffer = Buffer.alloc(11);
+  await handle.read(buffer, 0, buffer.length, start);
+  const track = readVint(buffer, 0, { keepMarker: false });
+  return buffer.readInt16BE(track.length);
+};
+
+// Walks a cluster's children. Returns where the cluster ends and its last
+// block time in timecode ticks.
+const walkCluster = async (handle, cluster, fileSize) => {
+  const end = cluster.size === null ? fileSize : cluster.start + cluster.size;
+  let offset = cluster.start;
+  let timecode = 0;
+  let lastBlock = 0;
+
+  while (offset < end) {
+    const child = await readHeader(handle, offset, fileSize);
+    if (cluster.size === null && SEGMENT_CHILDREN.has(child.id)) {
+      break; // next top-level element: the unknown-size cluster ends here
+    }
+    if (child.size === null || child.start + child.size > end) {
+      throw new Error(`Cluster element at offset ${offset} has an invalid size`);
+    }
+
+    if (child.id === IDS.CLUSTER_TIMECODE) {
+      timecode = readUint(await readPayload(handle, child), { start: 0, end: child.size });
+    } else if (child.id === IDS.SIMPLE_BLOCK) {
+      lastBlock = Math.max(lastBlock, await readBlockTimecode(handle, child.start));
+    } else if (child.id === IDS.BLOCK_GROUP) {
+      const group = await readHeader(handle, child.start, fileSize);
+      if (group.id === IDS.BLOCK) {
+        lastBlock = Math.max(lastBlock, await readBlockTimecode(handle, group.start));
+      }
+    }
+    offset = child.start + child.size;
+  }
+
+  return { end: offset, lastTimecode: timecode + lastBlock };
+};
+
+const parseWebm = async (handle, fileSize) => {
+  const ebml = await readHeader(handle, 0, fileSize);
+  if (ebml.id !== IDS.EBML) {
+    throw new Error('File does not start with an EBML header');
+  }
+
+  const header = await readPayload(handle, ebml);
+  const docType = parseChildren(header).find(child => child.id === IDS.DOC_TYPE);
+  if (!docType || readString(header, docType) !== 'webm') {
+    throw new Error('EBML document type is not webm');
+  }
+
+  const segment = await readHeader(handle, ebml.start + ebml.size, fileSize);
+  if (segment.id !== IDS.SEGMENT) {
+    throw new Error('No Segment element after the EBML header');
+  }
+  const segmentEnd = segment.size === null ? fileSize : segment.start + segment.size;
+  if (segmentEnd !== fileSize) {
+    throw new Error('Unexpected data after the Segment');
+  }
+
+  let info = null;
+  let tracks = null;
+  let clusterCount = 0;
+  let lastTimecode = 0;
+  let offset = segment.start;
+
+  while (offset < segmentEnd) {
+    const element = await readHeader(handle, offset, fileSize);
+
+    if (element.id === IDS.CLUSTER) {
+      clusterCount++;
+      // Cluster contents are only needed when Info has no Duration
+      if (element.size === null || (info && info.duration === null)) {
+        const cluster = await walkCluster(handle, element, segmentEnd);
+        lastTimecode = Math.max(lastTimecode, cluster.lastTimecode);
+        offset = cluster.end;
+        continue;
+      }
+    } else if (element.size === null) {
+      throw new Error(`Element 0x${element.id.toString(16)} has an unknown size`);
+    } else if (element.id === IDS.INFO) {
+      info = parseInfo(await readPayload(handle, element));
+    } else if (element.id === IDS.TRACKS) {
+      tracks = parseTracks(await readPayload(handle, element));
+    }
+
+    offset = element.start + element.size;
+  }
+
+  if (!info || !tracks) {
+    throw new Error('Missing Info or Tracks element');
+  }
+  if (clusterCount === 0) {
+    throw new Error('No media clusters');
+  }
+
+  const ticks = info.duration !== null ? info.duration : lastTimecode;
+  const video = tracks.find(track => track.type === TRACK_TYPE_VIDEO);
+
+  return {
+    container: 'webm',
+    brand: 'webm',
+    durationSeconds: (ticks * info.timecodeScale) / 1e9,
+    width: video ? video.width : null,
+    height: video ? video.height : null,
+    codec: video ? video.codec : null,
+    hasAudio: tracks.some(track => track.type === TRACK_TYPE_AUDIO)
+  };
+};
+
+module.exports = {
+  parseWebm
+};
@@ -0,0 +1,107 @@
+const { parseWebm } = require('./webm');
+
+const idBytes = (id) => {
+  const hex = id.toString(16);
+  return Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+};
+
+// Sizes are written as 8-byte vints; all ones means "unknown"
+const element = (id, ...payload) => {
+  const body = Buffer.concat(payload);
+  const size = Buffer.alloc(8);
+  size[0] = 0x01;
+  size.writeUIntBE(body.length, 2, 6);
+  return Buffer.concat([idBytes(id), size, body]);
+};
+
+const unknownSize = (id, ...payload) =>
+  Buffer.concat([idBytes(id), Buffer.from([0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]), ...payload]);
+
+const uint = (id, value) => element(id, Buffer.from([value >> 8, value & 0xFF]));
+const string = (id, value) => element(id, Buffer.from(value, 'latin1'));
+const float = (id, value) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeDoubleBE(value);
+  return element(id, buffer);
+};
+
+// Track number 1, then the block's timecode relative to its cluster
+const simpleBlock = (timecode) => {
+  const payload = Buffer.alloc(8);
+  payload[0] = 0x81;
+  payload.writeInt16BE(timecode, 1);
+  return element(0xA3, payload);
+};
+
+const handleFor = (data) => ({
+  read: async (buffer, offset, length, position) => ({
+    bytesRead: data.copy(buffer, offset, position, position + length)
+  })
+});
+
+const parse = (data) => parseWebm(handleFor(data), data.length);
+
+const header = (docType = 'webm') => element(0x1A45DFA3, string(0x4282, docType));
+
+const tracks = element(0x1654AE6B,
+  element(0xAE, uint(0x83, 1), string(0x86, 'V_VP9'), element(0xE0, uint(0xB0, 1280), uint(0xBA, 720))),
+  element(0xAE, uint(0x83, 2), string(0x86, 'A_OPUS')));
+
+describe('parseWebm', () => {
+  it('reads duration, resolution, codec and audio from Info and Tracks', async () => {
+    const data = Buffer.concat([
+      header(),
+      element(0x18538067,
+        element(0x1549A966, element(0x2AD7B1, Buffer.from([0x0F, 0x42, 0x40])), float(0x4489, 4000)),
+        tracks,
+        element(0x1F43B675, uint(0xE7, 0), simpleBlock(0)))
+    ]);
+
+    await expect(parse(data)).resolves.toEqual({
+      container: 'webm',
+      brand: 'webm',
+      durationSeconds: 4,
+      width: 1280,
+      height: 720,
+      codec: 'V_VP9',
+      hasAudio: true
+    });
+  });
+
+  it('recovers the duration of MediaRecorder files from cluster and block timecodes', async () => {
+    const data = Buffer.concat([
+      header(),
+      unknownSize(0x18538067,
+        element(0x1549A966),
+        tracks,
+        unknownSize(0x1F43B675, uint(0xE7, 0), simpleBlock(0), simpleBlock(900)),
+        unknownSize(0x1F43B675, uint(0xE7, 5000), simpleBlock(0), simpleBlock(1500)))
+    ]);
+
+    await expect(parse(data)).resolves.toMatchObject({ durationSeconds: 6.5, width: 1280 });
+  });
+
+  it('rejects other Matroska documents', async () => {
+    const data = Buffer.concat([header('matroska'), element(0x18538067, tracks)]);
+    await expect(parse(data)).rejects.toThrow('not webm');
+  });
+
+  it('rejects data after the Segment', async () => {
+    const data = Buffer.concat([
+      header(),
+      element(0x18538067, element(0x1549A966), tracks, element(0x1F43B675, uint(0xE7, 0))),
+      Buffer.from('appended payload')
+    ]);
+    await expect(parse(data)).rejects.toThrow('after the Segment');
+  });
+
+  it('rejects files without media clusters', async () => {
+    const data = Buffer.concat([header(), element(0x18538067, element(0x1549A966), tracks)]);
+    await expect(parse(data)).rejects.toThrow('No media clusters');
+  });
+
+  it('rejects an element that overruns the file', async () => {
+    const data = Buffer.concat([header(), element(0x18538067, element(0x1549A966), tracks)]);
+    await expect(parse(data.subarray(0, data.length - 4))).rejects.toThrow('overruns the file');
+  });
+});
@@ -0,0 +1,55 @@
+const { uploadSessions, UploadSessionError, UPLOAD_ID_PATTERN } = require('../media/uploadSessions');
+const { UPLOAD_POLICY } = require('../config/uploadPolicy');
+
+// Turn the `uploadIds` of a report submission into entries on req.files, so
+// resumable uploads go through the same validation, virus scan and
+// processing as files sent in the multipart body. The claim is a step of the
+// submission's transaction: the sessions are deleted when it commits and
+// handed back when it rolls back.
+const attachUploads = async (req, res, next) => {
+  const raw = req.body.uploadIds;
+  if (!raw) {
+    return next();
+  }
+
+  // Multipart sends one field per ID; a comma-separated string also works
+  const uploadIds = [...new Set((Array.isArray(raw) ? raw : String(raw).split(','))
+    .map(id => String(id).trim())
+    .filter(Boolean))];
+  delete req.body.uploadIds;
+
+  if (uploadIds.some(id => !UPLOAD_ID_PATTERN.test(id))) {
+    return res.status(400).json({ error: 'Invalid upload ID' });
+  }
+  if ((req.files || []).length + uploadIds.length > UPLOAD_POLICY.maxFiles) {
+    return res.status(400).json({
+      error: 'Too many files',
+      message: `A report can have at most ${UPLOAD_POLICY.maxFiles} attachments`
+    });
+  }
+
+  try {
+    const claimed = await uploadSessions.claimUploads(uploadIds, req.session.id);
+    req.submission.compensate('claimed uploads', () => uploadSessions.releaseUploads(uploadIds));
+    req.submission.onCommit('claimed uploads', async () => {
+      for (const uploadId of uploadIds) {
+        await uploadSessions.removeSession(uploadId);
+      }
+    });
+    req.files = [...(req.files || []), ...claimed];
+    next();
+  } catch (error) {
+    if (error instanceof UploadSessionError) {
+      return res.status(error.status).json({ error: 'Invalid upload', message: error.message });
+    }
+    console.error('Failed to attach uploads:', error);
+    res.status(500).json({
+      error: 'File validation failed',
+      message: 'Unable to process uploaded files'
+    });
+  }
+};
+
+module.exports = {
+  attachUploads
+};
@@ -1,6 +1,8 @@
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
+const { adminUsers, ADMIN_ROLES } = require('../database/adminUsers');
+const { secureStorage } = require('../database/secureStorage');
 
 // Simple in-memory session store (use Redis in production)
 class SessionStore {
@@ -75,6 +77,19 @@ class SessionStore {
     return null;
   }
 
+  // Undo incrementSubmissionCount for a submission that was rolled back
+  decrementSubmissionCount(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session && session.submissionCount > 0) {
+      if (session.submissionCount > 3) {
+        session.riskScore = Math.max(0, session.riskScore - 10);
+      }
+      session.submissionCount--;
+      return session;
+    }
+    return null;
+  }
+
   blacklistSession(sessionId, reason) {
     const session = this.sessions.get(sessionId);
     if (session) {
@@ -207,6 +222,31 @@ const createOrGetSession = (req, res, next) => {
   }
 };
 
+// Like createOrGetSession, for endpoints that only serve a browser already
+// holding a session (started by GET /api/session or an earlier request), so
+// each call can't mint a fresh session to shed its limits
+const requireSession = (req, res, next) => {
+  const sessionId = req.cookies?.sessionId;
+  const session = sessionId ? sessionStore.getSession(sessionId) : null;
+
+  if (!session) {
+    return res.status(401).json({
+      error: 'No valid session',
+      message: 'Start a session before calling this endpoint'
+    });
+  }
+  if (session.isBlacklisted) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'Your session has been blocked due to suspicious activity'
+    });
+  }
+
+  sessionStore.updateSessionActivity(sessionId);
+  req.session = session;
+  next();
+};
+
 // Enhanced rate limiting per session
 const sessionBasedRateLimit = (windowMs, maxRequests, maxPerFingerprint = null) => {
   return (req, res, next) => {
@@ -299,6 +339,30 @@ const abuseDetection = (req, res, next) => {
   next();
 };
 
+// Reporter access: the report's access token must accompany every lookup.
+// Unknown IDs and wrong tokens get the same 404 so IDs can't be probed.
+const reportAccessAuth = async (req, res, next) => {
+  const { reportId } = req.params;
+  const token = req.get('X-Report-Token');
+
+  if (!/^WUWA-[A-Z0-9\-]+$/.test(reportId)) {
+    return res.status(400).json({ error: 'Invalid report ID format' });
+  }
+
+  try {
+    const report = await secureStorage.adapter.getReport(reportId);
+    if (!secureStorage.verifyAccessToken(report, token)) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    req.reportId = reportId;
+    next();
+  } catch (error) {
+    console.error('Report access check failed:', error);
+    res.status(500).json({ error: 'Failed to verify report access' });
+  }
+};
+
 // Track bug report submission
 const trackSubmission = (req, res, next) => {
   if (req.session) {
@@ -307,35 +371,132 @@ const trackSubmission = (req, res, next) => {
   next();
 };
 
-// Admin authentication (simple implementation)
-const adminAuth = (req, res, next) => {
+// Give a failed submission's slot back to the session
+const releaseSubmission = (req) => {
+  if (req.session) {
+    sessionStore.decrementSubmissionCount(req.session.id);
+  }
+};
+
+// JWT signing secret; a random per-process secret is only tolerated outside production
+const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  console.warn('JWT_SECRET not set - using a random secret, admin tokens will not survive restarts');
+  return crypto.randomBytes(32).toString('hex');
+};
+
+const jwtSecret = getJwtSecret();
+const ADMIN_TOKEN_TTL = '8h';
+
+// Signed attachment URLs let a <video> element stream with Range requests,
+// which can't carry the Authorization header. Each one is for one file and
+// expires quickly; the player asks for a new one every time it starts.
+const STREAM_TOKEN_TTL_SECONDS = 10 * 60;
+const STREAM_TOKEN_PURPOSE = 'attachment-stream';
+
+// Admin authentication: valid token for an account that still exists and is enabled
+const adminAuth = async (req, res, next) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
   
   if (!token) {
     return res.status(401).json({ error: 'Admin token required' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default-secret');
-    if (decoded.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
+    decoded = jwt.verify(token, jwtSecret);
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  // Stream tokens share the secret but only open one attachment
+  if (decoded.purpose) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+
+  try {
+    // Role and disabled flag come from storage so changes apply immediately
+    const user = await adminUsers.getActiveUser(decoded.username);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid admin token' });
     }
-    req.admin = decoded;
+
+    req.admin = { id: user.username, username: user.username, role: user.role };
     next();
   } catch (error) {
-    return res.status(401).json({ error: 'Invalid admin token' });
+    console.error('Admin authentication error:', error);
+    res.status(500).json({ error: 'Authentication error' });
   }
 };
 
-// Generate admin token (for development)
-const generateAdminToken = () => {
+// Role check, used after adminAuth: requireRole('triager') admits triagers and admins
+const requireRole = (role) => {
+  if (!ADMIN_ROLES.includes(role)) {
+    throw new Error(`Unknown admin role: ${role}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.admin || !adminUsers.hasRole(req.admin.role, role)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: `This action requires the ${role} role`
+      });
+    }
+    next();
+  };
+};
+
+// Issue a signed token for an authenticated admin user
+const generateAdminToken = (user) => {
   return jwt.sign(
-    { role: 'admin', id: 'admin-user' },
-    process.env.JWT_SECRET || 'default-secret',
-    { expiresIn: '24h' }
+    { sub: user.id, username: user.username, role: user.role },
+    jwtSecret,
+    { expiresIn: ADMIN_TOKEN_TTL }
   );
 };
 
+// Issue a stream token for one attachment, for an admin already past adminAuth
+const generateStreamToken = (admin, reportId, index) => jwt.sign(
+  { sub: admin.username, purpose: STREAM_TOKEN_PURPOSE, reportId, index },
+  jwtSecret,
+  { expiresIn: STREAM_TOKEN_TTL_SECONDS }
+);
+
+// Stands in for adminAuth + requireRole('viewer') on the streaming route: a
+// valid ?token= for this report and attachment, from an account that can
+// still view reports
+const streamAuth = async (req, res, next) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(req.query.token || ''), jwtSecret);
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired stream token' });
+  }
+
+  if (decoded.purpose !== STREAM_TOKEN_PURPOSE ||
+      decoded.reportId !== req.params.reportId ||
+      decoded.index !== parseInt(req.params.index, 10)) {
+    return res.status(401).json({ error: 'Invalid or expired stream token' });
+  }
+
+  try {
+    const user = await adminUsers.getActiveUser(decoded.sub);
+    if (!user || !adminUsers.hasRole(user.role, 'viewer')) {
+      return res.status(401).json({ error: 'Invalid or expired stream token' });
+    }
+
+    req.admin = { id: user.username, username: user.username, role: user.role };
+    next();
+  } catch (error) {
+    console.error('Stream authentication error:', error);
+    res.status(500).json({ error: 'Authentication error' });
+  }
+};
+
 // Get session statistics (admin only)
 const getSessionStats = (req, res) => {
   try {
@@ -355,11 +516,19 @@ const getSessionStats = (req, res) => {
 
 module.exports = {
   createOrGetSession,
+  requireSession,
   sessionBasedRateLimit,
   abuseDetection,
   trackSubmission,
+  releaseSubmission,
+  reportAccessAuth,
   adminAuth,
+  requireRole,
   generateAdminToken,
+  generateStreamToken,
+  streamAuth,
+  ADMIN_TOKEN_TTL,
+  STREAM_TOKEN_TTL_SECONDS,
   getSessionStats,
   sessionStore
 }; 
\ No newline at end of file
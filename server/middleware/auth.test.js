@@ -0,0 +1,110 @@
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+// Stand-ins for the account store (bcrypt) and report storage singletons
+jest.mock('../database/adminUsers', () => {
+  const ADMIN_ROLES = ['viewer', 'triager', 'admin'];
+  const accounts = new Map();
+  return {
+    ADMIN_ROLES,
+    accounts,
+    adminUsers: {
+      getActiveUser: async (username) => {
+        const user = accounts.get(username);
+        return user && !user.disabled ? user : null;
+      },
+      hasRole: (userRole, requiredRole) =>
+        ADMIN_ROLES.indexOf(userRole) >= ADMIN_ROLES.indexOf(requiredRole)
+    }
+  };
+});
+jest.mock('../database/secureStorage', () => ({ secureStorage: {} }));
+
+// The session store's cleanup interval would keep jest running
+jest.useFakeTimers();
+
+const { accounts } = require('../database/adminUsers');
+const {
+  adminAuth,
+  streamAuth,
+  generateAdminToken,
+  generateStreamToken,
+  STREAM_TOKEN_TTL_SECONDS
+} = require('./auth');
+
+const REPORT_ID = 'WUWA-LQ0ABC12-0A1B2C3D';
+
+const run = async (middleware, req) => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { res, next };
+};
+
+const streamRequest = (token, { reportId = REPORT_ID, index = '0' } = {}) =>
+  ({ query: { token }, params: { reportId, index } });
+
+beforeEach(() => {
+  accounts.clear();
+  accounts.set('rin', { username: 'rin', role: 'viewer', disabled: false });
+});
+
+describe('streamAuth', () => {
+  it('admits the account a token was issued to, for that attachment', async () => {
+    const token = generateStreamToken({ username: 'rin' }, REPORT_ID, 0);
+
+    const { next, res } = await run(streamAuth, streamRequest(token));
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('rejects a token for another attachment or report', async () => {
+    const token = generateStreamToken({ username: 'rin' }, REPORT_ID, 0);
+
+    for (const req of [
+      streamRequest(token, { index: '1' }),
+      streamRequest(token, { reportId: 'WUWA-LQ0ABC12-FFFFFFFF' })
+    ]) {
+      const { next, res } = await run(streamAuth, req);
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    }
+  });
+
+  it('rejects expired tokens', async () => {
+    const token = generateStreamToken({ username: 'rin' }, REPORT_ID, 0);
+    jest.setSystemTime(Date.now() + (STREAM_TOKEN_TTL_SECONDS + 1) * 1000);
+
+    const { res } = await run(streamAuth, streamRequest(token));
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('rejects tokens of accounts disabled since they were issued', async () => {
+    const token = generateStreamToken({ username: 'rin' }, REPORT_ID, 0);
+    accounts.get('rin').disabled = true;
+
+    const { res } = await run(streamAuth, streamRequest(token));
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('does not accept an admin session token in place of a stream token', async () => {
+    const token = generateAdminToken({ id: 'rin', username: 'rin', role: 'viewer' });
+
+    const { res } = await run(streamAuth, streamRequest(token));
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe('adminAuth', () => {
+  it('does not accept a stream token as an admin session', async () => {
+    const token = generateStreamToken({ username: 'rin' }, REPORT_ID, 0);
+
+    const { next, res } = await run(adminAuth, { headers: { authorization: `Bearer ${token}` } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
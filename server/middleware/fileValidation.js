@@ -1,6 +1,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { inspectVideo, isInspectableVideo, checkVideoLimits } = require('../media/videoInspector');
+const { isAllowedMimeType, isAllowedExtension, maxSizeFor } = require('../config/uploadPolicy');
 
 // Magic numbers for file type validation
 const FILE_SIGNATURES = {
@@ -12,12 +14,29 @@ const FILE_SIGNATURES = {
   ],
   'image/png': [[0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]], // PNG
   'image/webp': [[0x52, 0x49, 0x46, 0x46]], // WEBP (RIFF header)
-  // Videos
-  'video/mp4': [
-    [0x00, 0x00, 0x00, 0x18, 0x66, 0x74, 0x79, 0x70], // MP4
-    [0x00, 0x00, 0x00, 0x20, 0x66, 0x74, 0x79, 0x70]  // MP4
+  'image/gif': [
+    [0x47, 0x49, 0x46, 0x38, 0x37, 0x61], // GIF87a
+    [0x47, 0x49, 0x46, 0x38, 0x39, 0x61]  // GIF89a
+  ],
+  // HEIF: "ftyp" box with a HEIF brand
+  'image/heic': [
+    { offset: 4, bytes: [0x66, 0x74, 0x79, 0x70, 0x68, 0x65, 0x69, 0x63] }, // ftypheic
+    { offset: 4, bytes: [0x66, 0x74, 0x79, 0x70, 0x68, 0x65, 0x69, 0x78] }, // ftypheix
+    { offset: 4, bytes: [0x66, 0x74, 0x79, 0x70, 0x6D, 0x69, 0x66, 0x31] }  // ftypmif1
+  ],
+  'image/heif': [
+    { offset: 4, bytes: [0x66, 0x74, 0x79, 0x70, 0x6D, 0x69, 0x66, 0x31] }, // ftypmif1
+    { offset: 4, bytes: [0x66, 0x74, 0x79, 0x70, 0x68, 0x65, 0x69, 0x63] }  // ftypheic
   ],
-  'video/webm': [[0x1A, 0x45, 0xDF, 0xA3]] // WebM
+  // Videos
+  'video/mp4': [{ offset: 4, bytes: [0x66, 0x74, 0x79, 0x70] }], // MP4 ("ftyp" after any box size)
+  'video/webm': [[0x1A, 0x45, 0xDF, 0xA3]], // WebM
+  'video/quicktime': [
+    { offset: 4, bytes: [0x66, 0x74, 0x79, 0x70, 0x71, 0x74, 0x20, 0x20] }, // ftypqt
+    { offset: 4, bytes: [0x77, 0x69, 0x64, 0x65] }, // Legacy MOV without ftyp: "wide" atom
+    { offset: 4, bytes: [0x6D, 0x64, 0x61, 0x74] }, // ...or "mdat" first
+    { offset: 4, bytes: [0x6D, 0x6F, 0x6F, 0x76] }  // ...or "moov" first
+  ]
 };
 
 // Dangerous file signatures to block
@@ -30,12 +49,8 @@ const DANGEROUS_SIGNATURES = [
   [0xD0, 0xCF, 0x11, 0xE0]               // MS Office files
 ];
 
+// Types, extensions and sizes come from config/uploadPolicy.js
 class AdvancedFileValidator {
-  constructor() {
-    this.maxFileSize = 10 * 1024 * 1024; // 10MB
-    this.allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'video/mp4', 'video/webm'];
-  }
-
   // Read file magic numbers
   async readFileSignature(filePath, bytes = 16) {
     try {
@@ -56,9 +71,10 @@ class AdvancedFileValidator {
       return false;
     }
 
-    return expectedSignatures.some(expected => 
-      expected.every((byte, index) => signature[index] === byte)
-    );
+    return expectedSignatures.some(expected => {
+      const { offset = 0, bytes } = Array.isArray(expected) ? { bytes: expected } : expected;
+      return bytes.every((byte, index) => signature[offset + index] === byte);
+    });
   }
 
   // Check for dangerous file signatures
@@ -74,18 +90,18 @@ class AdvancedFileValidator {
     
     try {
       // 1. Basic validations
-      if (!this.allowedTypes.includes(file.mimetype)) {
+      if (!isAllowedMimeType(file.mimetype)) {
         errors.push(`File type ${file.mimetype} not allowed`);
       }
 
-      if (file.size > this.maxFileSize) {
-        errors.push(`File size ${file.size} exceeds limit of ${this.maxFileSize} bytes`);
+      const maxFileSize = maxSizeFor(file.mimetype);
+      if (file.size > maxFileSize) {
+        errors.push(`File size ${file.size} exceeds limit of ${maxFileSize} bytes`);
       }
 
-      // 2. File extension validation
-      const allowedExtensions = ['.jpg', '.jpeg', '.png', '.webp', '.mp4', '.webm'];
+      // 2. File extension validation (must match the declared type)
       const fileExt = path.extname(file.originalname).toLowerCase();
-      if (!allowedExtensions.includes(fileExt)) {
+      if (!isAllowedExtension(file.mimetype, fileExt)) {
         errors.push(`File extension ${fileExt} not allowed`);
       }
 
@@ -107,7 +123,12 @@ class AdvancedFileValidator {
         await this.validateImageFile(file);
       }
 
-      // 5. Filename validation
+      // 5. Container structure, duration and codec for videos
+      if (isInspectableVideo(file.mimetype) && errors.length === 0) {
+        errors.push(...await this.validateVideoFile(file));
+      }
+
+      // 6. Filename validation
       const dangerousChars = /[<>:"/\\|?*\x00-\x1f]/;
       if (dangerousChars.test(file.originalname)) {
         errors.push('Filename contains dangerous characters');
@@ -117,8 +138,8 @@ class AdvancedFileValidator {
         errors.push('Filename too long');
       }
 
-      // 6. Check for embedded scripts in file
-      await this.scanForEmbeddedThreats(file);
+      // Malware scanning is done by the virus scanner (see middleware/virusScan.js);
+      // byte-pattern matching here rejected legitimate screenshots
 
       return {
         isValid: errors.length === 0,
@@ -165,32 +186,14 @@ class AdvancedFileValidator {
     }
   }
 
-  // Scan for embedded threats (simplified virus scan)
-  async scanForEmbeddedThreats(file) {
+  // Parse the container; the metadata is kept on the file for processing
+  async validateVideoFile(file) {
     try {
-      const buffer = await fs.readFile(file.path);
-      
-      // Simple threat patterns (in production, use proper antivirus)
-      const threatPatterns = [
-        Buffer.from('eval('),
-        Buffer.from('<script'),
-        Buffer.from('javascript:'),
-        Buffer.from('cmd.exe'),
-        Buffer.from('powershell'),
-        Buffer.from('/bin/sh'),
-        Buffer.from('bash'),
-        Buffer.from('%SystemRoot%')
-      ];
-
-      for (const pattern of threatPatterns) {
-        if (buffer.includes(pattern)) {
-          throw new Error(`File contains suspicious pattern: ${pattern.toString()}`);
-        }
-      }
-
+      file.videoInfo = await inspectVideo(file.path, file.mimetype);
     } catch (error) {
-      throw new Error(`Threat scan failed: ${error.message}`);
+      return [`Invalid video file: ${error.message}`];
     }
+    return checkVideoLimits(file.videoInfo, file.mimetype);
   }
 
   // Generate secure filename
@@ -0,0 +1,143 @@
+// Idempotency keys for report submission.
+//
+// The form sends an `Idempotency-Key` generated once per form fill. If the
+// response is lost (a timeout on a slow connection) and the player submits
+// again, the retry gets the original report back instead of creating a second
+// one and spending another of the session's submissions. Keys are scoped to
+// the browser session, so a key seen elsewhere can't be used to fetch someone
+// else's access token. A key also stands for one payload: reusing it for a
+// different report is refused rather than answered with the first one.
+const crypto = require('crypto');
+
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000; // Same lifetime as a session
+const PENDING_TIMEOUT_MS = 10 * 60 * 1000; // A request that never answered
+
+// Simple in-memory store, like the session store (use Redis in production)
+class IdempotencyStore {
+  constructor() {
+    this.entries = new Map();
+
+    // Cleanup expired keys every 30 minutes
+    setInterval(() => this.cleanupExpired(), 30 * 60 * 1000).unref();
+  }
+
+  storeKey(sessionId, key) {
+    return `${sessionId}:${key}`;
+  }
+
+  get(sessionId, key) {
+    const entry = this.entries.get(this.storeKey(sessionId, key));
+    if (!entry) return null;
+
+    const age = Date.now() - entry.createdAt;
+    const ttl = entry.state === 'pending' ? PENDING_TIMEOUT_MS : IDEMPOTENCY_TTL_MS;
+    if (age > ttl) {
+      this.entries.delete(this.storeKey(sessionId, key));
+      return null;
+    }
+    return entry;
+  }
+
+  begin(sessionId, key, fingerprint) {
+    this.entries.set(this.storeKey(sessionId, key), { state: 'pending', fingerprint, createdAt: Date.now() });
+  }
+
+  complete(sessionId, key, fingerprint, status, body) {
+    this.entries.set(this.storeKey(sessionId, key), {
+      state: 'complete',
+      fingerprint,
+      status,
+      body,
+      createdAt: Date.now()
+    });
+  }
+
+  release(sessionId, key) {
+    this.entries.delete(this.storeKey(sessionId, key));
+  }
+
+  cleanupExpired() {
+    const now = Date.now();
+    for (const [storeKey, entry] of this.entries.entries()) {
+      const ttl = entry.state === 'pending' ? PENDING_TIMEOUT_MS : IDEMPOTENCY_TTL_MS;
+      if (now - entry.createdAt > ttl) {
+        this.entries.delete(storeKey);
+      }
+    }
+  }
+}
+
+const idempotencyStore = new IdempotencyStore();
+
+// Hash of what a submission asks for: its form fields (upload IDs included)
+// and any multipart files by name, type and size
+const submissionFingerprint = (req) => {
+  const fields = Object.keys(req.body || {}).sort().map(field => [field, req.body[field]]);
+  const files = (req.files || []).map(file => [file.originalname, file.mimetype, file.size]);
+  return crypto.createHash('sha256').update(JSON.stringify({ fields, files })).digest('hex');
+};
+
+// Replays the stored response for a key that already created a report. Runs
+// after the multipart body is parsed, so the payload can be compared, and
+// before the session rate limit so a replay doesn't count as a submission.
+// Requests without the header are handled as before.
+const idempotentSubmission = (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      error: 'Invalid idempotency key',
+      message: 'Idempotency-Key must be 16-128 letters, digits, dashes or underscores'
+    });
+  }
+
+  const sessionId = req.session.id;
+  const fingerprint = submissionFingerprint(req);
+  const entry = idempotencyStore.get(sessionId, key);
+
+  if (entry && entry.fingerprint !== fingerprint) {
+    return res.status(422).json({
+      error: 'Idempotency key reused',
+      message: 'This key was already used for a different report. Reload the form to submit a new one.'
+    });
+  }
+  if (entry && entry.state === 'complete') {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(entry.status).json(entry.body);
+  }
+  if (entry) {
+    return res.status(409).json({
+      error: 'Submission in progress',
+      message: 'This report is still being submitted. Please wait a moment before trying again.'
+    });
+  }
+
+  idempotencyStore.begin(sessionId, key, fingerprint);
+
+  // The outcome is recorded when the handler answers, even if the client has
+  // already disconnected. Only a created report is remembered; after any
+  // failure nothing was stored, so the same key may try again.
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode === 201) {
+      idempotencyStore.complete(sessionId, key, fingerprint, res.statusCode, body);
+    } else {
+      idempotencyStore.release(sessionId, key);
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+module.exports = {
+  idempotentSubmission,
+  idempotencyStore,
+  IdempotencyStore,
+  submissionFingerprint,
+  IDEMPOTENCY_KEY_PATTERN
+};
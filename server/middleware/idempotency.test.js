@@ -0,0 +1,82 @@
+const { idempotentSubmission, idempotencyStore } = require('./idempotency');
+
+const KEY = '3b241101-e2bb-4255-8caf-4136c566a962';
+
+const submission = (body, { files = [], key = KEY, sessionId = 'session-1' } = {}) => {
+  const req = {
+    body,
+    files,
+    session: { id: sessionId },
+    get: (header) => (header === 'Idempotency-Key' ? key : undefined)
+  };
+  const res = {
+    statusCode: 200,
+    set: jest.fn(),
+    status: jest.fn(function status(code) {
+      this.statusCode = code;
+      return this;
+    }),
+    json: jest.fn()
+  };
+  const next = jest.fn();
+  idempotentSubmission(req, res, next);
+  return { req, res, next };
+};
+
+const report = { description: 'Echo skill does no damage', category: 'combat', uploadIds: ['upload-a'] };
+
+afterEach(() => idempotencyStore.entries.clear());
+
+describe('idempotentSubmission', () => {
+  it('replays the created report for a retry with the same payload', () => {
+    const first = submission(report);
+    expect(first.next).toHaveBeenCalled();
+    first.res.status(201).json({ reportId: 'WUWA-1' });
+
+    const retry = submission({ ...report });
+
+    expect(retry.next).not.toHaveBeenCalled();
+    expect(retry.res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(retry.res.status).toHaveBeenCalledWith(201);
+    expect(retry.res.json).toHaveBeenCalledWith({ reportId: 'WUWA-1' });
+  });
+
+  it('rejects a key reused for a different payload', () => {
+    submission(report).res.status(201).json({ reportId: 'WUWA-1' });
+
+    for (const retry of [
+      submission({ ...report, description: 'Another bug' }),
+      submission({ ...report, uploadIds: ['upload-b'] }),
+      submission(report, { files: [{ originalname: 'clip.mp4', mimetype: 'video/mp4', size: 1024 }] })
+    ]) {
+      expect(retry.next).not.toHaveBeenCalled();
+      expect(retry.res.status).toHaveBeenCalledWith(422);
+      expect(retry.res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Idempotency key reused' }));
+    }
+  });
+
+  it('answers 409 while the first request with a key is still running', () => {
+    submission(report);
+
+    const retry = submission(report);
+
+    expect(retry.next).not.toHaveBeenCalled();
+    expect(retry.res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('frees the key after a failed submission, even for a corrected payload', () => {
+    submission(report).res.status(400).json({ error: 'Validation failed' });
+
+    const corrected = submission({ ...report, description: 'Echo skill does no damage to bosses' });
+
+    expect(corrected.next).toHaveBeenCalled();
+  });
+
+  it('scopes keys to the session', () => {
+    submission(report).res.status(201).json({ reportId: 'WUWA-1' });
+
+    const other = submission({ ...report, description: 'Another bug' }, { sessionId: 'session-2' });
+
+    expect(other.next).toHaveBeenCalled();
+  });
+});
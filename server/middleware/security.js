@@ -4,11 +4,45 @@ const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const crypto = require('crypto');
-const { body, validationResult } = require('express-validator');
+const { body, query, param, header, validationResult } = require('express-validator');
+const { UPLOAD_POLICY, ALLOWED_MIME_TYPES, isAllowedMimeType, isAllowedExtension, maxSizeFor } = require('../config/uploadPolicy');
+const { UPLOAD_ID_PATTERN } = require('../media/uploadSessions');
+const { ADMIN_ROLES, MIN_PASSWORD_LENGTH } = require('../database/adminUsers');
+const {
+  REPORT_STATUSES,
+  PRIORITIES,
+  SEVERITIES,
+  MAX_LABELS,
+  LABEL_PATTERN,
+  TICKET_ID_PATTERN,
+  MAX_RESOLUTION_NOTE_LENGTH,
+  MAX_BULK_REPORTS
+} = require('../config/reportLifecycle');
+
+const BUG_CATEGORIES = [
+  'visual-glitch', 'stuck-character', 'quest-problem',
+  'crash-freeze', 'text-typo', 'ui-issue',
+  'audio-problem', 'performance-lag', 'other'
+];
+
+const PLATFORMS = ['pc', 'ios', 'android', 'playstation'];
+
+const SERVER_REGIONS = ['america', 'europe', 'asia', 'sea', 'hmt'];
+
+const REPORT_ID_PATTERN = /^WUWA-[A-Z0-9]+-[A-F0-9]{8}$/;
+
+// Same rule as AdminUserStore.validateNewUser
+const ADMIN_USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/i;
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/i;
+
+// Game versions look like 1.4 or 2.0.1
+const GAME_VERSION_PATTERN = /^\d{1,2}(\.\d{1,3}){1,3}$/;
 
 // Rate limiting configuration
-const createRateLimit = (windowMs, max, message) => {
+const createRateLimit = (windowMs, max, message, options = {}) => {
   return rateLimit({
+    ...options,
     windowMs,
     max,
     message: { error: message },
@@ -23,11 +57,13 @@ const createRateLimit = (windowMs, max, message) => {
   });
 };
 
-// General API rate limiting
+// General API rate limiting. Upload chunks are counted by uploadChunkLimiter
+// instead, since one recording can take dozens of them.
 const generalLimiter = createRateLimit(
   15 * 60 * 1000, // 15 minutes
   100, // limit each IP to 100 requests per windowMs
-  'Too many requests from this IP, please try again later'
+  'Too many requests from this IP, please try again later',
+  { skip: (req) => req.method === 'PATCH' && req.path.startsWith('/api/uploads/') }
 );
 
 // Bug report submission rate limiting
@@ -44,28 +80,46 @@ const fileUploadLimiter = createRateLimit(
   'Too many file uploads, please try again later'
 );
 
+// Resumable upload chunk rate limiting (5 files of up to 40 chunks each)
+const uploadChunkLimiter = createRateLimit(
+  15 * 60 * 1000, // 15 minutes
+  300, // limit each IP to 300 chunks per windowMs
+  'Too many upload requests, please try again later'
+);
+
+// Admin login rate limiting (brute-force protection)
+const adminLoginLimiter = createRateLimit(
+  15 * 60 * 1000, // 15 minutes
+  10, // limit each IP to 10 login attempts per windowMs
+  'Too many login attempts, please try again later'
+);
+
+// Follow-up comment rate limiting (reporter replies)
+const commentLimiter = createRateLimit(
+  15 * 60 * 1000, // 15 minutes
+  20, // limit each IP to 20 comments per windowMs
+  'Too many comments, please try again later'
+);
+
+// Duplicate suggestions while a player types. Each call compares a draft
+// against stored reports, so it gets a tighter budget than general requests.
+const similarReportsLimiter = createRateLimit(
+  15 * 60 * 1000, // 15 minutes
+  30, // limit each IP to 30 lookups per windowMs
+  'Too many duplicate lookups, please try again later'
+);
+
 // Secure file upload configuration
 const fileFilter = (req, file, cb) => {
-  // Allowed MIME types
-  const allowedMimes = [
-    'image/jpeg',
-    'image/jpg', 
-    'image/png',
-    'image/webp',
-    'video/mp4',
-    'video/webm'
-  ];
-  
-  // Check MIME type
-  if (!allowedMimes.includes(file.mimetype)) {
+  // Check MIME type against the shared upload policy
+  if (!isAllowedMimeType(file.mimetype)) {
     return cb(new Error('Invalid file type'), false);
   }
   
   // Additional file extension validation
-  const allowedExtensions = ['.jpg', '.jpeg', '.png', '.webp', '.mp4', '.webm'];
   const fileExtension = path.extname(file.originalname).toLowerCase();
   
-  if (!allowedExtensions.includes(fileExtension)) {
+  if (!isAllowedExtension(file.mimetype, fileExtension)) {
     return cb(new Error('Invalid file extension'), false);
   }
   
@@ -76,8 +130,8 @@ const fileFilter = (req, file, cb) => {
 const upload = multer({
   dest: 'uploads/temp/', // Temporary upload directory
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-    files: 5 // Maximum 5 files per request
+    fileSize: UPLOAD_POLICY.maxMultipartFileSize,
+    files: UPLOAD_POLICY.maxFiles
   },
   fileFilter,
   storage: multer.diskStorage({
@@ -96,11 +150,7 @@ const upload = multer({
 // Input validation rules
 const bugReportValidation = [
   body('category')
-    .isIn([
-      'visual-glitch', 'stuck-character', 'quest-problem', 
-      'crash-freeze', 'text-typo', 'ui-issue', 
-      'audio-problem', 'performance-lag', 'other'
-    ])
+    .isIn(BUG_CATEGORIES)
     .withMessage('Invalid bug category'),
   
   body('otherCategory')
@@ -117,14 +167,511 @@ const bugReportValidation = [
     .withMessage('Description must be 10-2000 characters'),
   
   body('platform')
-    .isIn(['pc', 'ios', 'android', 'playstation'])
+    .isIn(PLATFORMS)
     .withMessage('Invalid platform'),
   
   body('userAgent')
     .optional()
     .isLength({ max: 500 })
     .trim()
-    .withMessage('User agent too long')
+    .withMessage('User agent too long'),
+
+  // Optional structured game context
+  body('gameVersion')
+    .optional({ checkFalsy: true })
+    .matches(GAME_VERSION_PATTERN)
+    .withMessage('Game version must look like 1.4 or 2.0.1'),
+
+  body('serverRegion')
+    .optional({ checkFalsy: true })
+    .isIn(SERVER_REGIONS)
+    .withMessage('Invalid server region'),
+
+  body('uid')
+    .optional({ checkFalsy: true })
+    .matches(/^\d{6,12}$/)
+    .withMessage('UID must be 6-12 digits'),
+
+  body('character')
+    .optional()
+    .isLength({ max: 50 })
+    .trim()
+    .escape()
+    .withMessage('Character name must be at most 50 characters'),
+
+  body('mapRegion')
+    .optional()
+    .isLength({ max: 100 })
+    .trim()
+    .escape()
+    .withMessage('Map region must be at most 100 characters'),
+
+  body('questName')
+    .optional()
+    .isLength({ max: 150 })
+    .trim()
+    .escape()
+    .withMessage('Quest name must be at most 150 characters'),
+
+  body('reproductionSteps')
+    .optional()
+    .isLength({ max: 2000 })
+    .trim()
+    .escape()
+    .withMessage('Reproduction steps must be at most 2000 characters'),
+
+  body(['expectedResult', 'actualResult'])
+    .optional()
+    .isLength({ max: 1000 })
+    .trim()
+    .escape()
+    .withMessage('Expected and actual results must be at most 1000 characters')
+];
+
+// Report filters for the admin listing (`check` = query, no prefix) and for
+// bulk updates (`check` = body, prefix 'filter.')
+const reportFilterChecks = (check, prefix = '') => [
+  check(`${prefix}category`)
+    .optional()
+    .isIn(BUG_CATEGORIES)
+    .withMessage('Invalid bug category'),
+
+  check(`${prefix}platform`)
+    .optional()
+    .isIn(PLATFORMS)
+    .withMessage('Invalid platform'),
+
+  check(`${prefix}status`)
+    .optional()
+    .isIn(REPORT_STATUSES)
+    .withMessage('Invalid status'),
+
+  check([`${prefix}from`, `${prefix}to`])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601'),
+
+  check(`${prefix}hasFiles`)
+    .optional()
+    .isBoolean()
+    .withMessage('hasFiles must be true or false'),
+
+  check(`${prefix}gameVersion`)
+    .optional()
+    .matches(GAME_VERSION_PATTERN)
+    .withMessage('Invalid game version'),
+
+  check(`${prefix}serverRegion`)
+    .optional()
+    .isIn(SERVER_REGIONS)
+    .withMessage('Invalid server region'),
+
+  check(`${prefix}assignee`)
+    .optional()
+    .matches(ADMIN_USERNAME_PATTERN)
+    .withMessage('Invalid assignee'),
+
+  check(`${prefix}priority`)
+    .optional()
+    .isIn(PRIORITIES)
+    .withMessage('Invalid priority'),
+
+  check(`${prefix}severity`)
+    .optional()
+    .isIn(SEVERITIES)
+    .withMessage('Invalid severity'),
+
+  check(`${prefix}label`)
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(LABEL_PATTERN)
+    .withMessage('Invalid label'),
+
+  // Free-text context filters are escaped the same way stored values are
+  check([`${prefix}character`, `${prefix}mapRegion`, `${prefix}questName`])
+    .optional()
+    .isLength({ min: 1, max: 150 })
+    .trim()
+    .escape()
+    .withMessage('Context filters must be 1-150 characters')
+];
+
+// Admin report listing query validation
+const reportListValidation = [
+  ...reportFilterChecks(query),
+
+  query('sort')
+    .optional()
+    .isIn(['timestamp', '-timestamp'])
+    .withMessage('Sort must be timestamp or -timestamp'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+
+  query('cursor')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .withMessage('Invalid cursor')
+];
+
+// Triage changes to a report; any subset of the fields, null clears one
+const reportUpdateValidation = [
+  body()
+    .custom(value => ['status', 'assignee', 'priority', 'severity', 'labels', 'ticketId', 'resolutionNote']
+      .some(field => value[field] !== undefined))
+    .withMessage('Nothing to update'),
+
+  body('status')
+    .optional()
+    .isIn(REPORT_STATUSES)
+    .withMessage('Invalid status'),
+
+  body('assignee')
+    .optional({ nullable: true })
+    .matches(ADMIN_USERNAME_PATTERN)
+    .withMessage('Invalid assignee'),
+
+  body('priority')
+    .optional({ nullable: true })
+    .isIn(PRIORITIES)
+    .withMessage(`Priority must be one of ${PRIORITIES.join(', ')}`),
+
+  body('severity')
+    .optional({ nullable: true })
+    .isIn(SEVERITIES)
+    .withMessage(`Severity must be one of ${SEVERITIES.join(', ')}`),
+
+  body('labels')
+    .optional()
+    .isArray({ max: MAX_LABELS })
+    .withMessage(`Labels must be a list of at most ${MAX_LABELS}`),
+
+  body('labels.*')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .matches(LABEL_PATTERN)
+    .withMessage('Labels must be 1-32 letters, digits, spaces or . _ : / -'),
+
+  body('ticketId')
+    .optional({ nullable: true })
+    .matches(TICKET_ID_PATTERN)
+    .withMessage('Invalid ticket ID'),
+
+  // Escaped like comments, since it is shown back in the dashboard
+  body('resolutionNote')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: MAX_RESOLUTION_NOTE_LENGTH })
+    .trim()
+    .escape()
+    .withMessage(`Resolution note must be at most ${MAX_RESOLUTION_NOTE_LENGTH} characters`)
+];
+
+const REPORT_FILTER_FIELDS = [
+  'category', 'platform', 'status', 'from', 'to', 'hasFiles', 'gameVersion', 'serverRegion',
+  'assignee', 'priority', 'severity', 'label', 'character', 'mapRegion', 'questName'
+];
+
+const BULK_CHANGE_FIELDS = ['status', 'assignee', 'addLabels', 'removeLabels'];
+
+// Bulk updates: reports picked by `reportIds` or a non-empty `filter`, one
+// change set for all of them, and `dryRun` to preview
+const reportBulkValidation = [
+  body()
+    .custom(value => (value.reportIds === undefined) !== (value.filter === undefined))
+    .withMessage('Select reports with either reportIds or filter'),
+
+  body('reportIds')
+    .optional()
+    .isArray({ min: 1, max: MAX_BULK_REPORTS })
+    .withMessage(`reportIds must list 1-${MAX_BULK_REPORTS} report IDs`),
+
+  body('reportIds.*')
+    .matches(REPORT_ID_PATTERN)
+    .withMessage('Invalid report ID'),
+
+  body('filter')
+    .optional()
+    .isObject()
+    .custom(filter => Object.keys(filter).length > 0 &&
+      Object.keys(filter).every(field => REPORT_FILTER_FIELDS.includes(field)))
+    .withMessage(`filter must use at least one of ${REPORT_FILTER_FIELDS.join(', ')}`),
+
+  ...reportFilterChecks(body, 'filter.'),
+
+  body('changes')
+    .isObject()
+    .custom(changes => Object.keys(changes).length > 0 &&
+      Object.keys(changes).every(field => BULK_CHANGE_FIELDS.includes(field)))
+    .withMessage(`changes must set at least one of ${BULK_CHANGE_FIELDS.join(', ')}`),
+
+  body('changes.status')
+    .optional()
+    .isIn(REPORT_STATUSES)
+    .withMessage('Invalid status'),
+
+  body('changes.assignee')
+    .optional({ nullable: true })
+    .matches(ADMIN_USERNAME_PATTERN)
+    .withMessage('Invalid assignee'),
+
+  body(['changes.addLabels', 'changes.removeLabels'])
+    .optional()
+    .isArray({ min: 1, max: MAX_LABELS })
+    .withMessage(`Label changes must list 1-${MAX_LABELS} labels`),
+
+  body(['changes.addLabels.*', 'changes.removeLabels.*'])
+    .isString()
+    .trim()
+    .toLowerCase()
+    .matches(LABEL_PATTERN)
+    .withMessage('Labels must be 1-32 letters, digits, spaces or . _ : / -'),
+
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false')
+    .toBoolean()
+];
+
+// Duplicate suggestions while a player is still filling in the form
+const similarReportsValidation = [
+  body('description')
+    .isLength({ min: 10, max: 2000 })
+    .trim()
+    .escape()
+    .withMessage('Description must be 10-2000 characters'),
+
+  body('category')
+    .optional({ checkFalsy: true })
+    .isIn(BUG_CATEGORIES)
+    .withMessage('Invalid bug category'),
+
+  body('platform')
+    .optional({ checkFalsy: true })
+    .isIn(PLATFORMS)
+    .withMessage('Invalid platform'),
+
+  body('gameVersion')
+    .optional({ checkFalsy: true })
+    .matches(GAME_VERSION_PATTERN)
+    .withMessage('Invalid game version'),
+
+  body('serverRegion')
+    .optional({ checkFalsy: true })
+    .isIn(SERVER_REGIONS)
+    .withMessage('Invalid server region'),
+
+  body(['character', 'mapRegion', 'questName'])
+    .optional()
+    .isLength({ max: 150 })
+    .trim()
+    .escape()
+    .withMessage('Context fields must be at most 150 characters')
+];
+
+// Duplicate cluster query validation
+const duplicateClusterValidation = [
+  query('category')
+    .optional()
+    .isIn(BUG_CATEGORIES)
+    .withMessage('Invalid bug category'),
+
+  query('since')
+    .optional()
+    .isISO8601()
+    .withMessage('since must be ISO 8601'),
+
+  query('threshold')
+    .optional()
+    .isFloat({ min: 0.3, max: 1 })
+    .withMessage('Threshold must be between 0.3 and 1')
+];
+
+// Duplicate merge validation
+const mergeDuplicatesValidation = [
+  body('duplicateIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('duplicateIds must list 1-100 report IDs'),
+
+  body('duplicateIds.*')
+    .matches(REPORT_ID_PATTERN)
+    .withMessage('Invalid report ID')
+];
+
+// Audit log filters, shared by the listing and the export
+const auditFilterValidation = [
+  query('action')
+    .optional()
+    .matches(/^[A-Z_]{1,64}$/)
+    .withMessage('Invalid audit action'),
+
+  query('reportId')
+    .optional()
+    .matches(REPORT_ID_PATTERN)
+    .withMessage('Invalid report ID'),
+
+  query('adminId')
+    .optional()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('adminId must be 1-64 characters'),
+
+  query('sessionId')
+    .optional()
+    .matches(/^[a-f0-9]{64}$/)
+    .withMessage('Invalid session ID'),
+
+  query('batchId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid batch ID'),
+
+  query(['since', 'until'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601')
+];
+
+const auditListValidation = [
+  ...auditFilterValidation,
+
+  query('sort')
+    .optional()
+    .isIn(['timestamp', '-timestamp'])
+    .withMessage('Sort must be timestamp or -timestamp'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+
+  query('cursor')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .withMessage('Invalid cursor')
+];
+
+const auditExportValidation = [
+  ...auditFilterValidation,
+
+  query('format')
+    .optional()
+    .isIn(['jsonl', 'csv'])
+    .withMessage('Format must be jsonl or csv')
+];
+
+// Admin login validation
+const adminLoginValidation = [
+  body('username')
+    .isString()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Username is required'),
+
+  body('password')
+    .isString()
+    .isLength({ min: 1, max: 256 })
+    .withMessage('Password is required')
+];
+
+// Admin account creation; AdminUserStore checks the same rules again
+const adminUserCreateValidation = [
+  body('username')
+    .isString()
+    .matches(ADMIN_USERNAME_PATTERN)
+    .withMessage('Username must be 3-32 letters, digits, dots, dashes or underscores'),
+
+  body('password')
+    .isString()
+    .isLength({ min: MIN_PASSWORD_LENGTH, max: 256 })
+    .withMessage(`Password must be ${MIN_PASSWORD_LENGTH}-256 characters`),
+
+  body('role')
+    .isIn(ADMIN_ROLES)
+    .withMessage(`Role must be one of ${ADMIN_ROLES.join(', ')}`)
+];
+
+// Changes to an admin account; any subset of role, disabled and password
+const adminUserUpdateValidation = [
+  param('username')
+    .matches(ADMIN_USERNAME_PATTERN)
+    .withMessage('Invalid username'),
+
+  body()
+    .custom(value => ['role', 'disabled', 'password'].some(field => value[field] !== undefined))
+    .withMessage('Nothing to update'),
+
+  body('role')
+    .optional()
+    .isIn(ADMIN_ROLES)
+    .withMessage(`Role must be one of ${ADMIN_ROLES.join(', ')}`),
+
+  body('disabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('disabled must be true or false'),
+
+  body('password')
+    .optional()
+    .isString()
+    .isLength({ min: MIN_PASSWORD_LENGTH, max: 256 })
+    .withMessage(`Password must be ${MIN_PASSWORD_LENGTH}-256 characters`)
+];
+
+// Follow-up comment validation
+const commentValidation = [
+  body('body')
+    .isString()
+    .isLength({ min: 1, max: 2000 })
+    .trim()
+    .escape()
+    .withMessage('Comment must be 1-2000 characters')
+];
+
+// Resumable upload session creation
+const uploadSessionValidation = [
+  body('fileName')
+    .isString()
+    .isLength({ min: 1, max: 255 })
+    .not().matches(/[<>:"/\\|?*\x00-\x1f]/)
+    .custom((fileName, { req }) => isAllowedExtension(req.body.mimeType, path.extname(fileName)))
+    .withMessage('Invalid file name or extension'),
+
+  body('mimeType')
+    .isIn(ALLOWED_MIME_TYPES)
+    .withMessage('Invalid file type'),
+
+  body('size')
+    .isInt({ min: 1 })
+    .toInt()
+    .custom((size, { req }) => size <= maxSizeFor(req.body.mimeType))
+    .withMessage('File is too large'),
+
+  body('sha256')
+    .optional()
+    .matches(SHA256_PATTERN)
+    .withMessage('sha256 must be 64 hex characters')
+];
+
+const uploadIdValidation = [
+  param('uploadId')
+    .matches(UPLOAD_ID_PATTERN)
+    .withMessage('Invalid upload ID')
+];
+
+// Chunk position and checksum travel in headers; the body is raw bytes
+const uploadChunkValidation = [
+  header('upload-offset')
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage('Upload-Offset header is required'),
+
+  header('x-chunk-sha256')
+    .matches(SHA256_PATTERN)
+    .withMessage('X-Chunk-Sha256 header must be the chunk SHA-256 in hex')
 ];
 
 // Security headers middleware
@@ -178,15 +725,14 @@ const validateFiles = (req, res, next) => {
   // Additional server-side file validation
   for (const file of req.files) {
     // Check file size again
-    if (file.size > 10 * 1024 * 1024) {
+    if (file.size > maxSizeFor(file.mimetype)) {
       return res.status(400).json({
         error: 'File too large',
         filename: file.originalname
       });
     }
     
-    // TODO: Implement virus scanning here
-    // Example: Use ClamAV or similar antivirus scanner
+    // Virus scanning runs separately in virusScanFiles (middleware/virusScan.js)
   }
   
   next();
@@ -225,11 +771,32 @@ module.exports = {
   generalLimiter,
   bugReportLimiter,
   fileUploadLimiter,
+  adminLoginLimiter,
+  commentLimiter,
+  uploadChunkLimiter,
+  similarReportsLimiter,
   upload,
   bugReportValidation,
+  reportListValidation,
+  reportUpdateValidation,
+  reportBulkValidation,
+  auditListValidation,
+  auditExportValidation,
+  adminLoginValidation,
+  adminUserCreateValidation,
+  adminUserUpdateValidation,
+  commentValidation,
+  similarReportsValidation,
+  duplicateClusterValidation,
+  mergeDuplicatesValidation,
+  uploadSessionValidation,
+  uploadIdValidation,
+  uploadChunkValidation,
   securityHeaders,
   corsOptions,
   handleValidationErrors,
   validateFiles,
-  suspiciousActivityDetector
+  suspiciousActivityDetector,
+  REPORT_STATUSES,
+  SERVER_REGIONS
 }; 
\ No newline at end of file
@@ -0,0 +1,52 @@
+const { SubmissionTransaction, unlinkIfPresent } = require('../media/submissionTransaction');
+
+// Opens the report submission's transaction before the upload is read, so
+// every later step (multer's temp files, claimed resumable uploads) can
+// register its undo as it happens. If a response goes out while the
+// transaction is still open, some middleware rejected the request (virus
+// scan, abuse detection, validation) and everything registered so far is
+// rolled back. The route handler commits or rolls back itself.
+const openSubmission = async (req, res, next) => {
+  const transaction = new SubmissionTransaction();
+
+  try {
+    await transaction.begin();
+  } catch (error) {
+    console.error('Failed to open submission:', error);
+    return res.status(500).json({
+      error: 'Failed to submit bug report',
+      message: 'Please try again later'
+    });
+  }
+
+  req.submission = transaction;
+
+  // Registered before multer writes anything: whatever ends up on req.files
+  // (multipart uploads and claimed resumable ones) sits in uploads/temp
+  // until processing stages it
+  transaction.compensate('temporary uploads', async () => {
+    for (const file of req.files || []) {
+      await unlinkIfPresent(file.path);
+    }
+  });
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (transaction.state === 'open') {
+      transaction.rollback()
+        .then(failures => {
+          if (failures.length > 0) {
+            console.error('Rejected submission was not fully cleaned up:', failures);
+          }
+        })
+        .catch(error => console.error('Failed to roll back rejected submission:', error));
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+module.exports = {
+  openSubmission
+};
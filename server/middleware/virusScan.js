@@ -0,0 +1,78 @@
+const fs = require('fs').promises;
+const { createVirusScanner } = require('../scanners');
+const { quarantineFile } = require('../scanners/quarantine');
+
+// Shared scanner instance; null when VIRUS_SCAN_ENABLED is not "true"
+const virusScanner = createVirusScanner();
+
+if (!virusScanner) {
+  console.warn('Virus scanning disabled - set VIRUS_SCAN_ENABLED=true in production');
+}
+
+const scanFile = async (file) => {
+  if (!virusScanner) {
+    return { status: 'skipped', scanner: null, scannedAt: new Date().toISOString() };
+  }
+
+  try {
+    const result = await virusScanner.scanFile(file.path);
+    return { ...result, scannedAt: new Date().toISOString() };
+  } catch (error) {
+    // No verdict: the caller quarantines the file rather than accepting it
+    console.error(`Virus scan unavailable for ${file.originalname}:`, error.message);
+    return {
+      status: 'unavailable',
+      scanner: virusScanner.name,
+      error: error.message,
+      scannedAt: new Date().toISOString()
+    };
+  }
+};
+
+// Scan every uploaded file. Infected uploads are quarantined and the request
+// rejected; files the scanner couldn't check carry `scanResult.status ===
+// 'unavailable'` so processing quarantines them instead of publishing them.
+const virusScanFiles = async (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return next();
+  }
+
+  for (const file of req.files) {
+    file.scanResult = await scanFile(file);
+  }
+
+  const infected = req.files.filter(file => file.scanResult.status === 'infected');
+  if (infected.length === 0) {
+    return next();
+  }
+
+  for (const file of req.files) {
+    try {
+      if (file.scanResult.status === 'infected') {
+        await quarantineFile(file.path, file.secureFilename || file.filename, {
+          reason: 'infected',
+          originalName: file.originalname,
+          mimeType: file.mimetype,
+          scan: file.scanResult,
+          ipAddress: req.ip
+        });
+      } else {
+        await fs.unlink(file.path);
+      }
+    } catch (error) {
+      console.error('Failed to clean up scanned file:', error);
+    }
+  }
+
+  console.warn(`Infected upload blocked from IP ${req.ip}: ${infected.map(file => file.scanResult.signature).join(', ')}`);
+
+  res.status(400).json({
+    error: 'File failed virus scan',
+    files: infected.map(file => file.originalname)
+  });
+};
+
+module.exports = {
+  virusScanFiles,
+  virusScanner
+};
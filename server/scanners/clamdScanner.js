@@ -0,0 +1,144 @@
+// ClamAV daemon backend using the INSTREAM command, so clamd doesn't need
+// read access to our upload directory.
+//
+// Protocol: send "zINSTREAM\0", then the file as chunks each prefixed with
+// a 4-byte big-endian length, then a zero-length chunk. clamd answers with a
+// single NUL-terminated line: "stream: OK", "stream: <name> FOUND" or
+// "<reason> ERROR".
+const net = require('net');
+const fs = require('fs');
+const { VirusScanner, ScannerUnavailableError } = require('./virusScanner');
+
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const CHUNK_SIZE = 64 * 1024;
+
+// Resolves once the socket can take more data. clamd may answer early (a
+// size limit) and close, or drop the connection, and a closed socket never
+// drains, so that rejects instead.
+const waitForDrain = (socket) => new Promise((resolve, reject) => {
+  if (socket.destroyed) {
+    reject(new Error('clamd closed the connection mid-stream'));
+    return;
+  }
+  const onDrain = () => {
+    socket.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    socket.off('drain', onDrain);
+    reject(new Error('clamd closed the connection mid-stream'));
+  };
+  socket.once('drain', onDrain);
+  socket.once('close', onClose);
+});
+
+class ClamdScanner extends VirusScanner {
+  constructor({ host = '127.0.0.1', port = 3310, socketPath = null, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    super();
+    this.host = host;
+    this.port = port;
+    this.socketPath = socketPath;
+    this.timeoutMs = timeoutMs;
+  }
+
+  connect() {
+    return this.socketPath
+      ? net.createConnection({ path: this.socketPath })
+      : net.createConnection({ host: this.host, port: this.port });
+  }
+
+  // Send a command and collect the NUL-terminated reply. `writeBody` streams
+  // anything that follows the command (the INSTREAM chunks).
+  command(name, writeBody = null) {
+    return new Promise((resolve, reject) => {
+      const socket = this.connect();
+      const chunks = [];
+      let settled = false;
+
+      const finish = (error, reply) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        if (error) {
+          reject(error instanceof ScannerUnavailableError ? error : new ScannerUnavailableError(error.message));
+        } else {
+          resolve(reply);
+        }
+      };
+
+      socket.setTimeout(this.timeoutMs, () => finish(new Error(`clamd timed out after ${this.timeoutMs}ms`)));
+      socket.on('error', error => finish(new Error(`clamd connection failed: ${error.message}`)));
+
+      socket.on('data', data => {
+        chunks.push(data);
+        const reply = Buffer.concat(chunks);
+        const end = reply.indexOf(0);
+        if (end !== -1) finish(null, reply.slice(0, end).toString('utf8').trim());
+      });
+
+      socket.on('end', () => {
+        const reply = Buffer.concat(chunks).toString('utf8').replace(/\0/g, '').trim();
+        finish(reply ? null : new Error('clamd closed the connection without replying'), reply);
+      });
+      socket.on('close', () => finish(new Error('clamd closed the connection without replying')));
+
+      socket.on('connect', async () => {
+        try {
+          socket.write(`z${name}\0`);
+          if (writeBody) await writeBody(socket);
+        } catch (error) {
+          finish(error);
+        }
+      });
+    });
+  }
+
+  async ping() {
+    const reply = await this.command('PING');
+    if (reply !== 'PONG') {
+      throw new ScannerUnavailableError(`Unexpected clamd PING reply: ${reply}`);
+    }
+  }
+
+  async scanFile(filePath) {
+    const reply = await this.command('INSTREAM', async (socket) => {
+      // Leaving the loop early, by throwing, closes the file
+      const stream = fs.createReadStream(filePath, { highWaterMark: CHUNK_SIZE });
+      for await (const chunk of stream) {
+        if (socket.destroyed) {
+          throw new Error('clamd closed the connection mid-stream');
+        }
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(chunk.length, 0);
+        socket.write(length);
+        // Respect backpressure so large videos aren't buffered in memory
+        if (!socket.write(chunk)) {
+          await waitForDrain(socket);
+        }
+      }
+      socket.write(Buffer.alloc(4)); // zero-length chunk ends the stream
+    });
+
+    return this.parseReply(reply);
+  }
+
+  parseReply(reply) {
+    const body = reply.replace(/^stream:\s*/, '');
+
+    if (body === 'OK') {
+      return this.clean();
+    }
+
+    const found = body.match(/^(.+) FOUND$/);
+    if (found) {
+      return this.infected(found[1]);
+    }
+
+    // "INSTREAM size limit exceeded. ERROR" and friends: no verdict
+    throw new ScannerUnavailableError(`clamd error: ${body}`);
+  }
+}
+
+module.exports = {
+  ClamdScanner
+};
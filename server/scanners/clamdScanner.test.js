@@ -0,0 +1,186 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { ClamdScanner } = require('./clamdScanner');
+const { ScannerUnavailableError } = require('./virusScanner');
+
+let workDir;
+let server;
+let connections;
+
+beforeEach(async () => {
+  workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'clamd-'));
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  if (server) {
+    connections.forEach(socket => socket.destroy());
+    await new Promise(resolve => server.close(resolve));
+  }
+  server = null;
+  await fs.promises.rm(workDir, { recursive: true, force: true });
+});
+
+// A stand-in clamd on a local socket. `respond(command, body, socket)` is
+// called with the command and, for INSTREAM, the streamed file reassembled
+// from its length-prefixed chunks; returning a string sends it as the reply.
+const fakeClamd = async (respond, { onConnection } = {}) => {
+  const socketPath = path.join(workDir, 'clamd.sock');
+  connections = new Set();
+  server = net.createServer(socket => {
+    connections.add(socket);
+    if (onConnection) return onConnection(socket);
+
+    let received = Buffer.alloc(0);
+    socket.on('data', data => {
+      received = Buffer.concat([received, data]);
+      const commandEnd = received.indexOf(0);
+      if (commandEnd === -1) return;
+      const command = received.slice(1, commandEnd).toString();
+
+      if (command !== 'INSTREAM') {
+        socket.end(`${respond(command, null, socket)}\0`);
+        return;
+      }
+
+      const chunks = [];
+      let offset = commandEnd + 1;
+      while (offset + 4 <= received.length) {
+        const length = received.readUInt32BE(offset);
+        if (length === 0) {
+          socket.end(`${respond(command, Buffer.concat(chunks), socket)}\0`);
+          return;
+        }
+        if (offset + 4 + length > received.length) return;
+        chunks.push(received.slice(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(socketPath, resolve));
+  return new ClamdScanner({ socketPath, timeoutMs: 1000 });
+};
+
+// Resolves once every read stream scanFile opened has been closed again;
+// a leaked one makes the test time out
+const watchReadStreams = () => {
+  const createReadStream = fs.createReadStream;
+  const opened = [];
+  jest.spyOn(fs, 'createReadStream').mockImplementation((...args) => {
+    const stream = createReadStream(...args);
+    opened.push(stream);
+    return stream;
+  });
+  return () => Promise.all(opened.map(stream =>
+    stream.closed || new Promise(resolve => stream.once('close', resolve))));
+};
+
+const writeUpload = async (name, contents) => {
+  const filePath = path.join(workDir, name);
+  await fs.promises.writeFile(filePath, contents);
+  return filePath;
+};
+
+describe('ClamdScanner', () => {
+  it('streams the whole file with INSTREAM and reports it clean on OK', async () => {
+    const contents = Buffer.alloc(200 * 1024, 'x');
+    const received = [];
+    const scanner = await fakeClamd((command, body) => {
+      received.push(command, body);
+      return 'stream: OK';
+    });
+
+    await expect(scanner.scanFile(await writeUpload('clip.mp4', contents)))
+      .resolves.toEqual({ status: 'clean', signature: null, scanner: 'ClamdScanner' });
+    expect(received[0]).toBe('INSTREAM');
+    expect(received[1].equals(contents)).toBe(true);
+  });
+
+  it('reports the signature clamd found', async () => {
+    const scanner = await fakeClamd(() => 'stream: Win.Test.EICAR_HDB-1 FOUND');
+
+    await expect(scanner.scanFile(await writeUpload('clip.mp4', 'payload')))
+      .resolves.toMatchObject({ status: 'infected', signature: 'Win.Test.EICAR_HDB-1' });
+  });
+
+  it('gives no verdict on an ERROR reply', async () => {
+    const scanner = await fakeClamd(() => 'Can\'t allocate memory ERROR');
+
+    await expect(scanner.scanFile(await writeUpload('clip.mp4', 'payload')))
+      .rejects.toThrow(new ScannerUnavailableError('clamd error: Can\'t allocate memory ERROR'));
+  });
+
+  it('stops streaming and closes the file when clamd rejects a large file early', async () => {
+    // clamd stops reading at StreamMaxLength, answers and hangs up
+    const scanner = await fakeClamd(null, {
+      onConnection: (socket) => {
+        socket.once('data', () => {
+          socket.pause();
+          socket.end('INSTREAM size limit exceeded. ERROR\0');
+        });
+      }
+    });
+    const upload = await writeUpload('large.mp4', Buffer.alloc(16 * 1024 * 1024));
+    const allClosed = watchReadStreams();
+
+    await expect(scanner.scanFile(upload))
+      .rejects.toThrow('clamd error: INSTREAM size limit exceeded. ERROR');
+    await allClosed();
+  });
+
+  it('stops streaming and closes the file when clamd drops the connection', async () => {
+    const scanner = await fakeClamd(null, {
+      onConnection: (socket) => {
+        socket.once('data', () => socket.destroy());
+      }
+    });
+    const upload = await writeUpload('large.mp4', Buffer.alloc(16 * 1024 * 1024));
+    const allClosed = watchReadStreams();
+
+    await expect(scanner.scanFile(upload)).rejects.toThrow(ScannerUnavailableError);
+    await allClosed();
+  });
+
+  it('times out when clamd never answers', async () => {
+    const scanner = await fakeClamd(null, { onConnection: () => {} });
+    scanner.timeoutMs = 50;
+
+    await expect(scanner.scanFile(await writeUpload('clip.mp4', 'payload')))
+      .rejects.toThrow('clamd timed out after 50ms');
+  });
+
+  it('is unavailable when nothing listens', async () => {
+    const scanner = new ClamdScanner({ socketPath: path.join(workDir, 'missing.sock') });
+
+    await expect(scanner.ping()).rejects.toThrow(ScannerUnavailableError);
+  });
+
+  it('answers PING with PONG', async () => {
+    const scanner = await fakeClamd(command => (command === 'PING' ? 'PONG' : 'UNKNOWN COMMAND'));
+
+    await expect(scanner.ping()).resolves.toBeUndefined();
+  });
+});
+
+describe('ClamdScanner.parseReply', () => {
+  const scanner = new ClamdScanner();
+
+  it.each([
+    ['stream: OK', { status: 'clean', signature: null }],
+    ['stream: Eicar-Test-Signature FOUND', { status: 'infected', signature: 'Eicar-Test-Signature' }],
+    ['stream: Heuristics.Broken.Media.MP4 FOUND', { status: 'infected', signature: 'Heuristics.Broken.Media.MP4' }]
+  ])('reads %j', (reply, verdict) => {
+    expect(scanner.parseReply(reply)).toMatchObject(verdict);
+  });
+
+  it.each([
+    'INSTREAM size limit exceeded. ERROR',
+    'stream: Unable to open file ERROR',
+    'stream: OK trailing garbage',
+    ''
+  ])('refuses to give a verdict for %j', (reply) => {
+    expect(() => scanner.parseReply(reply)).toThrow(ScannerUnavailableError);
+  });
+});
@@ -0,0 +1,42 @@
+// In-process scanner for tests and local development (VIRUS_SCANNER_URL=fake:).
+//
+// Flags the standard EICAR test string plus any extra byte patterns given,
+// and can simulate an unreachable daemon with `fake:unavailable`.
+const fs = require('fs').promises;
+const { VirusScanner, ScannerUnavailableError } = require('./virusScanner');
+
+const EICAR_SIGNATURE = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+class FakeScanner extends VirusScanner {
+  constructor({ unavailable = false, signatures = {} } = {}) {
+    super();
+    this.unavailable = unavailable;
+    this.signatures = {
+      'Eicar-Test-Signature': Buffer.from(EICAR_SIGNATURE),
+      ...Object.fromEntries(Object.entries(signatures).map(([name, pattern]) => [name, Buffer.from(pattern)]))
+    };
+  }
+
+  async ping() {
+    if (this.unavailable) {
+      throw new ScannerUnavailableError('Fake scanner is configured as unavailable');
+    }
+  }
+
+  async scanFile(filePath) {
+    await this.ping();
+
+    const content = await fs.readFile(filePath);
+    for (const [name, pattern] of Object.entries(this.signatures)) {
+      if (content.includes(pattern)) {
+        return this.infected(name);
+      }
+    }
+    return this.clean();
+  }
+}
+
+module.exports = {
+  FakeScanner,
+  EICAR_SIGNATURE
+};
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FakeScanner, EICAR_SIGNATURE } = require('./fakeScanner');
+const { ScannerUnavailableError } = require('./virusScanner');
+const { createVirusScanner } = require('./index');
+
+let workDir;
+
+beforeEach(async () => {
+  workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'fake-scanner-'));
+});
+
+afterEach(async () => {
+  await fs.promises.rm(workDir, { recursive: true, force: true });
+});
+
+const writeUpload = async (contents) => {
+  const filePath = path.join(workDir, 'upload');
+  await fs.promises.writeFile(filePath, contents);
+  return filePath;
+};
+
+describe('FakeScanner', () => {
+  it('flags the EICAR test string anywhere in the file', async () => {
+    const scanner = new FakeScanner();
+
+    await expect(scanner.scanFile(await writeUpload(`header ${EICAR_SIGNATURE} trailer`)))
+      .resolves.toEqual({ status: 'infected', signature: 'Eicar-Test-Signature', scanner: 'FakeScanner' });
+  });
+
+  it('passes files without a known pattern', async () => {
+    const scanner = new FakeScanner();
+
+    await expect(scanner.scanFile(await writeUpload('just a screenshot')))
+      .resolves.toMatchObject({ status: 'clean', signature: null });
+  });
+
+  it('flags extra signatures it was given', async () => {
+    const scanner = new FakeScanner({ signatures: { 'Test.Payload': 'evil-bytes' } });
+
+    await expect(scanner.scanFile(await writeUpload('some evil-bytes here')))
+      .resolves.toMatchObject({ status: 'infected', signature: 'Test.Payload' });
+  });
+
+  it('gives no verdict when configured as unavailable', async () => {
+    const scanner = new FakeScanner({ unavailable: true });
+
+    await expect(scanner.ping()).rejects.toThrow(ScannerUnavailableError);
+    await expect(scanner.scanFile(await writeUpload(EICAR_SIGNATURE))).rejects.toThrow(ScannerUnavailableError);
+  });
+});
+
+describe('createVirusScanner', () => {
+  it('is off unless enabled', () => {
+    expect(createVirusScanner({ enabled: false, scannerUrl: 'fake:' })).toBeNull();
+  });
+
+  it.each([
+    ['clamd://scanner.internal:3311', { host: 'scanner.internal', port: 3311, socketPath: null }],
+    ['unix:/var/run/clamav/clamd.ctl', { socketPath: '/var/run/clamav/clamd.ctl' }],
+    ['fake:unavailable', { unavailable: true }]
+  ])('reads %s', (scannerUrl, expected) => {
+    expect(createVirusScanner({ enabled: true, scannerUrl })).toMatchObject(expected);
+  });
+
+  it('refuses unknown schemes', () => {
+    expect(() => createVirusScanner({ enabled: true, scannerUrl: 'icap://scanner' }))
+      .toThrow('Unsupported VIRUS_SCANNER_URL scheme "icap"');
+  });
+});
@@ -0,0 +1,45 @@
+// Picks a virus scanner when VIRUS_SCAN_ENABLED=true, from VIRUS_SCANNER_URL:
+//   clamd://127.0.0.1:3310             clamd over TCP (default)
+//   unix:/var/run/clamav/clamd.ctl     clamd over a local socket
+//   fake:                              in-process EICAR-only scanner, for tests
+//   fake:unavailable                   simulates a scanner that is down
+const { VirusScanner, ScannerUnavailableError } = require('./virusScanner');
+const { ClamdScanner } = require('./clamdScanner');
+const { FakeScanner } = require('./fakeScanner');
+
+const DEFAULT_SCANNER_URL = 'clamd://127.0.0.1:3310';
+
+const createVirusScanner = ({
+  enabled = process.env.VIRUS_SCAN_ENABLED === 'true',
+  scannerUrl = process.env.VIRUS_SCANNER_URL || DEFAULT_SCANNER_URL,
+  timeoutMs = parseInt(process.env.VIRUS_SCAN_TIMEOUT_MS, 10) || undefined
+} = {}) => {
+  if (!enabled) {
+    return null;
+  }
+
+  const separator = scannerUrl.indexOf(':');
+  const scheme = separator === -1 ? scannerUrl : scannerUrl.slice(0, separator).toLowerCase();
+  const location = separator === -1 ? '' : scannerUrl.slice(separator + 1);
+
+  switch (scheme) {
+    case 'clamd': {
+      const { hostname, port } = new URL(scannerUrl);
+      return new ClamdScanner({ host: hostname || undefined, port: parseInt(port, 10) || undefined, timeoutMs });
+    }
+    case 'unix':
+      return new ClamdScanner({ socketPath: location.replace(/^\/\//, ''), timeoutMs });
+    case 'fake':
+      return new FakeScanner({ unavailable: location === 'unavailable' });
+    default:
+      throw new Error(`Unsupported VIRUS_SCANNER_URL scheme "${scheme}" (expected clamd:, unix: or fake:)`);
+  }
+};
+
+module.exports = {
+  createVirusScanner,
+  VirusScanner,
+  ScannerUnavailableError,
+  ClamdScanner,
+  FakeScanner
+};
@@ -0,0 +1,57 @@
+// Files that failed a virus scan, or couldn't be scanned, are kept here
+// instead of uploads/processed so they are never served to triagers. Each
+// file gets a JSON sidecar recording why it was quarantined.
+const fs = require('fs').promises;
+const path = require('path');
+
+const QUARANTINE_DIR = 'uploads/quarantine';
+const PROCESSED_DIR = 'uploads/processed';
+
+const quarantinePath = (storedName) => path.join(QUARANTINE_DIR, path.basename(storedName));
+
+const quarantineFile = async (sourcePath, storedName, details = {}) => {
+  await fs.mkdir(QUARANTINE_DIR, { recursive: true });
+
+  const destination = quarantinePath(storedName);
+  await fs.rename(sourcePath, destination);
+  await fs.chmod(destination, 0o600);
+  await fs.writeFile(`${destination}.json`, JSON.stringify({
+    ...details,
+    storedName: path.basename(storedName),
+    quarantinedAt: new Date().toISOString()
+  }, null, 2), { mode: 0o600 });
+
+  return destination;
+};
+
+// A file that has since scanned clean is released in two steps: it is
+// copied into the processed directory (hard-linked where possible) before
+// the report is updated to point there, and removed from quarantine only
+// once that update is saved
+const copyFromQuarantine = async (storedName) => {
+  const source = quarantinePath(storedName);
+  const destination = path.join(PROCESSED_DIR, path.basename(storedName));
+
+  try {
+    await fs.link(source, destination);
+  } catch (error) {
+    if (error.code !== 'EXDEV' && error.code !== 'EPERM') throw error;
+    await fs.copyFile(source, destination);
+  }
+  return destination;
+};
+
+const removeFromQuarantine = async (storedName) => {
+  const source = quarantinePath(storedName);
+  await fs.unlink(source);
+  await fs.unlink(`${source}.json`).catch(() => {});
+};
+
+module.exports = {
+  QUARANTINE_DIR,
+  PROCESSED_DIR,
+  quarantinePath,
+  quarantineFile,
+  copyFromQuarantine,
+  removeFromQuarantine
+};
@@ -0,0 +1,40 @@
+// Base class for virus scanning backends.
+//
+// scanFile() resolves to { status: 'clean' | 'infected', signature, scanner }
+// and rejects when the scanner could not give an answer (daemon down,
+// timeout, protocol error). Callers must treat a rejection as "unknown",
+// never as clean.
+class VirusScanner {
+  get name() {
+    return this.constructor.name;
+  }
+
+  async scanFile(filePath) {
+    throw new Error(`${this.name} does not implement scanFile`);
+  }
+
+  // Resolves when the backend is reachable
+  async ping() {
+    throw new Error(`${this.name} does not implement ping`);
+  }
+
+  clean() {
+    return { status: 'clean', signature: null, scanner: this.name };
+  }
+
+  infected(signature) {
+    return { status: 'infected', signature, scanner: this.name };
+  }
+}
+
+class ScannerUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScannerUnavailableError';
+  }
+}
+
+module.exports = {
+  VirusScanner,
+  ScannerUnavailableError
+};
@@ -0,0 +1,61 @@
+// Create an admin account from the command line, e.g. the very first one.
+//
+//   npm run create-admin -- <username> [viewer|triager|admin]
+//
+// The password is read from ADMIN_PASSWORD if set, otherwise prompted for
+// without echoing it to the terminal.
+require('dotenv').config();
+const readline = require('readline');
+const { secureStorage } = require('../database/secureStorage');
+const { adminUsers, ADMIN_ROLES } = require('../database/adminUsers');
+
+const promptPassword = (question) => new Promise((resolve) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+
+  // Print the question, then swallow keystrokes instead of echoing them
+  process.stdout.write(question);
+  rl._writeToOutput = () => {};
+
+  rl.question('', (answer) => {
+    rl.close();
+    process.stdout.write('\n');
+    resolve(answer);
+  });
+});
+
+async function createAdmin() {
+  const [username, role = 'admin'] = process.argv.slice(2);
+
+  if (!username) {
+    console.error(`Usage: npm run create-admin -- <username> [${ADMIN_ROLES.join('|')}]`);
+    process.exit(1);
+  }
+
+  await secureStorage.ready;
+
+  let password = process.env.ADMIN_PASSWORD;
+  if (!password) {
+    password = await promptPassword(`Password for ${username}: `);
+    const confirmation = await promptPassword('Confirm password: ');
+    if (password !== confirmation) {
+      console.error('Passwords do not match');
+      process.exit(1);
+    }
+  }
+
+  const user = await adminUsers.createUser({ username, password, role });
+  await secureStorage.persistAuditEntry(
+    secureStorage.createAuditEntry('CREATE_ADMIN_USER', null, null, {
+      adminId: 'cli',
+      username: user.username,
+      role: user.role
+    })
+  );
+
+  console.log(`Created ${user.role} account: ${user.username}`);
+}
+
+createAdmin().catch(error => {
+  console.error('Failed to create admin user:', error.message);
+  process.exit(1);
+});
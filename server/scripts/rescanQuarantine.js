@@ -0,0 +1,205 @@
+// Re-scan attachments that were quarantined because the virus scanner was
+// unavailable when they were uploaded.
+//
+//   npm run rescan-quarantine
+//
+// Clean files are moved to uploads/processed and become visible to
+// triagers; infected ones stay quarantined and are marked as such. Images
+// were quarantined as uploaded and are only sanitized now, once they have
+// scanned clean.
+//
+// The server keeps running meanwhile, so results are applied to each report
+// as it is stored once its files have been scanned, never to the copy read
+// before, and files only leave quarantine after the report has been saved.
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { secureStorage } = require('../database/secureStorage');
+const { virusScanner } = require('../middleware/virusScan');
+const {
+  quarantinePath,
+  copyFromQuarantine,
+  removeFromQuarantine,
+  PROCESSED_DIR
+} = require('../scanners/quarantine');
+const { sanitizeImage, isSanitizableImage, sha256File } = require('../media/imageSanitizer');
+
+const isPending = (file) => file.quarantined && file.scan?.status === 'unavailable';
+
+const removeFiles = (paths) => Promise.all(paths.map(filePath => fs.unlink(filePath).catch(() => {})));
+
+// Re-encode a quarantined original into uploads/processed, the way
+// submission processing would have. Resolves to the `files` entry changes,
+// the files created (removed again if the report can't be saved) and the
+// quarantined files to remove once it is.
+const prepareImageRelease = async (file) => {
+  const source = quarantinePath(file.storedName);
+  const baseName = path.parse(file.storedName).name;
+  const sanitizedPath = path.join(PROCESSED_DIR, `${baseName}.sanitizing`);
+  const thumbnailName = `${baseName}_thumb.webp`;
+  const thumbnailPath = path.join(PROCESSED_DIR, thumbnailName);
+
+  let media;
+  try {
+    media = await sanitizeImage(source, { mimeType: file.mimeType, outputPath: sanitizedPath, thumbnailPath });
+  } catch (error) {
+    await removeFiles([sanitizedPath, thumbnailPath]);
+    throw error;
+  }
+
+  // HEIC is stored as the JPEG it was converted to
+  const storedName = `${baseName}${media.convertedFrom ? media.extension : path.extname(file.storedName)}`;
+  const storedPath = path.join(PROCESSED_DIR, storedName);
+  await fs.rename(sanitizedPath, storedPath);
+
+  return {
+    changes: {
+      storedName,
+      mimeType: media.mimeType,
+      convertedFrom: media.convertedFrom,
+      size: media.size,
+      sha256: media.sha256,
+      width: media.width,
+      height: media.height,
+      thumbnailName,
+      thumbnailSha256: await sha256File(thumbnailPath),
+      sanitized: true
+    },
+    created: [storedPath, thumbnailPath],
+    quarantined: [file.storedName]
+  };
+};
+
+// Videos, and anything already processed, are released as they are along
+// with their thumbnail or poster
+const prepareRelease = async (file) => {
+  const names = [file.storedName, file.thumbnailName, file.posterName].filter(Boolean);
+  const created = [];
+  try {
+    for (const name of names) {
+      created.push(await copyFromQuarantine(name));
+    }
+  } catch (error) {
+    await removeFiles(created);
+    throw error;
+  }
+  return { changes: {}, created, quarantined: names };
+};
+
+// Scan a report's waiting files. Resolves to one outcome per file scanned:
+// { storedName, changes, release }, where `release` is set for clean files.
+const scanPendingFiles = async (report, result) => {
+  const outcomes = [];
+
+  for (const file of report.files.filter(isPending)) {
+    result.scanned++;
+
+    try {
+      const scan = { ...await virusScanner.scanFile(quarantinePath(file.storedName)), scannedAt: new Date().toISOString() };
+      if (scan.status === 'clean') {
+        const release = isSanitizableImage(file.mimeType) && !file.sanitized
+          ? await prepareImageRelease(file)
+          : await prepareRelease(file);
+        outcomes.push({ storedName: file.storedName, changes: { ...release.changes, scan, quarantined: false }, release });
+      } else {
+        outcomes.push({ storedName: file.storedName, changes: { scan }, release: null });
+      }
+    } catch (error) {
+      result.failed++;
+      console.error(`Rescan failed for ${report.id}/${file.storedName}:`, error.message);
+    }
+  }
+
+  return outcomes;
+};
+
+async function rescanQuarantine() {
+  await secureStorage.ready;
+
+  if (!virusScanner) {
+    console.error('VIRUS_SCAN_ENABLED is not "true"; nothing to scan with');
+    process.exit(1);
+  }
+  await virusScanner.ping();
+
+  const result = { scanned: 0, released: 0, infected: 0, failed: 0 };
+
+  for await (const report of secureStorage.iterateReports()) {
+    if (!(report.files || []).some(isPending)) continue;
+
+    // Saving re-signs the report, so never start from a tampered one
+    if (!secureStorage.verifyIntegrity(report)) {
+      result.failed += report.files.filter(isPending).length;
+      console.error(`Skipping ${report.id}: it fails its integrity check`);
+      continue;
+    }
+
+    const outcomes = await scanPendingFiles(report, result);
+    if (outcomes.length === 0) continue;
+
+    // Only files still waiting for a scan in the stored report take a result
+    const applied = new Set();
+    try {
+      await secureStorage.updateReportIfUnchanged(report.id, (stored) => {
+        applied.clear();
+        for (const outcome of outcomes) {
+          const file = (stored.files || []).find(entry => entry.storedName === outcome.storedName && isPending(entry));
+          if (file) {
+            Object.assign(file, outcome.changes);
+            applied.add(outcome);
+          }
+        }
+      });
+    } catch (error) {
+      applied.clear();
+      console.error(`Could not save rescan results for ${report.id}:`, error.message);
+    }
+
+    for (const outcome of outcomes) {
+      const { storedName, changes, release } = outcome;
+
+      if (!applied.has(outcome)) {
+        if (release) await removeFiles(release.created);
+        result.failed++;
+        console.error(`Rescan result not saved for ${report.id}/${storedName}`);
+        continue;
+      }
+
+      if (release) {
+        for (const name of release.quarantined) {
+          await removeFromQuarantine(name).catch(error =>
+            console.warn(`Released ${name} but could not remove it from quarantine:`, error.message));
+        }
+        result.released++;
+      } else {
+        result.infected++;
+        console.warn(`Infected attachment in ${report.id}: ${storedName} (${changes.scan.signature})`);
+      }
+
+      try {
+        await secureStorage.persistAuditEntry(secureStorage.createAuditEntry('RESCAN_ATTACHMENT', report.id, null, {
+          storedName: changes.storedName || storedName,
+          status: changes.scan.status,
+          signature: changes.scan.signature
+        }));
+      } catch (error) {
+        result.failed++;
+        console.error(`Could not audit the rescan of ${report.id}/${storedName}:`, error.message);
+      }
+    }
+  }
+
+  console.log(`Scanned: ${result.scanned}`);
+  console.log(`Released: ${result.released}`);
+  console.log(`Infected: ${result.infected}`);
+
+  if (result.failed > 0) {
+    console.error(`Failed: ${result.failed}`);
+    process.exit(1);
+  }
+}
+
+rescanQuarantine().catch(error => {
+  console.error('Quarantine rescan failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,40 @@
+// Re-encrypt stored reports under the current ENCRYPTION_KEY.
+//
+// Rotation procedure:
+//   1. Move the old key into PREVIOUS_ENCRYPTION_KEYS (comma-separated)
+//   2. Set ENCRYPTION_KEY to the new key
+//   3. Run `npm run rotate-keys`
+//   4. Once it reports no failures, remove the old key from PREVIOUS_ENCRYPTION_KEYS
+//
+// Records still using the old `xor-demo` scheme are decrypted with
+// LEGACY_ENCRYPTION_KEY (or the ENCRYPTION_KEY setting if unset) and upgraded
+// too. Set it to the key those records were written under, as it was
+// configured then; see env.example.
+// Reports are also re-signed under the current REPORT_HMAC_KEY, including
+// ones still carrying the pre-HMAC integrity hash as long as that hash
+// matches; reports that fail their integrity check are listed as failures
+// and left untouched.
+require('dotenv').config();
+const { secureStorage } = require('../database/secureStorage');
+
+async function rotateKeys() {
+  await secureStorage.ready;
+
+  console.log(`Rotating reports to key ${secureStorage.keyId}...`);
+  const result = await secureStorage.rotateEncryptionKeys();
+
+  console.log(`Scanned: ${result.scanned}`);
+  console.log(`Re-encrypted or re-signed: ${result.rotated}`);
+  console.log(`Legacy hashes replaced by signatures: ${result.resignedLegacy}`);
+
+  if (result.failed.length > 0) {
+    console.error(`Failed: ${result.failed.length}`);
+    result.failed.forEach(id => console.error(`  - ${id}`));
+    process.exit(1);
+  }
+}
+
+rotateKeys().catch(error => {
+  console.error('Key rotation failed:', error);
+  process.exit(1);
+});
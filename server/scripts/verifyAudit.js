@@ -0,0 +1,38 @@
+// Check the audit log hash chain and its HMAC checkpoints.
+//
+// Exits non-zero and names the first broken entry if any entry was edited,
+// removed, reordered or inserted, or if a checkpoint signature doesn't match
+// AUDIT_HMAC_KEY. Compare the printed head with a copy kept outside the
+// server to also catch entries truncated from the end.
+require('dotenv').config();
+const { secureStorage } = require('../database/secureStorage');
+
+async function verifyAudit() {
+  await secureStorage.ready;
+
+  const result = await secureStorage.verifyAuditLog();
+
+  console.log(`Entries: ${result.totalEntries} (${result.chainedEntries} chained, ${result.legacyEntries} from before chaining)`);
+  console.log(`Checkpoints: ${result.checkpoints}`);
+  if (result.head) {
+    console.log(`Head: #${result.head.seq} ${result.head.hash} (${result.head.timestamp})`);
+  }
+  if (result.lastCheckpoint) {
+    console.log(`Last checkpoint: #${result.lastCheckpoint.seq} (${result.lastCheckpoint.timestamp}), ${result.entriesSinceCheckpoint} entries since`);
+  }
+
+  if (!result.valid) {
+    const broken = result.firstBroken;
+    console.error(`Chain broken at entry #${broken.seq === null ? '-' : broken.seq} (${broken.id})`);
+    console.error(`  ${broken.timestamp} ${broken.action}`);
+    console.error(`  ${broken.reason}`);
+    process.exit(1);
+  }
+
+  console.log('Audit log intact');
+}
+
+verifyAudit().catch(error => {
+  console.error('Audit verification failed:', error);
+  process.exit(1);
+});
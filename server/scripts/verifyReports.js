@@ -0,0 +1,32 @@
+// Check every stored report against its HMAC signature.
+//
+// Exits non-zero and lists the reports whose stored record no longer matches
+// its signature. Reports still carrying the hash used before records were
+// signed are listed separately; `npm run rotate-keys` re-signs them.
+require('dotenv').config();
+const { secureStorage } = require('../database/secureStorage');
+
+async function verifyReports() {
+  await secureStorage.ready;
+
+  const result = await secureStorage.scanReportIntegrity();
+
+  console.log(`Scanned: ${result.scanned}`);
+  console.log(`Valid: ${result.valid}`);
+
+  if (result.legacy.length > 0) {
+    console.warn(`Not yet re-signed: ${result.legacy.length} (run npm run rotate-keys)`);
+    result.legacy.forEach(id => console.warn(`  - ${id}`));
+  }
+
+  if (result.tampered.length > 0) {
+    console.error(`Tampered: ${result.tampered.length}`);
+    result.tampered.forEach(({ id, reason }) => console.error(`  - ${id}: ${reason}`));
+    process.exit(1);
+  }
+}
+
+verifyReports().catch(error => {
+  console.error('Report verification failed:', error);
+  process.exit(1);
+});
@@ -3,6 +3,8 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const winston = require('winston');
 const cookieParser = require('cookie-parser');
 require('dotenv').config();
@@ -11,8 +13,27 @@ const {
   generalLimiter,
   bugReportLimiter,
   fileUploadLimiter,
+  adminLoginLimiter,
+  commentLimiter,
+  uploadChunkLimiter,
+  similarReportsLimiter,
   upload,
   bugReportValidation,
+  reportListValidation,
+  reportUpdateValidation,
+  reportBulkValidation,
+  auditListValidation,
+  auditExportValidation,
+  adminLoginValidation,
+  adminUserCreateValidation,
+  adminUserUpdateValidation,
+  commentValidation,
+  similarReportsValidation,
+  duplicateClusterValidation,
+  mergeDuplicatesValidation,
+  uploadSessionValidation,
+  uploadIdValidation,
+  uploadChunkValidation,
   securityHeaders,
   corsOptions,
   handleValidationErrors,
@@ -20,17 +41,45 @@ const {
   suspiciousActivityDetector
 } = require('./middleware/security');
 
-const { enhancedFileValidation } = require('./middleware/fileValidation');
+const { enhancedFileValidation, AdvancedFileValidator } = require('./middleware/fileValidation');
+const { attachUploads } = require('./middleware/attachUploads');
+const { openSubmission } = require('./middleware/submission');
+const { idempotentSubmission } = require('./middleware/idempotency');
+const { virusScanFiles } = require('./middleware/virusScan');
+const { sanitizeImage, isSanitizableImage, sha256File } = require('./media/imageSanitizer');
+const { extractPosterFrame } = require('./media/videoInspector');
+const { uploadSessions, UploadSessionError, CHUNK_SIZE } = require('./media/uploadSessions');
+const { FileProcessingError } = require('./media/submissionTransaction');
+const { sweepOrphanedFiles } = require('./media/orphanSweep');
+const {
+  AttachmentIntegrityError,
+  verifyStoredFile,
+  resolveAttachment,
+  safeContentType,
+  dispositionType,
+  contentDisposition
+} = require('./media/attachments');
+const { UPLOAD_POLICY, getPublicUploadPolicy } = require('./config/uploadPolicy');
 const { 
   createOrGetSession,
+  requireSession,
   sessionBasedRateLimit,
   abuseDetection,
   trackSubmission,
+  releaseSubmission,
+  reportAccessAuth,
   adminAuth,
+  requireRole,
   generateAdminToken,
+  generateStreamToken,
+  streamAuth,
+  ADMIN_TOKEN_TTL,
+  STREAM_TOKEN_TTL_SECONDS,
   getSessionStats
 } = require('./middleware/auth');
-const { secureStorage } = require('./database/secureStorage');
+const { secureStorage, ReportIntegrityError, ReportRequestError } = require('./database/secureStorage');
+const { AUDIT_EXPORT_FORMATS } = require('./database/auditExport');
+const { adminUsers } = require('./database/adminUsers');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -77,8 +126,9 @@ app.use(express.json({
 app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
 // Request logging middleware
+// Stream tokens in attachment URLs are kept out of the log
 app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.url}`, {
+  logger.info(`${req.method} ${req.url.replace(/([?&]token=)[^&]*/, '$1[redacted]')}`, {
     ip: req.ip,
     userAgent: req.get('User-Agent'),
     timestamp: new Date().toISOString()
@@ -88,7 +138,7 @@ app.use((req, res, next) => {
 
 // Ensure upload directories exist
 const ensureUploadDirs = async () => {
-  const dirs = ['uploads/temp', 'uploads/processed', 'logs'];
+  const dirs = ['uploads/temp', 'uploads/temp/resumable', 'uploads/staging', 'uploads/processed', 'uploads/quarantine', 'logs'];
   for (const dir of dirs) {
     try {
       await fs.mkdir(dir, { recursive: true });
@@ -98,40 +148,137 @@ const ensureUploadDirs = async () => {
   }
 };
 
-// Enhanced file processing with virus scanning simulation
-const processUploadedFiles = async (files) => {
+// Re-encode images, then stage scanned files in the submission's transaction.
+// Files the scanner couldn't check are committed to quarantine until
+// `npm run rescan-quarantine` clears them. A file that can't be processed
+// fails the whole submission with a FileProcessingError naming it.
+const processUploadedFiles = async (files, transaction) => {
   const processedFiles = [];
   
   for (const file of files) {
+    const sanitizedPath = `${file.path}.sanitized`;
+    let thumbnailPath = null;
+    let posterPath = null;
+
     try {
-      // In production, implement actual virus scanning here
-      // Example: await scanFileWithClamAV(file.path);
-      
-      // Move file to processed directory with secure name
-      const secureFileName = file.secureFilename || 
+      let secureFileName = file.secureFilename || 
         crypto.randomBytes(16).toString('hex') + path.extname(file.originalname);
-      const processedPath = path.join('uploads/processed', secureFileName);
-      
-      await fs.rename(file.path, processedPath);
+      const scan = file.scanResult || { status: 'skipped', scanner: null };
+      const quarantined = scan.status === 'unavailable';
+
+      // Images are replaced by a metadata-free re-encode plus a thumbnail;
+      // videos keep their bytes and get a poster frame when ffmpeg is available.
+      // Neither sharp nor ffmpeg sees a file the scanner hasn't cleared:
+      // quarantined images keep their original bytes, and rescan-quarantine
+      // sanitizes them when it releases them.
+      let sourcePath = file.path;
+      let media;
+      let thumbnailName = null;
+      let posterName = null;
+      const video = file.videoInfo || null;
+
+      if (isSanitizableImage(file.mimetype) && !quarantined) {
+        thumbnailName = `${path.parse(secureFileName).name}_thumb.webp`;
+        thumbnailPath = path.join('uploads/temp', thumbnailName);
+        media = await sanitizeImage(file.path, {
+          mimeType: file.mimetype,
+          outputPath: sanitizedPath,
+          thumbnailPath
+        });
+        await fs.unlink(file.path);
+        sourcePath = sanitizedPath;
+
+        // HEIC is stored as the JPEG it was converted to
+        if (media.convertedFrom) {
+          secureFileName = `${path.parse(secureFileName).name}${media.extension}`;
+        }
+      } else {
+        const hash = await sha256File(file.path);
+        media = { originalSha256: hash, sha256: hash, size: file.size };
+
+        if (video) {
+          media.width = video.width;
+          media.height = video.height;
+        }
+
+        if (video && !quarantined) {
+          posterPath = path.join('uploads/temp', `${path.parse(secureFileName).name}_poster.jpg`);
+          try {
+            if (await extractPosterFrame(file.path, posterPath, video)) {
+              posterName = path.basename(posterPath);
+            }
+          } catch (posterError) {
+            // The video itself passed validation; triagers can still download it
+            logger.warn(`No poster frame for ${file.originalname}: ${posterError.message}`);
+          }
+        }
+      }
+
+      // Staged now, moved into processed or quarantine once the report is saved
+      const place = (from, storedName) => transaction.stage(from, storedName, {
+        quarantine: quarantined && {
+          reason: 'scanner-unavailable',
+          originalName: file.originalname,
+          mimeType: file.mimetype,
+          scan
+        }
+      });
+
+      // Previews are hashed too, so they can be verified when served
+      const thumbnailSha256 = thumbnailName ? await sha256File(thumbnailPath) : null;
+      const posterSha256 = posterName ? await sha256File(posterPath) : null;
+
+      await place(sourcePath, secureFileName);
+      if (thumbnailName) {
+        await place(thumbnailPath, thumbnailName);
+      }
+      if (posterName) {
+        await place(posterPath, posterName);
+      }
       
       processedFiles.push({
         originalName: file.originalname,
         storedName: secureFileName,
-        mimeType: file.mimetype,
-        size: file.size,
+        mimeType: media.mimeType || file.mimetype,
+        convertedFrom: media.convertedFrom || null,
+        size: media.size,
+        originalSize: file.size,
+        sha256: media.sha256,
+        originalSha256: media.originalSha256,
+        width: media.width,
+        height: media.height,
+        thumbnailName,
+        thumbnailSha256,
+        posterName,
+        posterSha256,
+        video: video && {
+          container: video.container,
+          codec: video.codec,
+          durationSeconds: Math.round(video.durationSeconds * 10) / 10,
+          hasAudio: video.hasAudio
+        },
+        sanitized: Boolean(thumbnailName),
         uploadDate: new Date().toISOString(),
-        validationResult: file.validationResult
+        validationResult: file.validationResult,
+        scan,
+        quarantined
       });
       
-      logger.info(`File processed: ${file.originalname} -> ${secureFileName}`);
+      logger.info(`File ${quarantined ? 'quarantined' : 'processed'}: ${file.originalname} -> ${secureFileName}`);
     } catch (error) {
       logger.error(`File processing failed for ${file.originalname}:`, error);
-      // Clean up failed file
-      try {
-        await fs.unlink(file.path);
-      } catch (unlinkError) {
-        logger.error(`Failed to clean up file ${file.path}:`, unlinkError);
+      // Derived files not yet staged; staged ones go with the transaction
+      for (const leftover of [sanitizedPath, thumbnailPath, posterPath]) {
+        if (!leftover) continue;
+        try {
+          await fs.unlink(leftover);
+        } catch (unlinkError) {
+          if (unlinkError.code !== 'ENOENT') {
+            logger.error(`Failed to clean up file ${leftover}:`, unlinkError);
+          }
+        }
       }
+      throw new FileProcessingError(file.originalname, error);
     }
   }
   
@@ -150,6 +297,12 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Upload rules for the report form, from the same config the validators use
+app.get('/api/config/upload-policy', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json({ success: true, policy: getPublicUploadPolicy() });
+});
+
 // Session status endpoint
 app.get('/api/session', createOrGetSession, (req, res) => {
   res.json({
@@ -160,24 +313,137 @@ app.get('/api/session', createOrGetSession, (req, res) => {
   });
 });
 
-// Enhanced bug report submission endpoint
+const sendUploadError = (res, error, fallbackMessage) => {
+  if (error instanceof UploadSessionError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  logger.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage, message: 'Please try again later' });
+};
+
+// Requests the stored reports refused get their status and the reason; any
+// other failure is logged, and the response says only what failed
+const sendReportError = (res, error, fallbackMessage) => {
+  if (error instanceof ReportRequestError) {
+    return res.status(error.status).json({ error: fallbackMessage, message: error.message });
+  }
+  logger.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+// Resumable uploads: create a session, PATCH chunks at the offset the server
+// reports, then submit the report with the finished upload IDs
+app.post('/api/uploads',
+  createOrGetSession,
+  fileUploadLimiter,
+  uploadSessionValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { fileName, mimeType, size, sha256 } = req.body;
+      const session = await uploadSessions.createSession({ fileName, mimeType, size, sha256 }, req.session.id);
+
+      logger.info(`Upload session created: ${session.id}`, { size, mimeType, sessionId: req.session.id });
+      res.status(201).json({ success: true, ...uploadSessions.toStatus(session) });
+    } catch (error) {
+      sendUploadError(res, error, 'Failed to create upload');
+    }
+  }
+);
+
+// Current offset, for resuming after a dropped connection
+app.get('/api/uploads/:uploadId',
+  createOrGetSession,
+  uploadIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const session = await uploadSessions.getSession(req.params.uploadId, req.session.id);
+      res.json({ success: true, ...uploadSessions.toStatus(session) });
+    } catch (error) {
+      sendUploadError(res, error, 'Failed to get upload');
+    }
+  }
+);
+
+app.patch('/api/uploads/:uploadId',
+  createOrGetSession,
+  uploadChunkLimiter,
+  uploadIdValidation,
+  uploadChunkValidation,
+  handleValidationErrors,
+  express.raw({ type: 'application/offset+octet-stream', limit: CHUNK_SIZE }),
+  async (req, res) => {
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(415).json({ error: 'Chunks must be sent as application/offset+octet-stream' });
+    }
+
+    try {
+      const validator = new AdvancedFileValidator();
+      const session = await uploadSessions.appendChunk(req.params.uploadId, req.session.id, {
+        offset: parseInt(req.get('Upload-Offset'), 10),
+        data: req.body,
+        sha256: req.get('X-Chunk-Sha256')
+      }, async (file) => (await validator.validateFile(file)).errors);
+
+      if (session.status === 'complete') {
+        logger.info(`Upload complete: ${session.id}`, { size: session.size, sessionId: req.session.id });
+      }
+      res.json({ success: true, ...uploadSessions.toStatus(session) });
+    } catch (error) {
+      sendUploadError(res, error, 'Failed to store chunk');
+    }
+  }
+);
+
+app.delete('/api/uploads/:uploadId',
+  createOrGetSession,
+  uploadIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      await uploadSessions.getSession(req.params.uploadId, req.session.id);
+      await uploadSessions.removeSession(req.params.uploadId);
+      res.json({ success: true });
+    } catch (error) {
+      sendUploadError(res, error, 'Failed to cancel upload');
+    }
+  }
+);
+
+// Enhanced bug report submission endpoint. Files come either in the
+// multipart body or as `uploadIds` of finished resumable uploads. Retries
+// with the same Idempotency-Key and payload get the original report back.
 app.post('/api/bug-reports', 
   createOrGetSession,                           // Session management
-  sessionBasedRateLimit(60 * 60 * 1000, 3, 5), // 3 per hour per session, 5 per device total
   fileUploadLimiter,
-  upload.array('files', 5),
+  openSubmission,                               // Transaction that undoes everything below on failure
+  upload.array('files', UPLOAD_POLICY.maxFiles),
+  idempotentSubmission,                         // Replay of an already created report
+  sessionBasedRateLimit(60 * 60 * 1000, 3, 5), // 3 per hour per session, 5 per device total
+  attachUploads,                                // Claim finished resumable uploads
   enhancedFileValidation,                       // Enhanced file validation
+  virusScanFiles,                               // Virus scan, quarantining infected files
   suspiciousActivityDetector,
   abuseDetection,                               // Abuse detection
   bugReportValidation,
   handleValidationErrors,
   trackSubmission,                              // Track submission in session
   async (req, res) => {
+    // Everything below either completes or is undone: files, report and
+    // the session's submission count
+    const transaction = req.submission;
+    transaction.compensate('submission count', () => releaseSubmission(req));
+
     try {
-      const { category, otherCategory, description, platform } = req.body;
+      const {
+        category, otherCategory, description, platform,
+        gameVersion, serverRegion, uid, character, mapRegion, questName,
+        reproductionSteps, expectedResult, actualResult
+      } = req.body;
       
       // Process uploaded files with enhanced validation
-      const processedFiles = req.files ? await processUploadedFiles(req.files) : [];
+      const processedFiles = req.files ? await processUploadedFiles(req.files, transaction) : [];
       
       // Prepare data for secure storage
       const reportData = {
@@ -185,6 +451,8 @@ app.post('/api/bug-reports',
         otherCategory: category === 'other' ? otherCategory : null,
         description,
         platform,
+        gameContext: { gameVersion, serverRegion, uid, character, mapRegion, questName },
+        details: { reproductionSteps, expectedResult, actualResult },
         files: processedFiles,
         ip: req.ip,
         userAgent: req.get('User-Agent'),
@@ -192,7 +460,14 @@ app.post('/api/bug-reports',
       };
 
       // Save bug report using secure storage
-      const reportId = await secureStorage.saveBugReport(reportData, req.session.id);
+      const { reportId, accessToken } = await secureStorage.saveBugReport(reportData, req.session.id);
+      transaction.compensate('stored report', () =>
+        secureStorage.discardBugReport(reportId, req.session.id, 'Submission rolled back'));
+
+      const commitFailures = await transaction.commit();
+      if (commitFailures.length > 0) {
+        logger.error(`Cleanup after submitting ${reportId} failed:`, { commitFailures });
+      }
 
       logger.info(`Bug report submitted successfully: ${reportId}`, {
         ip: req.ip,
@@ -205,18 +480,31 @@ app.post('/api/bug-reports',
       res.status(201).json({
         success: true,
         reportId,
+        accessToken, // Shown to the reporter once; required for status lookups
         message: 'Bug report submitted successfully',
         filesProcessed: processedFiles.length,
         submissionCount: req.session.submissionCount
       });
 
     } catch (error) {
+      const rollbackFailures = await transaction.rollback();
       logger.error('Bug report submission failed:', {
         error: error.message,
         stack: error.stack,
         ip: req.ip,
-        sessionId: req.session?.id
+        sessionId: req.session?.id,
+        rollbackFailures
       });
+
+      if (error instanceof FileProcessingError) {
+        return res.status(error.status).json({
+          error: 'File could not be processed',
+          message: error.status === 422
+            ? `${error.fileName} could not be processed. Remove it or attach a different file.`
+            : `${error.fileName} could not be processed. Please try again later.`,
+          files: [error.fileName]
+        });
+      }
       
       res.status(500).json({
         error: 'Failed to submit bug report',
@@ -226,68 +514,222 @@ app.post('/api/bug-reports',
   }
 );
 
-// Report status endpoint (enhanced with security)
+// Possible duplicates of a report the player is still writing
+app.post('/api/bug-reports/similar',
+  requireSession,
+  similarReportsLimiter,
+  suspiciousActivityDetector,
+  similarReportsValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { description, category, platform, gameVersion, serverRegion, character, mapRegion, questName } = req.body;
+
+      const suggestions = await secureStorage.findPublicDuplicateSuggestions({
+        description,
+        category,
+        platform,
+        gameContext: { gameVersion, serverRegion, character, mapRegion, questName }
+      });
+
+      res.json({ success: true, suggestions });
+    } catch (error) {
+      logger.error('Failed to find similar reports:', error);
+      res.status(500).json({ error: 'Failed to find similar reports' });
+    }
+  }
+);
+
+// Report status endpoint (requires the report's access token)
 app.get('/api/bug-reports/:reportId/status', 
   createOrGetSession,
   generalLimiter,
-  (req, res) => {
-    const { reportId } = req.params;
-    
-    // Basic validation
-    if (!/^WUWA-[A-Z0-9\-]+$/.test(reportId)) {
-      return res.status(400).json({ error: 'Invalid report ID format' });
+  reportAccessAuth,
+  async (req, res) => {
+    try {
+      const report = await secureStorage.getBugReport(req.reportId);
+      if (!report) {
+        return res.status(404).json({ error: 'Report not found' });
+      }
+
+      const history = await secureStorage.getPublicStatusHistory(req.reportId);
+      const comments = await secureStorage.getPublicComments(req.reportId);
+      res.json({ ...report, history, comments });
+    } catch (error) {
+      logger.error('Failed to retrieve report status:', error);
+      res.status(500).json({ error: 'Failed to retrieve report status' });
     }
-    
-    // Get report from secure storage
-    secureStorage.getBugReport(reportId)
-      .then(report => {
-        if (!report) {
-          return res.status(404).json({ error: 'Report not found' });
-        }
-        
-        res.json(report);
-      })
-      .catch(error => {
-        logger.error('Failed to retrieve report status:', error);
-        res.status(500).json({ error: 'Failed to retrieve report status' });
+  }
+);
+
+// Reporter reply on the follow-up thread (requires the report's access token)
+app.post('/api/bug-reports/:reportId/comments',
+  createOrGetSession,
+  commentLimiter,
+  reportAccessAuth,
+  suspiciousActivityDetector,
+  commentValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const comment = await secureStorage.addComment(req.reportId, {
+        authorType: 'reporter',
+        body: req.body.body,
+        sessionId: req.session.id
+      });
+
+      res.status(201).json({
+        success: true,
+        comment
       });
+    } catch (error) {
+      sendReportError(res, error, 'Failed to add comment');
+    }
   }
 );
 
 // Admin endpoints (require authentication)
 
-// Generate admin token (development only)
-app.post('/api/admin/token', (req, res) => {
-  if (process.env.NODE_ENV === 'production') {
-    return res.status(404).json({ error: 'Not found' });
+// Admin login
+app.post('/api/admin/login',
+  adminLoginLimiter,
+  adminLoginValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { username, password } = req.body;
+      const user = await adminUsers.authenticate(username, password);
+
+      if (!user) {
+        logger.warn('Failed admin login', { ip: req.ip, username });
+        await secureStorage.persistAuditEntry(
+          secureStorage.createAuditEntry('ADMIN_LOGIN_FAILED', null, null, { username })
+        );
+        return res.status(401).json({
+          error: 'Invalid credentials',
+          message: 'Invalid username or password'
+        });
+      }
+
+      await secureStorage.persistAuditEntry(
+        secureStorage.createAuditEntry('ADMIN_LOGIN', null, null, { adminId: user.username })
+      );
+
+      res.json({
+        success: true,
+        token: generateAdminToken(user),
+        expiresIn: ADMIN_TOKEN_TTL,
+        user: { username: user.username, role: user.role }
+      });
+    } catch (error) {
+      logger.error('Admin login failed:', error);
+      res.status(500).json({ error: 'Login failed' });
+    }
   }
-  
-  const token = generateAdminToken();
-  res.json({ token });
+);
+
+// Current admin account
+app.get('/api/admin/me', adminAuth, (req, res) => {
+  res.json({ success: true, user: { username: req.admin.username, role: req.admin.role } });
+});
+
+// List admin accounts
+app.get('/api/admin/users', adminAuth, requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ success: true, users: await adminUsers.listUsers() });
+  } catch (error) {
+    sendReportError(res, error, 'Failed to list admin users');
+  }
+});
+
+// Accounts reports can be assigned to, for the triage form
+app.get('/api/admin/assignees', adminAuth, requireRole('triager'), async (req, res) => {
+  try {
+    res.json({ success: true, assignees: await adminUsers.listAssignees() });
+  } catch (error) {
+    sendReportError(res, error, 'Failed to list assignees');
+  }
+});
+
+// Create an admin account
+app.post('/api/admin/users', adminAuth, requireRole('admin'), adminUserCreateValidation, handleValidationErrors, async (req, res) => {
+  const { username, password, role } = req.body;
+  let user;
+  try {
+    user = await adminUsers.createUser({ username, password, role });
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Failed to create admin user',
+      message: error.message
+    });
+  }
+
+  try {
+    await secureStorage.persistAuditEntry(
+      secureStorage.createAuditEntry('CREATE_ADMIN_USER', null, null, {
+        adminId: req.admin.id,
+        username: user.username,
+        role: user.role
+      })
+    );
+  } catch (error) {
+    logger.error(`Failed to audit creation of admin user ${user.username}:`, error);
+    return res.status(500).json({ error: 'Admin user created, but the change could not be audited' });
+  }
+
+  res.status(201).json({ success: true, user });
+});
+
+// Change an admin account's role, password or disabled flag
+app.patch('/api/admin/users/:username', adminAuth, requireRole('admin'), adminUserUpdateValidation, handleValidationErrors, async (req, res) => {
+  const { role, disabled, password } = req.body;
+  let user;
+  try {
+    user = await adminUsers.updateUser(req.params.username, { role, disabled, password });
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Failed to update admin user',
+      message: error.message
+    });
+  }
+
+  try {
+    await secureStorage.persistAuditEntry(
+      secureStorage.createAuditEntry('UPDATE_ADMIN_USER', null, null, {
+        adminId: req.admin.id,
+        username: user.username,
+        role: user.role,
+        disabled: user.disabled,
+        passwordChanged: password !== undefined
+      })
+    );
+  } catch (error) {
+    logger.error(`Failed to audit update of admin user ${user.username}:`, error);
+    return res.status(500).json({ error: 'Admin user updated, but the change could not be audited' });
+  }
+
+  res.json({ success: true, user });
 });
 
 // Get session statistics
-app.get('/api/admin/sessions', adminAuth, getSessionStats);
+app.get('/api/admin/sessions', adminAuth, requireRole('viewer'), getSessionStats);
 
 // Get storage statistics
-app.get('/api/admin/statistics', adminAuth, (req, res) => {
+app.get('/api/admin/statistics', adminAuth, requireRole('viewer'), async (req, res) => {
   try {
-    const stats = secureStorage.getStatistics();
+    const stats = await secureStorage.getStatistics();
     res.json({
       success: true,
       storage: stats,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(500).json({
-      error: 'Failed to get statistics',
-      message: error.message
-    });
+    sendReportError(res, error, 'Failed to get statistics');
   }
 });
 
 // Create backup
-app.post('/api/admin/backup', adminAuth, async (req, res) => {
+app.post('/api/admin/backup', adminAuth, requireRole('admin'), async (req, res) => {
   try {
     const backupPath = await secureStorage.createBackup();
     res.json({
@@ -296,42 +738,534 @@ app.post('/api/admin/backup', adminAuth, async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(500).json({
-      error: 'Backup failed',
-      message: error.message
+    sendReportError(res, error, 'Backup failed');
+  }
+});
+
+// Verify the audit log hash chain and checkpoint signatures
+app.get('/api/admin/audit/verify', adminAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const verification = await secureStorage.verifyAuditLog();
+    if (!verification.valid) {
+      logger.error('Audit chain verification failed:', verification.firstBroken);
+    }
+    res.json({
+      success: true,
+      verification,
+      timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    sendReportError(res, error, 'Audit verification failed');
   }
 });
 
-// Update report status
-app.patch('/api/admin/reports/:reportId', adminAuth, async (req, res) => {
+// Check every stored report against its signature
+app.post('/api/admin/integrity/scan', adminAuth, requireRole('admin'), async (req, res) => {
   try {
-    const { reportId } = req.params;
-    const { status } = req.body;
-    
-    if (!['pending', 'in-review', 'resolved', 'rejected'].includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
+    const result = await secureStorage.scanReportIntegrity();
+    if (result.tampered.length > 0) {
+      logger.error(`Integrity scan found ${result.tampered.length} tampered report(s)`, result.tampered);
     }
-    
-    const updatedReport = await secureStorage.updateReportStatus(
-      reportId, 
-      status, 
-      req.admin.id
-    );
-    
     res.json({
       success: true,
-      report: updatedReport,
+      ...result,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(500).json({
-      error: 'Failed to update report status',
-      message: error.message
+    sendReportError(res, error, 'Integrity scan failed');
+  }
+});
+
+// Audit filters from the query string, validated by auditFilterValidation
+const auditFilterFromQuery = ({ action, reportId, adminId, sessionId, batchId, since, until }) => ({
+  action,
+  reportId,
+  adminId,
+  sessionId,
+  batchId,
+  since: since && new Date(since).toISOString(),
+  until: until && new Date(until).toISOString()
+});
+
+// Search the audit log, newest first by default
+app.get('/api/admin/audit',
+  adminAuth,
+  requireRole('admin'),
+  auditListValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sort, cursor, limit } = req.query;
+      const result = await secureStorage.listAuditEntries({
+        filter: auditFilterFromQuery(req.query),
+        order: sort === 'timestamp' ? 'asc' : 'desc',
+        cursor,
+        limit
+      });
+
+      res.json({
+        success: true,
+        entries: result.entries,
+        nextCursor: result.nextCursor,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Invalid cursor') {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+
+      sendReportError(res, error, 'Failed to query audit log');
+    }
+  }
+);
+
+// Download every matching audit entry, oldest first (?format=jsonl or csv).
+// Streamed, so the response starts before the whole log has been read.
+app.get('/api/admin/audit/export',
+  adminAuth,
+  requireRole('admin'),
+  auditExportValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    const filter = auditFilterFromQuery(req.query);
+    const formatName = req.query.format || 'jsonl';
+    const format = AUDIT_EXPORT_FORMATS[formatName];
+
+    // No export goes out without its audit entry
+    try {
+      await secureStorage.persistAuditEntry(
+        secureStorage.createAuditEntry('EXPORT_AUDIT_LOG', null, null, {
+          adminId: req.admin.id,
+          format: formatName,
+          filter
+        })
+      );
+    } catch (error) {
+      logger.error('Failed to record audit export:', error);
+      return res.status(500).json({ error: 'Audit export failed' });
+    }
+
+    async function* lines() {
+      yield format.header;
+      for await (const entry of secureStorage.iterateAuditEntries(filter)) {
+        yield format.formatEntry(entry);
+      }
+    }
+
+    const date = new Date().toISOString().split('T')[0];
+    res.set({
+      'Content-Type': format.contentType,
+      'Content-Disposition': contentDisposition('attachment', `audit-${date}.${format.extension}`),
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff'
     });
+
+    try {
+      await pipeline(Readable.from(lines()), res);
+    } catch (error) {
+      if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return; // Client went away
+      logger.error('Audit export failed:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Audit export failed' });
+      }
+    }
   }
+);
+
+// Report filters from a listing query or a bulk update body, validated by
+// reportFilterChecks
+const reportFilterFrom = ({
+  category, platform, status, from, to, hasFiles,
+  gameVersion, serverRegion, character, mapRegion, questName,
+  assignee, priority, severity, label
+}) => ({
+  category,
+  platform,
+  status,
+  from: from && new Date(from).toISOString(),
+  to: to && new Date(to).toISOString(),
+  hasFiles: hasFiles === undefined ? undefined : String(hasFiles) === 'true',
+  gameVersion,
+  serverRegion,
+  character,
+  mapRegion,
+  questName,
+  assignee,
+  priority,
+  severity,
+  label
 });
 
+// List reports with filtering and cursor pagination
+app.get('/api/admin/reports',
+  adminAuth,
+  requireRole('viewer'),
+  reportListValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sort, cursor, limit } = req.query;
+
+      const result = await secureStorage.listBugReports({
+        filter: reportFilterFrom(req.query),
+        order: sort === 'timestamp' ? 'asc' : 'desc', // Newest first by default
+        cursor,
+        limit
+      });
+
+      res.json({
+        success: true,
+        reports: result.reports,
+        nextCursor: result.nextCursor,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.message === 'Invalid cursor') {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+
+      sendReportError(res, error, 'Failed to list reports');
+    }
+  }
+);
+
+// Group recent reports into clusters of likely duplicates
+app.get('/api/admin/clusters',
+  adminAuth,
+  requireRole('viewer'),
+  duplicateClusterValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { category, since, threshold } = req.query;
+      const result = await secureStorage.getDuplicateClusters({
+        category,
+        since: since && new Date(since).toISOString(),
+        threshold: threshold && parseFloat(threshold)
+      });
+
+      res.json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendReportError(res, error, 'Failed to build duplicate clusters');
+    }
+  }
+);
+
+// Get a single decrypted report
+app.get('/api/admin/reports/:reportId', adminAuth, requireRole('viewer'), async (req, res) => {
+  try {
+    const report = await secureStorage.getBugReport(req.params.reportId, true);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    res.json({
+      success: true,
+      report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof ReportIntegrityError) {
+      logger.error(error.message);
+      await secureStorage.persistAuditEntry(
+        secureStorage.createAuditEntry('REPORT_INTEGRITY_FAILURE', error.reportId, null, {
+          adminId: req.admin.id,
+          reason: error.reason
+        })
+      ).catch(auditError => logger.error('Failed to record report integrity failure:', auditError));
+      return res.status(500).json({
+        error: 'Report failed its integrity check',
+        message: error.reason
+      });
+    }
+
+    sendReportError(res, error, 'Failed to get report');
+  }
+});
+
+// Timeline of everything recorded about a report: status changes, comments,
+// merges, downloads
+app.get('/api/admin/reports/:reportId/history', adminAuth, requireRole('viewer'), async (req, res) => {
+  try {
+    const history = await secureStorage.getReportHistory(req.params.reportId);
+    if (history.length === 0) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    res.json({
+      success: true,
+      reportId: req.params.reportId,
+      history,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendReportError(res, error, 'Failed to get report history');
+  }
+});
+
+// Serve a report attachment to the triage dashboard (?variant=thumbnail for
+// the re-encoded preview of an image, ?variant=poster for a video still,
+// ?download=1 to force a download). Range requests are honoured so videos
+// can seek; the file is checked against its recorded hash first.
+const serveAttachment = async (req, res) => {
+  try {
+    const report = await secureStorage.getBugReport(req.params.reportId, true);
+    const file = report && report.files[parseInt(req.params.index, 10)];
+    if (!file) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    if (file.quarantined) {
+      return res.status(409).json({ error: 'Attachment is quarantined pending a virus scan' });
+    }
+
+    const attachment = resolveAttachment(file, req.query.variant);
+    if (!attachment) {
+      return res.status(404).json({ error: `No ${req.query.variant} for this attachment` });
+    }
+
+    try {
+      if (attachment.sha256) {
+        await verifyStoredFile(attachment.filePath, attachment.sha256);
+      } else {
+        await fs.access(attachment.filePath);
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.error(`Attachment missing on disk: ${attachment.storedName}`);
+        return res.status(404).json({ error: 'Attachment not found' });
+      }
+      if (error instanceof AttachmentIntegrityError) {
+        logger.error(error.message, { reportId: report.id, expected: error.expected, actual: error.actual });
+        await secureStorage.persistAuditEntry(
+          secureStorage.createAuditEntry('ATTACHMENT_INTEGRITY_FAILURE', report.id, null, {
+            adminId: req.admin.id,
+            storedName: error.storedName,
+            expected: error.expected,
+            actual: error.actual
+          })
+        );
+        return res.status(500).json({
+          error: 'Attachment failed its integrity check',
+          message: 'The stored file does not match the hash recorded at upload'
+        });
+      }
+      throw error;
+    }
+
+    // Record the original being fetched, not every preview or seek
+    const range = req.headers.range;
+    if (!req.query.variant && (!range || /^bytes=0-/.test(range))) {
+      await secureStorage.persistAuditEntry(
+        secureStorage.createAuditEntry('DOWNLOAD_ATTACHMENT', report.id, null, {
+          adminId: req.admin.id,
+          index: parseInt(req.params.index, 10),
+          storedName: attachment.storedName
+        })
+      );
+    }
+
+    const contentType = safeContentType(attachment.mimeType);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': contentDisposition(
+        dispositionType(contentType, req.query.download === '1'),
+        attachment.fileName
+      ),
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'; sandbox"
+    });
+    res.sendFile(attachment.filePath, { acceptRanges: true, cacheControl: false, dotfiles: 'deny' }, (error) => {
+      if (error && !res.headersSent) {
+        logger.error(`Failed to send attachment ${attachment.storedName}:`, error);
+        res.status(error.status || 500).json({ error: 'Failed to get attachment' });
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to serve attachment:', error);
+    res.status(500).json({ error: 'Failed to get attachment' });
+  }
+};
+
+app.get('/api/admin/reports/:reportId/files/:index', adminAuth, requireRole('viewer'), serveAttachment);
+
+// Short-lived signed URL for one attachment, for the video player and
+// downloads, which can't send the Authorization header
+app.post('/api/admin/reports/:reportId/files/:index/stream-token', adminAuth, requireRole('viewer'), async (req, res) => {
+  try {
+    const index = parseInt(req.params.index, 10);
+    const report = await secureStorage.getBugReport(req.params.reportId, true);
+    if (!report || !report.files[index]) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    if (report.files[index].quarantined) {
+      return res.status(409).json({ error: 'Attachment is quarantined pending a virus scan' });
+    }
+
+    res.json({
+      success: true,
+      token: generateStreamToken(req.admin, report.id, index),
+      expiresAt: new Date(Date.now() + STREAM_TOKEN_TTL_SECONDS * 1000).toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to issue stream token:', error);
+    res.status(500).json({ error: 'Failed to get attachment' });
+  }
+});
+
+// The same attachment, authorized by ?token= instead of the admin header.
+// Loaded by <video> from the dashboard's origin, so it may be embedded by
+// the same site.
+app.get('/api/admin/reports/:reportId/files/:index/stream', streamAuth, (req, res, next) => {
+  res.set('Cross-Origin-Resource-Policy', 'same-site');
+  next();
+}, serveAttachment);
+
+// Reports similar to an existing one
+app.get('/api/admin/reports/:reportId/similar', adminAuth, requireRole('viewer'), async (req, res) => {
+  try {
+    const report = await secureStorage.adapter.getReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const matches = await secureStorage.findSimilarReports(report, { limit: 10 });
+    res.json({
+      success: true,
+      similar: matches.map(({ report: match, score }) => secureStorage.toDuplicateSummary(match, score)),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendReportError(res, error, 'Failed to find similar reports');
+  }
+});
+
+// Merge duplicates into this report, which becomes the cluster's master
+app.post('/api/admin/reports/:reportId/merge',
+  adminAuth,
+  requireRole('triager'),
+  mergeDuplicatesValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await secureStorage.mergeDuplicates(
+        req.params.reportId,
+        req.body.duplicateIds,
+        req.admin.id
+      );
+
+      res.json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendReportError(res, error, 'Failed to merge reports');
+    }
+  }
+);
+
+// Post a triager comment to the reporter
+app.post('/api/admin/reports/:reportId/comments',
+  adminAuth,
+  requireRole('triager'),
+  commentValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const comment = await secureStorage.addComment(req.params.reportId, {
+        authorType: 'triager',
+        authorId: req.admin.id,
+        body: req.body.body
+      });
+
+      res.status(201).json({
+        success: true,
+        comment,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendReportError(res, error, 'Failed to add comment');
+    }
+  }
+);
+
+// Update a report's status and triage fields
+app.patch('/api/admin/reports/:reportId',
+  adminAuth,
+  requireRole('triager'),
+  reportUpdateValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { status, assignee, priority, severity, labels, ticketId, resolutionNote } = req.body;
+
+      if (assignee && !(await adminUsers.getAssignableUser(assignee))) {
+        return res.status(400).json({
+          error: 'Failed to update report',
+          message: `${assignee} is not an active triager`
+        });
+      }
+
+      const report = await secureStorage.updateReportTriage(
+        req.params.reportId,
+        { status, assignee, priority, severity, labels, ticketId, resolutionNote },
+        req.admin.id
+      );
+
+      res.json({
+        success: true,
+        report,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendReportError(res, error, 'Failed to update report');
+    }
+  }
+);
+
+// Apply one status, assignee or label change to many reports at once, by ID
+// or by filter. Reports that can't take the change are listed in the
+// response; the others are still updated. A dry run writes nothing and has
+// no batchId; the batch ID is assigned when the change is applied.
+app.post('/api/admin/reports/bulk',
+  adminAuth,
+  requireRole('triager'),
+  reportBulkValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { reportIds, filter, changes, dryRun } = req.body;
+
+      if (changes.assignee && !(await adminUsers.getAssignableUser(changes.assignee))) {
+        return res.status(400).json({
+          error: 'Failed to update reports',
+          message: `${changes.assignee} is not an active triager`
+        });
+      }
+
+      const result = await secureStorage.bulkUpdateReports(
+        reportIds ? { reportIds } : { filter: reportFilterFrom(filter) },
+        changes,
+        req.admin.id,
+        { dryRun: Boolean(dryRun) }
+      );
+
+      res.json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendReportError(res, error, 'Failed to update reports');
+    }
+  }
+);
+
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, '../build')));
@@ -386,6 +1320,24 @@ process.on('SIGINT', () => {
 const startServer = async () => {
   try {
     await ensureUploadDirs();
+    await secureStorage.ready;
+
+    // Files left behind by submissions interrupted by a crash
+    await sweepOrphanedFiles(secureStorage, logger);
+
+    // Abandoned resumable uploads
+    const sweepUploads = () => uploadSessions.sweepExpired()
+      .then(removed => removed && logger.info(`Removed ${removed} expired upload session(s)`))
+      .catch(error => logger.error('Upload session sweep failed:', error));
+    await sweepUploads();
+    setInterval(sweepUploads, 60 * 60 * 1000).unref();
+
+    // Sign the audit chain head even when too little happens to reach the
+    // next checkpoint
+    setInterval(() => {
+      secureStorage.checkpointAuditLog()
+        .catch(error => logger.error('Audit checkpoint failed:', error));
+    }, 60 * 60 * 1000).unref();
     
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
@@ -396,9 +1348,7 @@ const startServer = async () => {
       console.log(`   ✅ Encrypted storage with audit logging`);
       console.log(`   ✅ Advanced abuse detection and rate limiting`);
       
-      if (process.env.NODE_ENV !== 'production') {
-        console.log(`🔧 Admin token endpoint: POST /api/admin/token`);
-      }
+      console.log(`🔐 Admin login: POST /api/admin/login (create the first account with npm run create-admin)`);
     });
   } catch (error) {
     logger.error('Failed to start server:', error);
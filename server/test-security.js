@@ -48,9 +48,14 @@ async function testSecuritySystems() {
       fingerprint: testFingerprint
     };
 
-    const reportId = await secureStorage.saveBugReport(testReportData, session.id);
+    const { reportId, accessToken } = await secureStorage.saveBugReport(testReportData, session.id);
     console.log(`✅ Bug report saved securely: ${reportId}`);
 
+    // Test access token verification
+    const storedReport = await secureStorage.adapter.getReport(reportId);
+    console.log(`✅ Access token accepted: ${secureStorage.verifyAccessToken(storedReport, accessToken)}`);
+    console.log(`✅ Wrong token rejected: ${!secureStorage.verifyAccessToken(storedReport, 'not-the-token')}`);
+
     // Test report retrieval
     const retrievedReport = await secureStorage.getBugReport(reportId);
     console.log(`✅ Report retrieved: ${retrievedReport ? 'Success' : 'Failed'}`);
@@ -59,7 +64,7 @@ async function testSecuritySystems() {
     console.log(`   - Status: ${retrievedReport?.status}`);
 
     // Test statistics
-    const stats = secureStorage.getStatistics();
+    const stats = await secureStorage.getStatistics();
     console.log(`✅ Storage statistics:`, stats);
 
   } catch (error) {
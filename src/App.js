@@ -5,6 +5,11 @@ import { theme } from './styles/theme';
 import LandingPage from './components/LandingPage';
 import BugReportForm from './components/BugReportForm';
 import ConfirmationPage from './components/ConfirmationPage';
+import StatusPage from './components/StatusPage';
+import AdminLogin from './components/admin/AdminLogin';
+import AdminLayout from './components/admin/AdminLayout';
+import AdminDashboard from './components/admin/AdminDashboard';
+import ReportDetail from './components/admin/ReportDetail';
 
 const AppContainer = styled.div`
   min-height: 100vh;
@@ -33,6 +38,12 @@ function App() {
           <Route path="/" element={<LandingPage />} />
           <Route path="/report" element={<BugReportForm />} />
           <Route path="/confirmation" element={<ConfirmationPage />} />
+          <Route path="/status/:reportId" element={<StatusPage />} />
+          <Route path="/admin/login" element={<AdminLogin />} />
+          <Route path="/admin" element={<AdminLayout />}>
+            <Route index element={<AdminDashboard />} />
+            <Route path="reports/:reportId" element={<ReportDetail />} />
+          </Route>
         </Routes>
       </MainContent>
     </AppContainer>
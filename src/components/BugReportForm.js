@@ -1,10 +1,21 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import styled from 'styled-components';
 import { theme } from '../styles/theme';
-import { BUG_CATEGORIES, PLATFORMS, FORM_VALIDATION, MESSAGES } from '../utils/constants';
+import { BUG_CATEGORIES, PLATFORMS, SERVER_REGIONS, FORM_VALIDATION, MESSAGES } from '../utils/constants';
 import FileUpload from './FileUpload';
+import DuplicateSuggestions from './DuplicateSuggestions';
 import apiClient from '../utils/api';
+import { discardUpload } from '../utils/resumableUpload';
+import { saveDraft, loadDraft, clearDraft } from '../utils/offlineStore';
+import { createIdempotencyKey } from '../utils/idempotencyKey';
+import {
+  queueSubmission,
+  getQueuedSubmission,
+  removeQueuedSubmission,
+  onOutboxChange,
+  isNetworkError
+} from '../utils/outbox';
 
 const Container = styled.div`
   max-width: 700px;
@@ -83,6 +94,43 @@ const TextArea = styled.textarea`
   min-height: 150px;
 `;
 
+const SmallTextArea = styled(TextArea)`
+  min-height: 80px;
+`;
+
+const Section = styled.fieldset`
+  border: 1px solid ${theme.colors.borderLight};
+  border-radius: ${theme.borderRadius.lg};
+  padding: ${theme.spacing.lg};
+  margin-bottom: ${theme.spacing.lg};
+
+  legend {
+    padding: 0 ${theme.spacing.xs};
+    font-weight: ${theme.typography.fontWeight.medium};
+    color: ${theme.colors.textPrimary};
+  }
+`;
+
+const SectionHint = styled.p`
+  font-size: ${theme.typography.fontSize.sm};
+  color: ${theme.colors.textMuted};
+  margin-bottom: ${theme.spacing.md};
+`;
+
+const FieldGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(2, minmax(0, 1fr));
+  gap: ${theme.spacing.md};
+
+  input, select {
+    width: 100%;
+  }
+
+  @media (max-width: ${theme.breakpoints.sm}) {
+    grid-template-columns: 1fr;
+  }
+`;
+
 const OtherInput = styled.input`
   width: 100%;
   margin-top: ${theme.spacing.sm};
@@ -156,17 +204,197 @@ const SecurityNotice = styled.div`
   }
 `;
 
+const DraftNotice = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: ${theme.spacing.sm};
+  background: ${theme.colors.surfaceLight};
+  border: 1px solid ${theme.colors.primary};
+  border-radius: ${theme.borderRadius.md};
+  padding: ${theme.spacing.md};
+  margin-bottom: ${theme.spacing.lg};
+  font-size: ${theme.typography.fontSize.sm};
+  color: ${theme.colors.textSecondary};
+`;
+
+const DiscardButton = styled.button`
+  flex-shrink: 0;
+  background: none;
+  padding: 0;
+  color: ${theme.colors.primary};
+  font-size: ${theme.typography.fontSize.sm};
+  text-decoration: underline;
+`;
+
+const SUGGESTION_DELAY_MS = 800;
+const DRAFT_SAVE_DELAY_MS = 500;
+
+const EMPTY_FORM = {
+  category: '',
+  otherCategory: '',
+  description: '',
+  platform: '',
+  gameVersion: '',
+  serverRegion: '',
+  uid: '',
+  character: '',
+  mapRegion: '',
+  questName: '',
+  reproductionSteps: '',
+  expectedResult: '',
+  actualResult: '',
+  files: [],
+};
+
+// Optional structured fields sent alongside the required ones
+const OPTIONAL_FIELDS = [
+  'gameVersion', 'serverRegion', 'uid', 'character', 'mapRegion', 'questName',
+  'reproductionSteps', 'expectedResult', 'actualResult'
+];
+
+// Fields checked for script-like content before submitting
+const FREE_TEXT_FIELDS = [
+  'description', 'otherCategory', 'character', 'mapRegion', 'questName',
+  'reproductionSteps', 'expectedResult', 'actualResult'
+];
+
+// Files from a saved draft. A finished upload is reused if the server still
+// has it; anything else uploads again, resuming where it can.
+const restoreFileEntry = async ({ key, file, mimeType, uploadId }) => {
+  const entry = { key, file, mimeType, status: 'paused', progress: 0, uploadId: null, error: '' };
+  if (!uploadId) return entry;
+
+  const finished = { ...entry, status: 'complete', progress: 1, uploadId };
+  try {
+    const upload = await apiClient.getUpload(uploadId);
+    return upload.status === 'complete' ? finished : entry;
+  } catch (error) {
+    // Offline, so assume it's still there; submitting will tell
+    return isNetworkError(error) ? finished : entry;
+  }
+};
+
 function BugReportForm() {
   const navigate = useNavigate();
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [formData, setFormData] = useState({
-    category: '',
-    otherCategory: '',
-    description: '',
-    platform: '',
-    files: [],
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM);
   const [errors, setErrors] = useState({});
+  const [suggestions, setSuggestions] = useState([]);
+  // One key per form fill: submitting again after a lost response returns
+  // the report that was already created instead of filing a second one. It
+  // is saved with the draft, so that holds across a reload too.
+  const [idempotencyKey, setIdempotencyKey] = useState(createIdempotencyKey);
+  const [draftReady, setDraftReady] = useState(false);
+  const [restoredAt, setRestoredAt] = useState(null);
+  const [queued, setQueued] = useState(false);
+
+  const { description, category, platform, gameVersion, serverRegion, character, mapRegion, questName } = formData;
+
+  // Pick up where the player left off after a reload or a crash
+  useEffect(() => {
+    let cancelled = false;
+
+    loadDraft()
+      .then(async draft => {
+        if (cancelled || !draft) return;
+        const files = await Promise.all(draft.files.map(restoreFileEntry));
+        if (cancelled) return;
+
+        setFormData({ ...EMPTY_FORM, ...draft.fields, files });
+        // Drafts saved before keys were kept with them have none; keep the
+        // fresh one, which the next autosave stores with the draft
+        if (draft.idempotencyKey) setIdempotencyKey(draft.idempotencyKey);
+        setRestoredAt(draft.savedAt);
+      })
+      .catch(error => console.error('Could not restore the saved draft:', error))
+      .finally(() => !cancelled && setDraftReady(true));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Save the draft, files included, shortly after each change
+  useEffect(() => {
+    if (!draftReady) return undefined;
+
+    const timeoutId = setTimeout(() => {
+      const { files, ...fields } = formData;
+      const isEmpty = files.length === 0 && Object.values(fields).every(value => !value.trim());
+      (isEmpty ? clearDraft() : saveDraft({ fields, files, idempotencyKey }))
+        .catch(error => console.error('Could not save the draft:', error));
+    }, DRAFT_SAVE_DELAY_MS);
+
+    return () => clearTimeout(timeoutId);
+  }, [formData, idempotencyKey, draftReady]);
+
+  const finishSubmission = useCallback(async (response, confirmation) => {
+    setDraftReady(false); // Stop autosaving what was just sent
+    await Promise.all([clearDraft(), removeQueuedSubmission(idempotencyKey)])
+      .catch(error => console.error('Could not clear the sent draft:', error));
+
+    // Navigate to confirmation page with the reference ID
+    navigate('/confirmation', {
+      state: {
+        referenceId: response.reportId,
+        accessToken: response.accessToken,
+        ...confirmation,
+        filesProcessed: response.filesProcessed || 0
+      }
+    });
+  }, [idempotencyKey, navigate]);
+
+  // A report queued while offline: wait for the outbox to send it (possibly
+  // while the page was closed), then show its confirmation or why it failed
+  useEffect(() => {
+    if (!draftReady) return undefined;
+
+    const checkQueued = () => getQueuedSubmission(idempotencyKey)
+      .then(record => {
+        if (!record) return;
+        if (record.status === 'sent') {
+          finishSubmission(record.response, record.confirmation);
+        } else if (record.status === 'failed') {
+          removeQueuedSubmission(record.id);
+          setQueued(false);
+          setErrors({ submit: `${MESSAGES.draft.queuedFailed} ${record.error}` });
+        } else {
+          setQueued(true);
+        }
+      })
+      .catch(error => console.error('Could not check the outbox:', error));
+
+    checkQueued();
+    return onOutboxChange(checkQueued);
+  }, [draftReady, idempotencyKey, finishSubmission]);
+
+  // Look for likely duplicates once the player pauses typing
+  useEffect(() => {
+    if (description.trim().length < FORM_VALIDATION.description.minLength) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timeoutId = setTimeout(() => {
+      apiClient.findSimilarReports({
+        description, category, platform, gameVersion, serverRegion, character, mapRegion, questName
+      })
+        .then(response => {
+          if (!cancelled) setSuggestions(response.suggestions || []);
+        })
+        .catch(() => {
+          // Suggestions are best-effort; never block the form on them
+          if (!cancelled) setSuggestions([]);
+        });
+    }, SUGGESTION_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [description, category, platform, gameVersion, serverRegion, character, mapRegion, questName]);
 
   const validateForm = () => {
     const newErrors = {};
@@ -195,13 +423,26 @@ function BugReportForm() {
       newErrors.platform = MESSAGES.error.platformRequired;
     }
 
+    // Optional game context validation
+    if (formData.gameVersion.trim() && !FORM_VALIDATION.gameVersion.pattern.test(formData.gameVersion.trim())) {
+      newErrors.gameVersion = MESSAGES.error.gameVersion;
+    }
+
+    if (formData.uid.trim() && !FORM_VALIDATION.uid.pattern.test(formData.uid.trim())) {
+      newErrors.uid = MESSAGES.error.uid;
+    }
+
     // Additional security validation
     const suspiciousPatterns = [/<script/i, /javascript:/i, /on\w+\s*=/i];
     const isSuspicious = suspiciousPatterns.some(pattern => 
-      pattern.test(formData.description) || 
-      (formData.otherCategory && pattern.test(formData.otherCategory))
+      FREE_TEXT_FIELDS.some(field => formData[field] && pattern.test(formData[field]))
     );
 
+    // Attachments must finish uploading (or be removed) before submitting
+    if (formData.files.some(entry => entry.status !== 'complete')) {
+      newErrors.files = MESSAGES.error.uploadsPending;
+    }
+
     if (isSuspicious) {
       newErrors.security = 'Your input contains potentially harmful content. Please remove any code or scripts.';
     }
@@ -233,20 +474,48 @@ function BugReportForm() {
         submissionData.otherCategory = formData.otherCategory;
       }
 
-      // Submit via secure API
-      const response = await apiClient.submitBugReport(submissionData, formData.files);
-      
-      // Navigate to confirmation page with the reference ID
-      navigate('/confirmation', { 
-        state: { 
-          referenceId: response.reportId,
-          category: formData.category === 'other' ? formData.otherCategory : 
-                    BUG_CATEGORIES.find(cat => cat.value === formData.category)?.label,
-          platform: PLATFORMS.find(plat => plat.value === formData.platform)?.label,
-          filesProcessed: response.filesProcessed || 0
-        } 
+      // Only send the optional fields the player filled in
+      OPTIONAL_FIELDS.forEach(field => {
+        if (formData[field].trim()) {
+          submissionData[field] = formData[field].trim();
+        }
       });
 
+      const uploadIds = formData.files.map(entry => entry.uploadId);
+      const confirmation = {
+        category: formData.category === 'other' ? formData.otherCategory : 
+                  BUG_CATEGORIES.find(cat => cat.value === formData.category)?.label,
+        platform: PLATFORMS.find(plat => plat.value === formData.platform)?.label
+      };
+
+      // Offline: keep it in the outbox until there is a connection
+      const queueOffline = async () => {
+        await queueSubmission({
+          entries: apiClient.buildSubmission(submissionData, uploadIds),
+          idempotencyKey,
+          confirmation
+        });
+        setQueued(true);
+        setIsSubmitting(false);
+      };
+
+      if (navigator.onLine === false) {
+        await queueOffline();
+        return;
+      }
+
+      // Submit via secure API
+      let response;
+      try {
+        response = await apiClient.submitBugReport(submissionData, uploadIds, idempotencyKey);
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+        await queueOffline();
+        return;
+      }
+
+      await finishSubmission(response, confirmation);
+
     } catch (error) {
       console.error('Bug report submission failed:', error);
       
@@ -265,6 +534,18 @@ function BugReportForm() {
     }
   };
 
+  // Throw the draft away, along with a queued copy and its uploads
+  const handleDiscardDraft = async () => {
+    formData.files.forEach(entry => discardUpload(entry.file, entry.uploadId));
+    setFormData(EMPTY_FORM);
+    setErrors({});
+    setRestoredAt(null);
+    setQueued(false);
+    await Promise.all([clearDraft(), removeQueuedSubmission(idempotencyKey)])
+      .catch(error => console.error('Could not discard the draft:', error));
+    setIdempotencyKey(createIdempotencyKey());
+  };
+
   const handleInputChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
     
@@ -274,11 +555,17 @@ function BugReportForm() {
     }
     
     // Clear security error when user modifies input
-    if (errors.security && (field === 'description' || field === 'otherCategory')) {
+    if (errors.security && FREE_TEXT_FIELDS.includes(field)) {
       setErrors(prev => ({ ...prev, security: '' }));
     }
   };
 
+  // FileUpload reports upload progress through updater functions
+  const handleFilesChange = useCallback((update) => {
+    setFormData(prev => ({ ...prev, files: update(prev.files) }));
+    setErrors(prev => (prev.files ? { ...prev, files: '' } : prev));
+  }, []);
+
   const handleBack = () => {
     navigate('/');
   };
@@ -299,6 +586,19 @@ function BugReportForm() {
           Please do not include personal information, passwords, or executable code in your report.
         </SecurityNotice>
 
+        {queued && (
+          <DraftNotice>
+            <span>{MESSAGES.draft.queued}</span>
+            <DiscardButton type="button" onClick={handleDiscardDraft}>Cancel report</DiscardButton>
+          </DraftNotice>
+        )}
+        {!queued && restoredAt && (
+          <DraftNotice>
+            <span>{MESSAGES.draft.restored} {new Date(restoredAt).toLocaleString()}.</span>
+            <DiscardButton type="button" onClick={handleDiscardDraft}>Discard draft</DiscardButton>
+          </DraftNotice>
+        )}
+
         <FormGroup>
           <Label htmlFor="category">
             Bug Category <span>*</span>
@@ -344,6 +644,7 @@ function BugReportForm() {
             {formData.description.length} / {FORM_VALIDATION.description.maxLength}
           </CharacterCount>
           {errors.description && <ErrorMessage>{errors.description}</ErrorMessage>}
+          <DuplicateSuggestions suggestions={suggestions} />
         </FormGroup>
 
         <FormGroup>
@@ -365,18 +666,131 @@ function BugReportForm() {
           {errors.platform && <ErrorMessage>{errors.platform}</ErrorMessage>}
         </FormGroup>
 
+        <Section>
+          <legend>Game Details (optional)</legend>
+          <SectionHint>
+            These help our team find and reproduce the bug faster. Fill in whatever you know.
+          </SectionHint>
+          <FieldGrid>
+            <div>
+              <Label htmlFor="gameVersion">Game Version</Label>
+              <input
+                id="gameVersion"
+                type="text"
+                placeholder="e.g. 2.0"
+                value={formData.gameVersion}
+                onChange={(e) => handleInputChange('gameVersion', e.target.value)}
+              />
+              {errors.gameVersion && <ErrorMessage>{errors.gameVersion}</ErrorMessage>}
+            </div>
+            <div>
+              <Label htmlFor="serverRegion">Server Region</Label>
+              <Select
+                id="serverRegion"
+                value={formData.serverRegion}
+                onChange={(e) => handleInputChange('serverRegion', e.target.value)}
+              >
+                <option value="">Select your server...</option>
+                {SERVER_REGIONS.map((region) => (
+                  <option key={region.value} value={region.value}>
+                    {region.label}
+                  </option>
+                ))}
+              </Select>
+            </div>
+            <div>
+              <Label htmlFor="uid">UID</Label>
+              <input
+                id="uid"
+                type="text"
+                inputMode="numeric"
+                value={formData.uid}
+                onChange={(e) => handleInputChange('uid', e.target.value)}
+              />
+              {errors.uid && <ErrorMessage>{errors.uid}</ErrorMessage>}
+            </div>
+            <div>
+              <Label htmlFor="character">Character in Use</Label>
+              <input
+                id="character"
+                type="text"
+                maxLength={FORM_VALIDATION.character.maxLength}
+                value={formData.character}
+                onChange={(e) => handleInputChange('character', e.target.value)}
+              />
+            </div>
+            <div>
+              <Label htmlFor="mapRegion">Map Region</Label>
+              <input
+                id="mapRegion"
+                type="text"
+                placeholder="e.g. Jinzhou"
+                maxLength={FORM_VALIDATION.mapRegion.maxLength}
+                value={formData.mapRegion}
+                onChange={(e) => handleInputChange('mapRegion', e.target.value)}
+              />
+            </div>
+            <div>
+              <Label htmlFor="questName">Quest Name</Label>
+              <input
+                id="questName"
+                type="text"
+                maxLength={FORM_VALIDATION.questName.maxLength}
+                value={formData.questName}
+                onChange={(e) => handleInputChange('questName', e.target.value)}
+              />
+            </div>
+          </FieldGrid>
+        </Section>
+
+        <Section>
+          <legend>Reproduction (optional)</legend>
+          <FormGroup>
+            <Label htmlFor="reproductionSteps">Steps to Reproduce</Label>
+            <SmallTextArea
+              id="reproductionSteps"
+              placeholder={MESSAGES.placeholders.reproductionSteps}
+              maxLength={FORM_VALIDATION.reproductionSteps.maxLength}
+              value={formData.reproductionSteps}
+              onChange={(e) => handleInputChange('reproductionSteps', e.target.value)}
+            />
+          </FormGroup>
+          <FieldGrid>
+            <div>
+              <Label htmlFor="expectedResult">Expected Result</Label>
+              <SmallTextArea
+                id="expectedResult"
+                placeholder={MESSAGES.placeholders.expectedResult}
+                maxLength={FORM_VALIDATION.result.maxLength}
+                value={formData.expectedResult}
+                onChange={(e) => handleInputChange('expectedResult', e.target.value)}
+              />
+            </div>
+            <div>
+              <Label htmlFor="actualResult">Actual Result</Label>
+              <SmallTextArea
+                id="actualResult"
+                placeholder={MESSAGES.placeholders.actualResult}
+                maxLength={FORM_VALIDATION.result.maxLength}
+                value={formData.actualResult}
+                onChange={(e) => handleInputChange('actualResult', e.target.value)}
+              />
+            </div>
+          </FieldGrid>
+        </Section>
+
         <FileUpload
           files={formData.files}
-          onFilesChange={(files) => handleInputChange('files', files)}
+          onFilesChange={handleFilesChange}
           error={errors.files}
         />
 
         {errors.security && <ErrorMessage>{errors.security}</ErrorMessage>}
         {errors.submit && <ErrorMessage>{errors.submit}</ErrorMessage>}
 
-        <SubmitButton type="submit" disabled={isSubmitting}>
+        <SubmitButton type="submit" disabled={isSubmitting || queued}>
           {isSubmitting && <LoadingSpinner />}
-          {isSubmitting ? 'Submitting Report...' : 'Submit Bug Report'}
+          {isSubmitting ? 'Submitting Report...' : queued ? 'Waiting for a Connection...' : 'Submit Bug Report'}
         </SubmitButton>
       </Form>
     </Container>
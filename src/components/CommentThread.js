@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { theme } from '../styles/theme';
+
+const MAX_COMMENT_LENGTH = 2000;
+
+const Thread = styled.ol`
+  list-style: none;
+  display: flex;
+  flex-direction: column;
+  gap: ${theme.spacing.sm};
+  margin-bottom: ${theme.spacing.md};
+`;
+
+const Message = styled.li`
+  align-self: ${props => (props.own ? 'flex-end' : 'flex-start')};
+  max-width: 85%;
+  background: ${props => (props.own ? theme.colors.surfaceLight : theme.colors.background)};
+  border: 1px solid ${props => (props.own ? theme.colors.primaryDark : theme.colors.borderLight)};
+  border-radius: ${theme.borderRadius.lg};
+  padding: ${theme.spacing.sm} ${theme.spacing.md};
+`;
+
+const Author = styled.div`
+  font-size: ${theme.typography.fontSize.xs};
+  color: ${theme.colors.textMuted};
+  margin-bottom: 2px;
+`;
+
+const Body = styled.p`
+  white-space: pre-wrap;
+  word-break: break-word;
+  font-size: ${theme.typography.fontSize.sm};
+  color: ${theme.colors.textPrimary};
+`;
+
+const Form = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: ${theme.spacing.sm};
+
+  textarea {
+    width: 100%;
+    min-height: 80px;
+    font-family: inherit;
+    resize: vertical;
+  }
+`;
+
+const SendButton = styled.button`
+  align-self: flex-end;
+  background: linear-gradient(135deg, ${theme.colors.primary} 0%, ${theme.colors.primaryDark} 100%);
+  color: ${theme.colors.textPrimary};
+  font-size: ${theme.typography.fontSize.sm};
+  padding: ${theme.spacing.xs} ${theme.spacing.lg};
+  border-radius: ${theme.borderRadius.md};
+
+  &:disabled {
+    background: ${theme.colors.textMuted};
+    cursor: not-allowed;
+  }
+`;
+
+const Muted = styled.p`
+  color: ${theme.colors.textMuted};
+  font-size: ${theme.typography.fontSize.sm};
+  margin-bottom: ${theme.spacing.md};
+`;
+
+const ErrorMessage = styled.div`
+  color: ${theme.colors.error};
+  font-size: ${theme.typography.fontSize.sm};
+`;
+
+// Shared by the reporter's status page and the triage detail view.
+// `viewer` is the side looking at the thread ('reporter' or 'triager').
+function CommentThread({ comments, viewer, onSubmit, canPost = true, placeholder }) {
+  const [draft, setDraft] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState('');
+
+  const authorLabel = (comment) => {
+    if (comment.authorType === viewer) {
+      return viewer === 'triager' && comment.authorId ? comment.authorId : 'You';
+    }
+    return comment.authorType === 'triager' ? 'Support team' : 'Reporter';
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+
+    setIsSending(true);
+    setError('');
+
+    try {
+      await onSubmit(draft.trim());
+      setDraft('');
+    } catch (err) {
+      setError(err.message || 'Failed to send comment.');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <>
+      {comments.length === 0 ? (
+        <Muted>No messages yet.</Muted>
+      ) : (
+        <Thread>
+          {comments.map(comment => (
+            <Message key={comment.id} own={comment.authorType === viewer}>
+              <Author>
+                {authorLabel(comment)} • {new Date(comment.createdAt).toLocaleString()}
+              </Author>
+              <Body>{comment.body}</Body>
+            </Message>
+          ))}
+        </Thread>
+      )}
+
+      {canPost && (
+        <Form onSubmit={handleSubmit}>
+          <textarea
+            value={draft}
+            maxLength={MAX_COMMENT_LENGTH}
+            placeholder={placeholder}
+            onChange={(e) => setDraft(e.target.value)}
+            aria-label="Message"
+          />
+          {error && <ErrorMessage>{error}</ErrorMessage>}
+          <SendButton type="submit" disabled={isSending || !draft.trim()}>
+            {isSending ? 'Sending...' : 'Send'}
+          </SendButton>
+        </Form>
+      )}
+    </>
+  );
+}
+
+export default CommentThread;
@@ -1,8 +1,9 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import styled from 'styled-components';
 import { theme } from '../styles/theme';
 import { MESSAGES } from '../utils/constants';
+import { buildStatusLink, buildStatusPath } from '../utils/statusLink';
 
 const Container = styled.div`
   max-width: 600px;
@@ -89,6 +90,42 @@ const ReferenceId = styled.div`
   letter-spacing: 1px;
 `;
 
+const StatusLinkSection = styled.div`
+  text-align: left;
+  margin-top: ${theme.spacing.lg};
+  padding-top: ${theme.spacing.lg};
+  border-top: 1px solid ${theme.colors.border};
+`;
+
+const StatusLinkRow = styled.div`
+  display: flex;
+  gap: ${theme.spacing.sm};
+  margin-top: ${theme.spacing.xs};
+
+  input {
+    flex: 1;
+    min-width: 0;
+    font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+    font-size: ${theme.typography.fontSize.xs};
+  }
+`;
+
+const CopyButton = styled.button`
+  background: transparent;
+  color: ${theme.colors.primary};
+  font-size: ${theme.typography.fontSize.sm};
+  padding: ${theme.spacing.xs} ${theme.spacing.md};
+  border: 1px solid ${theme.colors.primary};
+  border-radius: ${theme.borderRadius.md};
+  white-space: nowrap;
+`;
+
+const LinkHint = styled.p`
+  font-size: ${theme.typography.fontSize.xs};
+  color: ${theme.colors.warning};
+  margin-top: ${theme.spacing.xs};
+`;
+
 const ReportSummary = styled.div`
   text-align: left;
   background: ${theme.colors.surfaceLight};
@@ -179,7 +216,18 @@ function ConfirmationPage() {
   const location = useLocation();
   
   // Get data from navigation state
-  const { referenceId, category, platform } = location.state || {};
+  const { referenceId, accessToken, category, platform } = location.state || {};
+  const [copied, setCopied] = useState(false);
+  const statusLink = referenceId && accessToken ? buildStatusLink(referenceId, accessToken) : '';
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(statusLink);
+      setCopied(true);
+    } catch (error) {
+      console.error('Copy to clipboard failed:', error);
+    }
+  };
 
   const handleReportAnother = () => {
     navigate('/report');
@@ -225,6 +273,19 @@ function ConfirmationPage() {
         <ReferenceSection>
           <ReferenceLabel>Reference ID</ReferenceLabel>
           <ReferenceId>{referenceId}</ReferenceId>
+
+          {statusLink && (
+            <StatusLinkSection>
+              <ReferenceLabel>Your private status link</ReferenceLabel>
+              <StatusLinkRow>
+                <input type="text" readOnly value={statusLink} onFocus={(e) => e.target.select()} />
+                <CopyButton onClick={handleCopyLink}>{copied ? 'Copied!' : 'Copy'}</CopyButton>
+              </StatusLinkRow>
+              <LinkHint>
+                Bookmark or save this link now. It is the only way to check on your report and cannot be shown again.
+              </LinkHint>
+            </StatusLinkSection>
+          )}
         </ReferenceSection>
 
         {(category || platform) && (
@@ -253,6 +314,11 @@ function ConfirmationPage() {
           <PrimaryButton onClick={handleReportAnother}>
             Report Another Bug
           </PrimaryButton>
+          {accessToken && (
+            <SecondaryButton onClick={() => navigate(buildStatusPath(referenceId, accessToken))}>
+              Track Status
+            </SecondaryButton>
+          )}
           <SecondaryButton onClick={handleBackToHome}>
             Back to Home
           </SecondaryButton>
@@ -262,7 +328,7 @@ function ConfirmationPage() {
           <p>
             <strong>What happens next?</strong><br />
             Our development team will review your report and investigate the issue. 
-            Keep your reference ID for future correspondence. 
+            Keep your status link to check on your report at any time. 
             We appreciate your contribution to making Wuthering Waves better!
           </p>
         </AdditionalInfo>
@@ -0,0 +1,70 @@
+import React from 'react';
+import styled from 'styled-components';
+import { theme } from '../styles/theme';
+import { BUG_CATEGORIES, PLATFORMS, REPORT_STATUSES } from '../utils/constants';
+import StatusBadge from './StatusBadge';
+
+const Panel = styled.div`
+  background: ${theme.colors.surfaceLight};
+  border: 1px solid ${theme.colors.warning};
+  border-radius: ${theme.borderRadius.md};
+  padding: ${theme.spacing.md};
+  margin-top: ${theme.spacing.sm};
+  font-size: ${theme.typography.fontSize.sm};
+`;
+
+const Intro = styled.p`
+  color: ${theme.colors.textSecondary};
+  margin-bottom: ${theme.spacing.sm};
+`;
+
+const List = styled.ul`
+  list-style: none;
+  display: flex;
+  flex-direction: column;
+  gap: ${theme.spacing.xs};
+`;
+
+const Item = styled.li`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: ${theme.spacing.xs};
+  color: ${theme.colors.textMuted};
+`;
+
+const labelFor = (options, value) => options.find(option => option.value === value)?.label || value;
+
+// Reports from other players that look like the one being written. Only
+// metadata is shown; other players' descriptions stay private.
+function DuplicateSuggestions({ suggestions }) {
+  if (!suggestions || suggestions.length === 0) {
+    return null;
+  }
+
+  return (
+    <Panel role="status">
+      <Intro>
+        This looks similar to {suggestions.length === 1 ? 'a report' : `${suggestions.length} reports`} our
+        team already has. If it is the same issue, you don't need to report it again, but you can still
+        submit if yours is different or adds new details.
+      </Intro>
+      <List>
+        {suggestions.map((suggestion, index) => (
+          <Item key={`${suggestion.timestamp}-${index}`}>
+            <StatusBadge status={suggestion.status}>{labelFor(REPORT_STATUSES, suggestion.status)}</StatusBadge>
+            <span>
+              {labelFor(BUG_CATEGORIES, suggestion.category)} • {labelFor(PLATFORMS, suggestion.platform)}
+              {suggestion.questName && ` • ${suggestion.questName}`}
+              {suggestion.mapRegion && ` • ${suggestion.mapRegion}`}
+              {' '}• reported {new Date(suggestion.timestamp).toLocaleDateString()}
+              {suggestion.duplicateCount > 0 && ` by ${suggestion.duplicateCount + 1} players`}
+            </span>
+          </Item>
+        ))}
+      </List>
+    </Panel>
+  );
+}
+
+export default DuplicateSuggestions;
@@ -1,7 +1,9 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import styled from 'styled-components';
 import { theme } from '../styles/theme';
-import { ACCEPTED_FILE_TYPES, MAX_FILE_SIZE, MESSAGES } from '../utils/constants';
+import { MESSAGES } from '../utils/constants';
+import apiClient from '../utils/api';
+import { uploadFile, discardUpload } from '../utils/resumableUpload';
 
 const UploadContainer = styled.div`
   margin-bottom: ${theme.spacing.lg};
@@ -109,6 +111,36 @@ const FileSize = styled.div`
   color: ${theme.colors.textMuted};
 `;
 
+const ProgressTrack = styled.div`
+  height: 4px;
+  margin-top: ${theme.spacing.xs};
+  background: ${theme.colors.surface};
+  border-radius: ${theme.borderRadius.sm};
+  overflow: hidden;
+`;
+
+const ProgressFill = styled.div`
+  height: 100%;
+  width: ${props => Math.round(props.progress * 100)}%;
+  background: ${props => props.status === 'failed' ? theme.colors.error : theme.colors.primary};
+  transition: width 0.3s ease;
+`;
+
+const UploadStatus = styled.div`
+  font-size: ${theme.typography.fontSize.xs};
+  color: ${props => props.status === 'failed' ? theme.colors.error : theme.colors.textMuted};
+  margin-top: 2px;
+`;
+
+const ResumeButton = styled.button`
+  background: none;
+  padding: 0;
+  margin-left: ${theme.spacing.xs};
+  color: ${theme.colors.primary};
+  font-size: ${theme.typography.fontSize.xs};
+  text-decoration: underline;
+`;
+
 const RemoveButton = styled.button`
   position: absolute;
   top: -8px;
@@ -134,54 +166,164 @@ const ErrorMessage = styled.div`
   margin-top: ${theme.spacing.xs};
 `;
 
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+// Helpers over the upload policy served by GET /api/config/upload-policy:
+// { maxFiles, kinds: { image: { label, maxSize, types: { mime: [exts] } }, ... } }
+const findKind = (policy, mimeType) =>
+  Object.values(policy.kinds).find(kind => Object.prototype.hasOwnProperty.call(kind.types, mimeType));
+
+const fileExtension = (file) => `.${file.name.split('.').pop().toLowerCase()}`;
+
+// Browsers without HEIC support report an empty type, so fall back to the
+// extension
+const resolveMimeType = (policy, file) => {
+  if (file.type || !policy) return file.type;
+  const extension = fileExtension(file);
+  for (const kind of Object.values(policy.kinds)) {
+    const match = Object.entries(kind.types).find(([, extensions]) => extensions.includes(extension));
+    if (match) return match[0];
+  }
+  return '';
+};
+
+const acceptAttribute = (policy) => Object.values(policy.kinds)
+  .flatMap(kind => Object.entries(kind.types).flatMap(([mimeType, extensions]) => [mimeType, ...extensions]))
+  .join(',');
+
+const describeKind = (kind) => {
+  const extensions = Object.values(kind.types).flat().map(extension => extension.slice(1).toUpperCase());
+  const duration = kind.maxDurationSeconds ? `, ${Math.round(kind.maxDurationSeconds / 60)} min max` : '';
+  return `${kind.label} (${extensions.join(', ')}) up to ${formatFileSize(kind.maxSize)}${duration}`;
+};
+
+const describeStatus = (entry) => {
+  switch (entry.status) {
+    case 'complete':
+      return 'Uploaded';
+    case 'paused':
+      return MESSAGES.error.uploadPaused;
+    case 'failed':
+      return entry.error;
+    default:
+      return `Uploading ${Math.round(entry.progress * 100)}%`;
+  }
+};
+
+// Files upload as soon as they are picked, in resumable chunks, so a dropped
+// connection only costs the chunk in flight. `files` holds one entry per file
+// ({ key, file, status, progress, uploadId, error }); `onFilesChange` takes
+// an updater function since progress arrives asynchronously.
 function FileUpload({ files, onFilesChange, error }) {
   const [isDragOver, setIsDragOver] = useState(false);
+  const [rejected, setRejected] = useState([]);
+  const [policy, setPolicy] = useState(null);
+  const [policyFailed, setPolicyFailed] = useState(false);
   const fileInputRef = useRef(null);
-
-  const formatFileSize = (bytes) => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-  };
+  const controllers = useRef(new Map());
+
+  useEffect(() => {
+    let cancelled = false;
+    apiClient.getUploadPolicy()
+      .then(response => !cancelled && setPolicy(response.policy))
+      // Without the policy the server still checks every file as it uploads
+      .catch(() => !cancelled && setPolicyFailed(true));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const updateEntry = useCallback((key, changes) => {
+    onFilesChange(prev => prev.map(entry => (entry.key === key ? { ...entry, ...changes } : entry)));
+  }, [onFilesChange]);
+
+  const startUpload = useCallback((entry) => {
+    const controller = new AbortController();
+    controllers.current.set(entry.key, controller);
+    updateEntry(entry.key, { status: 'uploading', error: '' });
+
+    uploadFile(entry.file, {
+      mimeType: entry.mimeType,
+      signal: controller.signal,
+      onProgress: progress => updateEntry(entry.key, { progress })
+    })
+      .then(uploadId => updateEntry(entry.key, { status: 'complete', progress: 1, uploadId }))
+      .catch(err => {
+        if (err.name === 'AbortError') return;
+        updateEntry(entry.key, navigator.onLine === false
+          ? { status: 'paused' }
+          : { status: 'failed', error: err.data?.details?.join(' ') || err.message });
+      })
+      .finally(() => controllers.current.delete(entry.key));
+  }, [updateEntry]);
+
+  // Pick paused uploads back up when the connection returns, and straight
+  // away for files restored from a saved draft
+  useEffect(() => {
+    const resumePaused = () => files
+      .filter(entry => entry.status === 'paused' && !controllers.current.has(entry.key))
+      .forEach(startUpload);
+    if (navigator.onLine !== false) resumePaused();
+    window.addEventListener('online', resumePaused);
+    return () => window.removeEventListener('online', resumePaused);
+  }, [files, startUpload]);
+
+  // Stop sending chunks when the form goes away
+  useEffect(() => {
+    const active = controllers.current;
+    return () => active.forEach(controller => controller.abort());
+  }, []);
 
   const validateFile = (file) => {
-    const allAcceptedTypes = [...ACCEPTED_FILE_TYPES.images, ...ACCEPTED_FILE_TYPES.videos];
-    
-    if (!allAcceptedTypes.includes(file.type)) {
+    if (!policy) return null;
+
+    const mimeType = resolveMimeType(policy, file);
+    const kind = findKind(policy, mimeType);
+    if (!kind || !kind.types[mimeType].includes(fileExtension(file))) {
       return MESSAGES.error.fileType;
     }
     
-    if (file.size > MAX_FILE_SIZE) {
-      return MESSAGES.error.fileSize;
+    if (file.size > kind.maxSize) {
+      return `${kind.label} must be less than ${formatFileSize(kind.maxSize)}.`;
     }
     
     return null;
   };
 
   const handleFiles = (fileList) => {
-    const newFiles = Array.from(fileList);
-    const validFiles = [];
     const errors = [];
-
-    newFiles.forEach(file => {
-      const error = validateFile(file);
-      if (error) {
-        errors.push(`${file.name}: ${error}`);
+    const entries = [];
+
+    Array.from(fileList).forEach(file => {
+      const fileError = policy && files.length + entries.length >= policy.maxFiles
+        ? `You can attach up to ${policy.maxFiles} files.`
+        : validateFile(file);
+      if (fileError) {
+        errors.push(`${file.name}: ${fileError}`);
       } else {
-        validFiles.push(file);
+        entries.push({
+          key: `${file.name}-${file.size}-${file.lastModified}-${Date.now()}`,
+          file,
+          mimeType: resolveMimeType(policy, file),
+          status: 'uploading',
+          progress: 0,
+          uploadId: null,
+          error: ''
+        });
       }
     });
 
-    if (errors.length > 0) {
-      // You could show these errors in a toast or alert
-      console.error('File validation errors:', errors);
-      return;
-    }
+    setRejected(errors);
+    if (entries.length === 0) return;
 
-    const updatedFiles = [...files, ...validFiles];
-    onFilesChange(updatedFiles);
+    onFilesChange(prev => [...prev, ...entries]);
+    entries.forEach(startUpload);
   };
 
   const handleDragOver = (e) => {
@@ -214,15 +356,16 @@ function FileUpload({ files, onFilesChange, error }) {
     fileInputRef.current?.click();
   };
 
-  const removeFile = (indexToRemove) => {
-    const updatedFiles = files.filter((_, index) => index !== indexToRemove);
-    onFilesChange(updatedFiles);
+  const removeFile = (entryToRemove) => {
+    controllers.current.get(entryToRemove.key)?.abort();
+    discardUpload(entryToRemove.file, entryToRemove.uploadId);
+    onFilesChange(prev => prev.filter(entry => entry.key !== entryToRemove.key));
   };
 
-  const getFileIcon = (file) => {
-    if (ACCEPTED_FILE_TYPES.images.includes(file.type)) {
+  const getFileIcon = (mimeType) => {
+    if (mimeType.startsWith('image/')) {
       return '🖼️';
-    } else if (ACCEPTED_FILE_TYPES.videos.includes(file.type)) {
+    } else if (mimeType.startsWith('video/')) {
       return '🎥';
     }
     return '📄';
@@ -245,7 +388,8 @@ function FileUpload({ files, onFilesChange, error }) {
             <strong>Click to browse</strong> or drag and drop files here
           </UploadText>
           <FileTypeHint>
-            Accepted: Images (JPG, PNG, WebP, GIF) and Videos (MP4, WebM, MOV, AVI) • Max {MAX_FILE_SIZE / (1024 * 1024)}MB per file
+            {policy && `Accepted: ${Object.values(policy.kinds).map(describeKind).join(' • ')} • Up to ${policy.maxFiles} files`}
+            {policyFailed && MESSAGES.error.uploadPolicyUnavailable}
           </FileTypeHint>
         </DropZoneContent>
       </DropZone>
@@ -254,22 +398,34 @@ function FileUpload({ files, onFilesChange, error }) {
         ref={fileInputRef}
         type="file"
         multiple
-        accept={[...ACCEPTED_FILE_TYPES.images, ...ACCEPTED_FILE_TYPES.videos].join(',')}
+        accept={policy ? acceptAttribute(policy) : 'image/*,video/*'}
         onChange={handleFileInputChange}
       />
 
+      {rejected.map(message => <ErrorMessage key={message}>{message}</ErrorMessage>)}
       {error && <ErrorMessage>{error}</ErrorMessage>}
 
       {files.length > 0 && (
         <FileList>
-          {files.map((file, index) => (
-            <FilePreview key={`${file.name}-${index}`}>
-              <FileIcon>{getFileIcon(file)}</FileIcon>
+          {files.map(entry => (
+            <FilePreview key={entry.key}>
+              <FileIcon>{getFileIcon(entry.mimeType)}</FileIcon>
               <FileInfo>
-                <FileName>{file.name}</FileName>
-                <FileSize>{formatFileSize(file.size)}</FileSize>
+                <FileName>{entry.file.name}</FileName>
+                <FileSize>{formatFileSize(entry.file.size)}</FileSize>
+                <ProgressTrack>
+                  <ProgressFill progress={entry.progress} status={entry.status} />
+                </ProgressTrack>
+                <UploadStatus status={entry.status}>
+                  {describeStatus(entry)}
+                  {(entry.status === 'paused' || entry.status === 'failed') && (
+                    <ResumeButton type="button" onClick={() => startUpload(entry)}>
+                      {entry.status === 'paused' ? 'Resume now' : 'Retry'}
+                    </ResumeButton>
+                  )}
+                </UploadStatus>
               </FileInfo>
-              <RemoveButton onClick={() => removeFile(index)}>
+              <RemoveButton type="button" onClick={() => removeFile(entry)}>
                 ×
               </RemoveButton>
             </FilePreview>
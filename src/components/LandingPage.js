@@ -1,7 +1,8 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import styled from 'styled-components';
 import { theme } from '../styles/theme';
+import { buildStatusPath, parseStatusLink } from '../utils/statusLink';
 
 const Container = styled.div`
   max-width: 600px;
@@ -80,6 +81,54 @@ const CTAButton = styled.button`
   }
 `;
 
+const StatusLookup = styled.form`
+  margin-top: ${theme.spacing['2xl']};
+  text-align: left;
+`;
+
+const LookupLabel = styled.label`
+  display: block;
+  font-size: ${theme.typography.fontSize.sm};
+  color: ${theme.colors.textSecondary};
+  margin-bottom: ${theme.spacing.sm};
+`;
+
+const LookupRow = styled.div`
+  display: flex;
+  gap: ${theme.spacing.sm};
+
+  input {
+    flex: 1;
+    min-width: 0;
+    font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+  }
+
+  @media (max-width: ${theme.breakpoints.sm}) {
+    flex-direction: column;
+  }
+`;
+
+const LookupButton = styled.button`
+  background: transparent;
+  color: ${theme.colors.textSecondary};
+  font-weight: ${theme.typography.fontWeight.medium};
+  padding: ${theme.spacing.sm} ${theme.spacing.lg};
+  border: 1px solid ${theme.colors.border};
+  border-radius: ${theme.borderRadius.lg};
+  transition: all 0.3s ease;
+
+  &:hover {
+    border-color: ${theme.colors.primary};
+    color: ${theme.colors.primary};
+  }
+`;
+
+const LookupError = styled.div`
+  color: ${theme.colors.error};
+  font-size: ${theme.typography.fontSize.sm};
+  margin-top: ${theme.spacing.xs};
+`;
+
 const FeatureList = styled.div`
   margin-top: ${theme.spacing['2xl']};
   padding-top: ${theme.spacing.xl};
@@ -108,11 +157,25 @@ const FeatureItem = styled.div`
 
 function LandingPage() {
   const navigate = useNavigate();
+  const [statusLink, setStatusLink] = useState('');
+  const [lookupError, setLookupError] = useState('');
 
   const handleGetStarted = () => {
     navigate('/report');
   };
 
+  const handleStatusLookup = (e) => {
+    e.preventDefault();
+    const parsed = parseStatusLink(statusLink);
+
+    if (!parsed || !parsed.accessToken) {
+      setLookupError('Please paste the full status link shown after you submitted your report.');
+      return;
+    }
+
+    navigate(buildStatusPath(parsed.reportId, parsed.accessToken));
+  };
+
   return (
     <Container className="fade-in">
       <Title>Report a Wuthering Waves Bug</Title>
@@ -130,6 +193,24 @@ function LandingPage() {
       <CTAButton onClick={handleGetStarted}>
         Report a Bug Now
       </CTAButton>
+
+      <StatusLookup onSubmit={handleStatusLookup}>
+        <LookupLabel htmlFor="status-link">Already reported a bug? Paste your status link</LookupLabel>
+        <LookupRow>
+          <input
+            id="status-link"
+            type="text"
+            placeholder="https://.../status/WUWA-XXXXXXXX-XXXXXXXX#token=..."
+            value={statusLink}
+            onChange={(e) => {
+              setStatusLink(e.target.value);
+              setLookupError('');
+            }}
+          />
+          <LookupButton type="submit">Check Status</LookupButton>
+        </LookupRow>
+        {lookupError && <LookupError>{lookupError}</LookupError>}
+      </StatusLookup>
       
       <FeatureList>
         <FeatureItem>Quick and easy bug reporting process</FeatureItem>
@@ -0,0 +1,19 @@
+import styled from 'styled-components';
+import { theme } from '../styles/theme';
+import { REPORT_STATUSES } from '../utils/constants';
+
+const colorFor = (status) =>
+  REPORT_STATUSES.find(option => option.value === status)?.color || theme.colors.textMuted;
+
+const StatusBadge = styled.span`
+  display: inline-block;
+  padding: 2px ${theme.spacing.xs};
+  border-radius: ${theme.borderRadius.full};
+  font-size: ${theme.typography.fontSize.xs};
+  font-weight: ${theme.typography.fontWeight.medium};
+  color: ${props => colorFor(props.status)};
+  border: 1px solid ${props => colorFor(props.status)};
+  white-space: nowrap;
+`;
+
+export default StatusBadge;
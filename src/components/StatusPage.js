@@ -0,0 +1,283 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams, useLocation } from 'react-router-dom';
+import styled from 'styled-components';
+import { theme } from '../styles/theme';
+import { BUG_CATEGORIES, PLATFORMS, REPORT_STATUSES } from '../utils/constants';
+import apiClient from '../utils/api';
+import { buildStatusPath, readTokenFromHash } from '../utils/statusLink';
+import StatusBadge from './StatusBadge';
+import CommentThread from './CommentThread';
+
+const Container = styled.div`
+  max-width: 600px;
+  width: 100%;
+  animation: fadeIn 0.6s ease-out;
+`;
+
+const BackLink = styled.button`
+  display: inline-flex;
+  align-items: center;
+  gap: ${theme.spacing.xs};
+  color: ${theme.colors.primary};
+  background: none;
+  border: none;
+  font-size: ${theme.typography.fontSize.sm};
+  margin-bottom: ${theme.spacing.lg};
+  transition: color 0.2s ease;
+
+  &:hover {
+    color: ${theme.colors.primaryLight};
+  }
+`;
+
+const Card = styled.div`
+  background: ${theme.colors.surface};
+  border: 1px solid ${theme.colors.border};
+  border-radius: ${theme.borderRadius.xl};
+  padding: ${theme.spacing['2xl']};
+  box-shadow: ${theme.shadows.lg};
+
+  @media (max-width: ${theme.breakpoints.sm}) {
+    padding: ${theme.spacing.xl};
+  }
+`;
+
+const ReferenceLabel = styled.div`
+  font-size: ${theme.typography.fontSize.sm};
+  color: ${theme.colors.textMuted};
+  margin-bottom: ${theme.spacing.xs};
+`;
+
+const ReferenceId = styled.h2`
+  font-size: ${theme.typography.fontSize.xl};
+  font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+  color: ${theme.colors.primary};
+  letter-spacing: 1px;
+  word-break: break-all;
+`;
+
+const CurrentStatus = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  flex-wrap: wrap;
+  gap: ${theme.spacing.sm};
+  background: ${theme.colors.background};
+  border: 1px solid ${theme.colors.borderLight};
+  border-radius: ${theme.borderRadius.lg};
+  padding: ${theme.spacing.lg};
+  margin: ${theme.spacing.lg} 0;
+
+  ${StatusBadge} {
+    font-size: ${theme.typography.fontSize.sm};
+    padding: ${theme.spacing.xs} ${theme.spacing.md};
+  }
+`;
+
+const DuplicateNotice = styled.p`
+  font-size: ${theme.typography.fontSize.sm};
+  color: ${theme.colors.textSecondary};
+  margin-bottom: ${theme.spacing.lg};
+`;
+
+const Muted = styled.span`
+  font-size: ${theme.typography.fontSize.sm};
+  color: ${theme.colors.textMuted};
+`;
+
+const SectionTitle = styled.h3`
+  font-size: ${theme.typography.fontSize.lg};
+  margin-bottom: ${theme.spacing.md};
+`;
+
+const Timeline = styled.ol`
+  list-style: none;
+  border-left: 2px solid ${theme.colors.border};
+  margin-left: ${theme.spacing.xs};
+  padding-left: ${theme.spacing.lg};
+`;
+
+const TimelineItem = styled.li`
+  position: relative;
+  margin-bottom: ${theme.spacing.md};
+
+  &::before {
+    content: '';
+    position: absolute;
+    left: calc(-${theme.spacing.lg} - 6px);
+    top: 4px;
+    width: 10px;
+    height: 10px;
+    border-radius: 50%;
+    background: ${theme.colors.primary};
+  }
+`;
+
+const Conversation = styled.div`
+  margin-top: ${theme.spacing.xl};
+  padding-top: ${theme.spacing.lg};
+  border-top: 1px solid ${theme.colors.border};
+`;
+
+const Summary = styled.div`
+  margin-top: ${theme.spacing.lg};
+  font-size: ${theme.typography.fontSize.sm};
+  color: ${theme.colors.textSecondary};
+`;
+
+const AccessForm = styled.form`
+  margin-top: ${theme.spacing.lg};
+
+  label {
+    display: block;
+    font-size: ${theme.typography.fontSize.sm};
+    color: ${theme.colors.textSecondary};
+    margin-bottom: ${theme.spacing.sm};
+  }
+
+  div {
+    display: flex;
+    gap: ${theme.spacing.sm};
+  }
+
+  input {
+    flex: 1;
+    min-width: 0;
+    font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+  }
+
+  button {
+    background: linear-gradient(135deg, ${theme.colors.primary} 0%, ${theme.colors.primaryDark} 100%);
+    color: ${theme.colors.textPrimary};
+    padding: ${theme.spacing.sm} ${theme.spacing.lg};
+    border-radius: ${theme.borderRadius.lg};
+  }
+`;
+
+const ErrorMessage = styled.div`
+  color: ${theme.colors.error};
+  font-size: ${theme.typography.fontSize.sm};
+`;
+
+const labelFor = (options, value) => options.find(option => option.value === value)?.label || value;
+
+function StatusPage() {
+  const { reportId } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const accessToken = readTokenFromHash(location.hash);
+  const [accessKeyInput, setAccessKeyInput] = useState('');
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setReport(null);
+    setError('');
+
+    if (!accessToken) return;
+
+    apiClient.getReportStatus(reportId, accessToken)
+      .then(setReport)
+      .catch(err => {
+        setError(err.status === 404
+          ? 'We could not find a report with this reference ID and access key.'
+          : err.message || 'Unable to load report status.');
+      });
+  }, [reportId, accessToken]);
+
+  const handleCommentSubmit = async (body) => {
+    const response = await apiClient.addReportComment(reportId, accessToken, body);
+    setReport(prev => ({ ...prev, comments: [...(prev.comments || []), response.comment] }));
+  };
+
+  const handleAccessKeySubmit = (e) => {
+    e.preventDefault();
+    if (accessKeyInput.trim()) {
+      navigate(buildStatusPath(reportId, accessKeyInput.trim()), { replace: true });
+    }
+  };
+
+  return (
+    <Container className="fade-in">
+      <BackLink onClick={() => navigate('/')}>
+        ← Back to Home
+      </BackLink>
+
+      <Card>
+        <ReferenceLabel>Reference ID</ReferenceLabel>
+        <ReferenceId>{reportId}</ReferenceId>
+
+        {error && <ErrorMessage>{error}</ErrorMessage>}
+        {accessToken && !error && !report && <Muted>Loading status...</Muted>}
+
+        {!accessToken && (
+          <AccessForm onSubmit={handleAccessKeySubmit}>
+            <label htmlFor="access-key">
+              Enter the access key from your status link to view this report
+            </label>
+            <div>
+              <input
+                id="access-key"
+                type="text"
+                value={accessKeyInput}
+                onChange={(e) => setAccessKeyInput(e.target.value)}
+              />
+              <button type="submit">View</button>
+            </div>
+          </AccessForm>
+        )}
+
+        {report && (
+          <>
+            <CurrentStatus>
+              <StatusBadge status={report.status}>{labelFor(REPORT_STATUSES, report.status)}</StatusBadge>
+              <Muted>Last updated {new Date(report.lastUpdated).toLocaleString()}</Muted>
+            </CurrentStatus>
+
+            {report.isDuplicate && (
+              <DuplicateNotice>
+                Other players reported the same issue, so your report was merged with theirs.
+                {report.masterStatus && (
+                  <> The combined report is currently{' '}
+                    <StatusBadge status={report.masterStatus}>{labelFor(REPORT_STATUSES, report.masterStatus)}</StatusBadge>.
+                  </>
+                )}
+              </DuplicateNotice>
+            )}
+
+            {report.history?.length > 0 && (
+              <>
+                <SectionTitle>History</SectionTitle>
+                <Timeline>
+                  {report.history.map((item, index) => (
+                    <TimelineItem key={`${item.timestamp}-${index}`}>
+                      <StatusBadge status={item.status}>{labelFor(REPORT_STATUSES, item.status)}</StatusBadge>{' '}
+                      <Muted>{new Date(item.timestamp).toLocaleString()}</Muted>
+                    </TimelineItem>
+                  ))}
+                </Timeline>
+              </>
+            )}
+
+            <Summary>
+              {labelFor(BUG_CATEGORIES, report.category)} • {labelFor(PLATFORMS, report.platform)} •
+              Submitted {new Date(report.timestamp).toLocaleDateString()}
+            </Summary>
+
+            <Conversation>
+              <SectionTitle>Messages</SectionTitle>
+              <CommentThread
+                comments={report.comments || []}
+                viewer="reporter"
+                onSubmit={handleCommentSubmit}
+                placeholder="Reply to the support team or add details about the bug"
+              />
+            </Conversation>
+          </>
+        )}
+      </Card>
+    </Container>
+  );
+}
+
+export default StatusPage;
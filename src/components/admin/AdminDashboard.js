@@ -0,0 +1,112 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import styled from 'styled-components';
+import { theme } from '../../styles/theme';
+import apiClient from '../../utils/api';
+import StatsCharts from './StatsCharts';
+import ReportTable from './ReportTable';
+import BulkActions from './BulkActions';
+import { handleAdminError } from './AdminLayout';
+
+const ErrorMessage = styled.div`
+  color: ${theme.colors.error};
+  font-size: ${theme.typography.fontSize.sm};
+  margin-bottom: ${theme.spacing.md};
+`;
+
+const INITIAL_FILTERS = {
+  status: '',
+  priority: '',
+  severity: '',
+  assignee: '',
+  label: '',
+  category: '',
+  platform: '',
+  hasFiles: '',
+  gameVersion: '',
+  serverRegion: '',
+  character: '',
+  mapRegion: '',
+  questName: '',
+  from: '',
+  to: '',
+  sort: '-timestamp',
+};
+
+// Date inputs give whole days; widen `to` so the selected day is included
+const toQueryParams = (filters) => ({
+  ...filters,
+  from: filters.from ? `${filters.from}T00:00:00.000Z` : '',
+  to: filters.to ? `${filters.to}T23:59:59.999Z` : '',
+});
+
+// The filters that are set, as a bulk update selection
+const toBulkFilter = (filters) => Object.fromEntries(
+  Object.entries(toQueryParams(filters)).filter(([key, value]) => key !== 'sort' && value !== '')
+);
+
+function AdminDashboard() {
+  const navigate = useNavigate();
+  const [stats, setStats] = useState({});
+  const [filters, setFilters] = useState(INITIAL_FILTERS);
+  const [reports, setReports] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    Promise.all([apiClient.getStatistics(), apiClient.getSessionStats()])
+      .then(([storageResponse, sessionResponse]) => {
+        setStats({ storage: storageResponse.storage, sessions: sessionResponse.stats });
+      })
+      .catch(err => handleAdminError(err, navigate, setError));
+  }, [navigate]);
+
+  const loadReports = useCallback(async (cursor = null) => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await apiClient.listReports({ ...toQueryParams(filters), cursor });
+      setReports(prev => (cursor ? [...prev, ...response.reports] : response.reports));
+      setNextCursor(response.nextCursor);
+      if (!cursor) setSelectedIds([]);
+    } catch (err) {
+      handleAdminError(err, navigate, setError);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters, navigate]);
+
+  useEffect(() => {
+    loadReports();
+  }, [loadReports]);
+
+  const canTriage = apiClient.hasAdminRole('triager');
+
+  return (
+    <>
+      <StatsCharts storage={stats.storage} sessions={stats.sessions} />
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      {canTriage && (
+        <BulkActions selectedIds={selectedIds} filter={toBulkFilter(filters)} onApplied={() => loadReports()} />
+      )}
+
+      <ReportTable
+        reports={reports}
+        filters={filters}
+        onFiltersChange={setFilters}
+        hasMore={Boolean(nextCursor)}
+        onLoadMore={() => loadReports(nextCursor)}
+        isLoading={isLoading}
+        selectedIds={selectedIds}
+        onSelectionChange={canTriage ? setSelectedIds : undefined}
+      />
+    </>
+  );
+}
+
+export default AdminDashboard;
@@ -0,0 +1,103 @@
+import React from 'react';
+import { Navigate, Outlet, useNavigate, NavLink } from 'react-router-dom';
+import styled from 'styled-components';
+import { theme } from '../../styles/theme';
+import apiClient from '../../utils/api';
+
+const Container = styled.div`
+  max-width: 1200px;
+  width: 100%;
+  align-self: flex-start;
+  animation: fadeIn 0.6s ease-out;
+`;
+
+const Header = styled.header`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  margin-bottom: ${theme.spacing.xl};
+  padding-bottom: ${theme.spacing.md};
+  border-bottom: 1px solid ${theme.colors.border};
+`;
+
+const Brand = styled.div`
+  font-size: ${theme.typography.fontSize.xl};
+  font-weight: ${theme.typography.fontWeight.bold};
+  color: ${theme.colors.textPrimary};
+`;
+
+const Nav = styled.nav`
+  display: flex;
+  align-items: center;
+  gap: ${theme.spacing.lg};
+
+  a {
+    color: ${theme.colors.textSecondary};
+    text-decoration: none;
+    font-size: ${theme.typography.fontSize.sm};
+
+    &.active {
+      color: ${theme.colors.primary};
+    }
+  }
+`;
+
+const UserBadge = styled.span`
+  font-size: ${theme.typography.fontSize.xs};
+  color: ${theme.colors.textMuted};
+`;
+
+const LogoutButton = styled.button`
+  background: transparent;
+  color: ${theme.colors.textSecondary};
+  font-size: ${theme.typography.fontSize.sm};
+  padding: ${theme.spacing.xs} ${theme.spacing.md};
+  border: 1px solid ${theme.colors.border};
+  border-radius: ${theme.borderRadius.md};
+
+  &:hover {
+    border-color: ${theme.colors.error};
+    color: ${theme.colors.error};
+  }
+`;
+
+// Send the triager back to the login page when their token is rejected
+export const handleAdminError = (error, navigate, setError) => {
+  if (error.status === 401) {
+    apiClient.clearAdminToken();
+    navigate('/admin/login');
+    return;
+  }
+  setError(error.message);
+};
+
+function AdminLayout() {
+  const navigate = useNavigate();
+
+  if (!apiClient.hasAdminToken()) {
+    return <Navigate to="/admin/login" replace />;
+  }
+
+  const user = apiClient.getAdminUser();
+
+  const handleLogout = () => {
+    apiClient.clearAdminToken();
+    navigate('/admin/login');
+  };
+
+  return (
+    <Container className="fade-in">
+      <Header>
+        <Brand>Bug Triage</Brand>
+        <Nav>
+          <NavLink to="/admin" end>Reports</NavLink>
+          {user && <UserBadge>{user.username} · {user.role}</UserBadge>}
+          <LogoutButton onClick={handleLogout}>Sign Out</LogoutButton>
+        </Nav>
+      </Header>
+      <Outlet />
+    </Container>
+  );
+}
+
+export default AdminLayout;
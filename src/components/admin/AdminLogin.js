@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import styled from 'styled-components';
+import { theme } from '../../styles/theme';
+import apiClient from '../../utils/api';
+
+const Container = styled.div`
+  max-width: 420px;
+  width: 100%;
+  animation: fadeIn 0.6s ease-out;
+`;
+
+const Card = styled.form`
+  background: ${theme.colors.surface};
+  border: 1px solid ${theme.colors.border};
+  border-radius: ${theme.borderRadius.xl};
+  padding: ${theme.spacing['2xl']};
+  box-shadow: ${theme.shadows.lg};
+
+  @media (max-width: ${theme.breakpoints.sm}) {
+    padding: ${theme.spacing.xl};
+  }
+`;
+
+const Title = styled.h2`
+  text-align: center;
+  margin-bottom: ${theme.spacing.xl};
+`;
+
+const FormGroup = styled.div`
+  margin-bottom: ${theme.spacing.lg};
+`;
+
+const Label = styled.label`
+  display: block;
+  font-weight: ${theme.typography.fontWeight.medium};
+  margin-bottom: ${theme.spacing.sm};
+  color: ${theme.colors.textPrimary};
+`;
+
+const Input = styled.input`
+  width: 100%;
+`;
+
+const PrimaryButton = styled.button`
+  width: 100%;
+  background: linear-gradient(135deg, ${theme.colors.primary} 0%, ${theme.colors.primaryDark} 100%);
+  color: ${theme.colors.textPrimary};
+  font-weight: ${theme.typography.fontWeight.semibold};
+  padding: ${theme.spacing.md};
+  border-radius: ${theme.borderRadius.lg};
+  transition: all 0.3s ease;
+
+  &:disabled {
+    background: ${theme.colors.textMuted};
+    cursor: not-allowed;
+  }
+`;
+
+const ErrorMessage = styled.div`
+  color: ${theme.colors.error};
+  font-size: ${theme.typography.fontSize.sm};
+  margin-bottom: ${theme.spacing.md};
+`;
+
+function AdminLogin() {
+  const navigate = useNavigate();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!username.trim() || !password) {
+      setError('Please enter your username and password.');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      await apiClient.adminLogin(username.trim(), password);
+      navigate('/admin');
+    } catch (err) {
+      setError(err.status === 429 ? 'Too many login attempts. Please wait and try again.' : err.message);
+      setPassword('');
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Container className="fade-in">
+      <Card onSubmit={handleSubmit}>
+        <Title>Triage Sign In</Title>
+
+        <FormGroup>
+          <Label htmlFor="admin-username">Username</Label>
+          <Input
+            id="admin-username"
+            type="text"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+          />
+        </FormGroup>
+
+        <FormGroup>
+          <Label htmlFor="admin-password">Password</Label>
+          <Input
+            id="admin-password"
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+        </FormGroup>
+
+        {error && <ErrorMessage>{error}</ErrorMessage>}
+
+        <PrimaryButton type="submit" disabled={isSubmitting}>
+          {isSubmitting ? 'Signing in...' : 'Sign In'}
+        </PrimaryButton>
+      </Card>
+    </Container>
+  );
+}
+
+export default AdminLogin;
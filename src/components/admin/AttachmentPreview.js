@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import { theme } from '../../styles/theme';
+import apiClient from '../../utils/api';
+
+const Card = styled.div`
+  background: ${theme.colors.surfaceLight};
+  border: 1px solid ${theme.colors.border};
+  border-radius: ${theme.borderRadius.md};
+  padding: ${theme.spacing.sm};
+  width: 280px;
+`;
+
+const Media = styled.div`
+  height: 180px;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  background: ${theme.colors.background};
+  border-radius: ${theme.borderRadius.sm};
+  overflow: hidden;
+  margin-bottom: ${theme.spacing.xs};
+  color: ${theme.colors.textMuted};
+  font-size: ${theme.typography.fontSize.xs};
+
+  img, video {
+    max-width: 100%;
+    max-height: 100%;
+  }
+`;
+
+const PlayButton = styled.button`
+  position: relative;
+  background: none;
+  padding: 0;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  max-width: 100%;
+  max-height: 100%;
+
+  &::after {
+    content: '▶';
+    position: absolute;
+    font-size: ${theme.typography.fontSize.xl};
+    color: ${theme.colors.textPrimary};
+    text-shadow: 0 0 8px rgba(0, 0, 0, 0.8);
+  }
+`;
+
+const PlayLink = styled.button`
+  background: none;
+  padding: ${theme.spacing.sm};
+  font-size: ${theme.typography.fontSize.sm};
+  color: ${theme.colors.textPrimary};
+`;
+
+const FileName = styled.button`
+  display: block;
+  background: none;
+  padding: 0;
+  text-align: left;
+  font-size: ${theme.typography.fontSize.sm};
+  color: ${theme.colors.textPrimary};
+  text-decoration: underline;
+  word-break: break-all;
+`;
+
+const FileMeta = styled.div`
+  font-size: ${theme.typography.fontSize.xs};
+  color: ${theme.colors.textMuted};
+`;
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+const formatDuration = (seconds) => {
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Small preview stored next to the attachment, if the server made one
+const previewVariant = (file) => {
+  if (file.thumbnailName) return 'thumbnail';
+  if (file.posterName) return 'poster';
+  return undefined;
+};
+
+// Whether there is something small to fetch for the card. Videos without a
+// poster frame show a play button instead of downloading the recording.
+const hasPreview = (file, variant) => Boolean(variant) || file.mimeType.startsWith('image/');
+
+function AttachmentPreview({ reportId, index, file }) {
+  const [objectUrl, setObjectUrl] = useState(null);
+  const [videoUrl, setVideoUrl] = useState(null);
+  const [error, setError] = useState('');
+  const variant = previewVariant(file);
+  const fetchPreview = !file.quarantined && hasPreview(file, variant);
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+
+    // Quarantined files are never served, so don't ask for them
+    if (!fetchPreview) return undefined;
+
+    // Sanitized images have a thumbnail and videos may have a poster frame;
+    // images without one preview in full
+    apiClient.getAttachment(reportId, index, variant)
+      .then(blob => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setObjectUrl(url);
+      })
+      .catch(err => !cancelled && setError(err.message));
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [reportId, index, fetchPreview, variant]);
+
+  // Videos are only loaded when played, from a signed URL the player can
+  // stream and seek in with Range requests
+  const handlePlay = async () => {
+    try {
+      setVideoUrl(await apiClient.getAttachmentUrl(reportId, index));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      const link = document.createElement('a');
+      link.href = await apiClient.getAttachmentUrl(reportId, index, { download: true });
+      link.download = file.originalName;
+      link.click();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const renderMedia = () => {
+    if (file.quarantined) {
+      return file.scan?.status === 'infected'
+        ? `Quarantined: infected (${file.scan.signature})`
+        : 'Quarantined until the virus scanner can check it';
+    }
+    if (error) return `Preview unavailable: ${error}`;
+    if (videoUrl) return <video src={videoUrl} controls autoPlay preload="metadata" />;
+    if (file.mimeType.startsWith('video/') && !file.posterName) {
+      return <PlayLink onClick={handlePlay}>▶ Play video</PlayLink>;
+    }
+    if (!fetchPreview) return 'No preview for this file type';
+    if (!objectUrl) return 'Loading preview...';
+    if (file.posterName) {
+      return (
+        <PlayButton onClick={handlePlay} title="Play video">
+          <img src={objectUrl} alt={`Still from ${file.originalName}`} />
+        </PlayButton>
+      );
+    }
+    return <img src={objectUrl} alt={file.originalName} />;
+  };
+
+  return (
+    <Card>
+      <Media>{renderMedia()}</Media>
+      <FileName onClick={handleDownload} disabled={file.quarantined} title="Download">
+        {file.originalName}
+      </FileName>
+      <FileMeta>
+        {file.mimeType} • {formatFileSize(file.size)}
+        {file.width && ` • ${file.width}×${file.height}`}
+        {file.video && ` • ${formatDuration(file.video.durationSeconds)}`}
+        {file.sanitized && ' • metadata stripped'}
+        {file.convertedFrom && ` • converted from ${file.convertedFrom.split('/')[1].toUpperCase()}`}
+      </FileMeta>
+    </Card>
+  );
+}
+
+export default AttachmentPreview;
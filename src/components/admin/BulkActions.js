@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import styled from 'styled-components';
+import { theme } from '../../styles/theme';
+import { REPORT_STATUSES } from '../../utils/constants';
+import apiClient from '../../utils/api';
+import { handleAdminError } from './AdminLayout';
+
+const Bar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: ${theme.spacing.sm};
+  padding: ${theme.spacing.md};
+  margin-bottom: ${theme.spacing.md};
+  background: ${theme.colors.surface};
+  border: 1px solid ${theme.colors.border};
+  border-radius: ${theme.borderRadius.lg};
+  font-size: ${theme.typography.fontSize.sm};
+
+  select, input {
+    font-size: ${theme.typography.fontSize.sm};
+    padding: ${theme.spacing.xs} ${theme.spacing.sm};
+  }
+`;
+
+const ActionButton = styled.button`
+  background: linear-gradient(135deg, ${theme.colors.primary} 0%, ${theme.colors.primaryDark} 100%);
+  color: ${theme.colors.textPrimary};
+  font-size: ${theme.typography.fontSize.sm};
+  padding: ${theme.spacing.xs} ${theme.spacing.md};
+  border-radius: ${theme.borderRadius.md};
+
+  &:disabled {
+    background: ${theme.colors.textMuted};
+    cursor: not-allowed;
+  }
+`;
+
+const Summary = styled.div`
+  flex-basis: 100%;
+  color: ${theme.colors.textSecondary};
+
+  ul {
+    list-style: none;
+    margin-top: ${theme.spacing.xs};
+    color: ${theme.colors.error};
+  }
+`;
+
+const ErrorMessage = styled.div`
+  flex-basis: 100%;
+  color: ${theme.colors.error};
+`;
+
+const UNASSIGN = '-';
+
+const parseLabels = (value) => value.split(',').map(label => label.trim()).filter(Boolean);
+
+// One status, assignee or label change for many reports: the ones ticked in
+// the table, or every report matching the current filters. Triagers preview
+// the change first; applying it sends the same request for real.
+function BulkActions({ selectedIds, filter, onApplied }) {
+  const navigate = useNavigate();
+  const [scope, setScope] = useState('selected');
+  const [status, setStatus] = useState('');
+  const [assignee, setAssignee] = useState('');
+  const [addLabels, setAddLabels] = useState('');
+  const [removeLabels, setRemoveLabels] = useState('');
+  const [assignees, setAssignees] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  const hasFilter = Object.keys(filter).length > 0;
+
+  useEffect(() => {
+    apiClient.getAssignees()
+      .then(response => setAssignees(response.assignees))
+      .catch(err => handleAdminError(err, navigate, setError));
+  }, [navigate]);
+
+  const changes = {};
+  if (status) changes.status = status;
+  if (assignee) changes.assignee = assignee === UNASSIGN ? null : assignee;
+  if (parseLabels(addLabels).length > 0) changes.addLabels = parseLabels(addLabels);
+  if (parseLabels(removeLabels).length > 0) changes.removeLabels = parseLabels(removeLabels);
+
+  const selection = scope === 'selected' ? { reportIds: selectedIds } : { filter };
+  const canSubmit = Object.keys(changes).length > 0 &&
+    (scope === 'selected' ? selectedIds.length > 0 : hasFilter);
+
+  // Anything that changes the request makes an earlier preview stale
+  const requestKey = JSON.stringify({ selection, changes });
+  useEffect(() => {
+    setPreview(null);
+  }, [requestKey]);
+
+  const run = async (dryRun) => {
+    setIsWorking(true);
+    setError('');
+
+    try {
+      const response = await apiClient.bulkUpdateReports({ ...selection, changes, dryRun });
+      if (dryRun) {
+        setPreview(response);
+        setResult(null);
+      } else {
+        setPreview(null);
+        setResult(response);
+        onApplied();
+      }
+    } catch (err) {
+      handleAdminError(err, navigate, setError);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const shown = preview || result;
+  const failures = shown ? shown.results.filter(item => item.outcome === 'failed') : [];
+
+  return (
+    <Bar>
+      <select value={scope} onChange={(e) => setScope(e.target.value)} aria-label="Reports to change">
+        <option value="selected">{selectedIds.length} selected report(s)</option>
+        <option value="filter" disabled={!hasFilter}>All reports matching the filters</option>
+      </select>
+      <select value={status} onChange={(e) => setStatus(e.target.value)} aria-label="New status">
+        <option value="">Keep status</option>
+        {REPORT_STATUSES.filter(option => option.value !== 'duplicate').map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <select value={assignee} onChange={(e) => setAssignee(e.target.value)} aria-label="New assignee">
+        <option value="">Keep assignee</option>
+        <option value={UNASSIGN}>Unassign</option>
+        {assignees.map(user => (
+          <option key={user.username} value={user.username}>{user.username}</option>
+        ))}
+      </select>
+      <input
+        type="text"
+        value={addLabels}
+        onChange={(e) => setAddLabels(e.target.value)}
+        placeholder="Add labels"
+        aria-label="Labels to add"
+      />
+      <input
+        type="text"
+        value={removeLabels}
+        onChange={(e) => setRemoveLabels(e.target.value)}
+        placeholder="Remove labels"
+        aria-label="Labels to remove"
+      />
+      <ActionButton onClick={() => run(true)} disabled={isWorking || !canSubmit}>
+        Preview
+      </ActionButton>
+      {preview && preview.updated > 0 && (
+        <ActionButton onClick={() => run(false)} disabled={isWorking}>
+          {isWorking ? 'Applying...' : `Apply to ${preview.updated} report(s)`}
+        </ActionButton>
+      )}
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+      {shown && (
+        <Summary>
+          {preview
+            ? `${preview.matched} matched: ${preview.updated} would change, ${preview.unchanged} already up to date, ${preview.failed} can't be changed.`
+            : `${result.updated} updated, ${result.unchanged} unchanged, ${result.failed} failed (batch ${result.batchId}).`}
+          {failures.length > 0 && (
+            <ul>
+              {failures.map(item => <li key={item.id}>{item.id}: {item.error}</li>)}
+            </ul>
+          )}
+        </Summary>
+      )}
+    </Bar>
+  );
+}
+
+export default BulkActions;
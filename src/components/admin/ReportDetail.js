@@ -0,0 +1,335 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import styled from 'styled-components';
+import { theme } from '../../styles/theme';
+import { BUG_CATEGORIES, PLATFORMS, REPORT_STATUSES, SERVER_REGIONS, STATUS_TRANSITIONS } from '../../utils/constants';
+import apiClient from '../../utils/api';
+import StatusBadge from '../StatusBadge';
+import CommentThread from '../CommentThread';
+import AttachmentPreview from './AttachmentPreview';
+import SimilarReports from './SimilarReports';
+import ReportHistory from './ReportHistory';
+import TriagePanel from './TriagePanel';
+import { handleAdminError } from './AdminLayout';
+
+const BackLink = styled.button`
+  color: ${theme.colors.primary};
+  background: none;
+  font-size: ${theme.typography.fontSize.sm};
+  margin-bottom: ${theme.spacing.lg};
+
+  &:hover {
+    color: ${theme.colors.primaryLight};
+  }
+`;
+
+const Panel = styled.section`
+  background: ${theme.colors.surface};
+  border: 1px solid ${theme.colors.border};
+  border-radius: ${theme.borderRadius.lg};
+  padding: ${theme.spacing.xl};
+  margin-bottom: ${theme.spacing.lg};
+`;
+
+const TitleRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  justify-content: space-between;
+  gap: ${theme.spacing.md};
+  margin-bottom: ${theme.spacing.lg};
+`;
+
+const ReportId = styled.h2`
+  font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+  font-size: ${theme.typography.fontSize.xl};
+  margin: 0;
+`;
+
+const StatusControl = styled.div`
+  display: flex;
+  align-items: center;
+  gap: ${theme.spacing.sm};
+
+  select {
+    font-size: ${theme.typography.fontSize.sm};
+    padding: ${theme.spacing.xs} ${theme.spacing.sm};
+  }
+`;
+
+const SaveButton = styled.button`
+  background: linear-gradient(135deg, ${theme.colors.primary} 0%, ${theme.colors.primaryDark} 100%);
+  color: ${theme.colors.textPrimary};
+  font-size: ${theme.typography.fontSize.sm};
+  padding: ${theme.spacing.xs} ${theme.spacing.md};
+  border-radius: ${theme.borderRadius.md};
+
+  &:disabled {
+    background: ${theme.colors.textMuted};
+    cursor: not-allowed;
+  }
+`;
+
+const Details = styled.dl`
+  display: grid;
+  grid-template-columns: 160px 1fr;
+  gap: ${theme.spacing.xs} ${theme.spacing.md};
+  font-size: ${theme.typography.fontSize.sm};
+  margin-bottom: ${theme.spacing.lg};
+
+  dt {
+    color: ${theme.colors.textMuted};
+  }
+
+  dd {
+    color: ${theme.colors.textSecondary};
+    word-break: break-word;
+  }
+`;
+
+const SectionTitle = styled.h3`
+  font-size: ${theme.typography.fontSize.lg};
+  margin-bottom: ${theme.spacing.md};
+`;
+
+const Description = styled.p`
+  white-space: pre-wrap;
+  color: ${theme.colors.textPrimary};
+  line-height: ${theme.typography.lineHeight.relaxed};
+`;
+
+const Attachments = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${theme.spacing.md};
+`;
+
+const Muted = styled.p`
+  color: ${theme.colors.textMuted};
+  font-size: ${theme.typography.fontSize.sm};
+`;
+
+const ErrorMessage = styled.div`
+  color: ${theme.colors.error};
+  font-size: ${theme.typography.fontSize.sm};
+  margin-bottom: ${theme.spacing.md};
+`;
+
+const labelFor = (options, value) => options.find(option => option.value === value)?.label || value;
+
+function ReportDetail() {
+  const { reportId } = useParams();
+  const navigate = useNavigate();
+  const [report, setReport] = useState(null);
+  const [status, setStatus] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    apiClient.getAdminReport(reportId)
+      .then(response => {
+        setReport(response.report);
+        setStatus(response.report.metadata.status);
+      })
+      .catch(err => handleAdminError(err, navigate, setError));
+  }, [reportId, navigate]);
+
+  const applyUpdate = (updated) => {
+    setReport(updated);
+    setStatus(updated.metadata.status);
+  };
+
+  const handleStatusSave = async () => {
+    setIsSaving(true);
+    setError('');
+
+    try {
+      const response = await apiClient.updateReport(reportId, { status });
+      applyUpdate(response.report);
+    } catch (err) {
+      handleAdminError(err, navigate, setError);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCommentSubmit = async (body) => {
+    try {
+      const response = await apiClient.addAdminComment(reportId, body);
+      setReport(prev => ({ ...prev, comments: [...(prev.comments || []), response.comment] }));
+    } catch (err) {
+      if (err.status === 401) {
+        handleAdminError(err, navigate, setError);
+      }
+      throw err;
+    }
+  };
+
+  if (!report) {
+    return (
+      <>
+        <BackLink onClick={() => navigate('/admin')}>← Back to reports</BackLink>
+        {error ? <ErrorMessage>{error}</ErrorMessage> : <Muted>Loading report...</Muted>}
+      </>
+    );
+  }
+
+  const { metadata } = report;
+  const canTriage = apiClient.hasAdminRole('triager');
+  const statusOptions = REPORT_STATUSES.filter(option =>
+    option.value === metadata.status || (STATUS_TRANSITIONS[metadata.status] || []).includes(option.value));
+
+  // Optional fields: only show what the reporter filled in
+  const context = report.gameContext || {};
+  const gameContextRows = [
+    ['Game version', context.gameVersion],
+    ['Server region', context.serverRegion && labelFor(SERVER_REGIONS, context.serverRegion)],
+    ['UID', context.uid],
+    ['Character', context.character],
+    ['Map region', context.mapRegion],
+    ['Quest', context.questName],
+  ].filter(([, value]) => value);
+
+  const details = report.details || {};
+  const reproductionRows = [
+    ['Steps to reproduce', details.reproductionSteps],
+    ['Expected result', details.expectedResult],
+    ['Actual result', details.actualResult],
+  ].filter(([, value]) => value);
+
+  return (
+    <>
+      <BackLink onClick={() => navigate('/admin')}>← Back to reports</BackLink>
+
+      <Panel>
+        <TitleRow>
+          <ReportId>{report.id}</ReportId>
+          <StatusControl>
+            <StatusBadge status={metadata.status}>{labelFor(REPORT_STATUSES, metadata.status)}</StatusBadge>
+            {canTriage && (
+              <>
+                <select value={status} onChange={(e) => setStatus(e.target.value)} aria-label="Status">
+                  {statusOptions.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <SaveButton onClick={handleStatusSave} disabled={isSaving || status === metadata.status}>
+                  {isSaving ? 'Saving...' : 'Update'}
+                </SaveButton>
+              </>
+            )}
+          </StatusControl>
+        </TitleRow>
+
+        {error && <ErrorMessage>{error}</ErrorMessage>}
+        {report.legacyIntegrity && (
+          <Muted>
+            Stored before reports were signed: only its ID, category, platform and submission time are
+            verified. Its next update, or running key rotation, signs the whole report.
+          </Muted>
+        )}
+
+        <Details>
+          <dt>Category</dt>
+          <dd>{labelFor(BUG_CATEGORIES, report.category)}</dd>
+          <dt>Platform</dt>
+          <dd>{labelFor(PLATFORMS, report.platform)}</dd>
+          <dt>Submitted</dt>
+          <dd>{new Date(metadata.timestamp).toLocaleString()}</dd>
+          {metadata.lastUpdated && (
+            <>
+              <dt>Last updated</dt>
+              <dd>{new Date(metadata.lastUpdated).toLocaleString()} by {metadata.updatedBy}</dd>
+            </>
+          )}
+          <dt>User agent</dt>
+          <dd>{metadata.userAgent || '—'}</dd>
+        </Details>
+
+        <SectionTitle>Description</SectionTitle>
+        <Description>{report.description}</Description>
+      </Panel>
+
+      {(gameContextRows.length > 0 || reproductionRows.length > 0) && (
+        <Panel>
+          {gameContextRows.length > 0 && (
+            <>
+              <SectionTitle>Game context</SectionTitle>
+              <Details>
+                {gameContextRows.map(([label, value]) => (
+                  <React.Fragment key={label}>
+                    <dt>{label}</dt>
+                    <dd>{value}</dd>
+                  </React.Fragment>
+                ))}
+              </Details>
+            </>
+          )}
+          {reproductionRows.map(([label, value]) => (
+            <React.Fragment key={label}>
+              <SectionTitle>{label}</SectionTitle>
+              <Description>{value}</Description>
+            </React.Fragment>
+          ))}
+        </Panel>
+      )}
+
+      <Panel>
+        <SectionTitle>Triage</SectionTitle>
+        <TriagePanel report={report} canTriage={canTriage} onUpdated={applyUpdate} />
+      </Panel>
+
+      <Panel>
+        <SectionTitle>Attachments</SectionTitle>
+        {(report.files || []).length === 0 ? (
+          <Muted>No files were attached to this report.</Muted>
+        ) : (
+          <Attachments>
+            {report.files.map((file, index) => (
+              <AttachmentPreview key={file.storedName} reportId={report.id} index={index} file={file} />
+            ))}
+          </Attachments>
+        )}
+      </Panel>
+
+      <Panel>
+        <SectionTitle>Possible duplicates</SectionTitle>
+        <SimilarReports
+          report={report}
+          canTriage={canTriage}
+          onMerged={(result) => setReport(prev => ({
+            ...prev,
+            metadata: { ...prev.metadata, duplicates: result.duplicates }
+          }))}
+        />
+      </Panel>
+
+      <Panel>
+        <SectionTitle>Conversation with reporter</SectionTitle>
+        <CommentThread
+          comments={report.comments || []}
+          viewer="triager"
+          onSubmit={handleCommentSubmit}
+          canPost={canTriage}
+          placeholder="Ask the reporter for more information, e.g. which character or quest"
+        />
+      </Panel>
+
+      <Panel>
+        <SectionTitle>History</SectionTitle>
+        <ReportHistory
+          reportId={report.id}
+          refreshKey={[
+            metadata.status,
+            metadata.lastUpdated,
+            metadata.duplicateOf,
+            (metadata.duplicates || []).length,
+            (report.comments || []).length
+          ].join(':')}
+        />
+      </Panel>
+    </>
+  );
+}
+
+export default ReportDetail;
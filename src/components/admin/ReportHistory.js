@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import styled from 'styled-components';
+import { theme } from '../../styles/theme';
+import { PRIORITIES, REPORT_STATUSES, SEVERITIES } from '../../utils/constants';
+import apiClient from '../../utils/api';
+import { handleAdminError } from './AdminLayout';
+
+const Timeline = styled.ol`
+  list-style: none;
+  display: flex;
+  flex-direction: column;
+  gap: ${theme.spacing.sm};
+  border-left: 2px solid ${theme.colors.border};
+  padding-left: ${theme.spacing.md};
+
+  a {
+    font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+    color: ${theme.colors.primary};
+  }
+`;
+
+const Event = styled.li`
+  font-size: ${theme.typography.fontSize.sm};
+  color: ${theme.colors.textPrimary};
+`;
+
+const Meta = styled.div`
+  color: ${theme.colors.textMuted};
+  font-size: ${theme.typography.fontSize.xs};
+  margin-top: 2px;
+`;
+
+const Muted = styled.p`
+  color: ${theme.colors.textMuted};
+  font-size: ${theme.typography.fontSize.sm};
+`;
+
+const ErrorMessage = styled.div`
+  color: ${theme.colors.error};
+  font-size: ${theme.typography.fontSize.sm};
+`;
+
+const labelFor = (options, value) => options.find(option => option.value === value)?.label || value;
+
+const reportLink = (id) => <Link to={`/admin/reports/${id}`}>{id}</Link>;
+
+const FIELD_NAMES = {
+  assignee: 'Assignee',
+  priority: 'Priority',
+  severity: 'Severity',
+  labels: 'Labels',
+  ticketId: 'Internal ticket',
+};
+
+const fieldValue = (field, value) => {
+  if (field === 'priority') return labelFor(PRIORITIES, value);
+  if (field === 'severity') return labelFor(SEVERITIES, value);
+  if (field === 'labels') return value.join(', ');
+  return value;
+};
+
+// The resolution note is encrypted, so its audit entry only says whether it
+// was set or cleared
+const describeFieldChange = ({ field, oldValue, newValue, cleared }) => {
+  if (field === 'resolutionNote') {
+    return cleared ? 'Resolution note removed' : 'Resolution note updated';
+  }
+  const name = FIELD_NAMES[field] || field;
+  const isEmpty = (value) => value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+  if (isEmpty(newValue)) return `${name} cleared`;
+  if (isEmpty(oldValue)) return `${name} set to ${fieldValue(field, newValue)}`;
+  return `${name} changed from ${fieldValue(field, oldValue)} to ${fieldValue(field, newValue)}`;
+};
+
+// What happened, in words, from the point of view of the report being viewed
+const describe = (event, reportId) => {
+  const { details } = event;
+  switch (event.action) {
+    case 'CREATE_REPORT':
+      return 'Report submitted';
+    case 'ROLLBACK_REPORT':
+      return `Submission rolled back (${details.reason})`;
+    case 'UPDATE_STATUS':
+      return `Status changed from ${labelFor(REPORT_STATUSES, details.oldStatus)} to ${labelFor(REPORT_STATUSES, details.newStatus)}`;
+    case 'REPORTER_COMMENT':
+      return 'Reporter added a comment';
+    case 'TRIAGER_COMMENT':
+      return 'Comment sent to the reporter';
+    case 'MERGE_DUPLICATE':
+      return event.reportId === reportId
+        ? <>Merged as a duplicate of {reportLink(details.masterId)}</>
+        : <>{reportLink(event.reportId)} merged into this report</>;
+    case 'UNMERGE_DUPLICATE':
+      return event.reportId === reportId
+        ? <>No longer a duplicate of {reportLink(details.masterId)}</>
+        : <>{reportLink(event.reportId)} split off from this report</>;
+    case 'UPDATE_TRIAGE_FIELD':
+      return describeFieldChange(details);
+    case 'DOWNLOAD_ATTACHMENT':
+      return `Attachment ${details.index + 1} opened`;
+    case 'ATTACHMENT_INTEGRITY_FAILURE':
+      return 'Attachment failed its integrity check';
+    default:
+      return event.action;
+  }
+};
+
+const actorLabel = (actor) => {
+  if (actor.type === 'admin') return actor.id;
+  if (actor.type === 'reporter') return 'Reporter';
+  return 'System';
+};
+
+// Audit timeline of a report. `refreshKey` changes whenever the page has
+// changed the report, so the new entries show up.
+function ReportHistory({ reportId, refreshKey }) {
+  const navigate = useNavigate();
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    apiClient.getReportHistory(reportId)
+      .then(response => setHistory(response.history))
+      .catch(err => handleAdminError(err, navigate, setError));
+  }, [reportId, refreshKey, navigate]);
+
+  if (error) return <ErrorMessage>{error}</ErrorMessage>;
+  if (history === null) return <Muted>Loading history...</Muted>;
+  if (history.length === 0) return <Muted>Nothing has been recorded for this report yet.</Muted>;
+
+  return (
+    <Timeline>
+      {history.map(event => (
+        <Event key={event.id}>
+          {describe(event, reportId)}
+          <Meta>
+            {new Date(event.timestamp).toLocaleString()} · {actorLabel(event.actor)}
+          </Meta>
+        </Event>
+      ))}
+    </Timeline>
+  );
+}
+
+export default ReportHistory;
@@ -0,0 +1,264 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import styled from 'styled-components';
+import { theme } from '../../styles/theme';
+import { BUG_CATEGORIES, PLATFORMS, PRIORITIES, REPORT_STATUSES, SERVER_REGIONS, SEVERITIES } from '../../utils/constants';
+import StatusBadge from '../StatusBadge';
+
+const Filters = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${theme.spacing.sm};
+  margin-bottom: ${theme.spacing.md};
+
+  select, input {
+    font-size: ${theme.typography.fontSize.sm};
+    padding: ${theme.spacing.xs} ${theme.spacing.sm};
+  }
+`;
+
+const TableWrapper = styled.div`
+  background: ${theme.colors.surface};
+  border: 1px solid ${theme.colors.border};
+  border-radius: ${theme.borderRadius.lg};
+  overflow-x: auto;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: ${theme.typography.fontSize.sm};
+
+  th, td {
+    padding: ${theme.spacing.sm} ${theme.spacing.md};
+    text-align: left;
+    border-bottom: 1px solid ${theme.colors.border};
+  }
+
+  th {
+    color: ${theme.colors.textMuted};
+    font-weight: ${theme.typography.fontWeight.medium};
+    white-space: nowrap;
+  }
+
+  tbody tr {
+    cursor: pointer;
+    transition: background 0.2s ease;
+
+    &:hover {
+      background: ${theme.colors.surfaceLight};
+    }
+  }
+`;
+
+const SortButton = styled.button`
+  background: none;
+  color: inherit;
+  font: inherit;
+`;
+
+const ReportId = styled.span`
+  font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+  font-size: ${theme.typography.fontSize.xs};
+  color: ${theme.colors.primary};
+`;
+
+const Excerpt = styled.span`
+  display: block;
+  max-width: 360px;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  color: ${theme.colors.textSecondary};
+`;
+
+const EmptyState = styled.div`
+  padding: ${theme.spacing.xl};
+  text-align: center;
+  color: ${theme.colors.textMuted};
+`;
+
+const LoadMoreButton = styled.button`
+  display: block;
+  margin: ${theme.spacing.md} auto 0;
+  background: transparent;
+  color: ${theme.colors.textSecondary};
+  padding: ${theme.spacing.sm} ${theme.spacing.xl};
+  border: 1px solid ${theme.colors.border};
+  border-radius: ${theme.borderRadius.md};
+
+  &:hover:not(:disabled) {
+    border-color: ${theme.colors.primary};
+    color: ${theme.colors.primary};
+  }
+`;
+
+const labelFor = (options, value) => options.find(option => option.value === value)?.label || value;
+
+// `onSelectionChange` adds a checkbox column for picking reports for bulk
+// actions
+function ReportTable({
+  reports, filters, onFiltersChange, hasMore, onLoadMore, isLoading, selectedIds = [], onSelectionChange
+}) {
+  const navigate = useNavigate();
+  const allSelected = reports.length > 0 && reports.every(report => selectedIds.includes(report.id));
+
+  const toggleSelected = (id) => {
+    onSelectionChange(selectedIds.includes(id)
+      ? selectedIds.filter(item => item !== id)
+      : [...selectedIds, id]);
+  };
+
+  const toggleAll = () => {
+    onSelectionChange(allSelected ? [] : reports.map(report => report.id));
+  };
+
+  const setFilter = (field, value) => {
+    onFiltersChange({ ...filters, [field]: value });
+  };
+
+  // Text filters apply on Enter or blur rather than refetching on every keystroke
+  const textFilterProps = (field, label) => ({
+    type: 'text',
+    placeholder: label,
+    'aria-label': label,
+    defaultValue: filters[field],
+    onBlur: (e) => {
+      if (e.target.value.trim() !== filters[field]) setFilter(field, e.target.value.trim());
+    },
+    onKeyDown: (e) => {
+      if (e.key === 'Enter') e.target.blur();
+    },
+  });
+
+  const toggleSort = () => {
+    setFilter('sort', filters.sort === 'timestamp' ? '-timestamp' : 'timestamp');
+  };
+
+  return (
+    <>
+      <Filters>
+        <select value={filters.status} onChange={(e) => setFilter('status', e.target.value)}>
+          <option value="">All statuses</option>
+          {REPORT_STATUSES.map(status => (
+            <option key={status.value} value={status.value}>{status.label}</option>
+          ))}
+        </select>
+        <select value={filters.priority} onChange={(e) => setFilter('priority', e.target.value)}>
+          <option value="">All priorities</option>
+          {PRIORITIES.map(priority => (
+            <option key={priority.value} value={priority.value}>{priority.label}</option>
+          ))}
+        </select>
+        <select value={filters.severity} onChange={(e) => setFilter('severity', e.target.value)}>
+          <option value="">All severities</option>
+          {SEVERITIES.map(severity => (
+            <option key={severity.value} value={severity.value}>{severity.label}</option>
+          ))}
+        </select>
+        <select value={filters.category} onChange={(e) => setFilter('category', e.target.value)}>
+          <option value="">All categories</option>
+          {BUG_CATEGORIES.map(category => (
+            <option key={category.value} value={category.value}>{category.label}</option>
+          ))}
+        </select>
+        <select value={filters.platform} onChange={(e) => setFilter('platform', e.target.value)}>
+          <option value="">All platforms</option>
+          {PLATFORMS.map(platform => (
+            <option key={platform.value} value={platform.value}>{platform.label}</option>
+          ))}
+        </select>
+        <select value={filters.hasFiles} onChange={(e) => setFilter('hasFiles', e.target.value)}>
+          <option value="">Any attachments</option>
+          <option value="true">With attachments</option>
+          <option value="false">Without attachments</option>
+        </select>
+        <select value={filters.serverRegion} onChange={(e) => setFilter('serverRegion', e.target.value)}>
+          <option value="">All servers</option>
+          {SERVER_REGIONS.map(region => (
+            <option key={region.value} value={region.value}>{region.label}</option>
+          ))}
+        </select>
+        <input {...textFilterProps('assignee', 'Assignee')} />
+        <input {...textFilterProps('label', 'Label')} />
+        <input {...textFilterProps('gameVersion', 'Game version')} />
+        <input {...textFilterProps('character', 'Character')} />
+        <input {...textFilterProps('mapRegion', 'Map region')} />
+        <input {...textFilterProps('questName', 'Quest')} />
+        <input
+          type="date"
+          aria-label="From date"
+          value={filters.from}
+          onChange={(e) => setFilter('from', e.target.value)}
+        />
+        <input
+          type="date"
+          aria-label="To date"
+          value={filters.to}
+          onChange={(e) => setFilter('to', e.target.value)}
+        />
+      </Filters>
+
+      <TableWrapper>
+        <Table>
+          <thead>
+            <tr>
+              {onSelectionChange && (
+                <th>
+                  <input type="checkbox" checked={allSelected} onChange={toggleAll} aria-label="Select all loaded reports" />
+                </th>
+              )}
+              <th>Reference</th>
+              <th>
+                <SortButton onClick={toggleSort}>
+                  Submitted {filters.sort === 'timestamp' ? '↑' : '↓'}
+                </SortButton>
+              </th>
+              <th>Status</th>
+              <th>Priority</th>
+              <th>Assignee</th>
+              <th>Category</th>
+              <th>Platform</th>
+              <th>Description</th>
+              <th>Files</th>
+            </tr>
+          </thead>
+          <tbody>
+            {reports.map(report => (
+              <tr key={report.id} onClick={() => navigate(`/admin/reports/${report.id}`)}>
+                {onSelectionChange && (
+                  <td onClick={(e) => e.stopPropagation()}>
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(report.id)}
+                      onChange={() => toggleSelected(report.id)}
+                      aria-label={`Select ${report.id}`}
+                    />
+                  </td>
+                )}
+                <td><ReportId>{report.id}</ReportId></td>
+                <td>{new Date(report.metadata.timestamp).toLocaleString()}</td>
+                <td><StatusBadge status={report.metadata.status}>{labelFor(REPORT_STATUSES, report.metadata.status)}</StatusBadge></td>
+                <td>{report.triage?.priority || ''}</td>
+                <td>{report.triage?.assignee || ''}</td>
+                <td>{labelFor(BUG_CATEGORIES, report.category)}</td>
+                <td>{labelFor(PLATFORMS, report.platform)}</td>
+                <td><Excerpt>{report.description}</Excerpt></td>
+                <td>{(report.files || []).length || ''}</td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+        {!isLoading && reports.length === 0 && <EmptyState>No reports match these filters.</EmptyState>}
+      </TableWrapper>
+
+      {hasMore && (
+        <LoadMoreButton onClick={onLoadMore} disabled={isLoading}>
+          {isLoading ? 'Loading...' : 'Load more'}
+        </LoadMoreButton>
+      )}
+    </>
+  );
+}
+
+export default ReportTable;
@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import styled from 'styled-components';
+import { theme } from '../../styles/theme';
+import { REPORT_STATUSES } from '../../utils/constants';
+import apiClient from '../../utils/api';
+import StatusBadge from '../StatusBadge';
+import { handleAdminError } from './AdminLayout';
+
+const List = styled.ul`
+  list-style: none;
+  display: flex;
+  flex-direction: column;
+  gap: ${theme.spacing.sm};
+  margin-bottom: ${theme.spacing.md};
+`;
+
+const Row = styled.li`
+  display: grid;
+  grid-template-columns: auto 1fr auto;
+  gap: ${theme.spacing.sm};
+  align-items: start;
+  font-size: ${theme.typography.fontSize.sm};
+  padding: ${theme.spacing.sm};
+  border: 1px solid ${theme.colors.border};
+  border-radius: ${theme.borderRadius.md};
+
+  a {
+    font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+    color: ${theme.colors.primary};
+  }
+`;
+
+const Excerpt = styled.p`
+  color: ${theme.colors.textSecondary};
+  margin-top: 2px;
+`;
+
+const Score = styled.span`
+  color: ${theme.colors.textMuted};
+  white-space: nowrap;
+`;
+
+const MergeButton = styled.button`
+  background: linear-gradient(135deg, ${theme.colors.primary} 0%, ${theme.colors.primaryDark} 100%);
+  color: ${theme.colors.textPrimary};
+  font-size: ${theme.typography.fontSize.sm};
+  padding: ${theme.spacing.xs} ${theme.spacing.md};
+  border-radius: ${theme.borderRadius.md};
+
+  &:disabled {
+    background: ${theme.colors.textMuted};
+    cursor: not-allowed;
+  }
+`;
+
+const Muted = styled.p`
+  color: ${theme.colors.textMuted};
+  font-size: ${theme.typography.fontSize.sm};
+  margin-bottom: ${theme.spacing.sm};
+`;
+
+const ErrorMessage = styled.div`
+  color: ${theme.colors.error};
+  font-size: ${theme.typography.fontSize.sm};
+  margin-bottom: ${theme.spacing.sm};
+`;
+
+const labelFor = (options, value) => options.find(option => option.value === value)?.label || value;
+
+// Likely duplicates of a report, with a merge action that makes this report
+// the master of the cluster
+function SimilarReports({ report, canTriage, onMerged }) {
+  const navigate = useNavigate();
+  const [similar, setSimilar] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [isMerging, setIsMerging] = useState(false);
+  const [error, setError] = useState('');
+
+  const { id: reportId, metadata } = report;
+  const mergedCount = (metadata.duplicates || []).length;
+
+  useEffect(() => {
+    setSimilar(null);
+    setSelected([]);
+    apiClient.getSimilarReports(reportId)
+      .then(response => setSimilar(response.similar))
+      .catch(err => handleAdminError(err, navigate, setError));
+  }, [reportId, mergedCount, navigate]);
+
+  const toggle = (id) => {
+    setSelected(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]));
+  };
+
+  const handleMerge = async () => {
+    setIsMerging(true);
+    setError('');
+
+    try {
+      const response = await apiClient.mergeDuplicates(reportId, selected);
+      if (response.failed.length > 0) {
+        setError(response.failed.map(item => `${item.id}: ${item.error}`).join('; '));
+      }
+      onMerged(response);
+    } catch (err) {
+      handleAdminError(err, navigate, setError);
+    } finally {
+      setIsMerging(false);
+    }
+  };
+
+  if (metadata.duplicateOf) {
+    return (
+      <Muted>
+        Merged as a duplicate of{' '}
+        <Link to={`/admin/reports/${metadata.duplicateOf}`}>{metadata.duplicateOf}</Link>.
+      </Muted>
+    );
+  }
+
+  const candidates = (similar || []).filter(item => item.duplicateOf !== reportId);
+
+  return (
+    <>
+      {mergedCount > 0 && <Muted>{mergedCount} duplicate report(s) merged into this one.</Muted>}
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      {similar === null && !error && <Muted>Looking for similar reports...</Muted>}
+      {similar !== null && candidates.length === 0 && <Muted>No similar reports found.</Muted>}
+
+      {candidates.length > 0 && (
+        <List>
+          {candidates.map(item => (
+            <Row key={item.id}>
+              {canTriage ? (
+                <input
+                  type="checkbox"
+                  checked={selected.includes(item.id)}
+                  onChange={() => toggle(item.id)}
+                  aria-label={`Select ${item.id}`}
+                />
+              ) : <span />}
+              <div>
+                <Link to={`/admin/reports/${item.id}`}>{item.id}</Link>{' '}
+                <StatusBadge status={item.status}>{labelFor(REPORT_STATUSES, item.status)}</StatusBadge>
+                {item.duplicateOf && <Score> (duplicate of {item.duplicateOf})</Score>}
+                <Excerpt>{item.excerpt}</Excerpt>
+              </div>
+              <Score>{Math.round(item.score * 100)}% match</Score>
+            </Row>
+          ))}
+        </List>
+      )}
+
+      {canTriage && candidates.length > 0 && (
+        <MergeButton onClick={handleMerge} disabled={isMerging || selected.length === 0}>
+          {isMerging ? 'Merging...' : `Merge ${selected.length || ''} into this report`}
+        </MergeButton>
+      )}
+    </>
+  );
+}
+
+export default SimilarReports;
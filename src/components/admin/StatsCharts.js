@@ -0,0 +1,155 @@
+import React from 'react';
+import styled from 'styled-components';
+import { theme } from '../../styles/theme';
+import { BUG_CATEGORIES, PLATFORMS, REPORT_STATUSES } from '../../utils/constants';
+
+const Grid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(260px, 1fr));
+  gap: ${theme.spacing.lg};
+  margin-bottom: ${theme.spacing.xl};
+`;
+
+const Panel = styled.div`
+  background: ${theme.colors.surface};
+  border: 1px solid ${theme.colors.border};
+  border-radius: ${theme.borderRadius.lg};
+  padding: ${theme.spacing.lg};
+`;
+
+const PanelTitle = styled.h3`
+  font-size: ${theme.typography.fontSize.base};
+  color: ${theme.colors.textSecondary};
+  margin-bottom: ${theme.spacing.md};
+`;
+
+const StatRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: ${theme.spacing.lg};
+`;
+
+const Stat = styled.div`
+  min-width: 90px;
+`;
+
+const StatValue = styled.div`
+  font-size: ${theme.typography.fontSize['2xl']};
+  font-weight: ${theme.typography.fontWeight.bold};
+  color: ${props => props.color || theme.colors.textPrimary};
+`;
+
+const StatLabel = styled.div`
+  font-size: ${theme.typography.fontSize.xs};
+  color: ${theme.colors.textMuted};
+`;
+
+const BarRow = styled.div`
+  display: grid;
+  grid-template-columns: 120px 1fr 40px;
+  align-items: center;
+  gap: ${theme.spacing.sm};
+  margin-bottom: ${theme.spacing.xs};
+  font-size: ${theme.typography.fontSize.xs};
+  color: ${theme.colors.textSecondary};
+`;
+
+const BarLabel = styled.span`
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+`;
+
+const BarTrack = styled.div`
+  height: 8px;
+  background: ${theme.colors.surfaceLight};
+  border-radius: ${theme.borderRadius.full};
+  overflow: hidden;
+`;
+
+const BarFill = styled.div`
+  height: 100%;
+  width: ${props => props.percent}%;
+  background: ${props => props.color || theme.colors.primary};
+  border-radius: ${theme.borderRadius.full};
+  transition: width 0.4s ease;
+`;
+
+const BarCount = styled.span`
+  text-align: right;
+  color: ${theme.colors.textPrimary};
+`;
+
+const labelFor = (options, value) => options.find(option => option.value === value)?.label || value;
+
+function BarChart({ title, counts = {}, options = [] }) {
+  const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  const max = Math.max(1, ...entries.map(([, count]) => count));
+
+  return (
+    <Panel>
+      <PanelTitle>{title}</PanelTitle>
+      {entries.length === 0 && <StatLabel>No data yet</StatLabel>}
+      {entries.map(([value, count]) => (
+        <BarRow key={value}>
+          <BarLabel title={labelFor(options, value)}>{labelFor(options, value)}</BarLabel>
+          <BarTrack>
+            <BarFill
+              percent={(count / max) * 100}
+              color={options.find(option => option.value === value)?.color}
+            />
+          </BarTrack>
+          <BarCount>{count}</BarCount>
+        </BarRow>
+      ))}
+    </Panel>
+  );
+}
+
+function StatsCharts({ storage, sessions }) {
+  return (
+    <Grid>
+      <Panel>
+        <PanelTitle>Reports</PanelTitle>
+        <StatRow>
+          <Stat>
+            <StatValue>{storage?.totalReports ?? '–'}</StatValue>
+            <StatLabel>Total</StatLabel>
+          </Stat>
+          <Stat>
+            <StatValue color={theme.colors.primary}>{storage?.recentReports ?? '–'}</StatValue>
+            <StatLabel>Last 7 days</StatLabel>
+          </Stat>
+        </StatRow>
+      </Panel>
+
+      <Panel>
+        <PanelTitle>Sessions</PanelTitle>
+        <StatRow>
+          <Stat>
+            <StatValue>{sessions?.activeSessions ?? '–'}</StatValue>
+            <StatLabel>Active (1h)</StatLabel>
+          </Stat>
+          <Stat>
+            <StatValue>{sessions?.uniqueUsers ?? '–'}</StatValue>
+            <StatLabel>Unique devices</StatLabel>
+          </Stat>
+          <Stat>
+            <StatValue color={theme.colors.warning}>{sessions?.highRiskSessions ?? '–'}</StatValue>
+            <StatLabel>High risk</StatLabel>
+          </Stat>
+          <Stat>
+            <StatValue color={theme.colors.error}>{sessions?.blacklistedSessions ?? '–'}</StatValue>
+            <StatLabel>Blocked</StatLabel>
+          </Stat>
+        </StatRow>
+      </Panel>
+
+      <BarChart title="By Status" counts={storage?.reportsByStatus} options={REPORT_STATUSES} />
+      <BarChart title="By Category" counts={storage?.reportsByCategory} options={BUG_CATEGORIES} />
+      <BarChart title="By Platform" counts={storage?.reportsByPlatform} options={PLATFORMS} />
+    </Grid>
+  );
+}
+
+export default StatsCharts;
@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import styled from 'styled-components';
+import { theme } from '../../styles/theme';
+import { PRIORITIES, SEVERITIES } from '../../utils/constants';
+import apiClient from '../../utils/api';
+import { handleAdminError } from './AdminLayout';
+
+const Form = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+  gap: ${theme.spacing.md};
+  margin-bottom: ${theme.spacing.md};
+
+  label {
+    display: flex;
+    flex-direction: column;
+    gap: ${theme.spacing.xs};
+    color: ${theme.colors.textMuted};
+    font-size: ${theme.typography.fontSize.sm};
+  }
+
+  select, input, textarea {
+    font-size: ${theme.typography.fontSize.sm};
+    padding: ${theme.spacing.xs} ${theme.spacing.sm};
+  }
+`;
+
+const Wide = styled.label`
+  grid-column: 1 / -1;
+`;
+
+const Details = styled.dl`
+  display: grid;
+  grid-template-columns: 160px 1fr;
+  gap: ${theme.spacing.xs} ${theme.spacing.md};
+  font-size: ${theme.typography.fontSize.sm};
+
+  dt {
+    color: ${theme.colors.textMuted};
+  }
+
+  dd {
+    color: ${theme.colors.textSecondary};
+    white-space: pre-wrap;
+    word-break: break-word;
+  }
+`;
+
+const SaveButton = styled.button`
+  background: linear-gradient(135deg, ${theme.colors.primary} 0%, ${theme.colors.primaryDark} 100%);
+  color: ${theme.colors.textPrimary};
+  font-size: ${theme.typography.fontSize.sm};
+  padding: ${theme.spacing.xs} ${theme.spacing.md};
+  border-radius: ${theme.borderRadius.md};
+
+  &:disabled {
+    background: ${theme.colors.textMuted};
+    cursor: not-allowed;
+  }
+`;
+
+const ErrorMessage = styled.div`
+  color: ${theme.colors.error};
+  font-size: ${theme.typography.fontSize.sm};
+  margin-bottom: ${theme.spacing.sm};
+`;
+
+const labelFor = (options, value) => options.find(option => option.value === value)?.label || value;
+
+// The form keeps every field as a string; labels are typed comma-separated
+const toForm = (triage = {}) => ({
+  assignee: triage.assignee || '',
+  priority: triage.priority || '',
+  severity: triage.severity || '',
+  labels: (triage.labels || []).join(', '),
+  ticketId: triage.ticketId || '',
+  resolutionNote: triage.resolutionNote || '',
+});
+
+const parseLabels = (value) => value.split(',').map(label => label.trim()).filter(Boolean);
+
+// Only the fields that differ from what is saved, with empty fields cleared
+const changedFields = (form, saved) => {
+  const changes = {};
+  Object.keys(form).forEach(field => {
+    if (form[field].trim() === saved[field]) return;
+    if (field === 'labels') {
+      changes.labels = parseLabels(form.labels);
+    } else {
+      changes[field] = form[field].trim() || null;
+    }
+  });
+  return changes;
+};
+
+// Assignee, priority, severity, labels, internal ticket and resolution note.
+// Viewers see the values; triagers edit them.
+function TriagePanel({ report, canTriage, onUpdated }) {
+  const navigate = useNavigate();
+  const saved = toForm(report.triage);
+  const [form, setForm] = useState(saved);
+  const [assignees, setAssignees] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setForm(toForm(report.triage));
+  }, [report.triage]);
+
+  useEffect(() => {
+    if (!canTriage) return;
+    apiClient.getAssignees()
+      .then(response => setAssignees(response.assignees))
+      .catch(err => handleAdminError(err, navigate, setError));
+  }, [canTriage, navigate]);
+
+  const changes = changedFields(form, saved);
+  const hasChanges = Object.keys(changes).length > 0;
+
+  const setField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError('');
+
+    try {
+      const response = await apiClient.updateReport(report.id, changes);
+      onUpdated(response.report);
+    } catch (err) {
+      handleAdminError(err, navigate, setError);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!canTriage) {
+    const triage = report.triage || {};
+    return (
+      <Details>
+        <dt>Assignee</dt>
+        <dd>{triage.assignee || '—'}</dd>
+        <dt>Priority</dt>
+        <dd>{triage.priority ? labelFor(PRIORITIES, triage.priority) : '—'}</dd>
+        <dt>Severity</dt>
+        <dd>{triage.severity ? labelFor(SEVERITIES, triage.severity) : '—'}</dd>
+        <dt>Labels</dt>
+        <dd>{(triage.labels || []).join(', ') || '—'}</dd>
+        <dt>Ticket</dt>
+        <dd>{triage.ticketId || '—'}</dd>
+        <dt>Resolution note</dt>
+        <dd>{triage.resolutionNote || '—'}</dd>
+      </Details>
+    );
+  }
+
+  // Someone disabled since being assigned still shows as the assignee
+  const assigneeOptions = assignees.map(user => user.username);
+  if (saved.assignee && !assigneeOptions.includes(saved.assignee)) {
+    assigneeOptions.push(saved.assignee);
+  }
+
+  return (
+    <>
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+      <Form>
+        <label>
+          Assignee
+          <select value={form.assignee} onChange={setField('assignee')}>
+            <option value="">Unassigned</option>
+            {assigneeOptions.map(username => (
+              <option key={username} value={username}>{username}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Priority
+          <select value={form.priority} onChange={setField('priority')}>
+            <option value="">Not set</option>
+            {PRIORITIES.map(priority => (
+              <option key={priority.value} value={priority.value}>{priority.label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Severity
+          <select value={form.severity} onChange={setField('severity')}>
+            <option value="">Not set</option>
+            {SEVERITIES.map(severity => (
+              <option key={severity.value} value={severity.value}>{severity.label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Internal ticket
+          <input type="text" value={form.ticketId} onChange={setField('ticketId')} placeholder="e.g. WW-1234" maxLength={64} />
+        </label>
+        <Wide>
+          Labels
+          <input type="text" value={form.labels} onChange={setField('labels')} placeholder="Comma-separated, e.g. crash, map" />
+        </Wide>
+        <Wide>
+          Resolution note
+          <textarea value={form.resolutionNote} onChange={setField('resolutionNote')} rows={3} maxLength={2000} />
+        </Wide>
+      </Form>
+      <SaveButton onClick={handleSave} disabled={isSaving || !hasChanges}>
+        {isSaving ? 'Saving...' : 'Save triage'}
+      </SaveButton>
+    </>
+  );
+}
+
+export default TriagePanel;
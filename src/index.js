@@ -3,6 +3,7 @@ import ReactDOM from 'react-dom/client';
 import { BrowserRouter } from 'react-router-dom';
 import App from './App';
 import GlobalStyles from './styles/GlobalStyles';
+import { registerOutboxWorker } from './utils/outbox';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -12,4 +13,7 @@ root.render(
       <App />
     </BrowserRouter>
   </React.StrictMode>
-); 
\ No newline at end of file
+);
+
+// Sends reports submitted while offline once the connection returns
+registerOutboxWorker();
@@ -1,3 +1,5 @@
+import { REPORT_ID_PATTERN } from './constants';
+
 // Secure API client for bug reporting
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
@@ -25,10 +27,12 @@ class SecureApiClient {
     return headers;
   }
 
-  // Secure fetch wrapper with timeout and error handling
+  // Secure fetch wrapper with timeout and error handling. `options.signal`
+  // lets the caller cancel; `options.timeout` overrides the default.
   async secureRequest(url, options = {}) {
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const timeoutId = setTimeout(() => controller.abort(), options.timeout || this.timeout);
+    options.signal?.addEventListener('abort', () => controller.abort());
 
     try {
       const response = await fetch(`${this.baseURL}${url}`, {
@@ -36,7 +40,7 @@ class SecureApiClient {
         signal: controller.signal,
         credentials: 'include', // Include cookies for CSRF protection
         headers: {
-          ...this.getHeaders(),
+          ...this.getHeaders(options.auth),
           ...options.headers
         }
       });
@@ -45,14 +49,17 @@ class SecureApiClient {
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+        const error = new Error(errorData.message || errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        error.data = errorData;
+        throw error;
       }
 
-      return await response.json();
+      return options.responseType === 'blob' ? await response.blob() : await response.json();
     } catch (error) {
       clearTimeout(timeoutId);
       
-      if (error.name === 'AbortError') {
+      if (error.name === 'AbortError' && !options.signal?.aborted) {
         throw new Error('Request timeout - please try again');
       }
       
@@ -60,51 +67,72 @@ class SecureApiClient {
     }
   }
 
-  // Submit bug report with file upload
-  async submitBugReport(formData, files = []) {
+  // Submit bug report; attachments are finished resumable uploads. Reusing
+  // `idempotencyKey` for retries of the same form returns the original report.
+  async submitBugReport(formData, uploadIds = [], idempotencyKey = null) {
     try {
-      // Validate input data
-      this.validateBugReportData(formData);
+      return await this.sendSubmission(this.buildSubmission(formData, uploadIds), idempotencyKey);
+    } catch (error) {
+      console.error('Bug report submission failed:', error);
+      throw error;
+    }
+  }
 
-      const form = new FormData();
-      
-      // Add form fields
-      Object.keys(formData).forEach(key => {
-        if (formData[key] !== null && formData[key] !== undefined) {
-          form.append(key, formData[key]);
-        }
-      });
+  // The submission's form fields as [name, value] pairs, so a submission
+  // queued while offline can be stored and sent later exactly as built
+  buildSubmission(formData, uploadIds = []) {
+    // Validate input data
+    this.validateBugReportData(formData);
 
-      // Add files
-      files.forEach((file, index) => {
-        form.append('files', file);
-      });
+    const entries = [];
 
-      // Add security metadata
-      form.append('userAgent', navigator.userAgent);
-      form.append('timestamp', Date.now().toString());
-      form.append('clientFingerprint', this.generateClientFingerprint());
+    // Add form fields
+    Object.keys(formData).forEach(key => {
+      if (formData[key] !== null && formData[key] !== undefined) {
+        entries.push([key, formData[key]]);
+      }
+    });
 
-      const response = await fetch(`${this.baseURL}/bug-reports`, {
-        method: 'POST',
-        body: form,
-        credentials: 'include',
-        headers: {
-          'X-Requested-With': 'XMLHttpRequest',
-          'X-Client-Version': '1.0.0'
-        }
-      });
+    // Attach uploaded files
+    uploadIds.forEach(uploadId => {
+      entries.push(['uploadIds', uploadId]);
+    });
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || 'Failed to submit bug report');
+    // Add security metadata
+    entries.push(['userAgent', navigator.userAgent]);
+    entries.push(['timestamp', Date.now().toString()]);
+    entries.push(['clientFingerprint', this.generateClientFingerprint()]);
+
+    return entries;
+  }
+
+  async sendSubmission(entries, idempotencyKey = null) {
+    const form = new FormData();
+    entries.forEach(([name, value]) => form.append(name, value));
+
+    const response = await fetch(this.submissionUrl(), {
+      method: 'POST',
+      body: form,
+      credentials: 'include',
+      headers: {
+        'X-Requested-With': 'XMLHttpRequest',
+        'X-Client-Version': '1.0.0',
+        ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
       }
+    });
 
-      return await response.json();
-    } catch (error) {
-      console.error('Bug report submission failed:', error);
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(errorData.message || 'Failed to submit bug report');
+      error.status = response.status;
       throw error;
     }
+
+    return await response.json();
+  }
+
+  submissionUrl() {
+    return `${this.baseURL}/bug-reports`;
   }
 
   // Validate bug report data
@@ -165,7 +193,7 @@ class SecureApiClient {
     ctx.fillText('Client fingerprint', 2, 2);
     
     const fingerprint = {
-      screen: `${screen.width}x${screen.height}`,
+      screen: `${window.screen.width}x${window.screen.height}`,
       timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
       language: navigator.language,
       platform: navigator.platform,
@@ -175,13 +203,227 @@ class SecureApiClient {
     return btoa(JSON.stringify(fingerprint));
   }
 
-  // Check report status
-  async getReportStatus(reportId) {
-    if (!reportId || !/^WUWA-[A-Z0-9]+$/.test(reportId)) {
+  // Accepted attachment types, sizes and counts
+  async getUploadPolicy() {
+    return await this.secureRequest('/config/upload-policy');
+  }
+
+  // Resumable uploads (driven by utils/resumableUpload.js)
+  async createUpload({ fileName, mimeType, size }) {
+    return await this.secureRequest('/uploads', {
+      method: 'POST',
+      body: JSON.stringify({ fileName, mimeType, size })
+    });
+  }
+
+  async getUpload(uploadId) {
+    return await this.secureRequest(`/uploads/${encodeURIComponent(uploadId)}`);
+  }
+
+  // Chunks can be slow on mobile connections, hence the longer timeout
+  async uploadChunk(uploadId, offset, chunk, sha256, signal) {
+    return await this.secureRequest(`/uploads/${encodeURIComponent(uploadId)}`, {
+      method: 'PATCH',
+      body: chunk,
+      signal,
+      timeout: 120000,
+      headers: {
+        'Content-Type': 'application/offset+octet-stream',
+        'Upload-Offset': String(offset),
+        'X-Chunk-Sha256': sha256
+      }
+    });
+  }
+
+  async cancelUpload(uploadId) {
+    return await this.secureRequest(`/uploads/${encodeURIComponent(uploadId)}`, { method: 'DELETE' });
+  }
+
+  // Check report status (requires the access token issued at submission)
+  async getReportStatus(reportId, accessToken) {
+    if (!reportId || !REPORT_ID_PATTERN.test(reportId)) {
       throw new Error('Invalid report ID format');
     }
 
-    return await this.secureRequest(`/bug-reports/${reportId}/status`);
+    if (!accessToken) {
+      throw new Error('Access key is required');
+    }
+
+    return await this.secureRequest(`/bug-reports/${encodeURIComponent(reportId)}/status`, {
+      headers: { 'X-Report-Token': accessToken }
+    });
+  }
+
+  // Existing reports resembling a draft, shown before the player submits.
+  // The server only answers browsers that already have a session, so one is
+  // started the first time the lookup is refused.
+  async findSimilarReports(draft) {
+    const lookup = () => this.secureRequest('/bug-reports/similar', {
+      method: 'POST',
+      body: JSON.stringify(draft)
+    });
+
+    try {
+      return await lookup();
+    } catch (error) {
+      if (error.status !== 401) throw error;
+      await this.secureRequest('/session');
+      return await lookup();
+    }
+  }
+
+  // Reporter reply on the follow-up thread
+  async addReportComment(reportId, accessToken, body) {
+    if (!accessToken) {
+      throw new Error('Access key is required');
+    }
+
+    return await this.secureRequest(`/bug-reports/${encodeURIComponent(reportId)}/comments`, {
+      method: 'POST',
+      headers: { 'X-Report-Token': accessToken },
+      body: JSON.stringify({ body })
+    });
+  }
+
+  // Admin session token handling
+  setAdminSession(token, user) {
+    sessionStorage.setItem('auth-token', token);
+    sessionStorage.setItem('auth-user', JSON.stringify(user));
+  }
+
+  clearAdminToken() {
+    sessionStorage.removeItem('auth-token');
+    sessionStorage.removeItem('auth-user');
+  }
+
+  hasAdminToken() {
+    return Boolean(sessionStorage.getItem('auth-token'));
+  }
+
+  // Signed-in account ({ username, role }); the server re-checks the role on every request
+  getAdminUser() {
+    try {
+      return JSON.parse(sessionStorage.getItem('auth-user')) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  hasAdminRole(role) {
+    const roles = ['viewer', 'triager', 'admin'];
+    const user = this.getAdminUser();
+    return Boolean(user) && roles.indexOf(user.role) >= roles.indexOf(role);
+  }
+
+  async adminLogin(username, password) {
+    const response = await this.secureRequest('/admin/login', {
+      method: 'POST',
+      body: JSON.stringify({ username, password })
+    });
+    this.setAdminSession(response.token, response.user);
+    return response;
+  }
+
+  // List reports for triage (filters: category, platform, status, assignee, priority,
+  // severity, label, from, to, hasFiles, sort, cursor, limit)
+  async listReports(params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== '' && value !== null && value !== undefined) {
+        query.append(key, value);
+      }
+    });
+
+    return await this.secureRequest(`/admin/reports?${query.toString()}`, { auth: true });
+  }
+
+  async getAdminReport(reportId) {
+    return await this.secureRequest(`/admin/reports/${encodeURIComponent(reportId)}`, { auth: true });
+  }
+
+  // Change the status and/or triage fields (assignee, priority, severity,
+  // labels, ticketId, resolutionNote); null clears a field
+  async updateReport(reportId, changes) {
+    return await this.secureRequest(`/admin/reports/${encodeURIComponent(reportId)}`, {
+      method: 'PATCH',
+      auth: true,
+      body: JSON.stringify(changes)
+    });
+  }
+
+  // Apply one change (status, assignee, addLabels, removeLabels) to many
+  // reports, selected by `reportIds` or `filter`. With dryRun nothing is
+  // saved and the response previews the outcome for each report.
+  async bulkUpdateReports({ reportIds, filter, changes, dryRun = false }) {
+    return await this.secureRequest('/admin/reports/bulk', {
+      method: 'POST',
+      auth: true,
+      body: JSON.stringify({ reportIds, filter, changes, dryRun })
+    });
+  }
+
+  async getAssignees() {
+    return await this.secureRequest('/admin/assignees', { auth: true });
+  }
+
+  async getReportHistory(reportId) {
+    return await this.secureRequest(`/admin/reports/${encodeURIComponent(reportId)}/history`, { auth: true });
+  }
+
+  async getSimilarReports(reportId) {
+    return await this.secureRequest(`/admin/reports/${encodeURIComponent(reportId)}/similar`, { auth: true });
+  }
+
+  async mergeDuplicates(masterId, duplicateIds) {
+    return await this.secureRequest(`/admin/reports/${encodeURIComponent(masterId)}/merge`, {
+      method: 'POST',
+      auth: true,
+      body: JSON.stringify({ duplicateIds })
+    });
+  }
+
+  async getDuplicateClusters(params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== '' && value !== null && value !== undefined) {
+        query.append(key, value);
+      }
+    });
+
+    return await this.secureRequest(`/admin/clusters?${query.toString()}`, { auth: true });
+  }
+
+  async addAdminComment(reportId, body) {
+    return await this.secureRequest(`/admin/reports/${encodeURIComponent(reportId)}/comments`, {
+      method: 'POST',
+      auth: true,
+      body: JSON.stringify({ body })
+    });
+  }
+
+  // Attachments need the auth header, so they are fetched as blobs for object URLs
+  async getAttachment(reportId, index, variant) {
+    const query = variant ? `?variant=${encodeURIComponent(variant)}` : '';
+    return await this.secureRequest(
+      `/admin/reports/${encodeURIComponent(reportId)}/files/${index}${query}`,
+      { auth: true, responseType: 'blob' }
+    );
+  }
+
+  // Signed, short-lived URL for one attachment. A <video> element streams it
+  // with Range requests, and downloads don't go through memory as a blob.
+  async getAttachmentUrl(reportId, index, { download = false } = {}) {
+    const base = `/admin/reports/${encodeURIComponent(reportId)}/files/${index}`;
+    const { token } = await this.secureRequest(`${base}/stream-token`, { method: 'POST', auth: true });
+    return `${this.baseURL}${base}/stream?token=${encodeURIComponent(token)}${download ? '&download=1' : ''}`;
+  }
+
+  async getStatistics() {
+    return await this.secureRequest('/admin/statistics', { auth: true });
+  }
+
+  async getSessionStats() {
+    return await this.secureRequest('/admin/sessions', { auth: true });
   }
 
   // Health check
@@ -17,12 +17,50 @@ export const PLATFORMS = [
   { value: 'playstation', label: 'PlayStation' },
 ];
 
-export const ACCEPTED_FILE_TYPES = {
-  images: ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/gif'],
-  videos: ['video/mp4', 'video/webm', 'video/mov', 'video/avi'],
+export const SERVER_REGIONS = [
+  { value: 'america', label: 'America' },
+  { value: 'europe', label: 'Europe' },
+  { value: 'asia', label: 'Asia' },
+  { value: 'sea', label: 'SEA' },
+  { value: 'hmt', label: 'HMT (HK/MO/TW)' },
+];
+
+// Matches every ID the server issues: WUWA-<base36 timestamp>-<8 hex chars>
+export const REPORT_ID_PATTERN = /^WUWA-[A-Z0-9]+-[A-F0-9]{8}$/;
+
+export const REPORT_STATUSES = [
+  { value: 'pending', label: 'Pending', color: '#FFD93D' },
+  { value: 'in-review', label: 'In Review', color: '#4A9EFF' },
+  { value: 'needs-info', label: 'Needs Info', color: '#FF9F43' },
+  { value: 'resolved', label: 'Resolved', color: '#00D084' },
+  { value: 'rejected', label: 'Rejected', color: '#8B8B9A' },
+  { value: 'duplicate', label: 'Duplicate', color: '#B983FF' },
+];
+
+// Mirrors server/config/reportLifecycle.js. Reports only become duplicates
+// by being merged, so the status control never offers it.
+export const STATUS_TRANSITIONS = {
+  pending: ['in-review', 'needs-info', 'resolved', 'rejected'],
+  'in-review': ['pending', 'needs-info', 'resolved', 'rejected'],
+  'needs-info': ['in-review', 'resolved', 'rejected'],
+  resolved: ['in-review'],
+  rejected: ['in-review'],
+  duplicate: ['in-review'],
 };
 
-export const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB in bytes
+export const PRIORITIES = [
+  { value: 'P0', label: 'P0 - Urgent' },
+  { value: 'P1', label: 'P1 - High' },
+  { value: 'P2', label: 'P2 - Normal' },
+  { value: 'P3', label: 'P3 - Low' },
+];
+
+export const SEVERITIES = [
+  { value: 'critical', label: 'Critical' },
+  { value: 'major', label: 'Major' },
+  { value: 'minor', label: 'Minor' },
+  { value: 'trivial', label: 'Trivial' },
+];
 
 export const FORM_VALIDATION = {
   description: {
@@ -35,6 +73,27 @@ export const FORM_VALIDATION = {
   platform: {
     required: true,
   },
+  gameVersion: {
+    pattern: /^\d{1,2}(\.\d{1,3}){1,3}$/,
+  },
+  uid: {
+    pattern: /^\d{6,12}$/,
+  },
+  character: {
+    maxLength: 50,
+  },
+  mapRegion: {
+    maxLength: 100,
+  },
+  questName: {
+    maxLength: 150,
+  },
+  reproductionSteps: {
+    maxLength: 2000,
+  },
+  result: {
+    maxLength: 1000,
+  },
 };
 
 export const MESSAGES = {
@@ -44,16 +103,28 @@ export const MESSAGES = {
   },
   error: {
     generic: 'Something went wrong. Please try again.',
-    fileSize: `File size must be less than ${MAX_FILE_SIZE / (1024 * 1024)}MB.`,
-    fileType: 'Please upload only images (JPG, PNG, WebP, GIF) or videos (MP4, WebM, MOV, AVI).',
+    uploadPaused: 'Upload paused - it will resume when you are back online.',
+    uploadsPending: 'Please wait for your files to finish uploading.',
+    fileType: 'This file type is not accepted.',
+    uploadPolicyUnavailable: 'Images and videos are accepted; each file is checked when it uploads.',
     descriptionTooShort: `Description must be at least ${FORM_VALIDATION.description.minLength} characters.`,
     descriptionTooLong: `Description must be less than ${FORM_VALIDATION.description.maxLength} characters.`,
     categoryRequired: 'Please select a bug category.',
     platformRequired: 'Please select your platform.',
+    gameVersion: 'Game version should look like 1.4 or 2.0.1.',
+    uid: 'Your UID is the 6-12 digit number shown in the game menu.',
     networkError: 'Network error occurred. Please check your connection and try again.',
   },
+  draft: {
+    restored: 'Restored your unsent report from',
+    queued: "You're offline, so your report is saved on this device and will be sent automatically when you're back online.",
+    queuedFailed: 'Your saved report could not be sent:',
+  },
   placeholders: {
-    description: 'Please provide details: What were you doing? What happened? What did you expect? Include any relevant game information like character, location, or quest name.',
+    description: 'Please describe the bug: what were you doing and what went wrong?',
+    reproductionSteps: '1. Go to...\n2. Talk to...\n3. The bug appears when...',
+    expectedResult: 'What should have happened?',
+    actualResult: 'What happened instead?',
     otherCategory: 'Please specify the type of bug you encountered...',
   },
 }; 
\ No newline at end of file
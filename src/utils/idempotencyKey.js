@@ -0,0 +1,23 @@
+// crypto.randomUUID only exists in secure contexts, so it is missing when the
+// form is opened over plain HTTP. getRandomValues works everywhere crypto
+// does; Math.random is the last resort for browsers without either.
+const randomBytes = (cryptoApi) => {
+  const bytes = new Uint8Array(16);
+  if (cryptoApi && typeof cryptoApi.getRandomValues === 'function') {
+    return cryptoApi.getRandomValues(bytes);
+  }
+  return bytes.map(() => Math.floor(Math.random() * 256));
+};
+
+// A v4 UUID, which the server accepts as an Idempotency-Key
+export const createIdempotencyKey = (cryptoApi = window.crypto) => {
+  if (cryptoApi && typeof cryptoApi.randomUUID === 'function') {
+    return cryptoApi.randomUUID();
+  }
+
+  const bytes = randomBytes(cryptoApi);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join('-');
+};
@@ -0,0 +1,29 @@
+import { createIdempotencyKey } from './idempotencyKey';
+
+const UUID_V4 = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+// Same pattern the server checks the Idempotency-Key header against
+const SERVER_KEY_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+describe('createIdempotencyKey', () => {
+  it('uses crypto.randomUUID when the context provides it', () => {
+    const randomUUID = jest.fn(() => '3b241101-e2bb-4255-8caf-4136c566a962');
+    expect(createIdempotencyKey({ randomUUID })).toBe('3b241101-e2bb-4255-8caf-4136c566a962');
+    expect(randomUUID).toHaveBeenCalled();
+  });
+
+  it('builds a v4 UUID from getRandomValues outside secure contexts', () => {
+    const getRandomValues = jest.fn(bytes => bytes.fill(0xff));
+
+    const key = createIdempotencyKey({ getRandomValues });
+
+    expect(key).toBe('ffffffff-ffff-4fff-bfff-ffffffffffff');
+    expect(key).toMatch(SERVER_KEY_PATTERN);
+  });
+
+  it('falls back to Math.random without a crypto API', () => {
+    const keys = new Set([createIdempotencyKey(null), createIdempotencyKey(null)]);
+
+    expect(keys.size).toBe(2);
+    keys.forEach(key => expect(key).toMatch(UUID_V4));
+  });
+});
@@ -0,0 +1,136 @@
+// IndexedDB storage for work that has to survive a reload or a crash: the
+// report draft (fields and attached files) and the outbox of submissions
+// waiting for a connection. public/service-worker.js opens the same
+// database to send the outbox, so the names and version must match it.
+export const DB_NAME = 'wuwa-bug-reporter';
+export const DB_VERSION = 1;
+
+const DRAFTS = 'drafts';
+const DRAFT_FILES = 'draftFiles';
+const OUTBOX = 'outbox';
+const DRAFT_ID = 'current';
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(DRAFTS)) db.createObjectStore(DRAFTS, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(DRAFT_FILES)) db.createObjectStore(DRAFT_FILES, { keyPath: 'key' });
+        if (!db.objectStoreNames.contains(OUTBOX)) db.createObjectStore(OUTBOX, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    databasePromise.catch(() => {
+      databasePromise = null; // Try again next time
+    });
+  }
+  return databasePromise;
+};
+
+const result = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run `work` in one transaction; resolves with its return value once the
+// transaction has committed
+const transact = async (storeNames, mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    let value;
+    Promise.resolve(work(transaction)).then(
+      workValue => { value = workValue; },
+      error => {
+        try {
+          transaction.abort();
+        } catch (abortError) {
+          // Already finished
+        }
+        reject(error);
+      }
+    );
+    transaction.oncomplete = () => resolve(value);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Drafts. Fields and file details are rewritten on every save; a file's
+// contents are written once, when it is first attached.
+
+export const saveDraft = ({ fields, files, idempotencyKey }) =>
+  transact([DRAFTS, DRAFT_FILES], 'readwrite', async (transaction) => {
+    const fileStore = transaction.objectStore(DRAFT_FILES);
+    const storedKeys = new Set(await result(fileStore.getAllKeys()));
+    const currentKeys = new Set(files.map(entry => entry.key));
+
+    files
+      .filter(entry => !storedKeys.has(entry.key))
+      .forEach(entry => fileStore.put({ key: entry.key, file: entry.file }));
+    storedKeys.forEach(key => !currentKeys.has(key) && fileStore.delete(key));
+
+    transaction.objectStore(DRAFTS).put({
+      id: DRAFT_ID,
+      fields,
+      idempotencyKey,
+      files: files.map(entry => ({
+        key: entry.key,
+        mimeType: entry.mimeType,
+        // A finished upload is reused; anything else resumes or starts over
+        uploadId: entry.status === 'complete' ? entry.uploadId : null
+      })),
+      savedAt: new Date().toISOString()
+    });
+  });
+
+// Resolves to { fields, files: [{ key, file, mimeType, uploadId }],
+// idempotencyKey, savedAt }, or null when there is no draft
+export const loadDraft = () =>
+  transact([DRAFTS, DRAFT_FILES], 'readonly', async (transaction) => {
+    const draft = await result(transaction.objectStore(DRAFTS).get(DRAFT_ID));
+    if (!draft) return null;
+
+    const fileStore = transaction.objectStore(DRAFT_FILES);
+    const files = [];
+    for (const entry of draft.files) {
+      const stored = await result(fileStore.get(entry.key));
+      if (stored) files.push({ ...entry, file: stored.file });
+    }
+    return { ...draft, files };
+  });
+
+export const clearDraft = () =>
+  transact([DRAFTS, DRAFT_FILES], 'readwrite', (transaction) => {
+    transaction.objectStore(DRAFTS).clear();
+    transaction.objectStore(DRAFT_FILES).clear();
+  });
+
+// Outbox records: { id (the idempotency key), url, entries, status
+// ('queued' | 'sent' | 'failed'), response, error, confirmation, queuedAt }
+
+export const putOutboxRecord = (record) =>
+  transact([OUTBOX], 'readwrite', (transaction) => {
+    transaction.objectStore(OUTBOX).put(record);
+  });
+
+export const getOutboxRecord = (id) =>
+  transact([OUTBOX], 'readonly', (transaction) => result(transaction.objectStore(OUTBOX).get(id)));
+
+export const listOutboxRecords = () =>
+  transact([OUTBOX], 'readonly', (transaction) => result(transaction.objectStore(OUTBOX).getAll()));
+
+export const deleteOutboxRecord = (id) =>
+  transact([OUTBOX], 'readwrite', (transaction) => {
+    transaction.objectStore(OUTBOX).delete(id);
+  });
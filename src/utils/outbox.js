@@ -0,0 +1,101 @@
+import apiClient from './api';
+import {
+  putOutboxRecord,
+  getOutboxRecord,
+  listOutboxRecords,
+  deleteOutboxRecord
+} from './offlineStore';
+
+// Reports submitted while offline wait in the outbox (IndexedDB) until there
+// is a connection. The service worker sends them through Background Sync,
+// even after the tab is closed; browsers without it send them from the page
+// when it comes back online. Both use the form's idempotency key, so a
+// report sent twice is still only filed once.
+export const OUTBOX_SYNC_TAG = 'bug-report-outbox';
+
+const listeners = new Set();
+
+const notifyListeners = () => listeners.forEach(listener => listener());
+
+// Called whenever a queued report is sent or refused, by the page or by the
+// service worker. Returns an unsubscribe function.
+export const onOutboxChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Offline, DNS failures and dropped connections reject with a TypeError
+// rather than an HTTP status
+export const isNetworkError = (error) => error instanceof TypeError || navigator.onLine === false;
+
+// Worth sending again later: no answer, rate limits, a send already in
+// progress, server errors
+const shouldRetry = (error) =>
+  !error.status || error.status === 409 || error.status === 429 || error.status >= 500;
+
+let flushing = null;
+
+// Send every queued report from the page
+export const flushOutbox = () => {
+  if (!flushing) {
+    flushing = (async () => {
+      const records = await listOutboxRecords();
+      for (const record of records.filter(item => item.status === 'queued')) {
+        try {
+          const response = await apiClient.sendSubmission(record.entries, record.id);
+          await putOutboxRecord({ ...record, status: 'sent', response, sentAt: new Date().toISOString() });
+        } catch (error) {
+          if (shouldRetry(error)) continue;
+          await putOutboxRecord({ ...record, status: 'failed', error: error.message });
+        }
+        notifyListeners();
+      }
+    })().finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+};
+
+// Queue a submission built by apiClient.buildSubmission. `confirmation`
+// holds what the confirmation page shows besides the server's response.
+export const queueSubmission = async ({ entries, idempotencyKey, confirmation }) => {
+  await putOutboxRecord({
+    id: idempotencyKey,
+    url: apiClient.submissionUrl(),
+    entries,
+    status: 'queued',
+    confirmation,
+    queuedAt: new Date().toISOString()
+  });
+
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    await registration?.sync?.register(OUTBOX_SYNC_TAG);
+  } catch (error) {
+    // No Background Sync; the page sends it when back online
+  }
+};
+
+export const getQueuedSubmission = (idempotencyKey) => getOutboxRecord(idempotencyKey);
+
+export const removeQueuedSubmission = (idempotencyKey) => deleteOutboxRecord(idempotencyKey);
+
+// Register the service worker and the page's own fallback. The worker only
+// handles the outbox; it doesn't cache the app, so it can't serve stale code.
+export const registerOutboxWorker = () => {
+  if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+      navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`)
+        .catch(error => console.error('Service worker registration failed:', error));
+    });
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data?.type === 'outbox-updated') notifyListeners();
+    });
+  }
+
+  window.addEventListener('online', () => {
+    flushOutbox().catch(error => console.error('Sending queued reports failed:', error));
+  });
+};
@@ -0,0 +1,108 @@
+import apiClient from './api';
+
+// Upload IDs are remembered per file so a retry after a dropped connection,
+// or picking the same file again after a reload, continues where it stopped.
+const STORAGE_KEY = 'wuwa-resumable-uploads';
+const MAX_RETRIES = 5;
+
+const fileKey = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
+const loadUploadIds = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const rememberUploadId = (file, uploadId) => {
+  const ids = loadUploadIds();
+  if (uploadId) {
+    ids[fileKey(file)] = uploadId;
+  } else {
+    delete ids[fileKey(file)];
+  }
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+};
+
+const sha256Hex = async (blob) => {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network failures, server errors, rate limits and corrupted chunks are worth
+// another try; anything else means the file itself was refused
+const isRetryable = (error) =>
+  !error.status || error.status >= 500 || error.status === 429 || /checksum/i.test(error.message);
+
+const resumeOrCreate = async (file, mimeType) => {
+  const previousId = loadUploadIds()[fileKey(file)];
+  if (previousId) {
+    try {
+      return await apiClient.getUpload(previousId);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      rememberUploadId(file, null); // expired; start over
+    }
+  }
+
+  const status = await apiClient.createUpload({ fileName: file.name, mimeType, size: file.size });
+  rememberUploadId(file, status.uploadId);
+  return status;
+};
+
+// Uploads `file` in chunks, reporting progress from 0 to 1. Resolves to the
+// upload ID to submit with the report. Rejects with an AbortError when
+// `signal` is aborted; call again with the same file to resume. `mimeType`
+// overrides file.type, which some browsers leave empty (e.g. for HEIC).
+export const uploadFile = async (file, { onProgress = () => {}, signal, mimeType = file.type } = {}) => {
+  let status = await resumeOrCreate(file, mimeType);
+  let failures = 0;
+  onProgress(status.offset / file.size);
+
+  while (status.status !== 'complete') {
+    if (signal?.aborted) {
+      throw new DOMException('Upload paused', 'AbortError');
+    }
+
+    const chunk = file.slice(status.offset, status.offset + status.chunkSize);
+    try {
+      status = await apiClient.uploadChunk(status.uploadId, status.offset, chunk, await sha256Hex(chunk), signal);
+      failures = 0;
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+
+      // 409 means the offset moved on (a chunk landed before its response was
+      // lost), so only other errors count as failures
+      if (error.status !== 409) {
+        if (!isRetryable(error)) {
+          rememberUploadId(file, null);
+          throw error;
+        }
+        if (++failures > MAX_RETRIES || navigator.onLine === false) {
+          throw error; // keeps the upload ID for a later resume
+        }
+        await wait(Math.min(30000, 1000 * 2 ** failures));
+      }
+
+      // Ask the server where to continue from
+      status = await apiClient.getUpload(status.uploadId);
+    }
+
+    onProgress(status.offset / file.size);
+  }
+
+  rememberUploadId(file, null);
+  return status.uploadId;
+};
+
+// Drop an upload the player removed from the form
+export const discardUpload = async (file, uploadId) => {
+  const id = uploadId || loadUploadIds()[fileKey(file)];
+  rememberUploadId(file, null);
+  if (id) {
+    await apiClient.cancelUpload(id).catch(() => {});
+  }
+};
@@ -0,0 +1,23 @@
+import { REPORT_ID_PATTERN } from './constants';
+
+// The access token lives in the URL fragment so it is never sent to the
+// server in request lines or written to access logs.
+export const buildStatusPath = (reportId, accessToken) =>
+  `/status/${reportId}#token=${encodeURIComponent(accessToken)}`;
+
+export const buildStatusLink = (reportId, accessToken) =>
+  `${window.location.origin}${buildStatusPath(reportId, accessToken)}`;
+
+export const readTokenFromHash = (hash) =>
+  new URLSearchParams((hash || '').replace(/^#/, '')).get('token') || '';
+
+// Accepts a pasted status link and returns { reportId, accessToken }, or null
+export const parseStatusLink = (value) => {
+  const match = /\/status\/(WUWA-[A-Z0-9-]+)(#.*)?$/i.exec((value || '').trim());
+  if (!match) return null;
+
+  const reportId = match[1].toUpperCase();
+  if (!REPORT_ID_PATTERN.test(reportId)) return null;
+
+  return { reportId, accessToken: readTokenFromHash(match[2]) };
+};